@@ -0,0 +1,173 @@
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { loadImageData } from './lib/image.js';
+import { createAnalysisContext } from './lib/analysis-context.js';
+import { analyzeBack, backCheckShare } from './lib/card-back.js';
+import { CV_TIERS, TIER_ALGORITHMS } from './lib/cv-algorithms.js';
+import { LABELS, CALIBRATION_DEFAULTS, calibrate } from './lib/calibration.js';
+import { createScoringModelStore } from './lib/scoring-model.js';
+
+/**
+ * Calibration harness: runs the /api/cv pipeline over a labelled dataset
+ * and reports, per signal of the scoring model, the ROC AUC, the confusion
+ * matrix at the current threshold and a suggested threshold.
+ *
+ *   node calibrate.js <dataset> [--tier enterprise] [--write]
+ *
+ * The dataset has a `genuine/` and a `fake/` directory of front images. A
+ * back goes next to its front as `<name>.back.<ext>`.
+ */
+
+const USAGE = `Usage: node calibrate.js <dataset> [options]
+
+  --tier <tier>           CV tier to run: pro, expert or enterprise (default enterprise)
+  --profile <profile>     scoring model profile to calibrate (default cv)
+  --model <file>          scoring model (default SCORING_MODEL_FILE or config/scoring-model.json)
+  --samples <file>        read measured samples from a JSON file instead of analyzing images
+  --save-samples <file>   write the measured samples to a JSON file
+  --report <file>         write the full report, with ROC curves, as JSON
+  --min-auc <auc>         lowest AUC for which a threshold is suggested (default ${CALIBRATION_DEFAULTS.minAuc})
+  --min-samples <n>       fewest samples per label for a suggestion (default ${CALIBRATION_DEFAULTS.minSamples})
+  --write                 write the suggested thresholds and cutoff into the model file`;
+
+const IMAGE_PATTERN = /\.(jpe?g|png|webp)$/i;
+const BACK_PATTERN = /\.back\.(jpe?g|png|webp)$/i;
+
+/**
+ * Labelled front images, each with its back when one is present
+ */
+function listDataset(dir) {
+  const images = [];
+  for (const label of LABELS) {
+    const labelDir = path.join(dir, label);
+    if (!fs.existsSync(labelDir)) continue;
+    const files = fs.readdirSync(labelDir).filter(f => IMAGE_PATTERN.test(f)).sort();
+    const backs = new Map(files.filter(f => BACK_PATTERN.test(f)).map(f => [f.replace(BACK_PATTERN, ''), f]));
+    for (const file of files.filter(f => !BACK_PATTERN.test(f))) {
+      const back = backs.get(file.replace(IMAGE_PATTERN, ''));
+      images.push({
+        label,
+        file: path.join(labelDir, file),
+        back: back ? path.join(labelDir, back) : null
+      });
+    }
+  }
+  return images;
+}
+
+/**
+ * Signals of one card, as /api/cv scores them
+ */
+async function measureCard({ file, back }, tier) {
+  const ctx = await createAnalysisContext(fs.readFileSync(file).toString('base64'));
+  const signals = {};
+  for (const tierName of CV_TIERS.slice(0, CV_TIERS.indexOf(tier) + 1)) {
+    for (const algorithm of TIER_ALGORITHMS[tierName]) {
+      signals[algorithm.name] = parseFloat((await algorithm(ctx)).score);
+    }
+  }
+  if (back) {
+    signals.backChecks = backCheckShare(await analyzeBack(await loadImageData(fs.readFileSync(back).toString('base64'))));
+  }
+  return signals;
+}
+
+const fixed = (value, digits = 3) => (value === null || value === undefined ? '-' : value.toFixed(digits));
+const matrix = (c) => `${c.truePositive}/${c.falseNegative}/${c.falsePositive}/${c.trueNegative}`;
+
+function printReport(report) {
+  console.log(`\nProfile ${report.profile}: ${report.samples.genuine} genuine, ${report.samples.fake} fake`);
+  console.log('Confusion matrices are TP/FN/FP/TN, with fakes as positives\n');
+  console.log(`${'Signal'.padEnd(30)}${'AUC'.padStart(7)}${'Threshold'.padStart(11)}${'Current'.padStart(14)}${'Suggested'.padStart(11)}${'Then'.padStart(14)}`);
+  const measured = report.signals.filter(s => s.measured.genuine + s.measured.fake > 0);
+  for (const s of measured) {
+    console.log(
+      `${s.name.slice(0, 29).padEnd(30)}${fixed(s.auc).padStart(7)}${String(s.threshold).padStart(11)}${matrix(s.confusion).padStart(14)}` +
+      `${(s.suggested ? String(s.suggested.threshold) : '-').padStart(11)}${(s.suggested ? matrix(s.suggested.confusion) : '').padStart(14)}` +
+      (s.note ? `  ${s.note}` : '')
+    );
+  }
+  const unmeasured = report.signals.filter(s => !measured.includes(s));
+  if (unmeasured.length > 0) console.log(`Not measured: ${unmeasured.map(s => s.name).join(', ')}`);
+
+  const { before, after } = report.score;
+  console.log(`\nScore AUC ${fixed(before.auc)}. ${before.verdict} from ${before.cutoff}: ${matrix(before.confusion)}`);
+  for (const label of LABELS) {
+    console.log(`  ${label}: ${Object.entries(before.verdicts[label]).map(([verdict, n]) => `${verdict} ${n}`).join(', ') || '-'}`);
+  }
+  if (after.suggested || report.signals.some(s => s.suggested)) {
+    console.log(`With the suggestions: score AUC ${fixed(after.auc)}. ${after.verdict} from ${after.cutoff}: ${matrix(after.confusion)}`);
+  }
+}
+
+async function main() {
+  const { values: args, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      tier: { type: 'string', default: 'enterprise' },
+      profile: { type: 'string', default: 'cv' },
+      model: { type: 'string', default: process.env.SCORING_MODEL_FILE || 'config/scoring-model.json' },
+      samples: { type: 'string' },
+      'save-samples': { type: 'string' },
+      report: { type: 'string' },
+      'min-auc': { type: 'string' },
+      'min-samples': { type: 'string' },
+      write: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  if (args.help || (!positionals[0] && !args.samples)) {
+    console.log(USAGE);
+    process.exit(args.help ? 0 : 1);
+  }
+  if (!CV_TIERS.includes(args.tier)) throw new Error(`Unknown tier: ${args.tier}`);
+
+  let samples;
+  if (args.samples) {
+    samples = JSON.parse(fs.readFileSync(args.samples, 'utf8'));
+    console.log(`[Calibrate] Read ${samples.length} samples from ${args.samples}`);
+  } else {
+    const images = listDataset(positionals[0]);
+    if (images.length === 0) throw new Error(`No images in ${positionals[0]}/genuine or ${positionals[0]}/fake`);
+    samples = [];
+    for (const [i, image] of images.entries()) {
+      console.log(`[Calibrate] ${i + 1}/${images.length} ${image.label} ${path.basename(image.file)}${image.back ? ' (with back)' : ''}`);
+      try {
+        samples.push({ file: image.file, label: image.label, signals: await measureCard(image, args.tier) });
+      } catch (error) {
+        console.error(`[Calibrate] Skipped ${image.file}: ${error.message}`);
+      }
+    }
+  }
+  if (args['save-samples']) {
+    fs.writeFileSync(args['save-samples'], JSON.stringify(samples, null, 2));
+    console.log(`[Calibrate] Samples written to ${args['save-samples']}`);
+  }
+
+  const options = {};
+  if (args['min-auc']) options.minAuc = Number(args['min-auc']);
+  if (args['min-samples']) options.minSamples = Number(args['min-samples']);
+  const report = calibrate(JSON.parse(fs.readFileSync(args.model, 'utf8')), args.profile, samples, options);
+  printReport(report);
+
+  if (args.report) {
+    fs.writeFileSync(args.report, JSON.stringify(report, null, 2));
+    console.log(`\n[Calibrate] Report written to ${args.report}`);
+  }
+  if (args.write) {
+    const changed = report.signals.filter(s => s.suggested).length + (report.score.after.suggested ? 1 : 0);
+    if (changed === 0) {
+      console.log('[Calibrate] Nothing to write: no threshold could be suggested');
+    } else {
+      createScoringModelStore({ file: args.model }).replace(report.model);
+      console.log(`[Calibrate] Suggested thresholds written to ${args.model}`);
+    }
+  }
+}
+
+main().catch(error => {
+  console.error(`[Calibrate] ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,110 @@
+import { loadImageData, rgbToGrayscale, sobelGradients, rgbToLab, extractChannel, powerSpectrum } from './image.js';
+import { canny } from './edges.js';
+import { normalizeCard } from './card-detection.js';
+
+/**
+ * Decode an image once and share it across every CV algorithm.
+ * Unless options.preprocess is false, the card is detected, perspective
+ * corrected and cropped first, so the geometric and texture algorithms see
+ * the normalized card. The warp resamples every pixel, so `ctx.source` keeps
+ * the decoded photo for the pixel-level forensics (ELA, JPEG blocks, noise).
+ * Options: preprocess ({ removeHolder, outputWidth, minAreaRatio } | false)
+ * plus per-algorithm options keyed by algorithm.
+ * Macros are close-up photos of the print (base64, or { image, pixelsPerMm });
+ * they are decoded as is, without card detection.
+ */
+export async function createAnalysisContext(base64Image, options = {}, macros = []) {
+  const source = await loadImageData(base64Image);
+  const decodedMacros = await Promise.all(macros.map(async (macro) => {
+    const { image, pixelsPerMm = null } = typeof macro === 'string' ? { image: macro } : macro;
+    return { ...(await loadImageData(image)), pixelsPerMm };
+  }));
+
+  if (options.preprocess === false) {
+    const ctx = contextFromImageData(source, options, {
+      applied: false,
+      sourceSize: { width: source.width, height: source.height }
+    });
+    ctx.macros = decodedMacros;
+    return ctx;
+  }
+
+  const { imageData, preprocessing, borders } = await normalizeCard(source, options.preprocess || {});
+  const ctx = contextFromImageData(imageData, options, { applied: true, ...preprocessing });
+  if (imageData !== source) ctx.source = contextFromImageData(source, options, { applied: false });
+
+  // The warped card has no visible outline left, so keep the source border fit
+  ctx.sourceBorders = borders || null;
+  ctx.macros = decodedMacros;
+  return ctx;
+}
+
+/**
+ * Build an analysis context around already-decoded RGBA data.
+ * Derived planes (grayscale, Sobel gradients, Lab, power spectrum, Canny,
+ * single channels) are computed on first access and cached for the rest of
+ * the request.
+ */
+export function contextFromImageData({ data, width, height }, options = {}, preprocessing = { applied: false }) {
+  const cache = new Map();
+  const derive = (key, compute) => {
+    if (!cache.has(key)) cache.set(key, compute());
+    return cache.get(key);
+  };
+
+  const ctx = {
+    data,
+    width,
+    height,
+
+    // Per-algorithm options from the request, keyed by algorithm (e.g. options.canny)
+    options,
+
+    // Card detection / warp summary (corners and homography in source pixels)
+    preprocessing,
+
+    // findCardBorders() result on the source image, when the card was detected
+    sourceBorders: null,
+
+    // Decoded macro photos ({ data, width, height, pixelsPerMm }), if any
+    macros: [],
+
+    // Context of the photo as decoded, before card normalization (this
+    // context itself when nothing was warped)
+    source: null,
+
+    get gray() {
+      return derive('gray', () => rgbToGrayscale(data, width, height));
+    },
+
+    // { gx, gy, magnitude } from 3x3 Sobel kernels on the grayscale plane
+    get sobel() {
+      return derive('sobel', () => sobelGradients(this.gray, width, height));
+    },
+
+    // { L, a, b } planes, sRGB -> CIE Lab with D65 white
+    get lab() {
+      return derive('lab', () => rgbToLab(data, width, height));
+    },
+
+    // { power, size } of the centred grayscale spectrum (see powerSpectrum)
+    get spectrum() {
+      return derive('spectrum', () => powerSpectrum(this.gray, width, height));
+    },
+
+    // Canny edge map for the given parameters (see lib/edges.js)
+    canny(params = {}) {
+      const { sigma = 1.4, lowThreshold = 50, highThreshold = 150 } = params;
+      return derive(`canny:${sigma}:${lowThreshold}:${highThreshold}`, () =>
+        canny(this.gray, width, height, { sigma, lowThreshold, highThreshold })
+      );
+    },
+
+    // Single RGB channel (0 = R, 1 = G, 2 = B)
+    channel(index) {
+      return derive(`channel${index}`, () => extractChannel(data, width, height, index));
+    }
+  };
+  ctx.source = ctx;
+  return ctx;
+}
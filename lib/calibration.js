@@ -0,0 +1,199 @@
+import { validateModel, scoreSignals } from './scoring.js';
+
+/**
+ * Calibration of a scoring model (see scoring.js) against labelled samples:
+ * { label: 'genuine' | 'fake', signals: { id: value } }.
+ *
+ * Fakes are the positive class: a signal flags a card when it fails its
+ * threshold, so the true positive rate is the share of fakes flagged and the
+ * false positive rate the share of genuine cards flagged. AUC is the chance
+ * that a random fake looks more fake than a random genuine card on that
+ * signal (0.5 is a coin flip; below 0.5 the signal points the wrong way).
+ * Suggested thresholds maximize Youden's J (TPR - FPR).
+ */
+
+export const LABELS = ['genuine', 'fake'];
+
+// Defaults for which suggestions are written into the model
+export const CALIBRATION_DEFAULTS = { minAuc: 0.6, minSamples: 5 };
+
+const round = (value) => Number(value.toPrecision(4));
+
+// Whether a value fails a min/max threshold, as in signalSupport
+const flags = (direction, value, threshold) => (direction === 'min' ? value < threshold : value > threshold);
+
+/**
+ * Measured values of one signal, split by label
+ */
+function valuesByLabel(samples, read) {
+  const values = { genuine: [], fake: [] };
+  for (const sample of samples) {
+    const value = read(sample);
+    if (typeof value === 'number' && Number.isFinite(value) && values[sample.label]) values[sample.label].push(value);
+  }
+  return values;
+}
+
+/**
+ * Confusion matrix of flagging a card when it fails the threshold
+ */
+export function confusionAt({ genuine, fake }, direction, threshold) {
+  const truePositive = fake.filter(v => flags(direction, v, threshold)).length;
+  const falsePositive = genuine.filter(v => flags(direction, v, threshold)).length;
+  const matrix = {
+    truePositive,
+    falseNegative: fake.length - truePositive,
+    falsePositive,
+    trueNegative: genuine.length - falsePositive
+  };
+  return {
+    ...matrix,
+    tpr: fake.length > 0 ? truePositive / fake.length : null,
+    fpr: genuine.length > 0 ? falsePositive / genuine.length : null,
+    accuracy: (matrix.truePositive + matrix.trueNegative) / Math.max(1, genuine.length + fake.length)
+  };
+}
+
+/**
+ * Mann-Whitney AUC: the share of (fake, genuine) pairs in which the fake
+ * looks more fake, ties counting half
+ */
+export function auc({ genuine, fake }, direction) {
+  if (genuine.length === 0 || fake.length === 0) return null;
+  let wins = 0;
+  for (const f of fake) {
+    for (const g of genuine) {
+      if (f === g) wins += 0.5;
+      else if (direction === 'min' ? f < g : f > g) wins += 1;
+    }
+  }
+  return wins / (genuine.length * fake.length);
+}
+
+/**
+ * ROC points for every threshold between distinct measured values, from
+ * flagging nothing to flagging everything
+ */
+export function rocCurve(values, direction) {
+  const sorted = [...new Set([...values.genuine, ...values.fake])].sort((a, b) => a - b);
+  if (sorted.length === 0) return [];
+  const cuts = [sorted[0] - 1, ...sorted.slice(1).map((v, i) => (v + sorted[i]) / 2), sorted[sorted.length - 1] + 1];
+  if (direction === 'max') cuts.reverse();
+
+  return cuts.map(threshold => {
+    const { tpr, fpr } = confusionAt(values, direction, threshold);
+    return { threshold, tpr, fpr };
+  });
+}
+
+/**
+ * Threshold with the highest Youden's J, the one nearest the current
+ * threshold among ties
+ */
+export function suggestThreshold(values, direction, current) {
+  let best = null;
+  for (const point of rocCurve(values, direction)) {
+    const j = point.tpr - point.fpr;
+    if (!best || j > best.j + 1e-12 || (Math.abs(j - best.j) <= 1e-12 && Math.abs(point.threshold - current) < Math.abs(best.threshold - current))) {
+      best = { ...point, j };
+    }
+  }
+  return best;
+}
+
+/**
+ * Report on one signal: AUC, the confusion matrix at its threshold and a
+ * suggested threshold. `suggested` is null when either label has fewer than
+ * `minSamples` values or the AUC is below `minAuc`; `note` says why.
+ */
+export function evaluateSignal(samples, id, signal, { minAuc = CALIBRATION_DEFAULTS.minAuc, minSamples = CALIBRATION_DEFAULTS.minSamples } = {}) {
+  const values = valuesByLabel(samples, sample => sample.signals[id]);
+  const area = auc(values, signal.direction);
+
+  let suggested = null, note = null;
+  if (values.genuine.length < minSamples || values.fake.length < minSamples) {
+    note = `Needs at least ${minSamples} measured genuine and fake samples`;
+  } else if (area < 0.5) {
+    note = 'Fakes score better than genuine cards on this signal; check its direction';
+  } else if (area < minAuc) {
+    note = `AUC below ${minAuc}; the signal barely separates fakes from genuine cards`;
+  } else {
+    const best = suggestThreshold(values, signal.direction, signal.threshold);
+    const threshold = round(best.threshold);
+    suggested = { threshold, confusion: confusionAt(values, signal.direction, threshold) };
+  }
+
+  return {
+    id,
+    name: signal.name,
+    direction: signal.direction,
+    measured: { genuine: values.genuine.length, fake: values.fake.length },
+    auc: area,
+    threshold: signal.threshold,
+    confusion: confusionAt(values, signal.direction, signal.threshold),
+    suggested,
+    note,
+    roc: rocCurve(values, signal.direction)
+  };
+}
+
+/**
+ * Report on the combined score of a (validated) model: AUC, verdict counts
+ * per label, the confusion matrix of calling a card authentic at the top
+ * verdict cutoff, and the cutoff with the highest Youden's J
+ */
+export function evaluateScores(model, profileId, samples, { minSamples = CALIBRATION_DEFAULTS.minSamples } = {}) {
+  const scored = samples.map(sample => ({ label: sample.label, ...scoreSignals(model, profileId, sample.signals) }));
+  const values = valuesByLabel(scored, sample => sample.score);
+  const cutoff = model.verdicts[0].minScore;
+
+  const verdicts = Object.fromEntries(LABELS.map(label => [label, {}]));
+  for (const { label, verdict } of scored) {
+    if (verdicts[label]) verdicts[label][verdict] = (verdicts[label][verdict] || 0) + 1;
+  }
+
+  let suggested = null;
+  if (values.genuine.length >= minSamples && values.fake.length >= minSamples) {
+    const best = suggestThreshold(values, 'min', cutoff);
+    // Keep the cutoffs in order and the score on its 0-100 scale
+    const floor = model.verdicts.length > 1 ? model.verdicts[1].minScore + 1 : 1;
+    const suggestedCutoff = Math.min(100, Math.max(floor, Math.round(best.threshold)));
+    suggested = { cutoff: suggestedCutoff, confusion: confusionAt(values, 'min', suggestedCutoff) };
+  }
+
+  return {
+    auc: auc(values, 'min'),
+    verdict: model.verdicts[0].verdict,
+    cutoff,
+    confusion: confusionAt(values, 'min', cutoff),
+    suggested,
+    verdicts
+  };
+}
+
+/**
+ * Evaluate a profile of a scoring model (as stored, unvalidated) against
+ * labelled samples. Returns the per-signal reports, the score report before
+ * and after the suggestions, and `model`: a copy of the model with the
+ * suggested thresholds and top verdict cutoff written in.
+ */
+export function calibrate(model, profileId, samples, options = {}) {
+  const current = validateModel(model, { profiles: [profileId] });
+  const signals = Object.entries(current.profiles[profileId].signals)
+    .map(([id, signal]) => evaluateSignal(samples, id, signal, options));
+
+  const calibrated = structuredClone(model);
+  for (const report of signals) {
+    if (report.suggested) calibrated.profiles[profileId].signals[report.id].threshold = report.suggested.threshold;
+  }
+  const before = evaluateScores(current, profileId, samples, options);
+  const withThresholds = evaluateScores(validateModel(calibrated, { profiles: [profileId] }), profileId, samples, options);
+  if (withThresholds.suggested) calibrated.verdicts[0].minScore = withThresholds.suggested.cutoff;
+  const after = evaluateScores(validateModel(calibrated, { profiles: [profileId] }), profileId, samples, options);
+
+  return { profile: profileId, samples: countLabels(samples), signals, score: { before, after }, model: calibrated };
+}
+
+function countLabels(samples) {
+  return Object.fromEntries(LABELS.map(label => [label, samples.filter(s => s.label === label).length]));
+}
@@ -0,0 +1,365 @@
+import { rgbToLab, sobelGradients } from './image.js';
+import { deltaE2000, measureRegionColors } from './color.js';
+import { gaussianBlur } from './edges.js';
+import { uprightCard, measureBorders } from './centering.js';
+import { summarizeChecks } from './label-forensics.js';
+
+/**
+ * Card back analysis: the back of a card against the canonical back of its
+ * game for colour, the structure of the pattern in the field and the width
+ * of the border.
+ *
+ * Every card of a game shares one back, so it can be checked without a
+ * reference of the specific card. Cheap fakes are often caught here: the
+ * blue is off, the swirl is flat or blurred, or the border is too wide.
+ */
+
+/**
+ * Canonical backs. `border` and `field` are the Lab colours of the border
+ * band and the mean of the field inside it, `borderWidth` is a fraction of
+ * the card width, `fieldHue` the Lab hue range (degrees) of the field's
+ * coloured pixels and `swirl` whether the field is a vortex around the
+ * centre.
+ */
+export const CARD_BACK_TEMPLATES = {
+  pokemon: {
+    name: 'Pokémon',
+    border: [36.1, 14.6, -49.5],
+    field: [46.7, 9.4, -47.1],
+    borderWidth: 0.05,
+    fieldHue: [240, 320],
+    swirl: true
+  },
+  mtg: {
+    name: 'Magic: The Gathering',
+    border: [19.8, 6.4, 11],
+    field: [36.9, 10.4, 18.2],
+    borderWidth: 0.05,
+    fieldHue: [25, 95],
+    swirl: false
+  },
+  yugioh: {
+    name: 'Yu-Gi-Oh!',
+    border: [16.6, 8.6, 13.6],
+    field: [41, 18.2, 35.4],
+    borderWidth: 0.035,
+    fieldHue: [30, 90],
+    swirl: true
+  }
+};
+
+export const CARD_BACK_GAMES = Object.keys(CARD_BACK_TEMPLATES);
+
+export const BACK_TOLERANCES = {
+  borderDeltaE: 12,      // CIEDE2000 from the canonical colour
+  fieldDeltaE: 15,
+  borderWidth: 0.25,     // relative
+  hueShare: 0.6,         // share of the field's coloured pixels in the game's hue range
+  contrast: 6,           // L* standard deviation of the smoothed field
+  coherence: 0.15        // gradient orientation coherence around the centre
+};
+
+// Mean border and field ΔE2000 up to which a card counts as a game's back
+export const GAME_MATCH_DELTA_E = 20;
+
+// Regions of the cropped card (normalized coordinates, see measureRegionColors)
+const BACK_REGIONS = {
+  border: { type: 'ring', inset: 0.006, thickness: 0.016 },
+  field: { type: 'rect', x0: 0.12, y0: 0.1, x1: 0.88, y1: 0.9 }
+};
+
+// Pixels below this Lab chroma have no meaningful hue
+const MIN_CHROMA = 10;
+
+const GAME_ALIASES = {
+  pokemon: 'pokemon', 'pokémon': 'pokemon', ptcg: 'pokemon',
+  mtg: 'mtg', magic: 'mtg', 'magic the gathering': 'mtg',
+  yugioh: 'yugioh', 'yu-gi-oh': 'yugioh', 'yu-gi-oh!': 'yugioh', ygo: 'yugioh'
+};
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+const round = (value, digits = 4) => Number(value.toFixed(digits));
+
+/**
+ * Canonical game id for a game name or alias, or null when none is given.
+ * Unknown names throw with status 400.
+ */
+export function gameKey(game) {
+  if (!game) return null;
+  const key = GAME_ALIASES[String(game).trim().toLowerCase().replace(/[:\s]+/g, ' ')];
+  if (!key) throw badRequest(`Unknown game: ${game}. Expected one of ${CARD_BACK_GAMES.join(', ')}`);
+  return key;
+}
+
+/**
+ * Game named in free text such as a cert's set or category, or null
+ */
+export function inferGame(...texts) {
+  const text = texts.filter(Boolean).join(' ').toLowerCase();
+  if (/pok[eé]mon/.test(text)) return 'pokemon';
+  if (/yu-?gi-?oh/.test(text)) return 'yugioh';
+  if (/magic|\bmtg\b/.test(text)) return 'mtg';
+  return null;
+}
+
+/**
+ * Mean Lab colour ([L, a, b]) of the border band and the field of a cropped card
+ */
+export function backColors({ data, width, height }) {
+  const { border, field } = measureRegionColors(rgbToLab(data, width, height), width, height, BACK_REGIONS);
+  const color = ({ L, a, b }) => [round(L, 1), round(a, 1), round(b, 1)];
+  return { border: color(border), field: color(field) };
+}
+
+/**
+ * Nearest canonical back by border and field colour. `isBack` is set when
+ * the nearest one is within GAME_MATCH_DELTA_E.
+ */
+export function identifyBack(colors) {
+  const candidates = CARD_BACK_GAMES.map(game => {
+    const template = CARD_BACK_TEMPLATES[game];
+    const distance = (deltaE2000(colors.border, template.border) + deltaE2000(colors.field, template.field)) / 2;
+    return { game, name: template.name, distance };
+  }).sort((a, b) => a.distance - b.distance);
+
+  return { ...candidates[0], isBack: candidates[0].distance <= GAME_MATCH_DELTA_E, candidates };
+}
+
+/**
+ * Front or back of a cropped card (e.g. a prepareForComparison result),
+ * judged by whether it looks like one of the canonical backs
+ */
+export function classifyCardSide(card) {
+  return identifyBack(backColors(card)).isBack ? 'back' : 'front';
+}
+
+/**
+ * Structure of the field: contrast (L* standard deviation after smoothing
+ * away the print screen) and how coherently the gradients are oriented
+ * relative to the direction from the centre. A vortex scores high whether
+ * its arms run as rings, spirals or spokes; a flat or blurred field has
+ * little contrast, and unrelated texture has no coherence. `pitch` is the
+ * dominant gradient angle from radial (0 rings, 90 spokes).
+ */
+export function fieldStructure(L, width, height, box) {
+  const step = Math.max(1, Math.floor((box.x1 - box.x0 + 1) / 256));
+  const w = Math.floor((box.x1 - box.x0 + 1) / step);
+  const h = Math.floor((box.y1 - box.y0 + 1) / step);
+
+  const plane = new Float32Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let sum = 0;
+      for (let dy = 0; dy < step; dy++) {
+        for (let dx = 0; dx < step; dx++) sum += L[(box.y0 + y * step + dy) * width + box.x0 + x * step + dx];
+      }
+      plane[y * w + x] = sum / (step * step);
+    }
+  }
+  const smooth = gaussianBlur(plane, w, h, 1.5);
+
+  let mean = 0;
+  for (let i = 0; i < smooth.length; i++) mean += smooth[i];
+  mean /= smooth.length;
+  let variance = 0;
+  for (let i = 0; i < smooth.length; i++) variance += (smooth[i] - mean) ** 2;
+
+  // Doubled angles, so opposite gradients (both sides of an arm) agree
+  const { gx, gy, magnitude } = sobelGradients(smooth, w, h);
+  const cx = (w - 1) / 2, cy = (h - 1) / 2;
+  const minRadius = 0.05 * w;
+  let c = 0, s = 0, total = 0;
+  for (let y = 1; y < h - 1; y++) {
+    for (let x = 1; x < w - 1; x++) {
+      const i = y * w + x;
+      if (magnitude[i] === 0 || Math.hypot(x - cx, y - cy) < minRadius) continue;
+      const relative = Math.atan2(gy[i], gx[i]) - Math.atan2(y - cy, x - cx);
+      c += magnitude[i] * Math.cos(2 * relative);
+      s += magnitude[i] * Math.sin(2 * relative);
+      total += magnitude[i];
+    }
+  }
+
+  return {
+    contrast: Math.sqrt(variance / smooth.length),
+    coherence: total > 0 ? Math.hypot(c, s) / total : 0,
+    pitch: Math.abs(Math.atan2(s, c) / 2) * 180 / Math.PI
+  };
+}
+
+/**
+ * Hue histogram of the field's coloured pixels: share per 10° Lab hue bin
+ */
+function hueHistogram(lab, width, box) {
+  const step = Math.max(1, Math.floor((box.x1 - box.x0 + 1) / 256));
+  const bins = new Float64Array(36);
+  let colored = 0;
+  for (let y = box.y0; y <= box.y1; y += step) {
+    for (let x = box.x0; x <= box.x1; x += step) {
+      const i = y * width + x;
+      if (Math.hypot(lab.a[i], lab.b[i]) < MIN_CHROMA) continue;
+      const hue = (Math.atan2(lab.b[i], lab.a[i]) * 180 / Math.PI + 360) % 360;
+      bins[Math.min(35, Math.floor(hue / 10))]++;
+      colored++;
+    }
+  }
+  return Array.from(bins, count => (colored > 0 ? round(count / colored) : 0));
+}
+
+/**
+ * Share of a hue histogram within [from, to] degrees (whole bins)
+ */
+export function hueShare(histogram, [from, to]) {
+  return histogram.reduce((sum, share, bin) => (bin * 10 + 5 >= from && bin * 10 + 5 <= to ? sum + share : sum), 0);
+}
+
+/**
+ * Measure a back on the upright card (see uprightCard): colours, border
+ * widths per side (fraction of the card width, null where no inner edge
+ * was found), the field's structure and its hue histogram
+ */
+export function measureBack(card) {
+  const { cardRect } = card;
+  const cardWidth = cardRect.x1 - cardRect.x0 + 1;
+  const cardHeight = cardRect.y1 - cardRect.y0 + 1;
+
+  const cropped = new Uint8ClampedArray(cardWidth * cardHeight * 4);
+  for (let y = 0; y < cardHeight; y++) {
+    const start = ((cardRect.y0 + y) * card.width + cardRect.x0) * 4;
+    cropped.set(card.data.subarray(start, start + cardWidth * 4), y * cardWidth * 4);
+  }
+  const colors = backColors({ data: cropped, width: cardWidth, height: cardHeight });
+
+  // Where the field runs close to the border colour the inner edge is found
+  // too deep, never too shallow, so take the tenth percentile of the lines
+  const borders = measureBorders(card);
+  const borderWidths = Object.fromEntries(Object.entries(borders).map(([side, border]) => {
+    if (!border) return [side, null];
+    const widths = border.samples.map(sample => sample.inner - sample.outer).sort((a, b) => a - b);
+    return [side, round(widths[Math.floor(widths.length / 10)] / cardWidth)];
+  }));
+  const measured = Object.values(borderWidths).filter(width => width !== null);
+
+  const field = BACK_REGIONS.field;
+  const box = {
+    x0: Math.round(field.x0 * cardWidth),
+    y0: Math.round(field.y0 * cardHeight),
+    x1: Math.round(field.x1 * cardWidth) - 1,
+    y1: Math.round(field.y1 * cardHeight) - 1
+  };
+  const lab = rgbToLab(cropped, cardWidth, cardHeight);
+  const structure = fieldStructure(lab.L, cardWidth, cardHeight, box);
+
+  return {
+    colors,
+    borderWidths,
+    borderWidth: measured.length > 0 ? round(measured.reduce((a, v) => a + v, 0) / measured.length) : null,
+    structure: {
+      contrast: round(structure.contrast, 2),
+      coherence: round(structure.coherence),
+      pitch: round(structure.pitch, 1)
+    },
+    hues: hueHistogram(lab, cardWidth, box)
+  };
+}
+
+function check(id, name, pass, measured, expected, message) {
+  return { id, name, pass, measured, expected, message };
+}
+
+/**
+ * Checks of a measured back against a canonical template. Each check has
+ * pass true/false, or null when it could not be run.
+ */
+export function compareBackToTemplate(measurement, template, tolerances = BACK_TOLERANCES) {
+  const checks = [];
+
+  const border = deltaE2000(measurement.colors.border, template.border);
+  checks.push(check('back_border_color', 'Border colour', border <= tolerances.borderDeltaE,
+    measurement.colors.border, template.border, `ΔE2000 ${border.toFixed(1)}`));
+
+  const field = deltaE2000(measurement.colors.field, template.field);
+  checks.push(check('back_field_color', 'Field colour', field <= tolerances.fieldDeltaE,
+    measurement.colors.field, template.field, `ΔE2000 ${field.toFixed(1)}`));
+
+  const share = hueShare(measurement.hues, template.fieldHue);
+  checks.push(check('back_field_hue', 'Field hue', share >= tolerances.hueShare, round(share), template.fieldHue,
+    `${(share * 100).toFixed(0)}% of the field's coloured pixels in ${template.fieldHue[0]}-${template.fieldHue[1]}°`));
+
+  const { contrast, coherence } = measurement.structure;
+  if (template.swirl) {
+    const off = [];
+    if (contrast < tolerances.contrast) off.push(`contrast ${contrast.toFixed(1)} (flat or blurred)`);
+    if (coherence < tolerances.coherence) off.push(`coherence ${coherence.toFixed(2)} (no vortex around the centre)`);
+    checks.push(check('back_swirl', 'Swirl structure', off.length === 0, measurement.structure,
+      { contrast: tolerances.contrast, coherence: tolerances.coherence },
+      off.length === 0 ? 'Swirl contrast and orientation match a vortex' : off.join(', ')));
+  } else {
+    checks.push(check('back_field_contrast', 'Field contrast', contrast >= tolerances.contrast, contrast, tolerances.contrast,
+      contrast >= tolerances.contrast ? 'Field detail is resolved' : `Contrast ${contrast.toFixed(1)}: flat or blurred`));
+  }
+
+  if (measurement.borderWidth === null) {
+    checks.push(check('back_border_width', 'Border width', null, null, template.borderWidth, 'No inner border edge found'));
+  } else {
+    const diff = Math.abs(measurement.borderWidth - template.borderWidth) / template.borderWidth;
+    checks.push(check('back_border_width', 'Border width', diff <= tolerances.borderWidth, measurement.borderWidth, template.borderWidth,
+      `${(measurement.borderWidth * 100).toFixed(1)}% of the card width (canonical ${(template.borderWidth * 100).toFixed(1)}%)`));
+  }
+
+  return checks;
+}
+
+/**
+ * Analyze a card back (RGBA data) against the canonical back of `game`, or
+ * of the game it looks like when none is given.
+ * Options: game, removeHolder (as for detectCard).
+ * Returns the verdict and check summary (as for label forensics), the
+ * checks and the measurement they were run on.
+ */
+export async function analyzeBack(imageData, { game = null, removeHolder = false } = {}) {
+  const claimed = gameKey(game);
+  const card = await uprightCard(imageData, { removeHolder });
+  const measurement = measureBack(card);
+  const identified = identifyBack(measurement.colors);
+
+  const key = claimed || (identified.isBack ? identified.game : null);
+  const template = key ? CARD_BACK_TEMPLATES[key] : null;
+  const checks = template ? compareBackToTemplate(measurement, template) : [];
+
+  const warnings = [];
+  if (!template) warnings.push('The back matches none of the canonical backs; pass game to check it against one');
+  if (claimed && identified.game !== claimed && identified.isBack) {
+    warnings.push(`The back looks like ${identified.name}, not ${template.name}`);
+  }
+  if (!card.cardDetected) warnings.push('No card outline detected; the photo is taken as the whole back');
+
+  const summary = summarizeChecks(checks, template);
+  return {
+    verdict: summary.verdict,
+    game: key,
+    gameSource: claimed ? 'given' : key ? 'detected' : null,
+    template: template ? { game: key, name: template.name } : null,
+    identified: { game: identified.game, name: identified.name, distance: round(identified.distance, 2), isBack: identified.isBack },
+    measurement,
+    checks,
+    summary,
+    cardDetected: card.cardDetected,
+    sourceWidth: card.sourceWidth,
+    warnings
+  };
+}
+
+/**
+ * Share of an analyzeBack() result's checks that passed; null when none
+ * could be run
+ */
+export function backCheckShare({ summary }) {
+  const checked = summary.passed + summary.failed;
+  return checked > 0 ? summary.passed / checked : null;
+}
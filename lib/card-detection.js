@@ -0,0 +1,247 @@
+import sharp from 'sharp';
+import { extractChannel } from './image.js';
+import { canny } from './edges.js';
+import { houghLines, findCardBorders } from './hough.js';
+import { solveHomography, applyHomography, invertHomography, warpPerspective } from './geometry.js';
+
+// Standard TCG card: 63 x 88 mm
+export const CARD_ASPECT_RATIO = 88 / 63;
+
+// Detection runs on a downscaled copy; corners are mapped back to full resolution
+const DETECTION_SIZE = 800;
+
+/**
+ * Downscale RGBA data so the longest side is at most maxSize
+ */
+async function downscale(imageData, maxSize) {
+  const { data, width, height } = imageData;
+  if (Math.max(width, height) <= maxSize) return { data, width, height, scale: 1 };
+
+  const { data: resized, info } = await sharp(Buffer.from(data.buffer, data.byteOffset, data.length), {
+    raw: { width, height, channels: 4 }
+  })
+    .resize({ width: maxSize, height: maxSize, fit: 'inside' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    data: new Uint8ClampedArray(resized),
+    width: info.width,
+    height: info.height,
+    scale: info.width / width
+  };
+}
+
+/**
+ * Average side lengths of a [topLeft, topRight, bottomRight, bottomLeft] quad
+ */
+export function quadSize([tl, tr, br, bl]) {
+  return {
+    width: (Math.hypot(tr.x - tl.x, tr.y - tl.y) + Math.hypot(br.x - bl.x, br.y - bl.y)) / 2,
+    height: (Math.hypot(bl.x - tl.x, bl.y - tl.y) + Math.hypot(br.x - tr.x, br.y - tr.y)) / 2
+  };
+}
+
+function quadArea(corners) {
+  let area = 0;
+  for (let i = 0; i < 4; i++) {
+    const a = corners[i], b = corners[(i + 1) % 4];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return Math.abs(area) / 2;
+}
+
+/**
+ * Relabel corners so the long side is vertical (cards are analyzed in portrait)
+ */
+function orientPortrait(corners) {
+  const { width, height } = quadSize(corners);
+  if (width <= height) return corners;
+  const [tl, tr, br, bl] = corners;
+  return [bl, tl, tr, br];
+}
+
+/**
+ * Find the dominant four-sided outline in RGBA data.
+ * Edges are detected per RGB channel and merged: a yellow border on a grey
+ * slab insert barely differs in luminance but stands out in the blue channel.
+ */
+function findQuad(data, width, height, borderOptions) {
+  const edges = new Uint8Array(width * height);
+  for (let channel = 0; channel < 3; channel++) {
+    const plane = extractChannel(data, width, height, channel);
+    const channelEdges = canny(plane, width, height, { sigma: 2 }).edges;
+    for (let i = 0; i < edges.length; i++) edges[i] |= channelEdges[i];
+  }
+
+  const lines = houghLines(edges, width, height, { maxLines: 30 });
+  const borders = findCardBorders(lines, width, height, borderOptions);
+  if (!borders) return null;
+
+  const { topLeft, topRight, bottomRight, bottomLeft } = borders.corners;
+  return { corners: [topLeft, topRight, bottomRight, bottomLeft], borders };
+}
+
+/**
+ * Look for a card-shaped rectangle nested inside an outer outline (slab or
+ * sleeve). Returns corners in the same coordinates as `outer`, or null.
+ */
+function findNestedCard(image, outer) {
+  const { width: w, height: h } = quadSize(outer);
+  const rectW = Math.max(16, Math.round(w));
+  const rectH = Math.max(16, Math.round(h));
+  const rect = [{ x: 0, y: 0 }, { x: rectW - 1, y: 0 }, { x: rectW - 1, y: rectH - 1 }, { x: 0, y: rectH - 1 }];
+
+  // Rectify the outer outline, then search inside it away from its own edges
+  const toOuter = solveHomography(rect, outer);
+  if (!toOuter) return null;
+  const rectified = warpPerspective(image.data, image.width, image.height, toOuter, rectW, rectH);
+
+  const inner = findQuad(rectified, rectW, rectH, { margin: 0.03, aspectRatio: CARD_ASPECT_RATIO });
+  if (!inner) return null;
+  if (quadArea(inner.corners) < rectW * rectH * 0.3) return null;
+
+  return inner.corners.map(p => applyHomography(toOuter, p.x, p.y));
+}
+
+/**
+ * Rescale findCardBorders() output from the detection image to full
+ * resolution, rounding points to whole source pixels
+ */
+export function scaleBorders(borders, factor) {
+  const scalePoint = (p) => ({ x: Math.round(p.x * factor), y: Math.round(p.y * factor) });
+  const scaleLine = (l) => ({
+    ...l,
+    rho: l.rho * factor,
+    endpoints: l.endpoints && l.endpoints.map(scalePoint)
+  });
+
+  return {
+    ...borders,
+    lines: Object.fromEntries(Object.entries(borders.lines).map(([k, l]) => [k, scaleLine(l)])),
+    corners: Object.fromEntries(Object.entries(borders.corners).map(([k, p]) => [k, scalePoint(p)]))
+  };
+}
+
+/**
+ * Detect the card outline in full-resolution RGBA data.
+ * Options: minAreaRatio (smallest outline, as a fraction of the image),
+ * removeHolder (always look for a card nested in a slab/sleeve outline)
+ */
+export async function detectCard(imageData, options = {}) {
+  const { minAreaRatio = 0.2, removeHolder = false } = options;
+
+  const small = await downscale(imageData, DETECTION_SIZE);
+  const quad = findQuad(small.data, small.width, small.height, { margin: -0.05 });
+
+  if (!quad) {
+    return { detected: false, reason: 'No four-sided card outline found' };
+  }
+  if (quadArea(quad.corners) < small.width * small.height * minAreaRatio) {
+    return { detected: false, reason: 'Detected outline is too small to be the card' };
+  }
+
+  // A scan that is already cropped to the card only shows the inner frame,
+  // which must not be mistaken for the card outline
+  const imageAspect = Math.max(small.width, small.height) / Math.min(small.width, small.height);
+  if (
+    Math.abs(imageAspect - CARD_ASPECT_RATIO) / CARD_ASPECT_RATIO < 0.04 &&
+    quadArea(quad.corners) > small.width * small.height * 0.6
+  ) {
+    return { detected: false, reason: 'Image is already cropped to the card' };
+  }
+
+  let corners = orientPortrait(quad.corners);
+  let holderRemoved = false;
+
+  // A slab or toploader outline is much taller/wider than a bare card
+  const size = quadSize(corners);
+  const aspect = size.height / size.width;
+  if (removeHolder || Math.abs(aspect - CARD_ASPECT_RATIO) / CARD_ASPECT_RATIO > 0.1) {
+    const nested = findNestedCard(small, corners);
+    if (nested) {
+      corners = nested;
+      holderRemoved = true;
+    }
+  }
+
+  return {
+    detected: true,
+    corners: corners.map(p => ({ x: p.x / small.scale, y: p.y / small.scale })),
+    skew: quad.borders.skew,
+    isRectangle: quad.borders.maxCornerDeviation <= 1,
+    holderRemoved,
+    // Border geometry of the card itself (not available once a holder is stripped)
+    borders: holderRemoved ? null : scaleBorders(quad.borders, 1 / small.scale)
+  };
+}
+
+/**
+ * Detect the card and warp it to a canonical 63x88 mm portrait image.
+ * Falls back to the untouched image when no card outline is found.
+ * `borders` carries the source-image border geometry for miscut checks.
+ * Options: detectCard options plus outputWidth (pixels, default follows the
+ * measured card width within 315-1260)
+ */
+export async function normalizeCard(imageData, options = {}) {
+  const { width, height } = imageData;
+  const detection = await detectCard(imageData, options);
+
+  if (!detection.detected) {
+    return {
+      imageData,
+      preprocessing: {
+        cardDetected: false,
+        reason: detection.reason,
+        sourceSize: { width, height },
+        outputSize: { width, height }
+      }
+    };
+  }
+
+  const measured = quadSize(detection.corners);
+  const outWidth = options.outputWidth ||
+    Math.min(1260, Math.max(315, Math.round(measured.width)));
+  const outHeight = Math.round(outWidth * CARD_ASPECT_RATIO);
+
+  const target = [
+    { x: 0, y: 0 },
+    { x: outWidth - 1, y: 0 },
+    { x: outWidth - 1, y: outHeight - 1 },
+    { x: 0, y: outHeight - 1 }
+  ];
+
+  // Source -> card homography, and its inverse for sampling
+  const homography = solveHomography(detection.corners, target);
+  const inverse = homography && invertHomography(homography);
+  if (!inverse) {
+    return {
+      imageData,
+      preprocessing: {
+        cardDetected: false,
+        reason: 'Card outline is degenerate',
+        sourceSize: { width, height },
+        outputSize: { width, height }
+      }
+    };
+  }
+
+  const data = warpPerspective(imageData.data, width, height, inverse, outWidth, outHeight);
+  const [topLeft, topRight, bottomRight, bottomLeft] = detection.corners
+    .map(p => ({ x: Math.round(p.x), y: Math.round(p.y) }));
+
+  return {
+    imageData: { data, width: outWidth, height: outHeight },
+    borders: detection.borders,
+    preprocessing: {
+      cardDetected: true,
+      corners: { topLeft, topRight, bottomRight, bottomLeft },
+      homography: homography.map(v => Number(v.toPrecision(6))),
+      skew: Number(detection.skew.toFixed(2)),
+      isRectangle: detection.isRectangle,
+      holderRemoved: detection.holderRemoved,
+      sourceSize: { width, height },
+      outputSize: { width: outWidth, height: outHeight }
+    }
+  };
+}
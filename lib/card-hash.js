@@ -0,0 +1,191 @@
+import { rgbToGrayscale, rgbToLab } from './image.js';
+import { deltaE76 } from './color.js';
+
+/**
+ * Card identification from the artwork: two perceptual hashes and a coarse
+ * colour layout, compared against a local index of known cards.
+ *
+ * pHash keeps the sign of the lowest 8x8 DCT frequencies of a 32x32
+ * thumbnail, so it survives scaling, blur and JPEG; dHash keeps the sign of
+ * horizontal steps on a 9x8 thumbnail. Both are 64 bits, written as 16 hex
+ * digits. The colour layout (mean Lab on a 4x4 grid) separates cards whose
+ * line art hashes alike but whose colours differ, such as alternate
+ * colourways of the same illustration.
+ */
+
+// Share of each measure in the combined similarity
+const WEIGHTS = { phash: 0.4, dhash: 0.3, color: 0.3 };
+
+// Mean colour-layout ΔE76 at which the colour similarity falls to 1/e
+const COLOR_SCALE = 20;
+
+const COLOR_GRID = 4;
+
+// Combined similarity from which the best match counts as the card
+export const IDENTIFY_MIN_SIMILARITY = 0.8;
+
+const round = (value, digits = 4) => Number(value.toFixed(digits));
+
+/**
+ * Mean of a plane over a cols x rows grid laid on the box
+ */
+function meanGrid(plane, width, box, cols, rows) {
+  const grid = new Float64Array(cols * rows);
+  const boxWidth = box.x1 - box.x0 + 1, boxHeight = box.y1 - box.y0 + 1;
+  for (let r = 0; r < rows; r++) {
+    const y0 = box.y0 + Math.floor(r * boxHeight / rows);
+    const y1 = Math.max(y0 + 1, box.y0 + Math.floor((r + 1) * boxHeight / rows));
+    for (let c = 0; c < cols; c++) {
+      const x0 = box.x0 + Math.floor(c * boxWidth / cols);
+      const x1 = Math.max(x0 + 1, box.x0 + Math.floor((c + 1) * boxWidth / cols));
+      let sum = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) sum += plane[y * width + x];
+      }
+      grid[r * cols + c] = sum / ((y1 - y0) * (x1 - x0));
+    }
+  }
+  return grid;
+}
+
+function bitsToHex(bits) {
+  let hex = '';
+  for (let i = 0; i < bits.length; i += 4) {
+    hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+  }
+  return hex;
+}
+
+/**
+ * 64-bit DCT hash of the box on a grayscale plane
+ */
+export function phash(gray, width, box) {
+  const N = 32, K = 8;
+  const thumb = meanGrid(gray, width, box, N, N);
+  const cos = (k, x) => Math.cos((2 * x + 1) * k * Math.PI / (2 * N));
+
+  // Separable DCT-II, keeping only the lowest K frequencies on each axis
+  const rows = new Float64Array(N * K);
+  for (let y = 0; y < N; y++) {
+    for (let u = 0; u < K; u++) {
+      let sum = 0;
+      for (let x = 0; x < N; x++) sum += thumb[y * N + x] * cos(u, x);
+      rows[y * K + u] = sum;
+    }
+  }
+  const coefficients = new Float64Array(K * K);
+  for (let v = 0; v < K; v++) {
+    for (let u = 0; u < K; u++) {
+      let sum = 0;
+      for (let y = 0; y < N; y++) sum += rows[y * K + u] * cos(v, y);
+      coefficients[v * K + u] = sum;
+    }
+  }
+
+  // Median without the DC term, which only carries overall brightness
+  const sorted = Float64Array.from(coefficients.subarray(1)).sort();
+  const median = (sorted[31] + sorted[32]) / 2;
+  return bitsToHex(Array.from(coefficients, value => (value > median ? 1 : 0)));
+}
+
+/**
+ * 64-bit gradient hash of the box: is each of 8 cells per row brighter
+ * than its right-hand neighbour on a 9x8 thumbnail
+ */
+export function dhash(gray, width, box) {
+  const thumb = meanGrid(gray, width, box, 9, 8);
+  const bits = [];
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) bits.push(thumb[y * 9 + x] > thumb[y * 9 + x + 1] ? 1 : 0);
+  }
+  return bitsToHex(bits);
+}
+
+/**
+ * Number of differing bits between two hex hashes of equal length
+ */
+export function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Mean Lab colour of each cell of a COLOR_GRID x COLOR_GRID grid on the box
+ */
+export function colorLayout(lab, width, box) {
+  const grids = ['L', 'a', 'b'].map(channel => meanGrid(lab[channel], width, box, COLOR_GRID, COLOR_GRID));
+  return Array.from({ length: COLOR_GRID * COLOR_GRID }, (_, i) => grids.map(grid => round(grid[i], 1)));
+}
+
+/**
+ * Hashes and colour layout of the artwork box on a normalized card (RGBA)
+ */
+export function cardHashes({ data, width, height }, box) {
+  const gray = rgbToGrayscale(data, width, height);
+  return {
+    phash: phash(gray, width, box),
+    dhash: dhash(gray, width, box),
+    colors: colorLayout(rgbToLab(data, width, height), width, box)
+  };
+}
+
+/**
+ * Combined 0-1 similarity of two cardHashes() results, with the distances
+ * behind it
+ */
+export function compareHashes(h1, h2) {
+  const phashDistance = hammingDistance(h1.phash, h2.phash);
+  const dhashDistance = hammingDistance(h1.dhash, h2.dhash);
+  const colorDeltaE = h1.colors.reduce((sum, color, i) => sum + deltaE76(color, h2.colors[i]), 0) / h1.colors.length;
+
+  const similarity =
+    WEIGHTS.phash * (1 - phashDistance / 64) +
+    WEIGHTS.dhash * (1 - dhashDistance / 64) +
+    WEIGHTS.color * Math.exp(-colorDeltaE / COLOR_SCALE);
+  return { similarity, phashDistance, dhashDistance, colorDeltaE };
+}
+
+/**
+ * Index entries ({ hashes, ... }) ranked by similarity to `hashes`, best
+ * first. `identified` is the best match when it reaches
+ * IDENTIFY_MIN_SIMILARITY, else null.
+ */
+export function findMatches(hashes, entries, { limit = 5 } = {}) {
+  const matches = entries
+    .map(entry => ({ entry, ...compareHashes(hashes, entry.hashes) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+  const identified = matches.length > 0 && matches[0].similarity >= IDENTIFY_MIN_SIMILARITY ? matches[0] : null;
+  return { matches, identified };
+}
+
+// Words that describe the print rather than the card
+const NAME_NOISE = new Set(['holo', 'holofoil', 'foil', 'reverse', '1st', 'edition', 'first', 'ed', 'shadowless', 'unlimited', 'promo', 'rare', 'the', 'of']);
+
+const nameTokens = (name) => new Set(
+  String(name || '')
+    .toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 1 && !NAME_NOISE.has(token) && !/^\d+$/.test(token))
+);
+
+/**
+ * Whether two card names refer to the same card: at least half of the
+ * shorter name's words (ignoring print words like "Holo" and numbers) appear
+ * in the other. Null when either name has no words left to compare.
+ */
+export function namesMatch(a, b) {
+  const tokensA = nameTokens(a), tokensB = nameTokens(b);
+  if (tokensA.size === 0 || tokensB.size === 0) return null;
+  const [shorter, longer] = tokensA.size <= tokensB.size ? [tokensA, tokensB] : [tokensB, tokensA];
+  const shared = [...shorter].filter(token => longer.has(token)).length;
+  return shared / shorter.size >= 0.5;
+}
@@ -0,0 +1,96 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { cardIdentity } from './reference-catalogue.js';
+
+/**
+ * Local index of known cards for identification: set, number, variant and
+ * name with the artwork hashes of a clean scan or photo (see cardHashes in
+ * card-hash.js), stored as JSON. One entry per card identity (set, number,
+ * variant); indexing the same card again replaces its hashes.
+ *
+ * Validation failures throw an Error with `status = 400`.
+ */
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+const text = (value) => (value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim());
+
+export function createCardIndex({ file = 'data/card-index.json' } = {}) {
+  const entries = new Map();
+
+  if (fs.existsSync(file)) {
+    const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const entry of stored.cards || []) entries.set(entry.id, entry);
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpPath = `${file}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, cards: [...entries.values()] }, null, 2));
+    fs.renameSync(tmpPath, file);
+  }
+
+  function get(id) {
+    return entries.get(id) || null;
+  }
+
+  /**
+   * Indexed cards, optionally filtered by set
+   */
+  function list(filter = {}) {
+    const set = filter.set && String(filter.set).trim().toLowerCase();
+    return [...entries.values()].filter(entry => !set || entry.set.toLowerCase() === set);
+  }
+
+  /**
+   * Index a card: { set, number, variant, name, hashes, source }. `source`
+   * records where the image came from (e.g. a reference catalogue image).
+   */
+  function add({ set, number, variant = null, name = null, hashes, source = null }) {
+    const identity = cardIdentity({ set, number, variant });
+    if (!identity) throw badRequest('An indexed card needs a set and a number');
+    if (!hashes || !hashes.phash || !hashes.dhash || !Array.isArray(hashes.colors)) {
+      throw badRequest('An indexed card needs artwork hashes');
+    }
+
+    const existing = [...entries.values()].find(entry => entry.identity === identity);
+    const stored = {
+      id: existing ? existing.id : crypto.randomUUID(),
+      identity,
+      set: text(set),
+      number: text(number).replace(/^#/, ''),
+      variant: text(variant),
+      name: text(name) || (existing && existing.name) || null,
+      hashes,
+      source,
+      createdAt: existing ? existing.createdAt : new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    entries.set(stored.id, stored);
+    save();
+    return stored;
+  }
+
+  function remove(id) {
+    const entry = entries.get(id);
+    if (!entry) return null;
+    entries.delete(id);
+    save();
+    return entry;
+  }
+
+  return {
+    get,
+    list,
+    add,
+    remove,
+    get size() {
+      return entries.size;
+    }
+  };
+}
@@ -0,0 +1,319 @@
+import { rgbToLab, strokeRect } from './image.js';
+import { deltaE76 } from './color.js';
+import { detectCard, quadSize, CARD_ASPECT_RATIO } from './card-detection.js';
+import { solveHomography, invertHomography, warpPerspective } from './geometry.js';
+
+/**
+ * Centering measurement: the border width on each side of a card, from the
+ * outer card edge to the inner frame edge, as left/right and top/bottom
+ * ratios, and the grade those ratios cap the card at.
+ *
+ * The detected card is warped upright with a margin around it, so the outer
+ * edge can be refined on each sample line instead of trusting the detected
+ * outline. The inner frame edge is where the colour first departs from the
+ * border colour.
+ */
+
+// Card size in mm (63 x 88) for converting border widths
+const CARD_WIDTH_MM = 63;
+
+// Margin around the warped card, as a fraction of its width
+const WARP_MARGIN = 0.04;
+
+// Sample lines cover the middle of each side, clear of the corners
+const SAMPLE_SPAN = [0.2, 0.8];
+const SAMPLE_LINES = 60;
+
+// Inner frame search depth past the outer edge, fraction of card width
+const MAX_BORDER = 0.2;
+
+// Ratios within half a point of a threshold count as meeting it
+const CENTERING_TOLERANCE = 0.5;
+
+/**
+ * Published centering guidelines, best grade first. `front` is the largest
+ * allowed share of the wider border on the worse and the better axis
+ * ([60, 55] = 60/40 one way, 55/45 the other); `back` applies to both axes.
+ */
+export const CENTERING_STANDARDS = {
+  PSA: [
+    { grade: '10', label: 'GEM MT', front: [55, 55], back: 75 },
+    { grade: '9', label: 'MINT', front: [60, 60], back: 90 },
+    { grade: '8', label: 'NM-MT', front: [65, 65], back: 90 },
+    { grade: '7', label: 'NM', front: [70, 70], back: 90 },
+    { grade: '6', label: 'EX-MT', front: [80, 80], back: 90 },
+    { grade: '5', label: 'EX', front: [85, 85], back: 90 },
+    { grade: '3', label: 'VG', front: [90, 90], back: 90 },
+    { grade: '1', label: 'PR', front: [100, 100], back: 100 }
+  ],
+  // Beckett centering subgrade
+  BGS: [
+    { grade: '10', label: 'Pristine', front: [50, 50], back: 60 },
+    { grade: '9.5', label: 'Gem Mint', front: [55, 55], back: 60 },
+    { grade: '9', label: 'Mint', front: [60, 55], back: 80 },
+    { grade: '8.5', label: 'NM-MT+', front: [60, 60], back: 90 },
+    { grade: '8', label: 'NM-MT', front: [65, 65], back: 90 },
+    { grade: '7', label: 'NM', front: [70, 70], back: 90 },
+    { grade: '6', label: 'EX-MT', front: [75, 75], back: 95 }
+  ]
+};
+
+/**
+ * Warp the card upright with WARP_MARGIN around it.
+ * `cardRect` is where the detected outline lands in the output and
+ * `sourceWidth` the card's width in the photo. A photo already cropped to
+ * the card is used as is (no margin).
+ */
+export async function uprightCard(imageData, options = {}) {
+  const detection = await detectCard(imageData, options);
+
+  if (!detection.detected) {
+    const aspect = imageData.height / imageData.width;
+    if (Math.abs(aspect - CARD_ASPECT_RATIO) / CARD_ASPECT_RATIO > 0.06) {
+      const error = new Error(`${detection.reason}. Photograph the whole card, flat and in frame`);
+      error.status = 400;
+      throw error;
+    }
+    return {
+      ...imageData,
+      cardRect: { x0: 0, y0: 0, x1: imageData.width - 1, y1: imageData.height - 1 },
+      margin: 0,
+      sourceWidth: imageData.width,
+      cardDetected: false,
+      holderRemoved: false
+    };
+  }
+
+  const sourceWidth = Math.round(quadSize(detection.corners).width);
+  const cardWidth = Math.min(1260, Math.max(630, sourceWidth));
+  const cardHeight = Math.round(cardWidth * CARD_ASPECT_RATIO);
+  const margin = Math.round(cardWidth * WARP_MARGIN);
+  const width = cardWidth + 2 * margin;
+  const height = cardHeight + 2 * margin;
+
+  const cardRect = { x0: margin, y0: margin, x1: margin + cardWidth - 1, y1: margin + cardHeight - 1 };
+  const target = [
+    { x: cardRect.x0, y: cardRect.y0 },
+    { x: cardRect.x1, y: cardRect.y0 },
+    { x: cardRect.x1, y: cardRect.y1 },
+    { x: cardRect.x0, y: cardRect.y1 }
+  ];
+  const homography = solveHomography(detection.corners, target);
+  const inverse = homography && invertHomography(homography);
+  if (!inverse) {
+    const error = new Error('Card outline is degenerate');
+    error.status = 400;
+    throw error;
+  }
+
+  return {
+    data: warpPerspective(imageData.data, imageData.width, imageData.height, inverse, width, height),
+    width,
+    height,
+    cardRect,
+    margin,
+    sourceWidth,
+    cardDetected: true,
+    holderRemoved: detection.holderRemoved
+  };
+}
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Border widths on the upright card.
+ * For each side, sample lines run from the image edge inward. On each line
+ * the outer edge is the first strong colour step near the expected card
+ * edge, and the inner edge is where the colour first moves half way from
+ * the side's border colour to the colour inside the frame. Returns per side { width, outer, spread, coverage,
+ * samples } in pixels, or null when fewer than a third of the lines found
+ * an inner edge.
+ */
+export function measureBorders({ data, width, height, cardRect, margin }) {
+  const lab = rgbToLab(data, width, height);
+  const cardWidth = cardRect.x1 - cardRect.x0 + 1;
+  const color = (i) => [lab.L[i], lab.a[i], lab.b[i]];
+
+  // Sample line k on a side, at depth d from the image edge: pixel index,
+  // averaged with the neighbouring lines
+  const sides = {
+    left: { lines: [cardRect.y0, cardRect.y1], depth: width, at: (k, d) => k * width + d, stride: width },
+    right: { lines: [cardRect.y0, cardRect.y1], depth: width, at: (k, d) => k * width + (width - 1 - d), stride: width },
+    top: { lines: [cardRect.x0, cardRect.x1], depth: height, at: (k, d) => d * width + k, stride: 1 },
+    bottom: { lines: [cardRect.x0, cardRect.x1], depth: height, at: (k, d) => (height - 1 - d) * width + k, stride: 1 }
+  };
+
+  const stripStart = Math.max(2, Math.round(cardWidth * 0.006));
+  const stripEnd = Math.max(stripStart + 3, Math.round(cardWidth * 0.016));
+  const maxDepth = Math.round(cardWidth * MAX_BORDER);
+
+  const result = {};
+  for (const [name, side] of Object.entries(sides)) {
+    const [first, last] = side.lines;
+    const span = last - first;
+    const lines = [];
+    for (let s = 0; s < SAMPLE_LINES; s++) {
+      lines.push(Math.round(first + span * (SAMPLE_SPAN[0] + (SAMPLE_SPAN[1] - SAMPLE_SPAN[0]) * s / (SAMPLE_LINES - 1))));
+    }
+    const sample = (k, d) => {
+      const i = side.at(k, d);
+      const [L0, a0, b0] = color(i - side.stride);
+      const [L1, a1, b1] = color(i);
+      const [L2, a2, b2] = color(i + side.stride);
+      return [(L0 + L1 + L2) / 3, (a0 + a1 + a2) / 3, (b0 + b1 + b2) / 3];
+    };
+
+    // Outer edge: the first colour step of at least half the strongest one
+    // within reach of where the detected outline put it, taken at the middle
+    // of its peak. step(d) straddles the boundary between d - 1 and d.
+    const outerEdge = (k) => {
+      if (margin === 0) return 0;
+      const reach = Math.round(cardWidth * 0.025);
+      const from = Math.max(2, margin - reach), to = Math.min(side.depth - 3, margin + reach);
+      const steps = [];
+      for (let d = from; d <= to; d++) steps.push(deltaE76(sample(k, d - 2), sample(k, d + 1)));
+      const strongest = Math.max(...steps);
+      let peak = steps.findIndex(step => step >= strongest * 0.5);
+      while (peak + 1 < steps.length && steps[peak + 1] > steps[peak]) peak++;
+      let end = peak;
+      while (end + 1 < steps.length && steps[end + 1] >= steps[peak] * 0.98) end++;
+      return from + Math.round((peak + end) / 2);
+    };
+
+    const outers = lines.map(outerEdge);
+
+    // Border colour: median over the strip just inside the outer edge
+    const strip = [];
+    lines.forEach((k, s) => {
+      for (let d = outers[s] + stripStart; d <= outers[s] + stripEnd; d++) strip.push(sample(k, d));
+    });
+    const reference = [0, 1, 2].map(c => median(strip.map(p => p[c])));
+    const noise = strip.map(p => deltaE76(p, reference)).sort((a, b) => a - b);
+    const threshold = Math.max(12, 2 * noise[Math.floor(noise.length * 0.9)]);
+
+    // Inner edge: three pixels in a row away from the border colour, then
+    // the point half way from the border colour to the colour inside
+    const samples = [];
+    lines.forEach((k, s) => {
+      const outer = outers[s];
+      const limit = Math.min(outer + maxDepth, side.depth - 8);
+      let run = 0;
+      for (let d = outer + stripStart; d <= limit; d++) {
+        run = deltaE76(sample(k, d), reference) > threshold ? run + 1 : 0;
+        if (run < 3) continue;
+        const start = d - 2;
+        const half = deltaE76(sample(k, start + 4), reference) / 2;
+        let inner = start;
+        for (let e = Math.max(outer + stripStart, start - 3); e <= start + 4; e++) {
+          if (deltaE76(sample(k, e), reference) >= half) {
+            inner = e;
+            break;
+          }
+        }
+        samples.push({ line: k, outer, inner });
+        break;
+      }
+    });
+
+    if (samples.length < SAMPLE_LINES / 3) {
+      result[name] = null;
+      continue;
+    }
+
+    const widths = samples.map(sample => sample.inner - sample.outer).sort((a, b) => a - b);
+    result[name] = {
+      width: median(widths),
+      outer: median(samples.map(sample => sample.outer)),
+      spread: widths[Math.floor(widths.length * 0.75)] - widths[Math.floor(widths.length * 0.25)],
+      coverage: samples.length / SAMPLE_LINES,
+      samples
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Left/right and top/bottom shares (percent of the pair's total border)
+ */
+export function centeringRatios(borders) {
+  const pair = (a, b) => (a && b && a.width + b.width > 0)
+    ? [a.width / (a.width + b.width) * 100, b.width / (a.width + b.width) * 100]
+    : null;
+  return { leftRight: pair(borders.left, borders.right), topBottom: pair(borders.top, borders.bottom) };
+}
+
+/**
+ * Best grade the centering allows under a standard. `front` and `back` are
+ * centeringRatios() results; `back` is optional. Returns the table entry
+ * plus which side limits it, or null when the front is worse than the table.
+ */
+export function centeringCap(front, back, standard) {
+  const worse = (pair) => Math.max(...pair);
+  const frontAxes = [worse(front.leftRight), worse(front.topBottom)].sort((a, b) => b - a);
+  const backWorst = back && back.leftRight && back.topBottom
+    ? Math.max(worse(back.leftRight), worse(back.topBottom))
+    : null;
+
+  const frontIndex = standard.findIndex(entry =>
+    frontAxes[0] <= entry.front[0] + CENTERING_TOLERANCE && frontAxes[1] <= entry.front[1] + CENTERING_TOLERANCE);
+  const backIndex = backWorst === null ? 0 : standard.findIndex(entry => backWorst <= entry.back + CENTERING_TOLERANCE);
+  if (frontIndex < 0 || backIndex < 0) return null;
+
+  const entry = standard[Math.max(frontIndex, backIndex)];
+  return { ...entry, limitedBy: backIndex > frontIndex ? 'back' : 'front' };
+}
+
+/**
+ * Measure centering on one side of a card (RGBA data).
+ * Options: removeHolder (as for detectCard).
+ * Returns the border widths, ratios and the upright card with the outer
+ * edge (blue), the inner frame (green) and the per-line inner edges (yellow)
+ * drawn on it as `annotated`.
+ */
+export async function measureCentering(imageData, options = {}) {
+  const card = await uprightCard(imageData, options);
+  const borders = measureBorders(card);
+  const ratios = centeringRatios(borders);
+  const mmPerPixel = CARD_WIDTH_MM / (card.cardRect.x1 - card.cardRect.x0 + 1);
+
+  // Annotate: measured edges as rectangles, individual samples as dots
+  const annotated = new Uint8ClampedArray(card.data);
+  const { width, height } = card;
+  const edge = (name, fallback) => borders[name] ? borders[name].outer : fallback;
+  const outer = {
+    x0: edge('left', card.margin),
+    y0: edge('top', card.margin),
+    x1: width - 1 - edge('right', card.margin),
+    y1: height - 1 - edge('bottom', card.margin)
+  };
+  strokeRect(annotated, width, height, outer, [40, 110, 255], 2);
+  if (Object.values(borders).every(Boolean)) {
+    strokeRect(annotated, width, height, {
+      x0: outer.x0 + borders.left.width,
+      y0: outer.y0 + borders.top.width,
+      x1: outer.x1 - borders.right.width,
+      y1: outer.y1 - borders.bottom.width
+    }, [0, 190, 60], 2);
+  }
+  for (const [name, border] of Object.entries(borders)) {
+    if (!border) continue;
+    for (const { line, inner } of border.samples) {
+      const x = name === 'left' ? inner : name === 'right' ? width - 1 - inner : line;
+      const y = name === 'top' ? inner : name === 'bottom' ? height - 1 - inner : line;
+      strokeRect(annotated, width, height, { x0: x - 1, y0: y - 1, x1: x + 1, y1: y + 1 }, [255, 200, 0], 2);
+    }
+  }
+
+  return {
+    borders,
+    ratios,
+    mmPerPixel,
+    cardDetected: card.cardDetected,
+    holderRemoved: card.holderRemoved,
+    annotated: { data: annotated, width, height }
+  };
+}
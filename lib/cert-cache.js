@@ -0,0 +1,206 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Cert cache with TTL expiry, LRU eviction and negative caching.
+ *
+ * Entries live in a Map kept in least-recently-used order (oldest first) and
+ * are written through to a pluggable backend, so the cache survives restarts
+ * when the backend persists. Backends implement load() -> entry[] and
+ * save(entry[]).
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Backend that keeps nothing between restarts
+ */
+export function memoryBackend() {
+  return {
+    name: 'memory',
+    load: () => [],
+    save() {}
+  };
+}
+
+/**
+ * Backend that persists entries to a JSON file (written atomically via rename)
+ */
+export function fileBackend(filePath) {
+  return {
+    name: 'file',
+    path: filePath,
+    load() {
+      try {
+        const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return Array.isArray(stored.entries) ? stored.entries : [];
+      } catch (error) {
+        if (error.code !== 'ENOENT') console.error(`[Cert Cache] Could not read ${filePath}:`, error.message);
+        return [];
+      }
+    },
+    save(entries) {
+      try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, entries }));
+        fs.renameSync(tmpPath, filePath);
+      } catch (error) {
+        console.error(`[Cert Cache] Could not write ${filePath}:`, error.message);
+      }
+    }
+  };
+}
+
+/**
+ * Pick a backend from a name ('memory' or 'file')
+ */
+export function createCacheBackend(name = 'file', filePath = 'data/psa-cache.json') {
+  if (name === 'memory') return memoryBackend();
+  if (name === 'file') return fileBackend(filePath);
+  throw new Error(`Unknown cache backend: ${name}`);
+}
+
+/**
+ * Create a cert cache.
+ * `ttl` applies to found references, `negativeTtl` to cached misses
+ * (both in ms). Map-compatible get/set/has/delete, so it can stand in for the
+ * old in-process Map.
+ */
+export function createCertCache(options = {}) {
+  const {
+    backend = memoryBackend(),
+    ttl = 7 * 24 * HOUR,
+    negativeTtl = HOUR,
+    maxEntries = 1000
+  } = options;
+
+  const entries = new Map();
+  const counters = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+
+  const now = () => Date.now();
+  const isExpired = (entry) => entry.expiresAt <= now();
+  const persist = () => backend.save([...entries.values()]);
+
+  function evict() {
+    while (entries.size > maxEntries) {
+      const oldest = entries.keys().next().value;
+      entries.delete(oldest);
+      counters.evictions++;
+    }
+  }
+
+  // Restore, dropping anything that expired while we were down
+  for (const entry of backend.load()) {
+    if (entry && entry.key !== undefined && !isExpired(entry)) entries.set(entry.key, entry);
+  }
+  evict();
+
+  /**
+   * Live entry (with metadata) for a key, or undefined. Does not touch LRU order.
+   */
+  function peek(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (isExpired(entry)) {
+      entries.delete(key);
+      counters.expirations++;
+      persist();
+      return undefined;
+    }
+    return entry;
+  }
+
+  function get(key) {
+    const entry = peek(key);
+    if (!entry) {
+      counters.misses++;
+      return undefined;
+    }
+
+    // Move to the most-recently-used end
+    entries.delete(key);
+    entry.hits++;
+    entry.lastAccess = now();
+    entries.set(key, entry);
+    counters.hits++;
+
+    return entry.value;
+  }
+
+  function set(key, value, { negative = false } = {}) {
+    const storedAt = now();
+    entries.delete(key);
+    entries.set(key, {
+      key,
+      value,
+      negative,
+      storedAt,
+      expiresAt: storedAt + (negative ? negativeTtl : ttl),
+      lastAccess: storedAt,
+      hits: 0
+    });
+    evict();
+    persist();
+  }
+
+  function remove(key) {
+    const existed = entries.delete(key);
+    if (existed) persist();
+    return existed;
+  }
+
+  function clear() {
+    const count = entries.size;
+    entries.clear();
+    persist();
+    return count;
+  }
+
+  /**
+   * Entry metadata without the cached value
+   */
+  function describe(entry) {
+    return {
+      key: entry.key,
+      negative: entry.negative,
+      storedAt: new Date(entry.storedAt).toISOString(),
+      expiresAt: new Date(entry.expiresAt).toISOString(),
+      lastAccess: new Date(entry.lastAccess).toISOString(),
+      hits: entry.hits
+    };
+  }
+
+  function list() {
+    return [...entries.values()].filter(entry => !isExpired(entry)).reverse().map(describe);
+  }
+
+  function stats() {
+    const live = [...entries.values()].filter(entry => !isExpired(entry));
+    return {
+      backend: backend.name,
+      ...(backend.path ? { path: backend.path } : {}),
+      entries: live.length,
+      negativeEntries: live.filter(entry => entry.negative).length,
+      maxEntries,
+      ttlHours: ttl / HOUR,
+      negativeTtlHours: negativeTtl / HOUR,
+      ...counters
+    };
+  }
+
+  return {
+    get,
+    set,
+    has: (key) => peek(key) !== undefined,
+    delete: remove,
+    clear,
+    peek,
+    describe,
+    list,
+    stats,
+    get size() {
+      return entries.size;
+    }
+  };
+}
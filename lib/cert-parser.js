@@ -0,0 +1,221 @@
+/**
+ * Generic parser for grading-company cert pages.
+ *
+ * Works on the page structure rather than free text: every label/value pair
+ * (<th>/<td> rows, <dt>/<dd> lists, label/value <span>/<p> pairs, or markdown
+ * table rows when only markdown is available) is collected, and fields are
+ * taken only from their own label. Nothing is guessed from stray numbers.
+ * Each grader supplies its own label map (see psa-parser.js and
+ * grader-parsers.js).
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', '#39': "'" };
+
+export const SUBGRADE_FIELDS = ['centering', 'corners', 'edges', 'surface'];
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(value) ? String.fromCodePoint(value) : match;
+    }
+    return ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Visible text of an HTML fragment, whitespace collapsed
+ */
+function textContent(fragment) {
+  return decodeEntities(fragment.replace(/<br\s*\/?>/gi, ' ').replace(/<[^>]*>/g, ' '))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+export function normalizeLabel(label) {
+  return label.toLowerCase().replace(/[:*_]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function stripNonContent(html) {
+  return html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|svg)\b[\s\S]*?<\/\1>/gi, '');
+}
+
+/**
+ * Label/value pairs from an HTML page, in document order
+ */
+export function extractHtmlPairs(html) {
+  const clean = stripNonContent(html || '');
+  const pairs = [];
+  const patterns = [
+    /<th\b[^>]*>([\s\S]*?)<\/th>\s*<td\b[^>]*>([\s\S]*?)<\/td>/gi,
+    /<dt\b[^>]*>([\s\S]*?)<\/dt>\s*<dd\b[^>]*>([\s\S]*?)<\/dd>/gi,
+    // <span class="...label...">Year</span><span>2000</span> style rows
+    /<(span|p|div)\b[^>]*class="[^"]*label[^"]*"[^>]*>([^<]*)<\/\1>\s*<(?:span|p|div)\b[^>]*>([\s\S]*?)<\/(?:span|p|div)>/gi
+  ];
+
+  for (const pattern of patterns) {
+    let match;
+    while ((match = pattern.exec(clean)) !== null) {
+      const [label, value] = match.length === 4 ? [match[2], match[3]] : [match[1], match[2]];
+      pairs.push({ label: textContent(label), value: textContent(value), index: match.index });
+    }
+  }
+
+  return pairs.sort((a, b) => a.index - b.index).map(({ label, value }) => ({ label, value }));
+}
+
+/**
+ * Label/value pairs from Firecrawl markdown: table rows (| Label | Value |)
+ * and **Label**: Value lines
+ */
+export function extractMarkdownPairs(markdown) {
+  const pairs = [];
+  for (const rawLine of (markdown || '').split('\n')) {
+    const line = rawLine.trim();
+
+    const row = line.match(/^\|\s*([^|]+?)\s*\|\s*([^|]*?)\s*\|$/);
+    if (row && !/^[-:\s]+$/.test(row[1])) {
+      pairs.push({ label: row[1].replace(/\*/g, '').trim(), value: row[2].replace(/\*/g, '').trim() });
+      continue;
+    }
+
+    const bold = line.match(/^\*\*([^*]+?)\*\*:?\s*(.+)$/);
+    if (bold) pairs.push({ label: bold[1].trim(), value: bold[2].replace(/\*/g, '').trim() });
+  }
+  return pairs;
+}
+
+/**
+ * Split a grade string into its number, label and qualifier. Handles the
+ * label-first PSA/BGS/CGC style ("GEM MT 10", "NM-MT 8 (OC)", "MINT+ 9.5"),
+ * the number-first SGC style ("10 GEM MINT", "9.5 MINT+") and authentic-only
+ * grades ("AUTHENTIC", SGC "A").
+ */
+export function parseGrade(text) {
+  if (!text) return null;
+  const value = text.replace(/\s+/g, ' ').trim();
+
+  const qualifierMatch = value.match(/\(([A-Z]{1,3})\)/);
+  const qualifier = qualifierMatch ? qualifierMatch[1] : null;
+  const base = value.replace(/\([^)]*\)/g, '').trim();
+  const inRange = (grade) => Number(grade) >= 1 && Number(grade) <= 10;
+
+  const trailing = base.match(/^(.*?)\s*(\d{1,2}(?:\.5)?)$/);
+  if (trailing && inRange(trailing[2])) {
+    return { grade: trailing[2], label: trailing[1].trim() || null, qualifier, text: value };
+  }
+
+  const leading = base.match(/^(\d{1,2}(?:\.5)?)\s+(.+)$/);
+  if (leading && inRange(leading[1])) {
+    return { grade: leading[1], label: leading[2].trim(), qualifier, text: value };
+  }
+
+  if (/^(authentic|auth|altered|a)\b/i.test(base)) {
+    return { grade: 'AUTH', label: base.toUpperCase(), qualifier, text: value };
+  }
+
+  return null;
+}
+
+function parseCount(text) {
+  if (!text) return null;
+  const match = text.replace(/,/g, '').match(/\d+/);
+  return match ? Number(match[0]) : null;
+}
+
+function parseMoney(text) {
+  if (!text) return null;
+  const match = text.replace(/,/g, '').match(/\d+(?:\.\d+)?/);
+  return match ? match[0] : null;
+}
+
+function parseSubgrade(text) {
+  const match = text && text.match(/\d{1,2}(?:\.5)?/);
+  return match ? Number(match[0]) : null;
+}
+
+/**
+ * Image URLs matching `pattern` in HTML and markdown, in page order
+ */
+export function extractImages(html, markdown, pattern) {
+  const images = [];
+  if (!pattern) return images;
+  for (const source of [html || '', markdown || '']) {
+    for (const url of source.match(pattern) || []) {
+      if (!images.includes(url)) images.push(url);
+    }
+  }
+  return images;
+}
+
+/**
+ * Parse a cert page with a grader's label map.
+ * `labels` maps normalized labels to field names; 'subgrades.<name>' fields
+ * are collected into `subgrades`. `imagePattern` matches the grader's card
+ * image URLs. Fields a page does not label come back as null.
+ */
+export function parseLabelledCertPage({ html = '', markdown = '', metadata = null } = {}, { labels, imagePattern = null }) {
+  const htmlPairs = extractHtmlPairs(html);
+  const pairs = htmlPairs.length > 0 ? htmlPairs : extractMarkdownPairs(markdown);
+
+  // First occurrence of each label wins; the cert details block comes first
+  const fields = {};
+  const found = {};
+  for (const { label, value } of pairs) {
+    const field = labels[normalizeLabel(label)];
+    if (!field || fields[field] !== undefined || !value) continue;
+    fields[field] = value;
+    found[label] = value;
+  }
+
+  const grade = parseGrade(fields.grade);
+  const autograph = parseGrade(fields.autographGrade);
+  const year = fields.year && /^\d{4}$/.test(fields.year.trim()) ? fields.year.trim() : null;
+  const cardNumber = fields.cardNumber ? fields.cardNumber.replace(/^#/, '').trim() : null;
+
+  let subgrades = null;
+  for (const name of SUBGRADE_FIELDS) {
+    const value = parseSubgrade(fields[`subgrades.${name}`]);
+    if (value === null) continue;
+    subgrades = subgrades || {};
+    subgrades[name] = value;
+  }
+
+  const htmlHeading = (stripNonContent(html).match(/<h1\b[^>]*>([\s\S]*?)<\/h1>/i) || [])[1];
+  const markdownHeading = (markdown.match(/^#\s+(.+)$/m) || [])[1];
+  const title = (htmlHeading && textContent(htmlHeading)) ||
+    (markdownHeading && markdownHeading.trim()) ||
+    [year, fields.brand, cardNumber ? `#${cardNumber}` : null, fields.subject].filter(Boolean).join(' ') ||
+    metadata?.title?.replace(/Cert\s*Verification\s*\d*/gi, '').replace(/\|.*$/, '').trim() ||
+    null;
+
+  const images = extractImages(html, markdown, imagePattern);
+
+  return {
+    certNumber: fields.certNumber ? fields.certNumber.replace(/[^0-9-]/g, '') : null,
+    title,
+    year,
+    brand: fields.brand || null,
+    subject: fields.subject || null,
+    cardNumber,
+    category: fields.category || null,
+    variety: fields.variety || null,
+    language: fields.language || null,
+    labelType: fields.labelType || null,
+    grade: grade ? grade.grade : null,
+    gradeLabel: grade ? grade.label : null,
+    gradeQualifier: grade ? grade.qualifier : null,
+    gradeText: fields.grade || null,
+    autographGrade: autograph ? autograph.grade : null,
+    subgrades,
+    population: parseCount(fields.population),
+    popHigher: parseCount(fields.popHigher),
+    psaEstimate: parseMoney(fields.psaEstimate),
+    cardFrontImage: images[0] || null, // First image is usually front
+    cardBackImage: images[1] || null,  // Second is usually back
+    images,
+    fields: found
+  };
+}
@@ -0,0 +1,198 @@
+/**
+ * CIE color difference metrics and per-region card palettes
+ */
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+const toDeg = (rad) => (rad * 180) / Math.PI;
+
+/**
+ * CIE76 color difference (Euclidean distance in Lab)
+ */
+export function deltaE76(lab1, lab2) {
+  return Math.hypot(lab1[0] - lab2[0], lab1[1] - lab2[1], lab1[2] - lab2[2]);
+}
+
+/**
+ * CIEDE2000 color difference (Sharma, Wu & Dalal 2005)
+ */
+export function deltaE2000(lab1, lab2) {
+  const [L1, a1, b1] = lab1;
+  const [L2, a2, b2] = lab2;
+
+  const C1 = Math.hypot(a1, b1);
+  const C2 = Math.hypot(a2, b2);
+  const Cbar7 = Math.pow((C1 + C2) / 2, 7);
+  const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + Math.pow(25, 7))));
+
+  const a1p = (1 + G) * a1;
+  const a2p = (1 + G) * a2;
+  const C1p = Math.hypot(a1p, b1);
+  const C2p = Math.hypot(a2p, b2);
+
+  const hue = (b, ap) => {
+    if (b === 0 && ap === 0) return 0;
+    const h = toDeg(Math.atan2(b, ap));
+    return h < 0 ? h + 360 : h;
+  };
+  const h1p = hue(b1, a1p);
+  const h2p = hue(b2, a2p);
+
+  const dLp = L2 - L1;
+  const dCp = C2p - C1p;
+
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(toRad(dhp / 2));
+
+  const Lbp = (L1 + L2) / 2;
+  const Cbp = (C1p + C2p) / 2;
+
+  let hbp;
+  if (C1p * C2p === 0) {
+    hbp = h1p + h2p;
+  } else if (Math.abs(h1p - h2p) <= 180) {
+    hbp = (h1p + h2p) / 2;
+  } else if (h1p + h2p < 360) {
+    hbp = (h1p + h2p + 360) / 2;
+  } else {
+    hbp = (h1p + h2p - 360) / 2;
+  }
+
+  const T = 1 -
+    0.17 * Math.cos(toRad(hbp - 30)) +
+    0.24 * Math.cos(toRad(2 * hbp)) +
+    0.32 * Math.cos(toRad(3 * hbp + 6)) -
+    0.20 * Math.cos(toRad(4 * hbp - 63));
+
+  const dTheta = 30 * Math.exp(-Math.pow((hbp - 275) / 25, 2));
+  const Cbp7 = Math.pow(Cbp, 7);
+  const Rc = 2 * Math.sqrt(Cbp7 / (Cbp7 + Math.pow(25, 7)));
+  const Sl = 1 + (0.015 * Math.pow(Lbp - 50, 2)) / Math.sqrt(20 + Math.pow(Lbp - 50, 2));
+  const Sc = 1 + 0.045 * Cbp;
+  const Sh = 1 + 0.015 * Cbp * T;
+  const Rt = -Math.sin(toRad(2 * dTheta)) * Rc;
+
+  const l = dLp / Sl;
+  const c = dCp / Sc;
+  const h = dHp / Sh;
+
+  return Math.sqrt(l * l + c * c + h * h + Rt * c * h);
+}
+
+/**
+ * Card regions in normalized card coordinates (0-1).
+ * 'ring' regions are bands inset from the card edge; 'rect' regions are boxes.
+ * select: 'darkest' keeps only the darkest fraction of pixels (ink, not paper).
+ */
+export const CARD_COLOR_REGIONS = {
+  border: { type: 'ring', inset: 0.01, thickness: 0.03 },
+  nameBar: { type: 'rect', x0: 0.08, y0: 0.045, x1: 0.92, y1: 0.095 },
+  artwork: { type: 'rect', x0: 0.1, y0: 0.12, x1: 0.9, y1: 0.47 },
+  textBlack: { type: 'rect', x0: 0.08, y0: 0.55, x1: 0.92, y1: 0.9, select: 'darkest', fraction: 0.05 }
+};
+
+function inRegion(region, u, v) {
+  if (region.type === 'ring') {
+    const outer = region.inset;
+    const inner = region.inset + region.thickness;
+    const insideOuter = u >= outer && u <= 1 - outer && v >= outer && v <= 1 - outer;
+    const insideInner = u > inner && u < 1 - inner && v > inner && v < 1 - inner;
+    return insideOuter && !insideInner;
+  }
+  return u >= region.x0 && u <= region.x1 && v >= region.y0 && v <= region.y1;
+}
+
+/**
+ * Mean Lab color and spread (mean ΔE76 from the mean) for each region.
+ * `lab` holds { L, a, b } planes for a card-sized image.
+ */
+export function measureRegionColors(lab, width, height, regions = CARD_COLOR_REGIONS) {
+  const step = Math.max(1, Math.floor(Math.sqrt(width * height) / 400));
+  const result = {};
+
+  for (const [name, region] of Object.entries(regions)) {
+    let indices = [];
+    for (let y = 0; y < height; y += step) {
+      for (let x = 0; x < width; x += step) {
+        if (inRegion(region, x / width, y / height)) indices.push(y * width + x);
+      }
+    }
+
+    if (region.select === 'darkest' && indices.length > 0) {
+      indices.sort((i, j) => lab.L[i] - lab.L[j]);
+      indices = indices.slice(0, Math.max(1, Math.round(indices.length * region.fraction)));
+    }
+
+    if (indices.length === 0) continue;
+
+    let L = 0, a = 0, b = 0;
+    for (const i of indices) {
+      L += lab.L[i];
+      a += lab.a[i];
+      b += lab.b[i];
+    }
+    L /= indices.length;
+    a /= indices.length;
+    b /= indices.length;
+
+    let spread = 0;
+    for (const i of indices) {
+      spread += deltaE76([lab.L[i], lab.a[i], lab.b[i]], [L, a, b]);
+    }
+    spread /= indices.length;
+
+    result[name] = { L, a, b, spread, pixels: indices.length };
+  }
+
+  return result;
+}
+
+/**
+ * Accept palette entries as [L, a, b] arrays or { L, a, b } objects
+ */
+export function normalizePalette(palette) {
+  const result = {};
+  for (const [name, value] of Object.entries(palette || {})) {
+    if (Array.isArray(value) && value.length >= 3) {
+      result[name] = { L: Number(value[0]), a: Number(value[1]), b: Number(value[2]) };
+    } else if (value && value.L !== undefined) {
+      result[name] = { L: Number(value.L), a: Number(value.a), b: Number(value.b) };
+    }
+  }
+  return result;
+}
+
+/**
+ * Per-region drift between measured colors and a reference palette
+ */
+export function compareRegionColors(measured, reference) {
+  const drift = {};
+
+  for (const [name, ref] of Object.entries(reference)) {
+    const m = measured[name];
+    if (!m) continue;
+
+    const sample = [m.L, m.a, m.b];
+    const target = [ref.L, ref.a, ref.b];
+
+    // Hue angle shift in the a*b* plane
+    let hueShift = toDeg(Math.atan2(m.b, m.a) - Math.atan2(ref.b, ref.a));
+    if (hueShift > 180) hueShift -= 360;
+    if (hueShift < -180) hueShift += 360;
+
+    drift[name] = {
+      deltaE76: deltaE76(sample, target),
+      deltaE2000: deltaE2000(target, sample),
+      dL: m.L - ref.L,
+      da: m.a - ref.a,
+      db: m.b - ref.b,
+      hueShift
+    };
+  }
+
+  return drift;
+}
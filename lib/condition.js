@@ -0,0 +1,421 @@
+import { rgbToGrayscale, rgbToLab, strokeRect } from './image.js';
+import { deltaE76 } from './color.js';
+import { gaussianBlur } from './edges.js';
+import { uprightCard } from './centering.js';
+
+/**
+ * Physical condition of a card: whitening, rounding and chipping on the four
+ * corners and four edges, and scratches on the surface, scored 0-10 per
+ * factor and combined into a predicted grade range.
+ *
+ * The card is warped upright with a margin (see uprightCard), so the cut
+ * edge and the background beyond it are both in view. Pixels are told apart
+ * by whether they are closer to the card's border colour or the background
+ * colour, so photos on a contrasting background measure best.
+ */
+
+const CARD_WIDTH_MM = 63;
+
+// Nominal die-cut corner radius of a standard TCG card
+const CORNER_RADIUS_MM = 3;
+
+// Region sizes as fractions of the card width
+const CORNER_SIZE = 0.1;
+const EDGE_BAND = 0.012;
+
+/**
+ * Metric -> score mapping. Each metric scores 10 up to `free` and loses
+ * `perUnit` points per unit beyond it (floored at 1).
+ */
+export const CONDITION_THRESHOLDS = {
+  whitening: { free: 2, perUnit: 0.25 },      // % of edge-band pixels whitened
+  rounding: { free: 1.15, perUnit: 15 },      // corner radius / nominal radius
+  cornerChipping: { free: 0.6, perUnit: 4 },  // px of silhouette deviation per px of arc
+  edgeChipping: { free: 1, perUnit: 0.5 },    // % of edge profile dented
+  scratches: { free: 0.5, perUnit: 1.5 }      // ‰ of smooth surface pixels on bright ridges
+};
+
+// Worst region weight when combining the four corners or edges into a factor
+const WORST_WEIGHT = 0.6;
+
+function metricScore(value, { free, perUnit }) {
+  if (value === null) return null;
+  return Math.max(1, Math.min(10, 10 - Math.max(0, value - free) * perUnit));
+}
+
+const median = (values) => {
+  const sorted = Float64Array.from(values).sort();
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+const medianLab = (lab, indices) => [median(indices.map(i => lab.L[i])), median(indices.map(i => lab.a[i])), median(indices.map(i => lab.b[i]))];
+
+/**
+ * Share of non-uniform LBP patterns (more than two 0/1 transitions around
+ * the 8 neighbours, as in localBinaryPatterns) among the given pixels
+ */
+export function lbpNonUniform(gray, width, indices) {
+  let nonUniform = 0;
+  for (const i of indices) {
+    const center = gray[i];
+    const neighbors = [i - width - 1, i - width, i - width + 1, i + 1, i + width + 1, i + width, i + width - 1, i - 1];
+    let pattern = 0;
+    neighbors.forEach((n, bit) => {
+      if (gray[n] >= center) pattern |= (1 << bit);
+    });
+    let transitions = 0;
+    for (let bit = 0; bit < 8; bit++) {
+      if (((pattern >> bit) & 1) !== ((pattern >> ((bit + 1) % 8)) & 1)) transitions++;
+    }
+    if (transitions > 2) nonUniform++;
+  }
+  return indices.length > 0 ? nonUniform / indices.length : 0;
+}
+
+// Bare card stock, as seen where ink has worn off
+const PAPER_LAB = [94, 0, 4];
+
+/**
+ * Pixel classifier around reference colours. `card` is the border colour
+ * just inside the cut edge and `background` what lies beyond it. A pixel
+ * belongs to the nearest of card, background and bare paper; paper counts
+ * as card and as whitening (worn ink). Whitening needs a border and a
+ * background that both differ from paper.
+ */
+function classifier(lab, card, background) {
+  const whiteningMeasurable = deltaE76(card, PAPER_LAB) >= 20 && deltaE76(background, PAPER_LAB) >= 20;
+
+  const color = (i) => [lab.L[i], lab.a[i], lab.b[i]];
+  const nearest = (i) => {
+    const c = color(i);
+    const toCard = deltaE76(c, card), toBackground = deltaE76(c, background);
+    const toPaper = whiteningMeasurable ? deltaE76(c, PAPER_LAB) : Infinity;
+    if (toPaper < toCard && toPaper < toBackground) return 'paper';
+    return toCard <= toBackground ? 'card' : 'background';
+  };
+
+  return {
+    isCard: (i) => nearest(i) !== 'background',
+    isWhitened: (i) => nearest(i) === 'paper',
+    whiteningMeasurable,
+    separation: deltaE76(card, background)
+  };
+}
+
+/**
+ * Edge profile along one side: for each line, the depth of the first two
+ * card pixels in a row scanned inward from the image edge
+ */
+function edgeProfile(side, lines, maxDepth, isCard) {
+  return lines.map(k => {
+    for (let d = 0; d < maxDepth; d++) {
+      if (isCard(side.at(k, d)) && isCard(side.at(k, d + 1))) return d;
+    }
+    return null;
+  });
+}
+
+/**
+ * Dented lines: profile points more than `tolerance` px inward of the
+ * running median of their neighbours (5% of the side either way)
+ */
+function dents(profile, tolerance) {
+  const window = Math.max(10, Math.round(profile.length * 0.05));
+  const result = [];
+  profile.forEach((depth, index) => {
+    if (depth === null) return;
+    const neighbours = profile.slice(Math.max(0, index - window), index + window + 1).filter(d => d !== null);
+    const expected = median(neighbours);
+    if (depth - expected > tolerance) result.push({ index, depth: depth - expected });
+  });
+  return result;
+}
+
+/**
+ * Assess one side of a card (RGBA data).
+ * Options: removeHolder (as for detectCard).
+ * Returns per-region measurements and scores for the four corners, the four
+ * edges and the surface, per-factor subscores, warnings and an annotated
+ * image (regions outlined green/amber/red by score, whitening magenta,
+ * dents red, scratch pixels cyan).
+ */
+export async function assessCondition(imageData, options = {}) {
+  const card = await uprightCard(imageData, options);
+  const { data, width, height, cardRect, margin } = card;
+  const lab = rgbToLab(data, width, height);
+  const gray = rgbToGrayscale(data, width, height);
+  const cardWidth = cardRect.x1 - cardRect.x0 + 1;
+  const mmPerPixel = CARD_WIDTH_MM / cardWidth;
+  const cornerSize = Math.round(cardWidth * CORNER_SIZE);
+  const band = Math.max(3, Math.round(cardWidth * EDGE_BAND));
+  const warnings = [];
+  const marks = { whitening: [], dents: [], scratches: [] };
+
+  const sides = {
+    top: { lines: [cardRect.x0 + cornerSize, cardRect.x1 - cornerSize], at: (k, d) => d * width + k },
+    right: { lines: [cardRect.y0 + cornerSize, cardRect.y1 - cornerSize], at: (k, d) => k * width + (width - 1 - d) },
+    bottom: { lines: [cardRect.x0 + cornerSize, cardRect.x1 - cornerSize], at: (k, d) => (height - 1 - d) * width + k },
+    left: { lines: [cardRect.y0 + cornerSize, cardRect.y1 - cornerSize], at: (k, d) => k * width + d }
+  };
+  const lineRange = ([first, last]) => Array.from({ length: last - first + 1 }, (_, n) => first + n);
+
+  // Reference colours: the border just inside the card edge, and the
+  // background beyond it (the image corners, outside the rounded corners)
+  const inner = [];
+  for (const side of Object.values(sides)) {
+    for (const k of lineRange(side.lines).filter((_, n) => n % 4 === 0)) {
+      for (let d = margin + band; d < margin + 2 * band; d++) inner.push(side.at(k, d));
+    }
+  }
+  const patch = Math.max(2, Math.round(Math.max(margin / 2, cardWidth * 0.01)));
+  const outer = [];
+  for (let y = 0; y < patch; y++) {
+    for (let x = 0; x < patch; x++) {
+      outer.push(y * width + x, y * width + (width - 1 - x), (height - 1 - y) * width + x, (height - 1 - y) * width + (width - 1 - x));
+    }
+  }
+  const { isCard, isWhitened, whiteningMeasurable, separation } = classifier(lab, medianLab(lab, inner), medianLab(lab, outer));
+
+  if (separation < 10) {
+    warnings.push('The card border and the background are too alike to find the cut edge; photograph the card on a contrasting background');
+  }
+  if (!whiteningMeasurable) {
+    warnings.push('The border or the background is too close to white to show whitening');
+  }
+  if (card.sourceWidth < 600) {
+    warnings.push(`The card is only ${card.sourceWidth}px wide in the photo; fine wear needs at least 600px`);
+  }
+  const geometryUsable = separation >= 10;
+
+  // Edges: cut-edge profile, dents and whitening in the band inside the edge
+  const edges = {};
+  const edgeDepth = {};
+  for (const [name, side] of Object.entries(sides)) {
+    const lines = lineRange(side.lines);
+    const profile = geometryUsable && margin > 0
+      ? edgeProfile(side, lines, margin + band * 2, isCard)
+      : lines.map(() => margin);
+    const found = profile.filter(d => d !== null);
+    edgeDepth[name] = found.length > 0 ? median(found) : margin;
+
+    // The band just inside the cut edge, and the border band inside that
+    const bandPixels = [], insideBand = [], whitened = [];
+    lines.forEach((k, n) => {
+      const start = profile[n] === null ? edgeDepth[name] : profile[n];
+      for (let d = start; d < start + band; d++) {
+        const i = side.at(k, d);
+        bandPixels.push(i);
+        insideBand.push(side.at(k, d + band));
+        if (isWhitened(i)) whitened.push(i);
+      }
+    });
+    marks.whitening.push(...whitened);
+
+    const dented = geometryUsable && margin > 0 ? dents(profile, Math.max(2, cardWidth * 0.003)) : null;
+    if (dented) marks.dents.push(...dented.map(({ index }) => side.at(lines[index], profile[index])));
+
+    const whitening = whiteningMeasurable ? whitened.length / bandPixels.length * 100 : null;
+    const chipping = dented ? dented.length / lines.length * 100 : null;
+    const scores = {
+      whitening: metricScore(whitening, CONDITION_THRESHOLDS.whitening),
+      chipping: metricScore(chipping, CONDITION_THRESHOLDS.edgeChipping)
+    };
+    edges[name] = {
+      whitening,
+      chipping,
+      maxDent: dented && dented.length > 0 ? Math.max(...dented.map(d => d.depth)) * mmPerPixel : 0,
+      // Texture of the edge band against the border just inside it
+      roughness: (lbpNonUniform(gray, width, bandPixels) - lbpNonUniform(gray, width, insideBand)) * 100,
+      scores,
+      score: Math.min(...Object.values(scores).filter(s => s !== null), 10)
+    };
+  }
+
+  // Corners: rounding from the background area inside the corner square,
+  // chipping from how far the silhouette strays from a circular arc
+  const edgeX0 = edgeDepth.left, edgeX1 = width - 1 - edgeDepth.right;
+  const edgeY0 = edgeDepth.top, edgeY1 = height - 1 - edgeDepth.bottom;
+  const cornerOrigins = {
+    topLeft: { x: edgeX0, y: edgeY0, dx: 1, dy: 1 },
+    topRight: { x: edgeX1, y: edgeY0, dx: -1, dy: 1 },
+    bottomRight: { x: edgeX1, y: edgeY1, dx: -1, dy: -1 },
+    bottomLeft: { x: edgeX0, y: edgeY1, dx: 1, dy: -1 }
+  };
+  const nominalRadius = CORNER_RADIUS_MM / mmPerPixel;
+  const corners = {};
+  for (const [name, { x, y, dx, dy }] of Object.entries(cornerOrigins)) {
+    const at = (u, v) => (y + dy * v) * width + (x + dx * u);
+
+    // Background connected to the outside of the corner (the artwork frame
+    // can look like background too)
+    const background = new Uint8Array(cornerSize * cornerSize);
+    let backgroundArea = 0;
+    const stack = [];
+    for (let n = 0; n < cornerSize; n++) stack.push([n, 0], [0, n]);
+    while (stack.length > 0) {
+      const [u, v] = stack.pop();
+      if (u < 0 || v < 0 || u >= cornerSize || v >= cornerSize || background[v * cornerSize + u]) continue;
+      if (isCard(at(u, v))) continue;
+      background[v * cornerSize + u] = 1;
+      backgroundArea++;
+      stack.push([u + 1, v], [u - 1, v], [u, v + 1], [u, v - 1]);
+    }
+
+    // A quarter-circle corner of radius r leaves r²(1 - π/4) outside the card
+    const radius = Math.sqrt(backgroundArea / (1 - Math.PI / 4));
+    let mismatch = 0;
+    for (let v = 0; v < cornerSize; v++) {
+      for (let u = 0; u < cornerSize; u++) {
+        const ideal = u < radius && v < radius && Math.hypot(radius - u, radius - v) > radius;
+        if (ideal !== !!background[v * cornerSize + u]) mismatch++;
+      }
+    }
+
+    // Whitening: card pixels within `band` of the background
+    let nearEdge = 0, whitened = 0;
+    for (let v = 0; v < cornerSize; v++) {
+      for (let u = 0; u < cornerSize; u++) {
+        if (background[v * cornerSize + u]) continue;
+        let near = u < band || v < band;
+        for (let bv = Math.max(0, v - band); !near && bv <= Math.min(cornerSize - 1, v + band); bv++) {
+          for (let bu = Math.max(0, u - band); bu <= Math.min(cornerSize - 1, u + band); bu++) {
+            if (background[bv * cornerSize + bu]) {
+              near = true;
+              break;
+            }
+          }
+        }
+        if (!near) continue;
+        nearEdge++;
+        if (isWhitened(at(u, v))) {
+          whitened++;
+          marks.whitening.push(at(u, v));
+        }
+      }
+    }
+
+    const whitening = whiteningMeasurable && nearEdge > 0 ? whitened / nearEdge * 100 : null;
+    const rounding = geometryUsable ? radius / nominalRadius : null;
+    const chipping = geometryUsable ? mismatch / (Math.PI / 2 * Math.max(radius, nominalRadius)) : null;
+    const scores = {
+      whitening: metricScore(whitening, CONDITION_THRESHOLDS.whitening),
+      rounding: metricScore(rounding, CONDITION_THRESHOLDS.rounding),
+      chipping: metricScore(chipping, CONDITION_THRESHOLDS.cornerChipping)
+    };
+    corners[name] = {
+      whitening,
+      radius: geometryUsable ? radius * mmPerPixel : null,
+      rounding,
+      chipping,
+      scores,
+      score: Math.min(...Object.values(scores).filter(s => s !== null), 10),
+      box: {
+        x0: Math.min(x, x + dx * (cornerSize - 1)),
+        y0: Math.min(y, y + dy * (cornerSize - 1)),
+        x1: Math.max(x, x + dx * (cornerSize - 1)),
+        y1: Math.max(y, y + dy * (cornerSize - 1))
+      }
+    };
+  }
+
+  // Surface: thin bright ridges in otherwise smooth areas are scratches;
+  // busy artwork is skipped
+  const inset = Math.round(cardWidth * 0.07);
+  const surfaceBox = { x0: edgeX0 + inset, y0: edgeY0 + inset, x1: edgeX1 - inset, y1: edgeY1 - inset };
+  // Smoothness is judged at a wider scale than the ridges, so a thin
+  // scratch barely raises its own neighbourhood's variance
+  const blurred = gaussianBlur(gray, width, height, 2);
+  const mean = gaussianBlur(gray, width, height, 6);
+  const squared = gaussianBlur(Float32Array.from(gray, v => v * v), width, height, 6);
+  const smooth = [];
+  for (let sy = surfaceBox.y0; sy <= surfaceBox.y1; sy++) {
+    for (let sx = surfaceBox.x0; sx <= surfaceBox.x1; sx++) {
+      const i = sy * width + sx;
+      if (squared[i] - mean[i] * mean[i] < 300) smooth.push(i);
+    }
+  }
+  const scratchPixels = smooth.filter(i => gray[i] - blurred[i] > 10);
+  marks.scratches.push(...scratchPixels);
+
+  const scratches = smooth.length > 0 ? scratchPixels.length / smooth.length * 1000 : null;
+  if (smooth.length < (surfaceBox.x1 - surfaceBox.x0) * (surfaceBox.y1 - surfaceBox.y0) * 0.05) {
+    warnings.push('Too little smooth surface to judge scratches (busy or holo artwork)');
+  }
+  const surfaceScores = { scratches: metricScore(smooth.length > 0 ? scratches : null, CONDITION_THRESHOLDS.scratches) };
+  const surface = {
+    scratches,
+    smoothArea: smooth.length / Math.max(1, (surfaceBox.x1 - surfaceBox.x0 + 1) * (surfaceBox.y1 - surfaceBox.y0 + 1)),
+    lbpUniformity: (1 - lbpNonUniform(gray, width, smooth)) * 100,
+    scores: surfaceScores,
+    score: surfaceScores.scratches ?? null,
+    box: surfaceBox
+  };
+
+  const factor = (regions) => {
+    const scores = Object.values(regions).map(r => r.score);
+    const mean = scores.reduce((a, s) => a + s, 0) / scores.length;
+    return WORST_WEIGHT * Math.min(...scores) + (1 - WORST_WEIGHT) * mean;
+  };
+  const subscores = { corners: factor(corners), edges: factor(edges), surface: surface.score };
+
+  // Annotate: marks first, then region outlines coloured by score
+  const annotated = new Uint8ClampedArray(data);
+  const paint = (indices, color) => {
+    for (const i of indices) annotated.set(color, i * 4);
+  };
+  paint(marks.whitening, [255, 0, 255, 255]);
+  paint(marks.scratches, [0, 220, 255, 255]);
+  paint(marks.dents, [255, 0, 0, 255]);
+  const outline = (score) => score === null ? [160, 160, 160] : score >= 8.5 ? [0, 190, 60] : score >= 6 ? [240, 180, 0] : [230, 30, 30];
+  for (const corner of Object.values(corners)) strokeRect(annotated, width, height, corner.box, outline(corner.score), 2);
+  strokeRect(annotated, width, height, {
+    x0: edgeX0 + cornerSize, y0: edgeY0, x1: edgeX1 - cornerSize, y1: edgeY0 + band
+  }, outline(edges.top.score), 1);
+  strokeRect(annotated, width, height, {
+    x0: edgeX1 - band, y0: edgeY0 + cornerSize, x1: edgeX1, y1: edgeY1 - cornerSize
+  }, outline(edges.right.score), 1);
+  strokeRect(annotated, width, height, {
+    x0: edgeX0 + cornerSize, y0: edgeY1 - band, x1: edgeX1 - cornerSize, y1: edgeY1
+  }, outline(edges.bottom.score), 1);
+  strokeRect(annotated, width, height, {
+    x0: edgeX0, y0: edgeY0 + cornerSize, x1: edgeX0 + band, y1: edgeY1 - cornerSize
+  }, outline(edges.left.score), 1);
+  strokeRect(annotated, width, height, surfaceBox, outline(surface.score), 2);
+
+  return {
+    corners,
+    edges,
+    surface,
+    subscores,
+    cardDetected: card.cardDetected,
+    holderRemoved: card.holderRemoved,
+    sourceWidth: card.sourceWidth,
+    warnings,
+    annotated: { data: annotated, width, height }
+  };
+}
+
+/**
+ * Predicted grade range from per-factor subscores (corners, edges, surface
+ * and optionally centering, 0-10; null factors are skipped), capped at
+ * `centeringCap` when given. The worst factor weighs most, as graders let
+ * the weakest attribute limit the grade. The range widens with `uncertainty`.
+ */
+export function predictGradeRange(subscores, { centeringCap = null, uncertainty = 0.5 } = {}) {
+  const scores = Object.values(subscores).filter(s => s !== null && s !== undefined);
+  if (scores.length === 0) return null;
+
+  const mean = scores.reduce((a, s) => a + s, 0) / scores.length;
+  let estimate = WORST_WEIGHT * Math.min(...scores) + (1 - WORST_WEIGHT) * mean;
+  if (centeringCap !== null) estimate = Math.min(estimate, centeringCap);
+
+  const clamp = (grade) => Math.max(1, Math.min(centeringCap ?? 10, grade));
+  return {
+    estimate: clamp(estimate),
+    low: clamp(Math.round(estimate - uncertainty)),
+    high: clamp(Math.round(estimate + uncertainty)),
+    limitedBy: Object.entries(subscores)
+      .filter(([, s]) => s !== null && s !== undefined)
+      .reduce((a, b) => (b[1] < a[1] ? b : a))[0]
+  };
+}
@@ -0,0 +1,918 @@
+import sharp from 'sharp';
+import { loadImageData, rgbToLab, findSpectralPeaks, boxBlur3, planeToPngDataUrl } from './image.js';
+import { measureRegionColors, compareRegionColors, normalizePalette } from './color.js';
+import { houghLines, findCardBorders } from './hough.js';
+import { detectCorners } from './features.js';
+import { classifyPrint } from './print-method.js';
+
+// ============================================================================
+// PRO TIER CV ALGORITHMS (8)
+// ============================================================================
+
+/**
+ * 1. CANNY EDGE DETECTION
+ * Options (ctx.options.canny): sigma, lowThreshold, highThreshold, returnEdgeMap
+ */
+export async function cannyEdgeDetection(ctx) {
+  const { width, height } = ctx;
+  const {
+    sigma = 1.4,
+    lowThreshold = 50,
+    highThreshold = 150,
+    returnEdgeMap = false
+  } = ctx.options.canny || {};
+  
+  const { edges, edgePixels, strongPixels, weakPixels } = ctx.canny({ sigma, lowThreshold, highThreshold });
+  
+  // Split edge density between the outer border band and the interior
+  const bandX = Math.max(1, Math.round(width * 0.08));
+  const bandY = Math.max(1, Math.round(height * 0.08));
+  let borderEdges = 0, borderArea = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (x < bandX || x >= width - bandX || y < bandY || y >= height - bandY) {
+        borderArea++;
+        if (edges[y * width + x]) borderEdges++;
+      }
+    }
+  }
+  const interiorArea = width * height - borderArea;
+  
+  const edgeDensity = (edgePixels / (width * height)) * 100;
+  const borderDensity = borderArea > 0 ? (borderEdges / borderArea) * 100 : 0;
+  const interiorDensity = interiorArea > 0 ? ((edgePixels - borderEdges) / interiorArea) * 100 : 0;
+  const score = Math.min(10, (edgeDensity / 10) * 10);
+  
+  const result = {
+    name: 'Canny Edge Detection',
+    parameters: { sigma, lowThreshold, highThreshold },
+    edgePixels,
+    strongPixels,
+    weakPixels,
+    edgeDensity: edgeDensity.toFixed(2) + '%',
+    borderEdgeDensity: borderDensity.toFixed(2) + '%',
+    interiorEdgeDensity: interiorDensity.toFixed(2) + '%',
+    score: score.toFixed(1),
+    description: `Detected ${edgePixels} edge pixels (${edgeDensity.toFixed(1)}% density, ${borderDensity.toFixed(1)}% in the border band). Sharp borders indicate authentic print quality.`
+  };
+  
+  if (returnEdgeMap) {
+    result.edgeMap = await planeToPngDataUrl(edges, width, height);
+  }
+  
+  return result;
+}
+
+/**
+ * 2. LAB COLOR DELTA-E
+ * Converts to CIE Lab (D65) and measures the mean color of card regions
+ * (border, name bar, artwork, text black). With a reference image or stored
+ * palette, reports ΔE76/ΔE2000 drift per region; fakes usually show up as a
+ * shifted border hue.
+ * Options (ctx.options.color): referenceImage (base64), palette ({ region: [L, a, b] })
+ */
+export async function labColorDeltaE(ctx) {
+  const { width, height } = ctx;
+  const { referenceImage, palette } = ctx.options.color || {};
+  
+  const measured = measureRegionColors(ctx.lab, width, height);
+  const formatLab = (c) => ({ L: c.L.toFixed(2), a: c.a.toFixed(2), b: c.b.toFixed(2) });
+  const measuredPalette = Object.fromEntries(
+    Object.entries(measured).map(([name, c]) => [name, { ...formatLab(c), spread: c.spread.toFixed(2) }])
+  );
+  
+  let reference = null;
+  let referenceSource = null;
+  if (referenceImage) {
+    const ref = await loadImageData(referenceImage);
+    reference = measureRegionColors(rgbToLab(ref.data, ref.width, ref.height), ref.width, ref.height);
+    referenceSource = 'image';
+  } else if (palette) {
+    reference = normalizePalette(palette);
+    referenceSource = 'palette';
+  }
+  
+  // No reference: judge how evenly the border is printed
+  if (!reference) {
+    const borderSpread = measured.border ? measured.border.spread : 0;
+    const score = Math.max(0, 10 - borderSpread / 2);
+    
+    return {
+      name: 'LAB Color Delta-E',
+      referenceSource: null,
+      palette: measuredPalette,
+      borderSpread: borderSpread.toFixed(2),
+      score: score.toFixed(1),
+      description: `No reference supplied. Border color spread ΔE ${borderSpread.toFixed(1)}. Even border ink indicates authentic printing.`
+    };
+  }
+  
+  const drift = compareRegionColors(measured, reference);
+  const regions = Object.keys(drift);
+  const maxDrift = regions.length > 0 ? Math.max(...regions.map(r => drift[r].deltaE2000)) : 0;
+  const meanDrift = regions.length > 0
+    ? regions.reduce((a, r) => a + drift[r].deltaE2000, 0) / regions.length
+    : 0;
+  const worstRegion = regions.reduce((a, r) => (!a || drift[r].deltaE2000 > drift[a].deltaE2000 ? r : a), null);
+  const score = Math.max(0, Math.min(10, 10 - Math.max(0, maxDrift - 2) * 0.8));
+  
+  return {
+    name: 'LAB Color Delta-E',
+    referenceSource,
+    palette: measuredPalette,
+    regionDrift: Object.fromEntries(regions.map(r => [r, {
+      deltaE76: drift[r].deltaE76.toFixed(2),
+      deltaE2000: drift[r].deltaE2000.toFixed(2),
+      dL: drift[r].dL.toFixed(2),
+      da: drift[r].da.toFixed(2),
+      db: drift[r].db.toFixed(2),
+      hueShift: drift[r].hueShift.toFixed(1)
+    }])),
+    meanDeltaE2000: meanDrift.toFixed(2),
+    maxDeltaE2000: maxDrift.toFixed(2),
+    worstRegion,
+    score: score.toFixed(1),
+    description: worstRegion
+      ? `Mean ΔE2000 ${meanDrift.toFixed(1)} vs reference ${referenceSource}; largest drift in ${worstRegion} (ΔE2000 ${maxDrift.toFixed(1)}). ΔE2000 under 2 is imperceptible; large border drift points to a counterfeit.`
+      : 'Reference palette has no regions in common with this card.'
+  };
+}
+
+/**
+ * 3. LOCAL BINARY PATTERNS (LBP)
+ */
+export async function localBinaryPatterns(ctx) {
+  const { width, height, gray } = ctx;
+  
+  let uniformPatterns = 0;
+  let totalPatterns = 0;
+  
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const center = gray[y * width + x];
+      let pattern = 0;
+      
+      // 8 neighbors
+      const neighbors = [
+        gray[(y-1) * width + (x-1)],
+        gray[(y-1) * width + x],
+        gray[(y-1) * width + (x+1)],
+        gray[y * width + (x+1)],
+        gray[(y+1) * width + (x+1)],
+        gray[(y+1) * width + x],
+        gray[(y+1) * width + (x-1)],
+        gray[y * width + (x-1)]
+      ];
+      
+      for (let i = 0; i < 8; i++) {
+        if (neighbors[i] >= center) {
+          pattern |= (1 << i);
+        }
+      }
+      
+      // Check if uniform pattern (max 2 transitions)
+      let transitions = 0;
+      for (let i = 0; i < 8; i++) {
+        const bit1 = (pattern >> i) & 1;
+        const bit2 = (pattern >> ((i + 1) % 8)) & 1;
+        if (bit1 !== bit2) transitions++;
+      }
+      
+      if (transitions <= 2) uniformPatterns++;
+      totalPatterns++;
+    }
+  }
+  
+  const uniformity = totalPatterns > 0 ? (uniformPatterns / totalPatterns) * 100 : 0;
+  const score = uniformity / 10;
+  
+  return {
+    name: 'Local Binary Patterns',
+    uniformPatterns,
+    totalPatterns,
+    uniformity: uniformity.toFixed(2) + '%',
+    score: score.toFixed(1),
+    description: `${uniformity.toFixed(1)}% uniform texture patterns. Consistent texture indicates authentic card surface.`
+  };
+}
+
+/**
+ * 4. HISTOGRAM OF GRADIENTS (HOG)
+ */
+export async function histogramOfGradients(ctx) {
+  const { width, height, gray } = ctx;
+  
+  const bins = 9;
+  const histogram = new Array(bins).fill(0);
+  
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const gx = gray[y * width + (x + 1)] - gray[y * width + (x - 1)];
+      const gy = gray[(y + 1) * width + x] - gray[(y - 1) * width + x];
+      
+      const magnitude = Math.sqrt(gx * gx + gy * gy);
+      const angle = Math.atan2(gy, gx);
+      
+      const binIdx = Math.floor(((angle + Math.PI) / (2 * Math.PI)) * bins) % bins;
+      histogram[binIdx] += magnitude;
+    }
+  }
+  
+  const maxBin = Math.max(...histogram);
+  const minBin = Math.min(...histogram);
+  const variance = maxBin - minBin;
+  const score = Math.min(10, (variance / 10000) * 10);
+  
+  return {
+    name: 'Histogram of Gradients',
+    bins,
+    variance: variance.toFixed(0),
+    score: score.toFixed(1),
+    description: `Gradient variance: ${variance.toFixed(0)}. Rich gradient distribution indicates detailed print quality.`
+  };
+}
+
+/**
+ * 5. ENTROPY ANALYSIS
+ */
+export async function entropyAnalysis(ctx) {
+  const { gray } = ctx;
+  
+  // Build histogram
+  const histogram = new Array(256).fill(0);
+  for (let i = 0; i < gray.length; i++) {
+    histogram[gray[i]]++;
+  }
+  
+  // Calculate entropy
+  const total = gray.length;
+  let entropy = 0;
+  
+  for (let i = 0; i < 256; i++) {
+    if (histogram[i] > 0) {
+      const p = histogram[i] / total;
+      entropy -= p * Math.log2(p);
+    }
+  }
+  
+  const score = (entropy / 8) * 10;
+  
+  return {
+    name: 'Entropy Analysis',
+    entropy: entropy.toFixed(2),
+    maxEntropy: 8.0,
+    score: score.toFixed(1),
+    description: `Image entropy: ${entropy.toFixed(2)} bits. High entropy indicates rich detail and authentic printing.`
+  };
+}
+
+/**
+ * 6. LAPLACIAN SHARPNESS
+ */
+export async function laplacianSharpness(ctx) {
+  const { width, height, gray } = ctx;
+  
+  const laplacian = [0, -1, 0, -1, 4, -1, 0, -1, 0];
+  let variance = 0;
+  let count = 0;
+  
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      let sum = 0;
+      
+      for (let ky = -1; ky <= 1; ky++) {
+        for (let kx = -1; kx <= 1; kx++) {
+          const idx = (y + ky) * width + (x + kx);
+          const ki = (ky + 1) * 3 + (kx + 1);
+          sum += gray[idx] * laplacian[ki];
+        }
+      }
+      
+      variance += sum * sum;
+      count++;
+    }
+  }
+  
+  variance = count > 0 ? variance / count : 0;
+  const score = Math.min(10, (variance / 1000) * 10);
+  
+  return {
+    name: 'Laplacian Sharpness',
+    variance: variance.toFixed(0),
+    score: score.toFixed(1),
+    description: `Sharpness variance: ${variance.toFixed(0)}. High sharpness indicates professional scanning.`
+  };
+}
+
+/**
+ * 7. HARRIS CORNER DETECTION
+ * Windowed structure tensor with non-maximum suppression; returns keypoints
+ * for registration and corner-wear checks.
+ * Options (ctx.options.harris): method ('harris' | 'shi-tomasi'), k, sigma,
+ * threshold (relative to the strongest response), nmsRadius, maxCorners
+ */
+export async function harrisCornerDetection(ctx) {
+  const { width, height, gray } = ctx;
+  const {
+    method = 'harris',
+    k = 0.04,
+    sigma = 1.5,
+    threshold = 0.01,
+    nmsRadius = 5,
+    maxCorners = 500
+  } = ctx.options.harris || {};
+  
+  const { keypoints, candidates } = detectCorners(gray, width, height, {
+    method, k, sigma, threshold, nmsRadius, maxCorners,
+    gradients: ctx.sobel
+  });
+  
+  const corners = keypoints.length;
+  const cornerDensity = (corners / (width * height)) * 10000;
+  const score = Math.min(10, cornerDensity);
+  
+  return {
+    name: 'Harris Corner Detection',
+    parameters: { method, k, sigma, threshold, nmsRadius, maxCorners },
+    corners,
+    candidates,
+    density: cornerDensity.toFixed(2),
+    keypoints: keypoints.map(p => ({ x: p.x, y: p.y, response: Number(p.response.toPrecision(4)) })),
+    score: score.toFixed(1),
+    description: `Detected ${corners} corner features${corners >= maxCorners ? ' (capped)' : ''}. Rich features indicate detailed artwork.`
+  };
+}
+
+/**
+ * 8. HOUGH LINE TRANSFORM
+ * Votes Canny edges into a ρ/θ accumulator, extracts peak lines and fits the
+ * four card borders. Miscut or trimmed cards show non-square corners or
+ * non-parallel opposite edges.
+ * Border geometry is taken from the card detection step when it ran
+ * (measuredOn: 'source'); detectedLines always come from the analyzed image.
+ * Options (ctx.options.hough): thetaResolution, threshold, maxLines
+ */
+export async function houghLineTransform(ctx) {
+  const { width, height } = ctx;
+  const { sigma, lowThreshold, highThreshold } = ctx.options.canny || {};
+  const { thetaResolution, threshold, maxLines } = ctx.options.hough || {};
+  
+  const { edges } = ctx.canny({ sigma, lowThreshold, highThreshold });
+  const lines = houghLines(edges, width, height, { thetaResolution, threshold, maxLines });
+  
+  // After perspective correction the card edge is the image edge, so the cut
+  // geometry comes from the border fit made on the source photo
+  const measuredOn = ctx.sourceBorders ? 'source' : 'image';
+  const borders = ctx.sourceBorders || findCardBorders(lines, width, height);
+  
+  const formatLine = (l) => ({
+    angle: l.angle.toFixed(2),
+    theta: l.theta.toFixed(2),
+    rho: l.rho.toFixed(1),
+    votes: l.votes,
+    orientation: l.orientation,
+    endpoints: l.endpoints
+  });
+  
+  if (!borders) {
+    return {
+      name: 'Hough Line Transform',
+      lines: lines.length,
+      detectedLines: lines.map(formatLine),
+      bordersFound: false,
+      score: '2.0',
+      description: `Detected ${lines.length} lines but could not fit four card borders. Retake the photo with the whole card in frame.`
+    };
+  }
+  
+  const maxParallelError = Math.max(borders.parallelism.horizontal, borders.parallelism.vertical);
+  const isRectangle = borders.maxCornerDeviation <= 1 && maxParallelError <= 1;
+  const score = Math.max(0, Math.min(10, 10 - borders.maxCornerDeviation * 2 - maxParallelError * 2));
+  
+  const round = (p) => ({ x: Math.round(p.x), y: Math.round(p.y) });
+  
+  return {
+    name: 'Hough Line Transform',
+    lines: lines.length,
+    detectedLines: lines.map(formatLine),
+    bordersFound: true,
+    measuredOn,
+    borders: {
+      top: formatLine(borders.lines.top),
+      right: formatLine(borders.lines.right),
+      bottom: formatLine(borders.lines.bottom),
+      left: formatLine(borders.lines.left)
+    },
+    corners: {
+      topLeft: round(borders.corners.topLeft),
+      topRight: round(borders.corners.topRight),
+      bottomRight: round(borders.corners.bottomRight),
+      bottomLeft: round(borders.corners.bottomLeft)
+    },
+    cornerAngles: Object.fromEntries(
+      Object.entries(borders.cornerAngles).map(([k, v]) => [k, v.toFixed(2)])
+    ),
+    skew: borders.skew.toFixed(2),
+    maxCornerDeviation: borders.maxCornerDeviation.toFixed(2),
+    parallelism: {
+      horizontal: borders.parallelism.horizontal.toFixed(2),
+      vertical: borders.parallelism.vertical.toFixed(2)
+    },
+    aspectRatio: borders.aspectRatio.toFixed(3),
+    isRectangle,
+    score: score.toFixed(1),
+    description: isRectangle
+      ? `Found all four borders, skew ${borders.skew.toFixed(1)}°, corners within ${borders.maxCornerDeviation.toFixed(1)}° of square. Straight borders indicate proper card cutting.`
+      : `Borders are not a true rectangle (corner deviation ${borders.maxCornerDeviation.toFixed(1)}°, edge parallelism ${maxParallelError.toFixed(1)}°). Possible miscut or trimmed card.`
+  };
+}
+
+// ============================================================================
+// EXPERT TIER CV ALGORITHMS (4)
+// ============================================================================
+
+/**
+ * 9. FFT PRINT-SCREEN DETECTION
+ * Photos of a monitor or phone screen carry the display's pixel grid, which
+ * shows up as strong, isolated high-frequency peaks on the spectrum axes.
+ */
+export async function fftPrintScreenDetection(ctx) {
+  const { power, size } = ctx.spectrum;
+  const peaks = findSpectralPeaks(power, size, { minRadius: size / 8 });
+
+  // Peaks within 3 degrees of the horizontal/vertical axes
+  const axisPeaks = peaks.filter(p => {
+    const folded = p.angle % 90;
+    return Math.min(folded, 90 - folded) <= 3;
+  });
+
+  const moireIndex = axisPeaks.reduce((a, p) => a + Math.log10(p.strength), 0);
+
+  // Halftone screens also produce peaks, but mostly off-axis (15/45/75 degrees)
+  const totalStrength = peaks.reduce((a, p) => a + p.strength, 0);
+  const axisShare = totalStrength > 0
+    ? axisPeaks.reduce((a, p) => a + p.strength, 0) / totalStrength
+    : 0;
+  const screenCaptureSuspected = axisPeaks.length >= 2 && moireIndex >= 3 && axisShare >= 0.6;
+  const score = Math.max(0, 10 - moireIndex * axisShare * 1.5);
+
+  return {
+    name: 'FFT Print-Screen Detection',
+    spectrumSize: size,
+    periodicPeaks: peaks.length,
+    axisAlignedPeaks: axisPeaks.length,
+    moireIndex: moireIndex.toFixed(2),
+    axisShare: axisShare.toFixed(2),
+    screenCaptureSuspected,
+    score: score.toFixed(1),
+    description: screenCaptureSuspected
+      ? `Found ${axisPeaks.length} axis-aligned periodic peaks (moiré index ${moireIndex.toFixed(1)}). Image looks like a photo of a screen, not a physical card.`
+      : `No display pixel grid found in the frequency domain (moiré index ${moireIndex.toFixed(1)}). Image is consistent with a photo of a physical card.`
+  };
+}
+
+/**
+ * 10. HALFTONE ROSETTE ANALYSIS
+ * Offset printing lays CMYK screens at different angles (typically 0/15/45/75
+ * degrees), producing several distinct periodic peaks in the spectrum.
+ */
+export async function halftoneRosetteAnalysis(ctx) {
+  const { power, size } = ctx.spectrum;
+  const peaks = findSpectralPeaks(power, size, { minContrast: 6 });
+
+  // A screen at angle θ also produces a peak at θ + 90, so group modulo 90
+  const screens = [];
+  for (const peak of peaks) {
+    const angle = peak.angle % 90;
+    const existing = screens.find(s => {
+      const d = Math.abs(s.angle - angle);
+      return Math.min(d, 90 - d) < 5;
+    });
+    if (existing) {
+      existing.peaks++;
+    } else {
+      screens.push({ angle, frequency: peak.frequency, strength: peak.strength, peaks: 1 });
+    }
+  }
+
+  const offAxisScreens = screens.filter(s => Math.min(s.angle, 90 - s.angle) >= 5);
+  const rosetteDetected = screens.length >= 2 && offAxisScreens.length >= 1;
+
+  let score;
+  let verdict;
+  if (rosetteDetected) {
+    score = 9;
+    verdict = 'CMYK rosette detected - consistent with offset printing.';
+  } else if (offAxisScreens.length === 1) {
+    score = 7;
+    verdict = 'Single angled screen detected - monochrome halftone area.';
+  } else if (screens.length > 0) {
+    score = 3;
+    verdict = 'Only axis-aligned patterns found - typical of inkjet/laser dither or a digital grid.';
+  } else {
+    score = 5;
+    verdict = 'Halftone not resolved at this resolution - use a closer photo.';
+  }
+
+  return {
+    name: 'Halftone Rosette Analysis',
+    screensDetected: screens.length,
+    screens: screens.map(s => ({
+      angle: s.angle.toFixed(1),
+      periodPx: (1 / s.frequency).toFixed(2),
+      strength: s.strength.toFixed(1)
+    })),
+    rosetteDetected,
+    score: score.toFixed(1),
+    description: `${screens.length} halftone screen angle(s) found. ${verdict}`
+  };
+}
+
+/**
+ * 11. NOISE RESIDUAL ANALYSIS
+ * Estimates sensor noise per channel (MAD of the high-pass residual) and how
+ * consistent it is across the image. Spliced or retouched regions carry a
+ * different noise level than the rest of the photo.
+ * Measured on the photo as decoded (ctx.source): the card warp interpolates
+ * pixels and smooths the sensor noise away.
+ */
+export async function noiseResidualAnalysis(ctx) {
+  const { source } = ctx;
+  const { data, width, height } = source;
+
+  const residuals = [0, 1, 2].map(channel => {
+    const plane = source.channel(channel);
+    const blurred = boxBlur3(plane, width, height);
+    const residual = new Float32Array(width * height);
+    for (let i = 0; i < residual.length; i++) {
+      residual[i] = plane[i] - blurred[i];
+    }
+    return residual;
+  });
+
+  // Robust noise sigma: 1.4826 * median(|r|)
+  const robustSigma = (values) => {
+    if (values.length === 0) return 0;
+    values.sort();
+    return 1.4826 * values[Math.floor(values.length / 2)];
+  };
+
+  const step = Math.max(1, Math.floor(Math.sqrt(width * height) / 500));
+  const channelSigma = residuals.map(residual => {
+    const values = [];
+    for (let y = 1; y < height - 1; y += step) {
+      for (let x = 1; x < width - 1; x += step) {
+        values.push(Math.abs(residual[y * width + x]));
+      }
+    }
+    return robustSigma(Float32Array.from(values));
+  });
+
+  // Inter-channel residual correlation (demosaicing correlates real camera noise)
+  const correlate = (a, b) => {
+    let sa = 0, sb = 0, sab = 0, saa = 0, sbb = 0, n = 0;
+    for (let i = 0; i < a.length; i += step) {
+      sa += a[i]; sb += b[i];
+      sab += a[i] * b[i]; saa += a[i] * a[i]; sbb += b[i] * b[i];
+      n++;
+    }
+    const cov = sab / n - (sa / n) * (sb / n);
+    const va = saa / n - (sa / n) ** 2;
+    const vb = sbb / n - (sb / n) ** 2;
+    return cov / (Math.sqrt(va * vb) || 1);
+  };
+
+  const correlations = {
+    rg: correlate(residuals[0], residuals[1]),
+    gb: correlate(residuals[1], residuals[2]),
+    rb: correlate(residuals[0], residuals[2])
+  };
+
+  // Block-level noise consistency on the averaged residual
+  const grid = 8;
+  const blockW = Math.floor(width / grid);
+  const blockH = Math.floor(height / grid);
+  const blockSigmas = [];
+
+  for (let by = 0; by < grid; by++) {
+    for (let bx = 0; bx < grid; bx++) {
+      const values = [];
+      for (let y = by * blockH + 1; y < (by + 1) * blockH - 1; y += step) {
+        for (let x = bx * blockW + 1; x < (bx + 1) * blockW - 1; x += step) {
+          const i = y * width + x;
+          const lum = data[i * 4] + data[i * 4 + 1] + data[i * 4 + 2];
+          // Clipped pixels carry no noise
+          if (lum < 30 || lum > 735) continue;
+          values.push(Math.abs((residuals[0][i] + residuals[1][i] + residuals[2][i]) / 3));
+        }
+      }
+      if (values.length > 50) blockSigmas.push(robustSigma(Float32Array.from(values)));
+    }
+  }
+
+  const meanSigma = blockSigmas.reduce((a, b) => a + b, 0) / (blockSigmas.length || 1);
+  const sigmaVar = blockSigmas.reduce((a, b) => a + (b - meanSigma) ** 2, 0) / (blockSigmas.length || 1);
+  const inconsistency = meanSigma > 0 ? Math.sqrt(sigmaVar) / meanSigma : 0;
+  const score = Math.max(0, Math.min(10, 10 - inconsistency * 8));
+
+  return {
+    name: 'Noise Residual Analysis',
+    channelNoise: {
+      r: channelSigma[0].toFixed(2),
+      g: channelSigma[1].toFixed(2),
+      b: channelSigma[2].toFixed(2)
+    },
+    channelCorrelation: {
+      rg: correlations.rg.toFixed(3),
+      gb: correlations.gb.toFixed(3),
+      rb: correlations.rb.toFixed(3)
+    },
+    blocksAnalyzed: blockSigmas.length,
+    inconsistency: inconsistency.toFixed(3),
+    score: score.toFixed(1),
+    description: `Noise level R/G/B: ${channelSigma.map(s => s.toFixed(1)).join('/')}, block inconsistency ${(inconsistency * 100).toFixed(0)}%. Uniform noise indicates a single unedited capture.`
+  };
+}
+
+/**
+ * 12. PRINT METHOD ANALYSIS
+ * Screen ruling and angle per ink (CMYK) from the FFT and autocorrelation of
+ * close-up macro photos, classified as offset (genuine), laser or inkjet.
+ * Without macros the normalized card is used, which rarely resolves the dots.
+ * Options (ctx.options.printMethod): pixelsPerMm (macro scale, for ruling in lpi)
+ */
+export async function printMethodAnalysis(ctx) {
+  const { pixelsPerMm = null } = ctx.options.printMethod || {};
+  const input = ctx.macros.length > 0 ? 'macro' : 'card';
+  const sources = input === 'macro' ? ctx.macros : [{ data: ctx.data, width: ctx.width, height: ctx.height, pixelsPerMm: null }];
+  
+  const readings = sources.map(source => classifyPrint(source, { pixelsPerMm: source.pixelsPerMm ?? pixelsPerMm }));
+  
+  // Confidence-weighted vote across macros; unresolved ones abstain
+  const votes = {};
+  for (const reading of readings) {
+    if (reading.process !== 'unresolved') votes[reading.process] = (votes[reading.process] || 0) + reading.confidence;
+  }
+  const totalVotes = Object.values(votes).reduce((a, v) => a + v, 0);
+  const winner = Object.keys(votes).reduce((a, p) => (!a || votes[p] > votes[a] ? p : a), null);
+  const process = winner || 'unresolved';
+  const agreeing = readings.filter(r => r.process === process);
+  const confidence = winner
+    ? votes[winner] / totalVotes * agreeing.reduce((a, r) => a + r.confidence, 0) / agreeing.length
+    : 0;
+  
+  const disagreeing = readings.filter(r => r.process !== process && r.process !== 'unresolved').length;
+  const score = process === 'offset' ? 5 + 4.5 * confidence
+    : process === 'unresolved' ? 5
+    : 5 - 4.5 * confidence;
+  const formatScreen = (s) => s.present ? {
+    coverage: s.coverage.toFixed(2),
+    periodicity: s.periodicity.toFixed(2),
+    periodPx: s.periodPx === null ? null : s.periodPx.toFixed(2),
+    angle: s.angle === null ? null : s.angle.toFixed(1),
+    lpi: s.lpi === null ? null : s.lpi.toFixed(0)
+  } : null;
+  
+  return {
+    name: 'Print Method Analysis',
+    input,
+    macrosAnalyzed: ctx.macros.length,
+    printProcess: process,
+    confidence: confidence.toFixed(2),
+    readings: readings.map(r => ({
+      process: r.process,
+      confidence: r.confidence.toFixed(2),
+      screenAngles: r.angles.map(a => a.toFixed(1)),
+      ruling: r.ruling === null ? null : r.ruling.toFixed(0),
+      inks: Object.fromEntries(Object.entries(r.screens).map(([ink, s]) => [ink, formatScreen(s)])),
+      reason: r.reason
+    })),
+    score: score.toFixed(1),
+    description: process === 'unresolved'
+      ? `Print dots not resolved${input === 'card' ? ' in the card photo; send close-up macro photos in macros' : ' in the macro photos; shoot closer or sharper'}.`
+      : `${process === 'offset' ? 'Offset (CMYK rosette)' : process === 'laser' ? 'Laser' : 'Inkjet'} printing, confidence ${(confidence * 100).toFixed(0)}%. ${readings.find(r => r.process === process).reason}.${disagreeing > 0 ? ` ${disagreeing} of ${readings.length} macros disagree - check each photo shows the same card.` : ''} Genuine cards are offset printed.`
+  };
+}
+
+// ============================================================================
+// ENTERPRISE TIER CV ALGORITHMS (3)
+// ============================================================================
+
+/**
+ * 13. ERROR LEVEL ANALYSIS
+ * Re-encodes the image as JPEG and measures how much each block changes.
+ * Regions pasted in from another source recompress differently.
+ * Runs on ctx.source, since a resampled card always recompresses unevenly.
+ */
+export async function errorLevelAnalysis(ctx) {
+  const { data, width, height } = ctx.source;
+
+  const jpeg = await sharp(Buffer.from(data.buffer, data.byteOffset, data.length), {
+    raw: { width, height, channels: 4 }
+  })
+    .jpeg({ quality: 90 })
+    .toBuffer();
+
+  const { data: recompressed } = await sharp(jpeg)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const grid = 16;
+  const blockW = Math.floor(width / grid);
+  const blockH = Math.floor(height / grid);
+  const blockErrors = [];
+  let totalError = 0;
+
+  for (let by = 0; by < grid; by++) {
+    for (let bx = 0; bx < grid; bx++) {
+      let sum = 0, count = 0;
+      for (let y = by * blockH; y < (by + 1) * blockH; y++) {
+        for (let x = bx * blockW; x < (bx + 1) * blockW; x++) {
+          const idx = (y * width + x) * 4;
+          sum += Math.abs(data[idx] - recompressed[idx]) +
+                 Math.abs(data[idx + 1] - recompressed[idx + 1]) +
+                 Math.abs(data[idx + 2] - recompressed[idx + 2]);
+          count++;
+        }
+      }
+      const blockError = count > 0 ? sum / (count * 3) : 0;
+      blockErrors.push(blockError);
+      totalError += blockError;
+    }
+  }
+
+  const meanError = totalError / blockErrors.length;
+  const sorted = [...blockErrors].sort((a, b) => a - b);
+  const medianError = sorted[Math.floor(sorted.length / 2)];
+  const maxError = sorted[sorted.length - 1];
+  const suspiciousBlocks = blockErrors.filter(e => e > Math.max(medianError * 2.5, 1)).length;
+  const score = Math.max(0, 10 - (suspiciousBlocks / blockErrors.length) * 50);
+
+  return {
+    name: 'Error Level Analysis',
+    meanError: meanError.toFixed(2),
+    maxBlockError: maxError.toFixed(2),
+    suspiciousBlocks,
+    totalBlocks: blockErrors.length,
+    score: score.toFixed(1),
+    description: `${suspiciousBlocks}/${blockErrors.length} blocks recompress abnormally (mean error ${meanError.toFixed(1)}). Even error levels indicate an unedited image.`
+  };
+}
+
+/**
+ * 14. CHANNEL MISREGISTRATION
+ * Finds the pixel offset that best aligns the red and blue edge maps to green.
+ * Offset presses keep plates in register; cheap reprints and composites often don't.
+ */
+export async function channelMisregistration(ctx) {
+  const { data, width, height } = ctx;
+
+  // Work on a central crop to bound the cost of the shift search
+  const size = Math.min(512, width, height);
+  const x0 = Math.floor((width - size) / 2);
+  const y0 = Math.floor((height - size) / 2);
+
+  const gradientPlane = (channel) => {
+    const plane = new Float32Array(size * size);
+    for (let y = 1; y < size - 1; y++) {
+      for (let x = 1; x < size - 1; x++) {
+        const at = (dx, dy) => data[((y0 + y + dy) * width + (x0 + x + dx)) * 4 + channel];
+        const gx = at(1, 0) - at(-1, 0);
+        const gy = at(0, 1) - at(0, -1);
+        plane[y * size + x] = Math.sqrt(gx * gx + gy * gy);
+      }
+    }
+    return plane;
+  };
+
+  const green = gradientPlane(1);
+  const maxShift = 3;
+
+  const bestShift = (plane) => {
+    let best = { dx: 0, dy: 0, correlation: -Infinity };
+    for (let dy = -maxShift; dy <= maxShift; dy++) {
+      for (let dx = -maxShift; dx <= maxShift; dx++) {
+        let sab = 0, saa = 0, sbb = 0;
+        for (let y = maxShift + 1; y < size - maxShift - 1; y++) {
+          for (let x = maxShift + 1; x < size - maxShift - 1; x++) {
+            const a = green[y * size + x];
+            const b = plane[(y + dy) * size + (x + dx)];
+            sab += a * b; saa += a * a; sbb += b * b;
+          }
+        }
+        const correlation = sab / (Math.sqrt(saa * sbb) || 1);
+        if (correlation > best.correlation) best = { dx, dy, correlation };
+      }
+    }
+    return best;
+  };
+
+  const red = bestShift(gradientPlane(0));
+  const blue = bestShift(gradientPlane(2));
+  const misregistration = Math.max(Math.hypot(red.dx, red.dy), Math.hypot(blue.dx, blue.dy));
+  const score = Math.max(0, 10 - misregistration * 2.5);
+
+  return {
+    name: 'Channel Misregistration',
+    redOffset: { dx: red.dx, dy: red.dy, correlation: red.correlation.toFixed(3) },
+    blueOffset: { dx: blue.dx, dy: blue.dy, correlation: blue.correlation.toFixed(3) },
+    misregistration: misregistration.toFixed(2),
+    score: score.toFixed(1),
+    description: `Max channel offset ${misregistration.toFixed(1)}px. Tight registration indicates professional offset printing.`
+  };
+}
+
+/**
+ * 15. JPEG BLOCK ARTIFACT ANALYSIS
+ * Measures 8x8 blocking and where the block grid sits. A grid that doesn't
+ * start at the image origin means the photo was cropped or re-saved after
+ * an earlier JPEG compression.
+ * The grid only lines up in the photo as decoded (ctx.source), not after
+ * the card was cropped and warped.
+ */
+export async function jpegBlockArtifactAnalysis(ctx) {
+  const { width, height, gray } = ctx.source;
+
+  const colDiff = new Float64Array(8);
+  const rowDiff = new Float64Array(8);
+
+  for (let y = 0; y < height - 1; y++) {
+    for (let x = 0; x < width - 1; x++) {
+      const v = gray[y * width + x];
+      colDiff[x % 8] += Math.abs(gray[y * width + x + 1] - v);
+      rowDiff[y % 8] += Math.abs(gray[(y + 1) * width + x] - v);
+    }
+  }
+
+  // Ratio of the strongest phase to the mean of the other seven
+  const blockiness = (diffs) => {
+    let best = 0;
+    for (let k = 1; k < 8; k++) if (diffs[k] > diffs[best]) best = k;
+    const others = (diffs.reduce((a, b) => a + b, 0) - diffs[best]) / 7;
+    return { offset: best, ratio: others > 0 ? diffs[best] / others : 1 };
+  };
+
+  const horizontal = blockiness(colDiff);
+  const vertical = blockiness(rowDiff);
+  const ratio = Math.max(horizontal.ratio, vertical.ratio);
+
+  // Block boundaries fall between pixel 7 and 8 of each block
+  const blockingPresent = ratio > 1.05;
+  const gridAligned = !blockingPresent || (horizontal.offset === 7 && vertical.offset === 7);
+
+  let score;
+  if (!blockingPresent) {
+    score = 10;
+  } else if (gridAligned) {
+    score = Math.max(5, 10 - (ratio - 1) * 10);
+  } else {
+    score = Math.max(0, 10 - (ratio - 1) * 30);
+  }
+
+  return {
+    name: 'JPEG Block Artifact Analysis',
+    blockiness: ratio.toFixed(3),
+    gridOffset: { x: (horizontal.offset + 1) % 8, y: (vertical.offset + 1) % 8 },
+    gridAligned,
+    score: score.toFixed(1),
+    description: blockingPresent
+      ? `JPEG blocking ${((ratio - 1) * 100).toFixed(0)}% above baseline, grid ${gridAligned ? 'aligned' : 'shifted - image was cropped or re-saved after compression'}.`
+      : 'No JPEG block grid detected. Image has not been heavily recompressed.'
+  };
+}
+
+// ============================================================================
+// TIER REGISTRY
+// ============================================================================
+
+/**
+ * Algorithm sets per tier. Each tier runs its own set plus every set below it.
+ */
+export const CV_TIERS = ['pro', 'expert', 'enterprise'];
+
+export const TIER_ALGORITHMS = {
+  pro: [
+    cannyEdgeDetection,
+    labColorDeltaE,
+    localBinaryPatterns,
+    histogramOfGradients,
+    entropyAnalysis,
+    laplacianSharpness,
+    harrisCornerDetection,
+    houghLineTransform
+  ],
+  expert: [
+    fftPrintScreenDetection,
+    halftoneRosetteAnalysis,
+    noiseResidualAnalysis,
+    printMethodAnalysis
+  ],
+  enterprise: [
+    errorLevelAnalysis,
+    channelMisregistration,
+    jpegBlockArtifactAnalysis
+  ]
+};
+
+export const TOTAL_ALGORITHMS = CV_TIERS.reduce((a, t) => a + TIER_ALGORITHMS[t].length, 0);
@@ -0,0 +1,135 @@
+import { sobelGradients } from './image.js';
+
+/**
+ * Separable Gaussian blur of a single plane (edges are clamped)
+ */
+export function gaussianBlur(plane, width, height, sigma) {
+  const radius = Math.max(1, Math.ceil(sigma * 3));
+  const kernel = new Float32Array(radius * 2 + 1);
+  let kernelSum = 0;
+  for (let i = -radius; i <= radius; i++) {
+    kernel[i + radius] = Math.exp(-(i * i) / (2 * sigma * sigma));
+    kernelSum += kernel[i + radius];
+  }
+  for (let i = 0; i < kernel.length; i++) kernel[i] /= kernelSum;
+
+  const temp = new Float32Array(width * height);
+  const out = new Float32Array(width * height);
+
+  // Horizontal pass
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        const sx = Math.min(width - 1, Math.max(0, x + k));
+        sum += plane[y * width + sx] * kernel[k + radius];
+      }
+      temp[y * width + x] = sum;
+    }
+  }
+
+  // Vertical pass
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        const sy = Math.min(height - 1, Math.max(0, y + k));
+        sum += temp[sy * width + x] * kernel[k + radius];
+      }
+      out[y * width + x] = sum;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Canny edge detector: Gaussian smoothing, Sobel gradients, non-maximum
+ * suppression and hysteresis thresholding.
+ * Returns a binary edge map (255 = edge) plus the intermediate gradients.
+ */
+export function canny(gray, width, height, options = {}) {
+  const {
+    sigma = 1.4,
+    lowThreshold = 50,
+    highThreshold = 150
+  } = options;
+
+  const smoothed = sigma > 0 ? gaussianBlur(gray, width, height, sigma) : gray;
+  const { gx, gy, magnitude } = sobelGradients(smoothed, width, height);
+
+  // Non-maximum suppression along the quantized gradient direction
+  const thin = new Float32Array(width * height);
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const mag = magnitude[i];
+      if (mag < lowThreshold) continue;
+
+      let angle = Math.atan2(gy[i], gx[i]) * 180 / Math.PI;
+      if (angle < 0) angle += 180;
+
+      let n1, n2;
+      if (angle < 22.5 || angle >= 157.5) {
+        n1 = magnitude[i - 1];
+        n2 = magnitude[i + 1];
+      } else if (angle < 67.5) {
+        // Rows grow downwards, so a gradient in this sector points down-right
+        n1 = magnitude[i - width - 1];
+        n2 = magnitude[i + width + 1];
+      } else if (angle < 112.5) {
+        n1 = magnitude[i - width];
+        n2 = magnitude[i + width];
+      } else {
+        n1 = magnitude[i - width + 1];
+        n2 = magnitude[i + width - 1];
+      }
+
+      if (mag >= n1 && mag >= n2) thin[i] = mag;
+    }
+  }
+
+  // Hysteresis: keep weak edges only when connected to a strong one
+  const edges = new Uint8Array(width * height);
+  const stack = [];
+  let strongPixels = 0;
+
+  for (let i = 0; i < thin.length; i++) {
+    if (thin[i] >= highThreshold) {
+      edges[i] = 255;
+      stack.push(i);
+      strongPixels++;
+    }
+  }
+
+  while (stack.length > 0) {
+    const i = stack.pop();
+    const x = i % width;
+    const y = (i - x) / width;
+
+    for (let ky = -1; ky <= 1; ky++) {
+      for (let kx = -1; kx <= 1; kx++) {
+        const nx = x + kx, ny = y + ky;
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+        const j = ny * width + nx;
+        if (!edges[j] && thin[j] >= lowThreshold) {
+          edges[j] = 255;
+          stack.push(j);
+        }
+      }
+    }
+  }
+
+  let edgePixels = 0;
+  for (let i = 0; i < edges.length; i++) if (edges[i]) edgePixels++;
+
+  return {
+    edges,
+    gx,
+    gy,
+    magnitude,
+    edgePixels,
+    strongPixels,
+    weakPixels: edgePixels - strongPixels
+  };
+}
@@ -0,0 +1,110 @@
+import { sobelGradients } from './image.js';
+import { gaussianBlur } from './edges.js';
+
+/**
+ * Harris / Shi-Tomasi corner detector.
+ * Builds the structure tensor from Sobel gradients, integrates it over a
+ * Gaussian window, scores each pixel and keeps the strongest well-separated
+ * local maxima.
+ *
+ * threshold is relative to the strongest response (like OpenCV's qualityLevel).
+ * Pass precomputed { gx, gy } as `gradients` to skip the Sobel pass.
+ */
+export function detectCorners(gray, width, height, options = {}) {
+  const {
+    method = 'harris',
+    k = 0.04,
+    sigma = 1.5,
+    threshold = 0.01,
+    nmsRadius = 5,
+    maxCorners = 500,
+    gradients = null
+  } = options;
+
+  const { gx, gy } = gradients || sobelGradients(gray, width, height);
+
+  const n = width * height;
+  const ixx = new Float32Array(n);
+  const iyy = new Float32Array(n);
+  const ixy = new Float32Array(n);
+  for (let i = 0; i < n; i++) {
+    ixx[i] = gx[i] * gx[i];
+    iyy[i] = gy[i] * gy[i];
+    ixy[i] = gx[i] * gy[i];
+  }
+
+  // Windowed structure tensor M = G_σ * [Ix², IxIy; IxIy, Iy²]
+  const sxx = gaussianBlur(ixx, width, height, sigma);
+  const syy = gaussianBlur(iyy, width, height, sigma);
+  const sxy = gaussianBlur(ixy, width, height, sigma);
+
+  const response = new Float32Array(n);
+  let maxResponse = 0;
+  for (let i = 0; i < n; i++) {
+    const a = sxx[i], b = sxy[i], c = syy[i];
+    const trace = a + c;
+    let r;
+    if (method === 'shi-tomasi') {
+      // Smaller eigenvalue of M
+      r = trace / 2 - Math.sqrt(((a - c) * (a - c)) / 4 + b * b);
+    } else {
+      r = a * c - b * b - k * trace * trace;
+    }
+    response[i] = r;
+    if (r > maxResponse) maxResponse = r;
+  }
+
+  if (maxResponse <= 0) return { keypoints: [], maxResponse: 0, candidates: 0 };
+
+  // 3x3 local maxima above the relative threshold
+  const minResponse = maxResponse * threshold;
+  const margin = Math.max(2, Math.ceil(sigma * 3));
+  const candidates = [];
+  for (let y = margin; y < height - margin; y++) {
+    for (let x = margin; x < width - margin; x++) {
+      const i = y * width + x;
+      const r = response[i];
+      if (r < minResponse) continue;
+      if (
+        r >= response[i - 1] && r >= response[i + 1] &&
+        r >= response[i - width] && r >= response[i + width] &&
+        r >= response[i - width - 1] && r >= response[i - width + 1] &&
+        r >= response[i + width - 1] && r >= response[i + width + 1]
+      ) {
+        candidates.push({ x, y, response: r });
+      }
+    }
+  }
+
+  // Greedy non-maximum suppression: strongest first, nothing closer than nmsRadius
+  candidates.sort((a, b) => b.response - a.response);
+  const cell = Math.max(1, nmsRadius);
+  const gridW = Math.ceil(width / cell);
+  const grid = new Map();
+  const keypoints = [];
+
+  for (const c of candidates) {
+    const cx = Math.floor(c.x / cell);
+    const cy = Math.floor(c.y / cell);
+    let suppressed = false;
+
+    for (let dy = -1; dy <= 1 && !suppressed; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const bucket = grid.get((cy + dy) * gridW + (cx + dx));
+        if (bucket && bucket.some(p => (p.x - c.x) ** 2 + (p.y - c.y) ** 2 < nmsRadius * nmsRadius)) {
+          suppressed = true;
+          break;
+        }
+      }
+    }
+    if (suppressed) continue;
+
+    const key = cy * gridW + cx;
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(c);
+    keypoints.push(c);
+    if (keypoints.length >= maxCorners) break;
+  }
+
+  return { keypoints, maxResponse, candidates: candidates.length };
+}
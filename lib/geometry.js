@@ -0,0 +1,172 @@
+/**
+ * Planar geometry helpers: homographies and perspective warping.
+ * Homographies are row-major 3x3 matrices stored as flat 9-element arrays.
+ */
+
+/**
+ * Solve A·x = b in place with Gaussian elimination (partial pivoting).
+ * Returns null for singular systems.
+ */
+function solveLinear(A, b) {
+  const n = b.length;
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) pivot = row;
+    }
+    if (Math.abs(A[pivot][col]) < 1e-12) return null;
+
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    [b[col], b[pivot]] = [b[pivot], b[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const f = A[row][col] / A[col][col];
+      for (let k = col; k < n; k++) A[row][k] -= f * A[col][k];
+      b[row] -= f * b[col];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = b[row];
+    for (let k = row + 1; k < n; k++) sum -= A[row][k] * x[k];
+    x[row] = sum / A[row][row];
+  }
+  return x;
+}
+
+/**
+ * Similarity transform that moves points to their centroid and scales them to
+ * a mean distance of √2 (Hartley normalization, keeps the DLT well conditioned)
+ */
+function normalizationTransform(points) {
+  const cx = points.reduce((a, p) => a + p.x, 0) / points.length;
+  const cy = points.reduce((a, p) => a + p.y, 0) / points.length;
+  const meanDist = points.reduce((a, p) => a + Math.hypot(p.x - cx, p.y - cy), 0) / points.length;
+  const s = meanDist > 0 ? Math.SQRT2 / meanDist : 1;
+  return [s, 0, -s * cx, 0, s, -s * cy, 0, 0, 1];
+}
+
+/**
+ * Homography mapping src points onto dst points ({ x, y } arrays, 4 or more pairs).
+ * Exact for 4 points, least squares for more. Returns null when degenerate.
+ */
+export function solveHomography(src, dst) {
+  if (src.length < 4 || src.length !== dst.length) return null;
+
+  const Ts = normalizationTransform(src);
+  const Td = normalizationTransform(dst);
+  const srcN = src.map(p => applyHomography(Ts, p.x, p.y));
+  const dstN = dst.map(p => applyHomography(Td, p.x, p.y));
+
+  // Normal equations of the DLT system with h33 fixed to 1
+  const AtA = Array.from({ length: 8 }, () => new Array(8).fill(0));
+  const Atb = new Array(8).fill(0);
+
+  const addRow = (row, value) => {
+    for (let i = 0; i < 8; i++) {
+      Atb[i] += row[i] * value;
+      for (let j = 0; j < 8; j++) AtA[i][j] += row[i] * row[j];
+    }
+  };
+
+  for (let i = 0; i < srcN.length; i++) {
+    const { x, y } = srcN[i];
+    const { x: u, y: v } = dstN[i];
+    addRow([x, y, 1, 0, 0, 0, -u * x, -u * y], u);
+    addRow([0, 0, 0, x, y, 1, -v * x, -v * y], v);
+  }
+
+  const h = solveLinear(AtA, Atb);
+  if (!h || h.some(v => !Number.isFinite(v))) return null;
+
+  // Undo the normalization: H = Td⁻¹ · Hn · Ts
+  const TdInv = invertHomography(Td);
+  return multiplyHomography(TdInv, multiplyHomography([...h, 1], Ts));
+}
+
+/**
+ * Map a point through a homography
+ */
+export function applyHomography(H, x, y) {
+  const w = H[6] * x + H[7] * y + H[8];
+  return {
+    x: (H[0] * x + H[1] * y + H[2]) / w,
+    y: (H[3] * x + H[4] * y + H[5]) / w
+  };
+}
+
+/**
+ * Inverse of a homography (null when singular)
+ */
+export function invertHomography(H) {
+  const [a, b, c, d, e, f, g, h, i] = H;
+  const A = e * i - f * h;
+  const B = -(d * i - f * g);
+  const C = d * h - e * g;
+  const det = a * A + b * B + c * C;
+  if (Math.abs(det) < 1e-12) return null;
+
+  const inv = [
+    A, -(b * i - c * h), b * f - c * e,
+    B, a * i - c * g, -(a * f - c * d),
+    C, -(a * h - b * g), a * e - b * d
+  ].map(v => v / det);
+
+  // Keep h33 = 1 for readability
+  return inv.map(v => v / inv[8]);
+}
+
+/**
+ * Compose two homographies: first apply B, then A
+ */
+export function multiplyHomography(A, B) {
+  const out = new Array(9).fill(0);
+  for (let r = 0; r < 3; r++) {
+    for (let c = 0; c < 3; c++) {
+      for (let k = 0; k < 3; k++) out[r * 3 + c] += A[r * 3 + k] * B[k * 3 + c];
+    }
+  }
+  return out.map(v => v / out[8]);
+}
+
+/**
+ * Warp RGBA data into an outWidth x outHeight image.
+ * `H` maps output coordinates to source coordinates. Pixels that fall
+ * outside the source are filled with `background`.
+ */
+export function warpPerspective(data, width, height, H, outWidth, outHeight, background = [255, 255, 255, 255]) {
+  const out = new Uint8ClampedArray(outWidth * outHeight * 4);
+
+  for (let y = 0; y < outHeight; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      const o = (y * outWidth + x) * 4;
+      const w = H[6] * x + H[7] * y + H[8];
+      const sx = (H[0] * x + H[1] * y + H[2]) / w;
+      const sy = (H[3] * x + H[4] * y + H[5]) / w;
+
+      if (sx < 0 || sy < 0 || sx > width - 1 || sy > height - 1) {
+        out[o] = background[0];
+        out[o + 1] = background[1];
+        out[o + 2] = background[2];
+        out[o + 3] = background[3];
+        continue;
+      }
+
+      // Bilinear interpolation
+      const x0 = Math.floor(sx), y0 = Math.floor(sy);
+      const x1 = Math.min(x0 + 1, width - 1), y1 = Math.min(y0 + 1, height - 1);
+      const fx = sx - x0, fy = sy - y0;
+      const i00 = (y0 * width + x0) * 4, i10 = (y0 * width + x1) * 4;
+      const i01 = (y1 * width + x0) * 4, i11 = (y1 * width + x1) * 4;
+
+      for (let c = 0; c < 4; c++) {
+        const top = data[i00 + c] * (1 - fx) + data[i10 + c] * fx;
+        const bottom = data[i01 + c] * (1 - fx) + data[i11 + c] * fx;
+        out[o + c] = top * (1 - fy) + bottom * fy;
+      }
+    }
+  }
+
+  return out;
+}
@@ -0,0 +1,129 @@
+import { parseLabelledCertPage } from './cert-parser.js';
+
+/**
+ * Cert page parsers for Beckett (BGS), CGC and SGC: each grader's label map
+ * on top of the generic label/value cert parser.
+ */
+
+const BGS_LABELS = {
+  'cert number': 'certNumber',
+  'cert #': 'certNumber',
+  'serial number': 'certNumber',
+  'item id': 'certNumber',
+  'set name': 'brand',
+  'set': 'brand',
+  'player name': 'subject',
+  'card name': 'subject',
+  'card number': 'cardNumber',
+  'card key': 'cardNumber',
+  'year': 'year',
+  'sport': 'category',
+  'category': 'category',
+  'variety': 'variety',
+  'final grade': 'grade',
+  'overall grade': 'grade',
+  'grade': 'grade',
+  'autograph grade': 'autographGrade',
+  'auto grade': 'autographGrade',
+  'label': 'labelType',
+  'label type': 'labelType',
+  'centering': 'subgrades.centering',
+  'centering grade': 'subgrades.centering',
+  'corners': 'subgrades.corners',
+  'corner grade': 'subgrades.corners',
+  'corners grade': 'subgrades.corners',
+  'edges': 'subgrades.edges',
+  'edge grade': 'subgrades.edges',
+  'edges grade': 'subgrades.edges',
+  'surface': 'subgrades.surface',
+  'surfaces': 'subgrades.surface',
+  'surface grade': 'subgrades.surface',
+  'surfaces grade': 'subgrades.surface',
+  'population': 'population',
+  'pop': 'population'
+};
+
+const CGC_LABELS = {
+  'cert #': 'certNumber',
+  'cert number': 'certNumber',
+  'certification number': 'certNumber',
+  'card name': 'subject',
+  'name': 'subject',
+  'game': 'category',
+  'category': 'category',
+  'year': 'year',
+  'card set': 'brand',
+  'set': 'brand',
+  'set name': 'brand',
+  'card number': 'cardNumber',
+  'number': 'cardNumber',
+  'language': 'language',
+  'variant': 'variety',
+  'variety': 'variety',
+  'grade': 'grade',
+  'autograph grade': 'autographGrade',
+  'signature grade': 'autographGrade',
+  'label': 'labelType',
+  'label type': 'labelType',
+  'centering': 'subgrades.centering',
+  'corners': 'subgrades.corners',
+  'edges': 'subgrades.edges',
+  'surface': 'subgrades.surface',
+  'population': 'population',
+  'pop': 'population',
+  'population higher': 'popHigher',
+  'pop higher': 'popHigher'
+};
+
+const SGC_LABELS = {
+  'cert #': 'certNumber',
+  'cert number': 'certNumber',
+  'cert code': 'certNumber',
+  'year': 'year',
+  'set': 'brand',
+  'set name': 'brand',
+  'manufacturer/set': 'brand',
+  'player': 'subject',
+  'name': 'subject',
+  'card name': 'subject',
+  'subject': 'subject',
+  'card number': 'cardNumber',
+  'card #': 'cardNumber',
+  'number': 'cardNumber',
+  'sport': 'category',
+  'category': 'category',
+  'variety': 'variety',
+  'grade': 'grade',
+  'card grade': 'grade',
+  'autograph grade': 'autographGrade',
+  'auto grade': 'autographGrade',
+  'population': 'population',
+  'pop': 'population',
+  'population higher': 'popHigher',
+  'pop higher': 'popHigher'
+};
+
+// Card images on CGC's cert image host
+const CGC_IMAGE_PATTERN = /https:\/\/[\w.-]*cgccards\.com\/[^\s"')<>]*certimages?\/[^\s"')<>]+?\.(?:jpg|jpeg|png|webp)/gi;
+
+/**
+ * Beckett (BGS) cert page. A card with all four subgrades at 10 is reported
+ * with labelType 'Black Label' when the page does not name the label.
+ */
+export function parseBGSCertPage(page = {}) {
+  const parsed = parseLabelledCertPage(page, { labels: BGS_LABELS });
+  const { subgrades } = parsed;
+  if (!parsed.labelType && subgrades && Object.keys(subgrades).length === 4 &&
+      Object.values(subgrades).every(value => value === 10)) {
+    parsed.labelType = 'Black Label';
+  }
+  return parsed;
+}
+
+export function parseCGCCertPage(page = {}) {
+  return parseLabelledCertPage(page, { labels: CGC_LABELS, imagePattern: CGC_IMAGE_PATTERN });
+}
+
+export function parseSGCCertPage(page = {}) {
+  return parseLabelledCertPage(page, { labels: SGC_LABELS });
+}
@@ -0,0 +1,105 @@
+import {
+  createReferenceChain,
+  parseSourceOrder,
+  cacheSource,
+  catalogueSource,
+  officialApiSource,
+  firecrawlSource,
+  psaCertUrl
+} from './reference-sources.js';
+import { parseBGSCertPage, parseCGCCertPage, parseSGCCertPage } from './grader-parsers.js';
+
+/**
+ * Grading-company providers.
+ *
+ * A provider normalizes cert numbers, knows its public cert page and
+ * resolves certs through a reference chain into the uniform cert schema
+ * (see referenceResult), so PSA, BGS, CGC and SGC slabs flow through the
+ * same comparison code. Cert page URLs can be overridden with
+ * <GRADER>_CERT_URL, using {cert} as the placeholder.
+ */
+
+const digitsOnly = (raw) => String(raw || '').replace(/[^0-9]/g, '');
+const digitsAndDashes = (raw) => String(raw || '').replace(/[^0-9-]/g, '');
+
+export const GRADER_DEFINITIONS = {
+  PSA: {
+    name: 'Professional Sports Authenticator',
+    normalizeCertNumber: digitsOnly,
+    certUrl: psaCertUrl
+  },
+  BGS: {
+    name: 'Beckett Grading Services',
+    normalizeCertNumber: digitsOnly,
+    certUrl: (cert) => `https://www.beckett.com/grading/card-lookup?item_type=BGS&item_id=${cert}`,
+    parse: parseBGSCertPage,
+    subgrades: true
+  },
+  CGC: {
+    name: 'CGC Trading Cards',
+    normalizeCertNumber: digitsAndDashes,
+    certUrl: (cert) => `https://www.cgccards.com/certlookup/${cert}/`,
+    parse: parseCGCCertPage
+  },
+  SGC: {
+    name: 'Sportscard Guaranty',
+    normalizeCertNumber: digitsAndDashes,
+    certUrl: (cert) => `https://gosgc.com/cert-code-lookup?certCode=${cert}`,
+    parse: parseSGCCertPage
+  }
+};
+
+// Aliases accepted in routes and request bodies
+const GRADER_ALIASES = { BECKETT: 'BGS', BVG: 'BGS' };
+
+export function graderId(value) {
+  const id = String(value || 'PSA').trim().toUpperCase();
+  return GRADER_ALIASES[id] || id;
+}
+
+/**
+ * Build one provider per grader. PSA keeps its full source chain (cache,
+ * catalogue, official API, Firecrawl); the others resolve from cache,
+ * catalogue and a Firecrawl scrape of their cert page. PSA cache keys are
+ * bare cert numbers, the others are prefixed ('BGS:0012345678').
+ */
+export function createGraderProviders({ cache, catalogue, psaApiToken, firecrawlApiKey, psaSourceOrder, env = {} }) {
+  const providers = {};
+
+  for (const [id, definition] of Object.entries(GRADER_DEFINITIONS)) {
+    const template = env[`${id}_CERT_URL`];
+    const certUrl = template ? (cert) => template.replace('{cert}', cert) : definition.certUrl;
+    const cacheKey = id === 'PSA' ? (cert) => cert : (cert) => `${id}:${cert}`;
+
+    const sources = [cacheSource(cache, cacheKey), catalogueSource(catalogue, id)];
+    if (id === 'PSA') sources.push(officialApiSource(psaApiToken));
+    sources.push(firecrawlSource(firecrawlApiKey, id === 'PSA' ? {} : { certUrl, parse: definition.parse }));
+
+    const chain = createReferenceChain({
+      sources,
+      order: id === 'PSA' ? parseSourceOrder(psaSourceOrder) : ['cache', 'catalogue', 'firecrawl'],
+      cache,
+      grader: id,
+      certUrl,
+      cacheKey
+    });
+
+    providers[id] = {
+      id,
+      name: definition.name,
+      subgrades: !!definition.subgrades,
+      normalizeCertNumber: definition.normalizeCertNumber,
+      certUrl,
+      cacheKey,
+      sources: chain.sources,
+      order: chain.order,
+      resolve: (certNumber, options) => chain.resolve(definition.normalizeCertNumber(certNumber), options)
+    };
+  }
+
+  return {
+    ids: Object.keys(providers),
+    get: (grader) => providers[graderId(grader)] || null,
+    list: () => Object.values(providers).map(({ id, name, subgrades, sources, order }) => ({ id, name, subgrades, sources, order }))
+  };
+}
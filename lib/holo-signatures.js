@@ -0,0 +1,95 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { HOLO_TYPES, averageSignatures } from './holo.js';
+
+/**
+ * Holo foil signatures of genuine cards, one per set and holo type (see
+ * holoSignature in holo.js), stored as JSON. Adding another sample of the
+ * same set and holo type folds it into the running mean.
+ *
+ * Validation failures throw an Error with `status = 400`.
+ */
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+const setKey = (set) => String(set || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+export function createHoloSignatureStore({ file = 'data/holo-signatures.json' } = {}) {
+  const entries = new Map();
+
+  if (fs.existsSync(file)) {
+    const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const entry of stored.signatures || []) entries.set(entry.id, entry);
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpPath = `${file}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, signatures: [...entries.values()] }, null, 2));
+    fs.renameSync(tmpPath, file);
+  }
+
+  function get(id) {
+    return entries.get(id) || null;
+  }
+
+  /**
+   * Signatures, optionally filtered by set or holoType
+   */
+  function list(filter = {}) {
+    return [...entries.values()].filter(entry =>
+      (!filter.set || setKey(entry.set) === setKey(filter.set)) &&
+      (!filter.holoType || entry.holoType === filter.holoType)
+    );
+  }
+
+  /**
+   * Add a genuine sample: { set, holoType, signature, name }. The same set
+   * and holo type is averaged with the samples already stored.
+   */
+  function add({ set, holoType, signature, name }) {
+    if (!setKey(set)) throw badRequest('A holo signature needs a set');
+    if (!HOLO_TYPES.includes(holoType)) {
+      throw badRequest(`Unknown holoType: ${holoType}. Expected one of ${HOLO_TYPES.join(', ')}`);
+    }
+
+    const existing = list({ set, holoType })[0];
+    const samples = existing ? existing.samples + 1 : 1;
+    const stored = {
+      id: existing ? existing.id : crypto.randomUUID(),
+      set: existing ? existing.set : String(set).trim(),
+      holoType,
+      name: name || (existing && existing.name) || `${String(set).trim()} ${holoType}`,
+      samples,
+      signature: existing ? averageSignatures([existing.signature, signature], [existing.samples, 1]) : signature,
+      createdAt: existing ? existing.createdAt : new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    entries.set(stored.id, stored);
+    save();
+    return stored;
+  }
+
+  function remove(id) {
+    const entry = entries.get(id);
+    if (!entry) return null;
+    entries.delete(id);
+    save();
+    return entry;
+  }
+
+  return {
+    get,
+    list,
+    add,
+    remove,
+    get size() {
+      return entries.size;
+    }
+  };
+}
@@ -0,0 +1,322 @@
+import { rgbToGrayscale, rgbToLab, sobelGradients, powerSpectrum, strokeRect } from './image.js';
+import { gaussianBlur } from './edges.js';
+
+/**
+ * Holo foil fingerprinting. The artwork box of a normalized card is isolated
+ * and the fine texture left after removing the artwork (a high-pass residual)
+ * is summarized as a signature: radial and angular spectrum shares, an LBP
+ * histogram, glint density, texture energy and colour play. Signatures of
+ * genuine cards are stored per set and holo type (see holo-signatures.js)
+ * and an unknown card is matched against them.
+ */
+
+// Foil pattern names that signatures are stored under
+export const HOLO_TYPES = ['non-holo', 'cosmos', 'galaxy', 'starlight', 'cracked-ice', 'swirl', 'line', 'sheen', 'reverse'];
+
+// Cards are normalized to this width before fingerprinting, so foil
+// frequencies compare across photos
+export const HOLO_CARD_WIDTH = 800;
+
+// Artwork window of a standard card, as fractions of the normalized card,
+// and how far each side of it is searched for the printed frame
+const NOMINAL_ARTWORK = { x0: 0.085, y0: 0.105, x1: 0.915, y1: 0.475 };
+const FRAME_SEARCH = 0.05;
+
+// Residual below this scale is foil texture; above it, artwork
+const RESIDUAL_SIGMA = 2;
+
+// Log-spaced radial bands from 1/64 to 1/2 cycles per pixel
+const SPECTRUM_BANDS = 8;
+const ORIENTATION_BINS = 6;
+
+// Residual brightness (grey levels) a local peak needs to count as a glint
+const GLINT_LEVEL = 25;
+
+export const HOLO_MATCH = {
+  minSimilarity: 0.6,   // best similarity a match needs to be trusted
+  minConfidence: 0.6,   // confidence needed to call a claimed holo type wrong
+  temperature: 0.05     // softmax temperature over per-type similarities
+};
+
+// Distance -> similarity scale: exp(-distance / SIMILARITY_SCALE)
+const SIMILARITY_SCALE = 0.5;
+
+/**
+ * Locate the printed artwork frame on a normalized card (grayscale plane).
+ * Each side of the nominal window is moved to the strongest straight edge
+ * within FRAME_SEARCH of it; a side without a clear edge stays nominal.
+ * Returns { box (pixels), refined: [sides found] }.
+ */
+export function findArtworkBox(gray, width, height) {
+  const { gx, gy } = sobelGradients(gray, width, height);
+  const nominal = {
+    x0: Math.round(NOMINAL_ARTWORK.x0 * width),
+    y0: Math.round(NOMINAL_ARTWORK.y0 * height),
+    x1: Math.round(NOMINAL_ARTWORK.x1 * width),
+    y1: Math.round(NOMINAL_ARTWORK.y1 * height)
+  };
+
+  // Mean gradient along a row (or column) over the middle of the window
+  const rowStrength = (y) => {
+    let sum = 0;
+    const from = nominal.x0 + Math.round((nominal.x1 - nominal.x0) * 0.1), to = nominal.x1 - Math.round((nominal.x1 - nominal.x0) * 0.1);
+    for (let x = from; x <= to; x++) sum += Math.abs(gy[y * width + x]);
+    return sum / (to - from + 1);
+  };
+  const columnStrength = (x) => {
+    let sum = 0;
+    const from = nominal.y0 + Math.round((nominal.y1 - nominal.y0) * 0.1), to = nominal.y1 - Math.round((nominal.y1 - nominal.y0) * 0.1);
+    for (let y = from; y <= to; y++) sum += Math.abs(gx[y * width + x]);
+    return sum / (to - from + 1);
+  };
+
+  const box = { ...nominal };
+  const refined = [];
+  const search = (side, center, size, strength) => {
+    const reach = Math.round(FRAME_SEARCH * size);
+    const candidates = [];
+    for (let p = Math.max(1, center - reach); p <= Math.min(size - 2, center + reach); p++) {
+      candidates.push({ p, s: strength(p) });
+    }
+    const sorted = candidates.map(c => c.s).sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    const best = candidates.reduce((a, c) => (c.s > a.s ? c : a));
+    if (best.s > 3 * median && best.s > 8) {
+      box[side] = best.p;
+      refined.push(side);
+    }
+  };
+  search('y0', nominal.y0, height, rowStrength);
+  search('y1', nominal.y1, height, rowStrength);
+  search('x0', nominal.x0, width, columnStrength);
+  search('x1', nominal.x1, width, columnStrength);
+
+  return { box, refined };
+}
+
+/**
+ * Copy a box out of a plane
+ */
+function cropPlane(plane, width, box) {
+  const w = box.x1 - box.x0 + 1, h = box.y1 - box.y0 + 1;
+  const out = new Float32Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) out[y * w + x] = plane[(box.y0 + y) * width + (box.x0 + x)];
+  }
+  return { plane: out, width: w, height: h };
+}
+
+function shares(values) {
+  const total = values.reduce((a, v) => a + v, 0);
+  return values.map(v => (total > 0 ? v / total : 0));
+}
+
+/**
+ * Radial band and orientation shares of the residual's power spectrum
+ */
+function spectrumShares(residual, width, height) {
+  const { power, size } = powerSpectrum(residual, width, height);
+  const half = size / 2;
+  const bands = new Array(SPECTRUM_BANDS).fill(0);
+  const orientation = new Array(ORIENTATION_BINS).fill(0);
+  const minF = 1 / 64, maxF = 0.5;
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const dx = x - half, dy = y - half;
+      const f = Math.hypot(dx, dy) / size;
+      if (f < minF || f >= maxF) continue;
+      const p = power[y * size + x];
+      bands[Math.min(SPECTRUM_BANDS - 1, Math.floor(Math.log(f / minF) / Math.log(maxF / minF) * SPECTRUM_BANDS))] += p;
+      // Orientation only where the artwork has little say
+      if (f >= 1 / 16) {
+        const angle = (Math.atan2(dy, dx) * 180 / Math.PI + 180) % 180;
+        orientation[Math.min(ORIENTATION_BINS - 1, Math.floor(angle / (180 / ORIENTATION_BINS)))] += p;
+      }
+    }
+  }
+  return { spectrum: shares(bands), orientation: shares(orientation) };
+}
+
+/**
+ * LBP histogram of a plane: uniform patterns by number of set bits (0-8),
+ * then every non-uniform pattern in the last bin
+ */
+function lbpHistogram(plane, width, height) {
+  const histogram = new Array(10).fill(0);
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const center = plane[i];
+      const neighbors = [i - width - 1, i - width, i - width + 1, i + 1, i + width + 1, i + width, i + width - 1, i - 1];
+      let pattern = 0, ones = 0;
+      neighbors.forEach((n, bit) => {
+        if (plane[n] >= center) {
+          pattern |= (1 << bit);
+          ones++;
+        }
+      });
+      let transitions = 0;
+      for (let bit = 0; bit < 8; bit++) {
+        if (((pattern >> bit) & 1) !== ((pattern >> ((bit + 1) % 8)) & 1)) transitions++;
+      }
+      histogram[transitions <= 2 ? ones : 9]++;
+    }
+  }
+  return shares(histogram);
+}
+
+/**
+ * Foil signature of the artwork box of a normalized card (RGBA data).
+ * The box is inset slightly so the printed frame stays out.
+ */
+export function holoSignature(data, width, height, box) {
+  const inset = Math.round(Math.min(box.x1 - box.x0, box.y1 - box.y0) * 0.04);
+  const inner = { x0: box.x0 + inset, y0: box.y0 + inset, x1: box.x1 - inset, y1: box.y1 - inset };
+
+  const gray = rgbToGrayscale(data, width, height);
+  const lab = rgbToLab(data, width, height);
+  const crop = cropPlane(gray, width, inner);
+  const a = cropPlane(lab.a, width, inner).plane;
+  const b = cropPlane(lab.b, width, inner).plane;
+  const w = crop.width, h = crop.height;
+
+  // High-pass residuals: what is left once the artwork is blurred away
+  const residualOf = (plane) => {
+    const blurred = gaussianBlur(plane, w, h, RESIDUAL_SIGMA);
+    return Float32Array.from(plane, (v, i) => v - blurred[i]);
+  };
+  const residual = residualOf(crop.plane);
+  const residualA = residualOf(a), residualB = residualOf(b);
+
+  let energy = 0, chroma = 0, glints = 0;
+  for (let i = 0; i < residual.length; i++) {
+    energy += residual[i] * residual[i];
+    chroma += Math.hypot(residualA[i], residualB[i]);
+  }
+  for (let y = 1; y < h - 1; y++) {
+    for (let x = 1; x < w - 1; x++) {
+      const i = y * w + x;
+      const r = residual[i];
+      if (r < GLINT_LEVEL) continue;
+      if (r >= residual[i - 1] && r > residual[i + 1] && r >= residual[i - w] && r > residual[i + w]) glints++;
+    }
+  }
+
+  return {
+    ...spectrumShares(residual, w, h),
+    lbp: lbpHistogram(residual, w, h),
+    glints: glints / residual.length * 1000,       // per 1000 px
+    energy: Math.sqrt(energy / residual.length),   // residual RMS, grey levels
+    chroma: chroma / residual.length                // mean a*b* residual, ΔE units
+  };
+}
+
+/**
+ * Weighted mean of signatures (weights default to 1), for merging samples
+ */
+export function averageSignatures(signatures, weights = signatures.map(() => 1)) {
+  const total = weights.reduce((a, w) => a + w, 0);
+  const mean = (values) => values.reduce((a, v, n) => a + v * weights[n], 0) / total;
+  const first = signatures[0];
+  return Object.fromEntries(Object.keys(first).map(key => [
+    key,
+    Array.isArray(first[key])
+      ? first[key].map((_, n) => mean(signatures.map(s => s[key][n])))
+      : mean(signatures.map(s => s[key]))
+  ]));
+}
+
+const chiSquare = (p, q) => 0.5 * p.reduce((a, v, n) => a + (v + q[n] > 0 ? (v - q[n]) ** 2 / (v + q[n]) : 0), 0);
+
+// Ratio distance for scalar features; `floor` keeps near-zero values comparable
+const logRatio = (x, y, floor) => Math.abs(Math.log((x + floor) / (y + floor)));
+
+/**
+ * Similarity of two signatures, 0-1 (1 = identical)
+ */
+export function compareSignatures(s1, s2) {
+  const distance =
+    chiSquare(s1.spectrum, s2.spectrum) +
+    chiSquare(s1.orientation, s2.orientation) +
+    chiSquare(s1.lbp, s2.lbp) +
+    0.25 * logRatio(s1.glints, s2.glints, 0.5) +
+    0.25 * logRatio(s1.energy, s2.energy, 1) +
+    0.25 * logRatio(s1.chroma, s2.chroma, 0.5);
+  return Math.exp(-distance / SIMILARITY_SCALE);
+}
+
+/**
+ * Rank stored signatures ({ set, holoType, signature, ... }) against a
+ * measured signature. Per holo type, the best similarity goes through a
+ * softmax; the best type's share is its confidence, scaled down when even
+ * that type is below HOLO_MATCH.minSimilarity.
+ */
+export function matchSignature(signature, entries) {
+  const matches = entries
+    .map(entry => ({ entry, similarity: compareSignatures(signature, entry.signature) }))
+    .sort((a, b) => b.similarity - a.similarity);
+  if (matches.length === 0) return { matches, holoTypes: [], best: null };
+
+  const byType = new Map();
+  for (const match of matches) {
+    if (!byType.has(match.entry.holoType)) byType.set(match.entry.holoType, match);
+  }
+  const weights = [...byType.values()].map(m => Math.exp(m.similarity / HOLO_MATCH.temperature));
+  const total = weights.reduce((a, w) => a + w, 0);
+  const holoTypes = [...byType.entries()].map(([holoType, match], n) => ({
+    holoType,
+    similarity: match.similarity,
+    set: match.entry.set,
+    confidence: weights[n] / total * Math.min(1, match.similarity / HOLO_MATCH.minSimilarity)
+  }));
+
+  return { matches, holoTypes, best: holoTypes[0] };
+}
+
+const sameSet = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+/**
+ * Check a claimed set and/or holo type against a matchSignature() result.
+ * Returns { verdict: CONSISTENT | INCONSISTENT | INCONCLUSIVE, expected, message }.
+ */
+export function checkClaim({ set = null, holoType = null }, match, entries) {
+  const forSet = set ? entries.filter(e => sameSet(e.set, set)) : [];
+  const expected = holoType ? [holoType] : [...new Set(forSet.map(e => e.holoType))];
+  const claimed = [set, holoType].filter(Boolean).join(' / ');
+
+  if (expected.length === 0) {
+    return { verdict: 'INCONCLUSIVE', expected, message: `No holo signatures stored for ${set}` };
+  }
+  if (!match.best) {
+    return { verdict: 'INCONCLUSIVE', expected, message: 'No holo signatures stored to compare with' };
+  }
+
+  const { best } = match;
+  if (expected.includes(best.holoType)) {
+    // The closest signature of an expected type, from the claimed set when it has any
+    const candidates = (forSet.length > 0 ? forSet : entries).filter(e => expected.includes(e.holoType));
+    const similarity = Math.max(0, ...match.matches.filter(m => candidates.includes(m.entry)).map(m => m.similarity));
+    return similarity >= HOLO_MATCH.minSimilarity
+      ? { verdict: 'CONSISTENT', expected, message: `Foil matches ${best.holoType} as expected for ${claimed} (similarity ${similarity.toFixed(2)})` }
+      : { verdict: 'INCONCLUSIVE', expected, message: `Closest foil is ${best.holoType}, but only at similarity ${similarity.toFixed(2)}` };
+  }
+  if (best.confidence >= HOLO_MATCH.minConfidence) {
+    return {
+      verdict: 'INCONSISTENT',
+      expected,
+      message: `Foil looks like ${best.holoType} (${best.set}, confidence ${best.confidence.toFixed(2)}), but ${claimed} uses ${expected.join(' or ')}`
+    };
+  }
+  return { verdict: 'INCONCLUSIVE', expected, message: `Foil is closest to ${best.holoType}, but not confidently enough to rule out ${expected.join(' or ')}` };
+}
+
+/**
+ * Copy of the card with the artwork box outlined (green/red/grey by verdict)
+ */
+export function holoOverlay({ data, width, height }, box, verdict) {
+  const overlay = new Uint8ClampedArray(data);
+  const color = verdict === 'CONSISTENT' ? [0, 190, 60] : verdict === 'INCONSISTENT' ? [230, 30, 30] : [160, 160, 160];
+  strokeRect(overlay, width, height, box, color, 3);
+  return { data: overlay, width, height };
+}
@@ -0,0 +1,311 @@
+// Finest and coarsest θ bins accepted, in degrees. Finer bins grow the
+// accumulator (and the voting loop) without making the border fit any better.
+export const THETA_RESOLUTION_RANGE = [0.1, 10];
+
+/**
+ * Clamp a θ resolution into THETA_RESOLUTION_RANGE. Anything that is not a
+ * positive number throws an Error with `status = 400`.
+ */
+export function clampThetaResolution(value) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+    const error = new Error(`thetaResolution must be a positive number of degrees, got ${value}`);
+    error.status = 400;
+    throw error;
+  }
+  const [min, max] = THETA_RESOLUTION_RANGE;
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Hough line transform on a binary edge map.
+ * Lines use the normal form x·cos(θ) + y·sin(θ) = ρ. Returned lines are
+ * normalized to θ in [-45°, 135°) so near-vertical lines keep θ close to 0.
+ */
+export function houghLines(edges, width, height, options = {}) {
+  const {
+    thetaResolution: requestedThetaResolution = 0.5, // degrees per bin
+    rhoResolution = 1,     // pixels per bin
+    threshold = Math.round(Math.min(width, height) * 0.1),
+    maxLines = 20,
+    minRhoSeparation = 10,
+    minThetaSeparation = 3
+  } = options;
+
+  const thetaResolution = clampThetaResolution(requestedThetaResolution);
+  const thetaBins = Math.round(180 / thetaResolution);
+  const diagonal = Math.ceil(Math.hypot(width, height));
+  const rhoBins = Math.ceil((2 * diagonal) / rhoResolution) + 1;
+
+  const cosTable = new Float32Array(thetaBins);
+  const sinTable = new Float32Array(thetaBins);
+  for (let t = 0; t < thetaBins; t++) {
+    const theta = (t * thetaResolution * Math.PI) / 180;
+    cosTable[t] = Math.cos(theta);
+    sinTable[t] = Math.sin(theta);
+  }
+
+  // Vote
+  const accumulator = new Uint32Array(thetaBins * rhoBins);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!edges[y * width + x]) continue;
+      for (let t = 0; t < thetaBins; t++) {
+        const rho = x * cosTable[t] + y * sinTable[t];
+        const r = Math.round((rho + diagonal) / rhoResolution);
+        accumulator[t * rhoBins + r]++;
+      }
+    }
+  }
+
+  // Local maxima above threshold
+  const candidates = [];
+  for (let t = 0; t < thetaBins; t++) {
+    for (let r = 0; r < rhoBins; r++) {
+      const votes = accumulator[t * rhoBins + r];
+      if (votes < threshold) continue;
+
+      let isMax = true;
+      for (let dt = -2; dt <= 2 && isMax; dt++) {
+        // θ wraps around: (θ + 180°, ρ) is the same line as (θ, -ρ)
+        let nt = t + dt;
+        let flip = false;
+        if (nt < 0) { nt += thetaBins; flip = true; }
+        if (nt >= thetaBins) { nt -= thetaBins; flip = true; }
+
+        for (let dr = -2; dr <= 2; dr++) {
+          if (!dt && !dr) continue;
+          let nr = r + dr;
+          if (flip) nr = rhoBins - 1 - nr;
+          if (nr < 0 || nr >= rhoBins) continue;
+          if (accumulator[nt * rhoBins + nr] > votes) {
+            isMax = false;
+            break;
+          }
+        }
+      }
+
+      if (isMax) {
+        candidates.push({
+          theta: t * thetaResolution,
+          rho: r * rhoResolution - diagonal,
+          votes
+        });
+      }
+    }
+  }
+
+  candidates.sort((a, b) => b.votes - a.votes);
+
+  // Greedy suppression of near-duplicate lines
+  const lines = [];
+  for (const candidate of candidates) {
+    const line = normalizeLine(candidate);
+    const duplicate = lines.some(l =>
+      Math.abs(l.rho - line.rho) < minRhoSeparation &&
+      Math.abs(l.theta - line.theta) < minThetaSeparation
+    );
+    if (duplicate) continue;
+
+    lines.push({ ...line, endpoints: lineEndpoints(line, width, height) });
+    if (lines.length >= maxLines) break;
+  }
+
+  return lines;
+}
+
+/**
+ * Normalize a (θ, ρ) line to θ in [-45°, 135°) and add its direction angle
+ */
+function normalizeLine({ theta, rho, votes }) {
+  if (theta >= 135) {
+    theta -= 180;
+    rho = -rho;
+  }
+  return {
+    theta,
+    rho,
+    votes,
+    // Direction of the line itself, measured from the x axis
+    angle: theta - 90,
+    orientation: theta >= 45 ? 'horizontal' : 'vertical'
+  };
+}
+
+/**
+ * Intersection of two lines in normal form, or null when parallel
+ */
+export function intersectLines(a, b) {
+  const ta = (a.theta * Math.PI) / 180;
+  const tb = (b.theta * Math.PI) / 180;
+  const det = Math.cos(ta) * Math.sin(tb) - Math.sin(ta) * Math.cos(tb);
+  if (Math.abs(det) < 1e-9) return null;
+
+  return {
+    x: (a.rho * Math.sin(tb) - b.rho * Math.sin(ta)) / det,
+    y: (b.rho * Math.cos(ta) - a.rho * Math.cos(tb)) / det
+  };
+}
+
+/**
+ * Clip a line to the image rectangle and return its two endpoints
+ */
+export function lineEndpoints(line, width, height) {
+  const t = (line.theta * Math.PI) / 180;
+  const c = Math.cos(t), s = Math.sin(t);
+  const points = [];
+
+  if (Math.abs(s) > 1e-9) {
+    for (const x of [0, width - 1]) {
+      const y = (line.rho - x * c) / s;
+      if (y >= 0 && y <= height - 1) points.push({ x, y });
+    }
+  }
+  if (Math.abs(c) > 1e-9) {
+    for (const y of [0, height - 1]) {
+      const x = (line.rho - y * s) / c;
+      if (x >= 0 && x <= width - 1) points.push({ x, y });
+    }
+  }
+
+  if (points.length < 2) return null;
+  return [
+    { x: Math.round(points[0].x), y: Math.round(points[0].y) },
+    { x: Math.round(points[1].x), y: Math.round(points[1].y) }
+  ];
+}
+
+/**
+ * Position of a line along the axis it crosses, measured at the image center:
+ * x for vertical lines, y for horizontal lines
+ */
+function linePosition(line, width, height) {
+  const t = (line.theta * Math.PI) / 180;
+  if (line.orientation === 'vertical') {
+    return (line.rho - (height / 2) * Math.sin(t)) / Math.cos(t);
+  }
+  return (line.rho - (width / 2) * Math.cos(t)) / Math.sin(t);
+}
+
+/**
+ * All well-separated, roughly parallel line pairs in one orientation
+ */
+function borderPairs(lines, width, height, orientation, margin) {
+  const span = orientation === 'vertical' ? width : height;
+  const group = lines
+    .filter(l => l.orientation === orientation)
+    .map(l => ({ ...l, position: linePosition(l, width, height) }))
+    .filter(l => l.position >= span * margin && l.position <= span * (1 - margin));
+
+  const pairs = [];
+  for (let i = 0; i < group.length; i++) {
+    for (let j = i + 1; j < group.length; j++) {
+      const a = group[i], b = group[j];
+      const separation = Math.abs(a.position - b.position);
+      if (separation < span * 0.2) continue;
+      if (Math.abs(a.theta - b.theta) > 10) continue;
+      const [first, second] = a.position < b.position ? [a, b] : [b, a];
+      pairs.push({ lines: [first, second], votes: a.votes + b.votes, separation });
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Among the strong pairs, the outermost one is the card edge (inner lines
+ * are the frame/artwork)
+ */
+function outermostPair(pairs) {
+  if (pairs.length === 0) return null;
+  const maxVotes = Math.max(...pairs.map(p => p.votes));
+  return pairs
+    .filter(p => p.votes >= maxVotes * 0.6)
+    .reduce((a, b) => (b.separation > a.separation ? b : a))
+    .lines;
+}
+
+/**
+ * Strongest vertical/horizontal pair combination whose height/width ratio is
+ * within `tolerance` of `aspectRatio`
+ */
+function bestAspectPairs(verticalPairs, horizontalPairs, aspectRatio, tolerance) {
+  let best = null;
+  for (const v of verticalPairs) {
+    for (const h of horizontalPairs) {
+      const aspect = h.separation / v.separation;
+      if (Math.abs(aspect - aspectRatio) / aspectRatio > tolerance) continue;
+      const votes = v.votes + h.votes;
+      if (!best || votes > best.votes) best = { vertical: v.lines, horizontal: h.lines, votes };
+    }
+  }
+  return best;
+}
+
+/**
+ * Find the four card border lines and check the corner geometry.
+ * `margin` (fraction of the image size) ignores lines too close to the image
+ * edge; a negative margin allows borders slightly outside the frame.
+ * With `aspectRatio` (height / width), only rectangles of that shape are
+ * accepted and the strongest one wins instead of the outermost.
+ * Returns null when no complete border could be found.
+ */
+export function findCardBorders(lines, width, height, { margin = -0.05, aspectRatio = null, aspectTolerance = 0.1 } = {}) {
+  const verticalPairs = borderPairs(lines, width, height, 'vertical', margin);
+  const horizontalPairs = borderPairs(lines, width, height, 'horizontal', margin);
+
+  let vertical, horizontal;
+  if (aspectRatio) {
+    const best = bestAspectPairs(verticalPairs, horizontalPairs, aspectRatio, aspectTolerance);
+    if (!best) return null;
+    ({ vertical, horizontal } = best);
+  } else {
+    vertical = outermostPair(verticalPairs);
+    horizontal = outermostPair(horizontalPairs);
+    if (!vertical || !horizontal) return null;
+  }
+
+  const [left, right] = vertical;
+  const [top, bottom] = horizontal;
+
+  const corners = {
+    topLeft: intersectLines(top, left),
+    topRight: intersectLines(top, right),
+    bottomRight: intersectLines(bottom, right),
+    bottomLeft: intersectLines(bottom, left)
+  };
+  if (Object.values(corners).some(c => !c)) return null;
+
+  // Interior angle between two lines, in degrees (90 = square corner)
+  const cornerAngle = (a, b) => {
+    const d = Math.abs(a.theta - b.theta) % 180;
+    return Math.min(d, 180 - d);
+  };
+
+  const cornerAngles = {
+    topLeft: cornerAngle(top, left),
+    topRight: cornerAngle(top, right),
+    bottomRight: cornerAngle(bottom, right),
+    bottomLeft: cornerAngle(bottom, left)
+  };
+  const maxCornerDeviation = Math.max(...Object.values(cornerAngles).map(a => Math.abs(90 - a)));
+
+  // Skew: how far the card is rotated from the image axes
+  const skew = (left.theta + right.theta + (top.theta - 90) + (bottom.theta - 90)) / 4;
+
+  const topWidth = Math.hypot(corners.topRight.x - corners.topLeft.x, corners.topRight.y - corners.topLeft.y);
+  const bottomWidth = Math.hypot(corners.bottomRight.x - corners.bottomLeft.x, corners.bottomRight.y - corners.bottomLeft.y);
+  const leftHeight = Math.hypot(corners.bottomLeft.x - corners.topLeft.x, corners.bottomLeft.y - corners.topLeft.y);
+  const rightHeight = Math.hypot(corners.bottomRight.x - corners.topRight.x, corners.bottomRight.y - corners.topRight.y);
+
+  return {
+    lines: { top, right, bottom, left },
+    corners,
+    cornerAngles,
+    maxCornerDeviation,
+    parallelism: {
+      horizontal: Math.abs(top.theta - bottom.theta),
+      vertical: Math.abs(left.theta - right.theta)
+    },
+    skew,
+    aspectRatio: ((leftHeight + rightHeight) / 2) / (((topWidth + bottomWidth) / 2) || 1)
+  };
+}
@@ -0,0 +1,428 @@
+import sharp from 'sharp';
+
+/**
+ * Load base64 image and get raw pixel data using Sharp
+ */
+export async function loadImageData(base64String) {
+  try {
+    // Remove data:image/xxx;base64, prefix if present
+    const base64Data = base64String.replace(/^data:image\/\w+;base64,/, '');
+    const buffer = Buffer.from(base64Data, 'base64');
+    
+    // Use sharp to get raw pixel data
+    const image = sharp(buffer);
+    const metadata = await image.metadata();
+    
+    // Get raw RGBA pixels
+    const { data, info } = await image
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    
+    return { 
+      data: new Uint8ClampedArray(data),
+      width: info.width, 
+      height: info.height,
+      channels: info.channels
+    };
+  } catch (error) {
+    console.error('[CV Backend] Error loading image:', error);
+    throw new Error('Failed to load image: ' + error.message);
+  }
+}
+
+/**
+ * Convert RGB to Grayscale
+ */
+export function rgbToGrayscale(imageData, width, height) {
+  const data = imageData;
+  const gray = new Uint8ClampedArray(width * height);
+  
+  for (let i = 0; i < width * height; i++) {
+    const idx = i * 4;
+    const r = data[idx];
+    const g = data[idx + 1];
+    const b = data[idx + 2];
+    gray[i] = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+  }
+  
+  return gray;
+}
+
+/**
+ * In-place radix-2 FFT (length must be a power of 2)
+ */
+export function fft1d(re, im) {
+  const n = re.length;
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let len = 2; len <= n; len <<= 1) {
+    const half = len >> 1;
+    const angle = -2 * Math.PI / len;
+    const wRe = Math.cos(angle);
+    const wIm = Math.sin(angle);
+
+    for (let i = 0; i < n; i += len) {
+      let curRe = 1, curIm = 0;
+      for (let k = 0; k < half; k++) {
+        const a = i + k;
+        const b = a + half;
+        const tRe = re[b] * curRe - im[b] * curIm;
+        const tIm = re[b] * curIm + im[b] * curRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = curRe * wRe - curIm * wIm;
+        curIm = curRe * wIm + curIm * wRe;
+        curRe = nextRe;
+      }
+    }
+  }
+}
+
+/**
+ * Centered power spectrum of a square, Hann-windowed crop of a single plane.
+ * The crop is the largest power of 2 that fits (capped at maxSize), taken
+ * from the middle of the image. DC ends up at (size/2, size/2).
+ */
+export function powerSpectrum(plane, width, height, maxSize = 512) {
+  let size = 1;
+  while (size * 2 <= Math.min(width, height, maxSize)) size *= 2;
+
+  const x0 = Math.floor((width - size) / 2);
+  const y0 = Math.floor((height - size) / 2);
+
+  const re = new Float64Array(size * size);
+  const im = new Float64Array(size * size);
+
+  let mean = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      mean += plane[(y0 + y) * width + (x0 + x)];
+    }
+  }
+  mean /= size * size;
+
+  // Remove DC and apply a separable Hann window to suppress crop-edge leakage
+  const hann = new Float64Array(size);
+  for (let i = 0; i < size; i++) {
+    hann[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1));
+  }
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      re[y * size + x] = (plane[(y0 + y) * width + (x0 + x)] - mean) * hann[x] * hann[y];
+    }
+  }
+
+  // Rows, then columns
+  const rowRe = new Float64Array(size);
+  const rowIm = new Float64Array(size);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      rowRe[x] = re[y * size + x];
+      rowIm[x] = im[y * size + x];
+    }
+    fft1d(rowRe, rowIm);
+    for (let x = 0; x < size; x++) {
+      re[y * size + x] = rowRe[x];
+      im[y * size + x] = rowIm[x];
+    }
+  }
+  for (let x = 0; x < size; x++) {
+    for (let y = 0; y < size; y++) {
+      rowRe[y] = re[y * size + x];
+      rowIm[y] = im[y * size + x];
+    }
+    fft1d(rowRe, rowIm);
+    for (let y = 0; y < size; y++) {
+      re[y * size + x] = rowRe[y];
+      im[y * size + x] = rowIm[y];
+    }
+  }
+
+  // Shift so DC sits in the middle
+  const power = new Float32Array(size * size);
+  const half = size / 2;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const i = y * size + x;
+      const sy = (y + half) % size;
+      const sx = (x + half) % size;
+      power[sy * size + sx] = re[i] * re[i] + im[i] * im[i];
+    }
+  }
+
+  return { power, size };
+}
+
+/**
+ * Find isolated periodic peaks in a centered power spectrum.
+ * A peak must stand out against the mean power at its radius (contrast) and
+ * against everything 3 bins away (prominence), which rejects the continuous
+ * spectral lines produced by straight card borders.
+ */
+export function findSpectralPeaks(power, size, options = {}) {
+  const {
+    minRadius = size / 16,
+    maxRadius = size / 2 - 4,
+    minContrast = 10,
+    minProminence = 3,
+    maxPeaks = 16
+  } = options;
+
+  const half = size / 2;
+
+  // Radial mean profile
+  const radialSum = new Float64Array(half + 1);
+  const radialCount = new Uint32Array(half + 1);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const r = Math.round(Math.hypot(x - half, y - half));
+      if (r <= half) {
+        radialSum[r] += power[y * size + x];
+        radialCount[r]++;
+      }
+    }
+  }
+
+  const peaks = [];
+  for (let y = 4; y <= half; y++) {
+    for (let x = 4; x < size - 4; x++) {
+      // The spectrum is symmetric - only scan the upper half-plane
+      if (y === half && x <= half) continue;
+
+      const r = Math.hypot(x - half, y - half);
+      if (r < minRadius || r > maxRadius) continue;
+
+      const value = power[y * size + x];
+      const ri = Math.round(r);
+      const radialMean = radialSum[ri] / (radialCount[ri] || 1);
+      if (value < radialMean * minContrast) continue;
+
+      // Local maximum in a 5x5 neighbourhood
+      let isMax = true;
+      for (let ky = -2; ky <= 2 && isMax; ky++) {
+        for (let kx = -2; kx <= 2; kx++) {
+          if ((kx || ky) && power[(y + ky) * size + (x + kx)] > value) {
+            isMax = false;
+            break;
+          }
+        }
+      }
+      if (!isMax) continue;
+
+      // Prominence against the ring 3 bins away
+      let ringMax = 0;
+      for (let k = -3; k <= 3; k++) {
+        ringMax = Math.max(
+          ringMax,
+          power[(y - 3) * size + (x + k)],
+          power[(y + 3) * size + (x + k)],
+          power[(y + k) * size + (x - 3)],
+          power[(y + k) * size + (x + 3)]
+        );
+      }
+      if (value < ringMax * minProminence) continue;
+
+      // Angle of the frequency vector, folded into [0, 180)
+      let angle = Math.atan2(half - y, x - half) * 180 / Math.PI;
+      if (angle < 0) angle += 180;
+
+      peaks.push({
+        fx: x - half,
+        fy: half - y,
+        radius: r,
+        frequency: r / size, // cycles per pixel
+        angle,
+        strength: value / (radialMean || 1)
+      });
+    }
+  }
+
+  peaks.sort((a, b) => b.strength - a.strength);
+  return peaks.slice(0, maxPeaks);
+}
+
+/**
+ * 3x3 box blur of a single plane (edges are copied through)
+ */
+export function boxBlur3(plane, width, height) {
+  const out = new Float32Array(width * height);
+  for (let i = 0; i < plane.length; i++) out[i] = plane[i];
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      let sum = 0;
+      for (let ky = -1; ky <= 1; ky++) {
+        for (let kx = -1; kx <= 1; kx++) {
+          sum += plane[(y + ky) * width + (x + kx)];
+        }
+      }
+      out[y * width + x] = sum / 9;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Extract one channel (0 = R, 1 = G, 2 = B) from RGBA data
+ */
+export function extractChannel(imageData, width, height, channel) {
+  const plane = new Uint8ClampedArray(width * height);
+  for (let i = 0; i < width * height; i++) {
+    plane[i] = imageData[i * 4 + channel];
+  }
+  return plane;
+}
+
+/**
+ * Sobel gradients of a single plane. Border pixels are left at 0.
+ */
+export function sobelGradients(gray, width, height) {
+  const gx = new Float32Array(width * height);
+  const gy = new Float32Array(width * height);
+  const magnitude = new Float32Array(width * height);
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const tl = gray[i - width - 1], t = gray[i - width], tr = gray[i - width + 1];
+      const l = gray[i - 1], r = gray[i + 1];
+      const bl = gray[i + width - 1], b = gray[i + width], br = gray[i + width + 1];
+
+      const sx = (tr + 2 * r + br) - (tl + 2 * l + bl);
+      const sy = (bl + 2 * b + br) - (tl + 2 * t + tr);
+
+      gx[i] = sx;
+      gy[i] = sy;
+      magnitude[i] = Math.sqrt(sx * sx + sy * sy);
+    }
+  }
+
+  return { gx, gy, magnitude };
+}
+
+// sRGB gamma expansion lookup and D65 reference white
+const SRGB_TO_LINEAR = new Float32Array(256);
+for (let i = 0; i < 256; i++) {
+  const c = i / 255;
+  SRGB_TO_LINEAR[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+const D65_WHITE = { x: 0.95047, y: 1.0, z: 1.08883 };
+
+function labF(t) {
+  return t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116;
+}
+
+/**
+ * Convert one sRGB color (0-255) to CIE L*a*b* (D65)
+ */
+export function srgbToLab(r, g, b) {
+  const lr = SRGB_TO_LINEAR[r];
+  const lg = SRGB_TO_LINEAR[g];
+  const lb = SRGB_TO_LINEAR[b];
+
+  const x = (0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / D65_WHITE.x;
+  const y = (0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb) / D65_WHITE.y;
+  const z = (0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / D65_WHITE.z;
+
+  const fx = labF(x), fy = labF(y), fz = labF(z);
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/**
+ * Convert RGBA data to separate L*, a*, b* planes
+ */
+export function rgbToLab(imageData, width, height) {
+  const L = new Float32Array(width * height);
+  const a = new Float32Array(width * height);
+  const b = new Float32Array(width * height);
+
+  for (let i = 0; i < width * height; i++) {
+    const idx = i * 4;
+    const lab = srgbToLab(imageData[idx], imageData[idx + 1], imageData[idx + 2]);
+    L[i] = lab[0];
+    a[i] = lab[1];
+    b[i] = lab[2];
+  }
+
+  return { L, a, b };
+}
+
+/**
+ * Encode a single 8-bit plane as a PNG data URL
+ */
+export async function planeToPngDataUrl(plane, width, height) {
+  const buffer = Buffer.from(plane.buffer, plane.byteOffset, plane.length);
+  const png = await sharp(buffer, { raw: { width, height, channels: 1 } })
+    .png({ compressionLevel: 9 })
+    .toBuffer();
+  return `data:image/png;base64,${png.toString('base64')}`;
+}
+
+/**
+ * Encode RGBA data as a JPEG (or PNG) data URL
+ */
+export async function rgbaToDataUrl(data, width, height, format = 'jpeg') {
+  const image = sharp(Buffer.from(data.buffer, data.byteOffset, data.length), {
+    raw: { width, height, channels: 4 }
+  });
+  const encoded = format === 'png'
+    ? await image.png().toBuffer()
+    : await image.jpeg({ quality: 85 }).toBuffer();
+  return `data:image/${format};base64,${encoded.toString('base64')}`;
+}
+
+/**
+ * Resize RGBA data to exactly width x height
+ */
+export async function resizeImageData(imageData, width, height, fit = 'fill') {
+  const { data, width: srcWidth, height: srcHeight } = imageData;
+  if (srcWidth === width && srcHeight === height) return { data, width, height };
+
+  const { data: resized, info } = await sharp(Buffer.from(data.buffer, data.byteOffset, data.length), {
+    raw: { width: srcWidth, height: srcHeight, channels: 4 }
+  })
+    .resize(width, height, { fit, background: { r: 255, g: 255, b: 255, alpha: 1 } })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return { data: new Uint8ClampedArray(resized), width: info.width, height: info.height };
+}
+
+/**
+ * Draw a rectangle outline ({ x0, y0, x1, y1 }) into RGBA data in place
+ */
+export function strokeRect(data, width, height, box, color, thickness = 3) {
+  const x0 = Math.max(0, Math.round(box.x0)), x1 = Math.min(width - 1, Math.round(box.x1));
+  const y0 = Math.max(0, Math.round(box.y0)), y1 = Math.min(height - 1, Math.round(box.y1));
+  const paint = (x, y) => {
+    const i = (y * width + x) * 4;
+    data[i] = color[0];
+    data[i + 1] = color[1];
+    data[i + 2] = color[2];
+    data[i + 3] = 255;
+  };
+  for (let t = 0; t < thickness; t++) {
+    for (let x = x0; x <= x1; x++) {
+      if (y0 + t <= y1) paint(x, y0 + t);
+      if (y1 - t >= y0) paint(x, y1 - t);
+    }
+    for (let y = y0; y <= y1; y++) {
+      if (x0 + t <= x1) paint(x0 + t, y);
+      if (x1 - t >= x0) paint(x1 - t, y);
+    }
+  }
+}
@@ -0,0 +1,255 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+
+/**
+ * In-process queue for analyses that outlive an HTTP request. Jobs run
+ * `concurrency` at a time in submission order; at most `maxQueued` wait,
+ * and finished jobs are kept for `ttl` ms so their results can be polled.
+ *
+ * Each job type is a handler { validate(input), run(input, progress) }.
+ * `validate` throws (status 400) before the job is queued; `run` returns the
+ * result and reports its steps through progress(step, { completed, total }).
+ * A job with a callback URL has its outcome POSTed there when it finishes,
+ * signed with an HMAC of the body when a secret is set. Callbacks to
+ * loopback, link-local and private addresses are refused, both when the job
+ * is submitted and after DNS lookup at delivery, unless their host is in
+ * `callbackHosts`. A non-empty `callbackHosts` also limits callbacks to the
+ * hosts it lists.
+ *
+ * Submission failures throw an Error with `status` 400 (bad request) or 429
+ * (queue full).
+ */
+
+function httpError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Delays before each callback delivery attempt
+const CALLBACK_DELAYS = [0, 2000, 10000];
+
+const CALLBACK_TIMEOUT = 10000;
+
+// Addresses a callback must not reach: this host, the cloud metadata
+// service and the internal network
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+}
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// URL hostnames keep the brackets around IPv6 addresses
+function bareHost(hostname) {
+  return hostname.replace(/^\[|\]$/g, '').toLowerCase();
+}
+
+function callbackUrl(url, allowedHosts) {
+  if (url === undefined || url === null || url === '') return null;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw httpError(`Invalid callbackUrl: ${url}`, 400);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) throw httpError('callbackUrl must be an http(s) URL', 400);
+
+  const host = bareHost(parsed.hostname);
+  if (allowedHosts.size > 0) {
+    if (!allowedHosts.has(host)) throw httpError(`callbackUrl host ${host} is not allowed`, 400);
+  } else if (host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host)) {
+    throw httpError('callbackUrl must not point to a loopback, link-local or private address', 400);
+  }
+  return parsed.toString();
+}
+
+export function createJobQueue({
+  handlers,
+  concurrency = 2,
+  maxQueued = 20,
+  ttl = 60 * 60 * 1000,
+  callbackSecret = null,
+  callbackDelays = CALLBACK_DELAYS,
+  callbackHosts = [],
+  fetch = globalThis.fetch,
+  lookup = dns.promises.lookup
+} = {}) {
+  const allowedHosts = new Set(callbackHosts.map(bareHost));
+  const jobs = new Map();
+  const waiting = [];
+  const inputs = new Map();
+  let running = 0;
+
+  // Drop finished jobs older than the ttl
+  function prune() {
+    const now = Date.now();
+    for (const [id, job] of jobs) {
+      if (job.finishedAt && now - Date.parse(job.finishedAt) > ttl) jobs.delete(id);
+    }
+  }
+
+  /**
+   * Queue a job: { type, input, callbackUrl }. Returns the job.
+   */
+  function submit({ type, input = {}, callbackUrl: url } = {}) {
+    const handler = handlers[type];
+    if (!handler) throw httpError(`Unknown job type: ${type}. Expected one of ${Object.keys(handlers).join(', ')}`, 400);
+    const callback = callbackUrl(url, allowedHosts);
+    if (handler.validate) handler.validate(input);
+    if (waiting.length >= maxQueued) throw httpError(`Job queue is full (${waiting.length} waiting); retry later`, 429);
+
+    prune();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      progress: null,
+      steps: [],
+      result: null,
+      error: null,
+      callback: callback ? { url: callback, status: 'pending', attempts: 0, deliveredAt: null, error: null } : null
+    };
+    jobs.set(job.id, job);
+    inputs.set(job.id, input);
+    waiting.push(job);
+    // Start on the next turn, so the caller sees the job as queued
+    setImmediate(pump);
+    return job;
+  }
+
+  function pump() {
+    while (running < concurrency && waiting.length > 0) {
+      const job = waiting.shift();
+      running++;
+      execute(job).finally(() => {
+        running--;
+        pump();
+      });
+    }
+  }
+
+  // A new step finishes the one before it
+  function reporter(job) {
+    return (step, { completed = null, total = null } = {}) => {
+      const current = job.steps[job.steps.length - 1];
+      if (!current || current.name !== step) {
+        if (current) current.finishedAt = new Date().toISOString();
+        job.steps.push({ name: step, startedAt: new Date().toISOString(), finishedAt: null });
+      }
+      job.progress = { step, completed, total };
+    };
+  }
+
+  async function execute(job) {
+    const input = inputs.get(job.id);
+    inputs.delete(job.id);
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    console.log(`[Jobs] ${job.type} job ${job.id} started`);
+
+    try {
+      job.result = await handlers[job.type].run(input, reporter(job));
+      job.status = 'succeeded';
+    } catch (error) {
+      if (!error.status) console.error(`[Jobs] ${job.type} job ${job.id} failed:`, error);
+      job.status = 'failed';
+      job.error = { message: error.message, status: error.status || 500 };
+    }
+
+    job.finishedAt = new Date().toISOString();
+    const current = job.steps[job.steps.length - 1];
+    if (current && !current.finishedAt) current.finishedAt = job.finishedAt;
+    console.log(`[Jobs] ${job.type} job ${job.id} ${job.status} in ${Date.parse(job.finishedAt) - Date.parse(job.startedAt)}ms`);
+
+    if (job.callback) deliver(job);
+  }
+
+  // A hostname that passed submit() can still resolve to an internal address
+  async function checkResolvedAddress(url) {
+    const host = bareHost(new URL(url).hostname);
+    if (allowedHosts.has(host) || net.isIP(host)) return;
+    const addresses = await lookup(host, { all: true });
+    const internal = addresses.find(({ address }) => isPrivateAddress(address));
+    if (internal) throw httpError(`callbackUrl resolves to a private address (${internal.address})`, 400);
+  }
+
+  /**
+   * POST the outcome to the job's callback URL, retrying on network errors
+   * and non-2xx responses. A callback that resolves to a private address is
+   * not retried.
+   */
+  async function deliver(job) {
+    const body = JSON.stringify({
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      result: job.result,
+      error: job.error,
+      finishedAt: job.finishedAt
+    });
+    const headers = { 'Content-Type': 'application/json' };
+    if (callbackSecret) {
+      headers['X-Signature'] = `sha256=${crypto.createHmac('sha256', callbackSecret).update(body).digest('hex')}`;
+    }
+
+    for (const delay of callbackDelays) {
+      if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+      job.callback.attempts++;
+      try {
+        await checkResolvedAddress(job.callback.url);
+        const response = await fetch(job.callback.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(CALLBACK_TIMEOUT) });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        job.callback.status = 'delivered';
+        job.callback.deliveredAt = new Date().toISOString();
+        job.callback.error = null;
+        return;
+      } catch (error) {
+        job.callback.error = error.message;
+        if (error.status) break;
+      }
+    }
+    job.callback.status = 'failed';
+    console.error(`[Jobs] Callback for job ${job.id} failed after ${job.callback.attempts} attempts: ${job.callback.error}`);
+  }
+
+  function get(id) {
+    prune();
+    return jobs.get(id) || null;
+  }
+
+  /**
+   * Jobs, newest first, optionally filtered by status or type
+   */
+  function list(filter = {}) {
+    prune();
+    return [...jobs.values()]
+      .filter(job => (!filter.status || job.status === filter.status) && (!filter.type || job.type === filter.type))
+      .reverse();
+  }
+
+  // 1-based place of a queued job in the line, null once it has started
+  function position(id) {
+    const index = waiting.findIndex(job => job.id === id);
+    return index === -1 ? null : index + 1;
+  }
+
+  function stats() {
+    return { concurrency, maxQueued, running, queued: waiting.length, retained: jobs.size };
+  }
+
+  return { submit, get, list, position, stats };
+}
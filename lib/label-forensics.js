@@ -0,0 +1,440 @@
+import { rgbToGrayscale, rgbToLab, strokeRect } from './image.js';
+import { deltaE2000 } from './color.js';
+
+/**
+ * Slab label forensics: measure a label read by readSlabLabel() and check
+ * it against a genuine template for its grader, generation and label type.
+ *
+ * Everything is measured relative to the label's own bright background
+ * rectangle, so a template taken from one photo applies to labels cropped
+ * from other photos at other scales. Forged labels tend to get the typeface
+ * weight and size, the element placement or the barcode wrong.
+ */
+
+export const FORENSIC_TOLERANCES = {
+  position: 0.04,        // element centre, fraction of label width/height
+  size: 0.2,             // element width/height, relative
+  capHeight: 0.12,       // typography metrics, relative
+  strokeRatio: 0.3,
+  charAspect: 0.12,
+  inkDensity: 0.3,
+  aspect: 0.05,          // label width/height, relative
+  backgroundDeltaE: 8,   // CIEDE2000
+  accentDeltaE: 12,
+  hologramSpread: 0.6    // fraction of the template's chroma spread
+};
+
+const TEXT_ELEMENTS = ['title', 'grade', 'certNumber'];
+
+// Pixels above this chroma count as the label's accent colour (border, logo)
+const ACCENT_CHROMA = 25;
+
+const round = (value, digits = 4) => Number(value.toFixed(digits));
+
+/**
+ * The label's bright background rectangle inside a label crop: the longest
+ * run of rows that are partly bright, then the longest such run of columns
+ * within it. Runs bridge a few dark rows or columns (dense bold text).
+ */
+export function findLabelRect(gray, width, height) {
+  const sorted = Uint8Array.from(gray).sort();
+  const threshold = sorted[Math.floor(sorted.length * 0.95)] - 20;
+
+  const longestRun = (length, isBright) => {
+    const maxGap = Math.round(length * 0.02);
+    let best = { start: 0, end: length - 1, size: 0 };
+    let start = -1, last = -1;
+    for (let i = 0; i <= length; i++) {
+      if (i < length && isBright(i)) {
+        if (start < 0 || i - last > maxGap + 1) start = i;
+        last = i;
+        if (last - start + 1 > best.size) best = { start, end: last, size: last - start + 1 };
+      }
+    }
+    return best;
+  };
+
+  const rows = longestRun(height, (y) => {
+    let bright = 0;
+    for (let x = 0; x < width; x++) if (gray[y * width + x] > threshold) bright++;
+    return bright > width * 0.3;
+  });
+  const cols = longestRun(width, (x) => {
+    let bright = 0;
+    for (let y = rows.start; y <= rows.end; y++) if (gray[y * width + x] > threshold) bright++;
+    return bright > (rows.end - rows.start + 1) * 0.3;
+  });
+
+  return { x0: cols.start, y0: rows.start, x1: cols.end, y1: rows.end };
+}
+
+/**
+ * Typeface metrics of a text element: cap height relative to the label,
+ * stroke width relative to the line height, character width (single-line
+ * elements only) and ink coverage of its box
+ */
+function measureTypography(gray, width, box, lineHeight, chars, labelHeight) {
+  const values = [];
+  for (let y = box.y0; y <= box.y1; y++) {
+    for (let x = box.x0; x <= box.x1; x++) values.push(gray[y * width + x]);
+  }
+  const sorted = Float32Array.from(values).sort();
+  const threshold = (sorted[Math.floor(sorted.length * 0.1)] + sorted[Math.floor(sorted.length * 0.9)]) / 2;
+
+  let ink = 0;
+  const runs = [];
+  for (let y = box.y0; y <= box.y1; y++) {
+    let run = 0;
+    for (let x = box.x0; x <= box.x1 + 1; x++) {
+      const dark = x <= box.x1 && gray[y * width + x] < threshold;
+      if (dark) {
+        ink++;
+        run++;
+      } else if (run > 0) {
+        runs.push(run);
+        run = 0;
+      }
+    }
+  }
+  runs.sort((a, b) => a - b);
+
+  const boxWidth = box.x1 - box.x0 + 1;
+  const boxHeight = box.y1 - box.y0 + 1;
+  const singleLine = boxHeight < lineHeight * 1.5;
+
+  return {
+    capHeight: round(lineHeight / labelHeight),
+    strokeRatio: runs.length > 0 ? round(runs[Math.floor(runs.length / 2)] / lineHeight) : null,
+    charAspect: singleLine && chars > 0 ? round(boxWidth / (chars * lineHeight)) : null,
+    inkDensity: round(ink / values.length)
+  };
+}
+
+/**
+ * Chroma spread (standard deviation of a* and b* around their mean) in a
+ * normalized label region. Holograms are iridescent and spread widely.
+ */
+function chromaSpread(lab, width, rect, region) {
+  const rw = rect.x1 - rect.x0 + 1;
+  const rh = rect.y1 - rect.y0 + 1;
+  const x0 = Math.round(rect.x0 + region.x0 * rw), x1 = Math.round(rect.x0 + region.x1 * rw);
+  const y0 = Math.round(rect.y0 + region.y0 * rh), y1 = Math.round(rect.y0 + region.y1 * rh);
+
+  let n = 0, sa = 0, sb = 0, saa = 0, sbb = 0;
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) {
+      const i = y * width + x;
+      sa += lab.a[i];
+      sb += lab.b[i];
+      saa += lab.a[i] * lab.a[i];
+      sbb += lab.b[i] * lab.b[i];
+      n++;
+    }
+  }
+  if (n === 0) return 0;
+  const varA = saa / n - (sa / n) ** 2;
+  const varB = sbb / n - (sb / n) ** 2;
+  return round(Math.sqrt(Math.max(0, varA + varB)), 2);
+}
+
+/**
+ * Background (median of bright pixels) and accent (mean of saturated pixels)
+ * colours inside the label rectangle, as [L, a, b]
+ */
+function measureColors(lab, gray, width, rect) {
+  const bright = [];
+  const accent = [0, 0, 0];
+  let accentCount = 0, total = 0;
+
+  for (let y = rect.y0; y <= rect.y1; y += 2) {
+    for (let x = rect.x0; x <= rect.x1; x += 2) {
+      const i = y * width + x;
+      total++;
+      if (Math.hypot(lab.a[i], lab.b[i]) > ACCENT_CHROMA) {
+        accent[0] += lab.L[i];
+        accent[1] += lab.a[i];
+        accent[2] += lab.b[i];
+        accentCount++;
+      } else if (gray[i] > 160) {
+        bright.push(i);
+      }
+    }
+  }
+
+  const median = (channel) => {
+    const values = Float32Array.from(bright.map(i => channel[i])).sort();
+    return values.length > 0 ? values[Math.floor(values.length / 2)] : 0;
+  };
+
+  return {
+    background: [round(median(lab.L), 2), round(median(lab.a), 2), round(median(lab.b), 2)],
+    accent: accentCount > total * 0.005 ? accent.map(v => round(v / accentCount, 2)) : null
+  };
+}
+
+/**
+ * Measure a label from readSlabLabel() output (`crop` plus its fields and
+ * barcodes). Boxes come back normalized to the label rectangle (0-1).
+ * `hologram` is an optional normalized region whose chroma spread is measured.
+ */
+export function measureLabel(reading, { hologram = null } = {}) {
+  const { data, width, height } = reading.crop;
+  const gray = rgbToGrayscale(data, width, height);
+  const lab = rgbToLab(data, width, height);
+  const rect = findLabelRect(gray, width, height);
+  const rw = rect.x1 - rect.x0 + 1;
+  const rh = rect.y1 - rect.y0 + 1;
+
+  const normalize = (box) => ({
+    x0: round((box.x0 - rect.x0) / rw),
+    y0: round((box.y0 - rect.y0) / rh),
+    x1: round((box.x1 - rect.x0) / rw),
+    y1: round((box.y1 - rect.y0) / rh)
+  });
+
+  // The printed cert, even when the barcode supplied the value
+  const printedCert = reading.certNumber?.source === 'barcode' ? reading.certNumber.printed : reading.certNumber;
+  const fields = { title: reading.title, grade: reading.grade, certNumber: printedCert };
+  const chars = {
+    title: 0,
+    grade: reading.grade ? reading.grade.text.replace(/\s+/g, '').length : 0,
+    certNumber: printedCert ? printedCert.value.length : 0
+  };
+
+  const elements = {};
+  for (const name of TEXT_ELEMENTS) {
+    const field = fields[name];
+    if (!field || !field.bbox) continue;
+    elements[name] = {
+      value: field.value,
+      box: normalize(field.bbox),
+      pixelBox: field.bbox,
+      typography: measureTypography(gray, width, field.bbox, field.lineHeight, chars[name], rh)
+    };
+  }
+
+  const coded = reading.barcodes.find(barcode => barcode.bbox);
+  const barcode = coded
+    ? { format: coded.format, text: coded.text, certNumber: coded.certNumber, box: normalize(coded.bbox), pixelBox: coded.bbox }
+    : null;
+
+  return {
+    rect,
+    aspect: round(rw / rh, 3),
+    elements,
+    barcode,
+    printedCert: printedCert ? printedCert.value : null,
+    colors: measureColors(lab, gray, width, rect),
+    hologram: hologram ? { region: hologram, chromaSpread: chromaSpread(lab, width, rect, hologram) } : null
+  };
+}
+
+/**
+ * Template from the measurements of a genuine label
+ */
+export function createLabelTemplate(measurement, { grader, generation, labelType, name = null, certNumber = null }) {
+  const elements = {};
+  for (const [key, element] of Object.entries(measurement.elements)) {
+    elements[key] = { box: element.box, typography: element.typography };
+  }
+
+  return {
+    grader,
+    generation,
+    labelType,
+    name: name || `${grader} ${generation} ${labelType}`,
+    aspect: measurement.aspect,
+    elements,
+    barcode: measurement.barcode ? { format: measurement.barcode.format, box: measurement.barcode.box } : null,
+    colors: measurement.colors,
+    hologram: measurement.hologram,
+    source: { certNumber }
+  };
+}
+
+const relativeDiff = (measured, expected) => Math.abs(measured - expected) / Math.max(Math.abs(expected), 1e-6);
+
+function check(id, name, pass, measured, expected, message) {
+  return { id, name, pass, measured, expected, message };
+}
+
+/**
+ * Element placement: centre offset and size against the template box
+ */
+function layoutCheck(id, name, box, expected, tolerances) {
+  const centre = (b) => ({ x: (b.x0 + b.x1) / 2, y: (b.y0 + b.y1) / 2 });
+  const c = centre(box), e = centre(expected);
+  const dx = Math.abs(c.x - e.x), dy = Math.abs(c.y - e.y);
+  const dw = relativeDiff(box.x1 - box.x0, expected.x1 - expected.x0);
+  const dh = relativeDiff(box.y1 - box.y0, expected.y1 - expected.y0);
+  const pass = dx <= tolerances.position && dy <= tolerances.position && dw <= tolerances.size && dh <= tolerances.size;
+
+  return check(id, name, pass, box, expected, pass
+    ? 'Position and size match the template'
+    : `Offset ${(dx * 100).toFixed(1)}% x ${(dy * 100).toFixed(1)}%, size off by ${(dw * 100).toFixed(0)}% x ${(dh * 100).toFixed(0)}%`);
+}
+
+function typographyCheck(id, name, typography, expected, tolerances) {
+  const off = [];
+  for (const metric of ['capHeight', 'strokeRatio', 'charAspect', 'inkDensity']) {
+    if (typography[metric] === null || expected[metric] === null || expected[metric] === undefined) continue;
+    const diff = relativeDiff(typography[metric], expected[metric]);
+    if (diff > tolerances[metric]) off.push(`${metric} ${(diff * 100).toFixed(0)}% off`);
+  }
+  return check(id, name, off.length === 0, typography, expected,
+    off.length === 0 ? 'Typeface metrics match the template' : off.join(', '));
+}
+
+/**
+ * Run every check against a template (or only the template-free barcode
+ * checks when `template` is null). Each check has pass true/false, or null
+ * when it could not be run.
+ */
+export function compareLabelToTemplate(measurement, template, tolerances = FORENSIC_TOLERANCES) {
+  const checks = [];
+  const { barcode } = measurement;
+
+  // Barcode: decodes, has the right symbology, carries the printed cert
+  if (template && template.barcode) {
+    checks.push(check('barcode_present', 'Barcode decodes', !!barcode, barcode ? barcode.format : null, template.barcode.format,
+      barcode ? 'Barcode decoded' : 'The template has a barcode but none decoded'));
+  } else {
+    checks.push(check('barcode_present', 'Barcode decodes', barcode ? true : null, barcode ? barcode.format : null, null,
+      barcode ? 'Barcode decoded' : 'No barcode decoded'));
+  }
+
+  if (template && template.barcode && barcode) {
+    checks.push(check('barcode_format', 'Barcode symbology', barcode.format === template.barcode.format,
+      barcode.format, template.barcode.format,
+      barcode.format === template.barcode.format ? 'Symbology matches the template' : `Expected ${template.barcode.format}, found ${barcode.format}`));
+    checks.push(layoutCheck('barcode_position', 'Barcode position', barcode.box, template.barcode.box, tolerances));
+  }
+
+  if (barcode && barcode.certNumber && measurement.printedCert) {
+    const match = barcode.certNumber === measurement.printedCert;
+    checks.push(check('barcode_cert', 'Barcode matches printed cert', match, barcode.certNumber, measurement.printedCert,
+      match ? 'Barcode and printed cert agree' : `Barcode encodes ${barcode.certNumber}, label prints ${measurement.printedCert}`));
+  } else {
+    checks.push(check('barcode_cert', 'Barcode matches printed cert', null, barcode ? barcode.certNumber : null, measurement.printedCert,
+      'Needs both a decoded barcode cert and a printed cert'));
+  }
+
+  if (!template) return checks;
+
+  const aspectDiff = relativeDiff(measurement.aspect, template.aspect);
+  checks.push(check('label_aspect', 'Label proportions', aspectDiff <= tolerances.aspect, measurement.aspect, template.aspect,
+    `Width/height off by ${(aspectDiff * 100).toFixed(1)}%`));
+
+  for (const name of TEXT_ELEMENTS) {
+    const expected = template.elements[name];
+    if (!expected) continue;
+    const element = measurement.elements[name];
+    if (!element) {
+      checks.push(check(`layout_${name}`, `${name} position`, false, null, expected.box, `No ${name} found on the label`));
+      continue;
+    }
+    checks.push(layoutCheck(`layout_${name}`, `${name} position`, element.box, expected.box, tolerances));
+    checks.push(typographyCheck(`typography_${name}`, `${name} typeface`, element.typography, expected.typography, tolerances));
+  }
+
+  const background = deltaE2000(template.colors.background, measurement.colors.background);
+  checks.push(check('color_background', 'Label stock colour', background <= tolerances.backgroundDeltaE,
+    measurement.colors.background, template.colors.background, `ΔE2000 ${background.toFixed(1)}`));
+
+  if (template.colors.accent) {
+    const accent = measurement.colors.accent && deltaE2000(template.colors.accent, measurement.colors.accent);
+    checks.push(check('color_accent', 'Accent colour', accent !== null && accent <= tolerances.accentDeltaE,
+      measurement.colors.accent, template.colors.accent,
+      accent === null ? 'No accent colour on the label' : `ΔE2000 ${accent.toFixed(1)}`));
+  }
+
+  if (template.hologram && measurement.hologram) {
+    const ratio = measurement.hologram.chromaSpread / Math.max(template.hologram.chromaSpread, 1e-6);
+    checks.push(check('hologram', 'Hologram', ratio >= tolerances.hologramSpread,
+      measurement.hologram.chromaSpread, template.hologram.chromaSpread,
+      `Chroma spread at ${(ratio * 100).toFixed(0)}% of the genuine hologram`));
+  }
+
+  return checks;
+}
+
+/**
+ * Pass/fail counts and an overall verdict
+ */
+export function summarizeChecks(checks, template) {
+  const passed = checks.filter(c => c.pass === true).length;
+  const failed = checks.filter(c => c.pass === false).length;
+  const skipped = checks.filter(c => c.pass === null).length;
+
+  let verdict = 'INCONCLUSIVE';
+  if (failed > 0) verdict = 'INCONSISTENT';
+  else if (template && passed > 0) verdict = 'CONSISTENT';
+
+  return { passed, failed, skipped, verdict };
+}
+
+/**
+ * Best-matching template: the one with the fewest failed checks, then the
+ * most passed
+ */
+export function selectLabelTemplate(measurement, templates, tolerances = FORENSIC_TOLERANCES) {
+  let best = null;
+  for (const template of templates) {
+    const { passed, failed } = summarizeChecks(compareLabelToTemplate(measurement, template, tolerances), template);
+    if (!best || failed < best.failed || (failed === best.failed && passed > best.passed)) {
+      best = { template, passed, failed };
+    }
+  }
+  return best ? best.template : null;
+}
+
+const OVERLAY_COLORS = {
+  rect: [128, 128, 128],
+  expected: [40, 110, 255],
+  pass: [0, 190, 60],
+  fail: [230, 30, 30],
+  unchecked: [240, 180, 0]
+};
+
+/**
+ * The label crop with the label rectangle (grey), the template's element
+ * boxes (blue) and the measured boxes (green when their checks pass, red
+ * when one fails, amber when unchecked)
+ */
+export function labelOverlay(crop, measurement, template, checks) {
+  const { width, height } = crop;
+  const data = new Uint8ClampedArray(crop.data);
+  const { rect } = measurement;
+  const rw = rect.x1 - rect.x0 + 1;
+  const rh = rect.y1 - rect.y0 + 1;
+  const toPixels = (box) => ({
+    x0: rect.x0 + box.x0 * rw,
+    y0: rect.y0 + box.y0 * rh,
+    x1: rect.x0 + box.x1 * rw,
+    y1: rect.y0 + box.y1 * rh
+  });
+  const outcome = (ids) => {
+    const related = checks.filter(c => ids.includes(c.id) && c.pass !== null);
+    if (related.length === 0) return OVERLAY_COLORS.unchecked;
+    return related.every(c => c.pass) ? OVERLAY_COLORS.pass : OVERLAY_COLORS.fail;
+  };
+
+  strokeRect(data, width, height, rect, OVERLAY_COLORS.rect, 2);
+
+  if (template) {
+    for (const expected of Object.values(template.elements)) {
+      strokeRect(data, width, height, toPixels(expected.box), OVERLAY_COLORS.expected, 2);
+    }
+    if (template.barcode) strokeRect(data, width, height, toPixels(template.barcode.box), OVERLAY_COLORS.expected, 2);
+    if (template.hologram) strokeRect(data, width, height, toPixels(template.hologram.region), OVERLAY_COLORS.expected, 2);
+  }
+
+  for (const [name, element] of Object.entries(measurement.elements)) {
+    strokeRect(data, width, height, element.pixelBox, outcome([`layout_${name}`, `typography_${name}`]));
+  }
+  if (measurement.barcode) {
+    strokeRect(data, width, height, measurement.barcode.pixelBox, outcome(['barcode_format', 'barcode_position', 'barcode_cert']));
+  }
+
+  return { data, width, height };
+}
@@ -0,0 +1,277 @@
+import { createRequire } from 'module';
+import { createWorker } from 'tesseract.js';
+import { parseGrade } from './cert-parser.js';
+
+/**
+ * Offline OCR for slab labels, and the parser that turns the recognized
+ * lines into cert number, grade, title and grader.
+ *
+ * The English LSTM model ships with @tesseract.js-data/eng, so no model is
+ * downloaded at runtime. One worker is started on first use and shared.
+ */
+
+const require = createRequire(import.meta.url);
+const ENGLISH_MODEL = require('@tesseract.js-data/eng');
+
+// Grade words printed on PSA, BGS, CGC and SGC labels
+const GRADE_WORDS = [
+  'GEM MT', 'GEM MINT', 'GEM-MT', 'PRISTINE', 'PERFECT', 'MINT\\+?', 'NM-MT\\+?', 'NM\\+?',
+  'EX-MT\\+?', 'EX\\+?', 'VG-EX\\+?', 'VG\\+?', 'GOOD\\+?', 'GD\\+?', 'FAIR', 'FR', 'POOR', 'PR'
+].join('|');
+const GRADE_NUMBER = '(?:10|[1-9](?:\\.5)?)';
+const GRADE_PATTERNS = [
+  new RegExp(`\\b(?:${GRADE_WORDS})\\s*${GRADE_NUMBER}(?:\\s*\\([A-Z]{1,3}\\))?(?![\\d.])`),
+  new RegExp(`(?<![\\d.])${GRADE_NUMBER}\\s+(?:${GRADE_WORDS})(?![A-Z])`),
+  /\bAUTHENTIC\b/
+];
+
+// PSA/BGS/CGC certs are 7-10 digits; SGC also prints 7-3 digit codes
+const CERT_PATTERN = /^(\d{7,10}|\d{7}-\d{3})$/;
+
+const GRADER_PATTERNS = [
+  ['PSA', /\bPSA\b/],
+  ['BGS', /\bBECKETT\b|\bBGS\b/],
+  ['CGC', /\bCGC\b/],
+  ['SGC', /\bSGC\b/]
+];
+
+// Label text that is never part of the card title
+const BOILERPLATE = /\b(?:PSA|BGS|BECKETT|CGC|SGC|CERT(?:IFICATION)?|NO\.?|GRADE|AUTO(?:GRAPH)?)\b/g;
+
+// Title words below this OCR confidence (0-100) are dropped: barcodes, QR
+// codes and holograms get read as stray letters
+const MIN_WORD_CONFIDENCE = 50;
+
+let workerPromise = null;
+
+function getWorker() {
+  if (!workerPromise) {
+    console.log('[Label OCR] Starting OCR worker...');
+    workerPromise = createWorker(ENGLISH_MODEL.code, 1, {
+      langPath: ENGLISH_MODEL.langPath,
+      gzip: ENGLISH_MODEL.gzip,
+      cacheMethod: 'none'
+    }).catch(error => {
+      workerPromise = null;
+      throw error;
+    });
+  }
+  return workerPromise;
+}
+
+/**
+ * Recognize the text in an image buffer (PNG/JPEG).
+ * Returns the full text and its lines, each with words and 0-100 confidences.
+ */
+export async function recognizeText(buffer) {
+  const worker = await getWorker();
+  const { data } = await worker.recognize(buffer, {}, { text: true, blocks: true });
+
+  const lines = [];
+  for (const block of data.blocks || []) {
+    for (const paragraph of block.paragraphs) {
+      for (const line of paragraph.lines) {
+        lines.push({
+          text: line.text.trim(),
+          confidence: line.confidence,
+          bbox: line.bbox,
+          words: line.words.map(word => ({ text: word.text, confidence: word.confidence, bbox: word.bbox }))
+        });
+      }
+    }
+  }
+
+  return { text: data.text, confidence: data.confidence, lines };
+}
+
+/**
+ * Shut the shared worker down (tests and graceful shutdown)
+ */
+export async function terminateOcr() {
+  if (!workerPromise) return;
+  const worker = await workerPromise.catch(() => null);
+  workerPromise = null;
+  if (worker) await worker.terminate();
+}
+
+/**
+ * Upper-cased line text with "MINT +" style grades closed up
+ */
+function lineText(line) {
+  return line.text.toUpperCase().replace(/\s+\+/g, '+');
+}
+
+/**
+ * Words of a line that make up the `matched` text
+ */
+function wordsIn(line, matched) {
+  const tokens = matched.split(/\s+/);
+  return line.words.filter(word => {
+    const text = word.text.toUpperCase();
+    return tokens.some(token => token === text || (token.includes(text) && (text.length > 1 || /[+\-]/.test(text))));
+  });
+}
+
+function meanConfidence(items) {
+  return items.reduce((a, item) => a + item.confidence, 0) / items.length / 100;
+}
+
+/**
+ * OCR often reads O for 0 and I/l for 1 inside digit runs
+ */
+function digitsFromWord(text) {
+  const cleaned = text.replace(/^[#(]+|[).,:;*]+$/g, '');
+  if (!/\d/.test(cleaned) || /[A-Z]{2,}/i.test(cleaned.replace(/[OIl]/g, ''))) return cleaned;
+  return cleaned.replace(/O/g, '0').replace(/[Il]/g, '1');
+}
+
+function extracted(value, confidence, source) {
+  return { value, confidence: Math.min(1, confidence).toFixed(2), source };
+}
+
+/**
+ * Add where the words sit on the label: their union `bbox` and the median
+ * word height as `lineHeight` (OCR image pixels)
+ */
+function located(field, words) {
+  const boxes = words.map(word => word.bbox).filter(Boolean);
+  if (boxes.length === 0) return { ...field, bbox: null, lineHeight: null };
+  const heights = boxes.map(box => box.y1 - box.y0).sort((a, b) => a - b);
+  return {
+    ...field,
+    bbox: {
+      x0: Math.min(...boxes.map(box => box.x0)),
+      y0: Math.min(...boxes.map(box => box.y0)),
+      x1: Math.max(...boxes.map(box => box.x1)),
+      y1: Math.max(...boxes.map(box => box.y1))
+    },
+    lineHeight: heights[Math.floor(heights.length / 2)]
+  };
+}
+
+function gradeResult(parsed, text, words) {
+  return located({
+    ...extracted(parsed.grade, meanConfidence(words), 'ocr'),
+    label: parsed.label,
+    qualifier: parsed.qualifier,
+    text
+  }, words);
+}
+
+/**
+ * 7-10 digit word, preferring one alone on its line or after "CERT"/"#"
+ */
+function findCertNumber(lines, consumed) {
+  let best = null;
+  for (const line of lines) {
+    line.words.forEach((word, index) => {
+      const candidate = digitsFromWord(word.text);
+      if (!CERT_PATTERN.test(candidate)) return;
+
+      const alone = line.words.filter(other => /\w/.test(other.text)).length === 1;
+      const labelled = index > 0 && /CERT|#|NO/i.test(line.words[index - 1].text);
+      const score = word.confidence / 100 + (alone ? 0.2 : 0) + (labelled ? 0.3 : 0);
+      if (!best || score > best.score) best = { score, word, value: candidate };
+    });
+  }
+  if (!best) return null;
+  consumed.add(best.word);
+  return located(extracted(best.value, best.word.confidence / 100, 'ocr'), [best.word]);
+}
+
+/**
+ * Grade printed on one line: "GEM MT 10", "NM-MT 8 (OC)", "10 GEM MINT"
+ */
+function findInlineGrade(lines, consumed) {
+  for (const line of lines) {
+    const text = lineText(line);
+    for (const pattern of GRADE_PATTERNS) {
+      const match = text.match(pattern);
+      const parsed = match && parseGrade(match[0]);
+      if (!parsed) continue;
+      const words = wordsIn(line, match[0]);
+      words.forEach(word => consumed.add(word));
+      return gradeResult(parsed, match[0], words.length > 0 ? words : [line]);
+    }
+  }
+  return null;
+}
+
+/**
+ * Grade printed as a number with its grade word stacked above or below it
+ * (CGC and BGS labels). Needs word bounding boxes.
+ */
+function findStackedGrade(lines, consumed) {
+  const words = lines.flatMap(line => line.words.filter(word => word.bbox));
+  const gradeLabel = new RegExp(`^(?:${GRADE_WORDS})$`);
+
+  for (const number of words.filter(word => /^(?:10|[1-9](?:\.5)?)$/.test(word.text))) {
+    const { x0, x1, y0, y1 } = number.bbox;
+    const lineHeight = y1 - y0;
+    const near = (word) => word !== number &&
+      word.bbox.x1 > x0 - lineHeight * 2 && word.bbox.x0 < x1 + lineHeight * 2 &&
+      (Math.abs(word.bbox.y0 - y1) < lineHeight || Math.abs(y0 - word.bbox.y1) < lineHeight);
+
+    for (const side of [(word) => word.bbox.y0 >= y1 - lineHeight / 2, (word) => word.bbox.y1 <= y0 + lineHeight / 2]) {
+      const stacked = words.filter(word => near(word) && side(word)).sort((a, b) => a.bbox.x0 - b.bbox.x0);
+      const label = stacked.map(word => word.text.toUpperCase()).join(' ').replace(/\s+\+/g, '+');
+      const parsed = gradeLabel.test(label) && parseGrade(`${label} ${number.text}`);
+      if (!parsed) continue;
+      [number, ...stacked].forEach(word => consumed.add(word));
+      return gradeResult(parsed, `${label} ${number.text}`, [number, ...stacked]);
+    }
+  }
+  return null;
+}
+
+function findGrader(lines, consumed) {
+  for (const line of lines) {
+    const text = lineText(line);
+    for (const [id, pattern] of GRADER_PATTERNS) {
+      const match = text.match(pattern);
+      if (!match) continue;
+      const words = wordsIn(line, match[0]);
+      words.forEach(word => consumed.add(word));
+      return located(extracted(id, meanConfidence(words.length > 0 ? words : [line]), 'ocr'), words);
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse OCR lines ({ text, confidence, words: [{ text, confidence, bbox }] })
+ * from a slab label.
+ * Returns certNumber, grade, title and grader as { value, confidence, source,
+ * bbox, lineHeight } (or null when not found). The title is what remains of
+ * the confidently read words once cert number, grade, grader and label
+ * boilerplate are removed.
+ */
+export function parseLabelText(lines) {
+  const textLines = lines.filter(line => line.text && line.words.length > 0);
+  const consumed = new Set();
+
+  const certNumber = findCertNumber(textLines, consumed);
+  const grade = findInlineGrade(textLines, consumed) || findStackedGrade(textLines, consumed);
+  const grader = findGrader(textLines, consumed);
+
+  const titleLines = [];
+  for (const line of textLines) {
+    const words = line.words.filter(word => !consumed.has(word) && word.confidence >= MIN_WORD_CONFIDENCE);
+    const text = words.map(word => word.text.toUpperCase()).join(' ')
+      .replace(BOILERPLATE, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+    if ((text.match(/[A-Z]/g) || []).length >= 2) {
+      titleLines.push({ text, confidence: meanConfidence(words) * 100, words });
+    }
+  }
+
+  const title = titleLines.length > 0
+    ? located(
+      extracted(titleLines.map(line => line.text).join(' '), meanConfidence(titleLines), 'ocr'),
+      titleLines.flatMap(line => line.words)
+    )
+    : null;
+
+  return { certNumber, grade, title, grader };
+}
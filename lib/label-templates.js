@@ -0,0 +1,92 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { graderId, GRADER_DEFINITIONS } from './graders.js';
+
+/**
+ * Genuine slab label templates, one per grader, label generation and label
+ * type. A template holds the layout, typography, barcode and colour
+ * measurements of a genuine label (see measureLabel/createLabelTemplate in
+ * label-forensics.js) and is stored as JSON.
+ *
+ * Validation failures throw an Error with `status = 400`.
+ */
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+export function createLabelTemplateStore({ file = 'data/label-templates.json' } = {}) {
+  const templates = new Map();
+
+  if (fs.existsSync(file)) {
+    const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const template of stored.templates || []) templates.set(template.id, template);
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpPath = `${file}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, templates: [...templates.values()] }, null, 2));
+    fs.renameSync(tmpPath, file);
+  }
+
+  function get(id) {
+    return templates.get(id) || null;
+  }
+
+  /**
+   * Templates, optionally filtered by grader, generation or labelType
+   */
+  function list(filter = {}) {
+    return [...templates.values()].filter(template =>
+      (!filter.grader || template.grader === graderId(filter.grader)) &&
+      (!filter.generation || template.generation === filter.generation) &&
+      (!filter.labelType || template.labelType === filter.labelType)
+    );
+  }
+
+  /**
+   * Store a template built by createLabelTemplate(). grader, generation and
+   * labelType identify it; adding the same combination again replaces it.
+   */
+  function add(template) {
+    const grader = graderId(template.grader);
+    if (!GRADER_DEFINITIONS[grader]) throw badRequest(`Unknown grader: ${template.grader}`);
+    if (!template.generation || !template.labelType) {
+      throw badRequest('A template needs a generation and a labelType');
+    }
+
+    const existing = list({ grader, generation: template.generation, labelType: template.labelType })[0];
+    const stored = {
+      ...template,
+      id: existing ? existing.id : crypto.randomUUID(),
+      grader,
+      createdAt: existing ? existing.createdAt : new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    templates.set(stored.id, stored);
+    save();
+    return stored;
+  }
+
+  function remove(id) {
+    const template = templates.get(id);
+    if (!template) return null;
+    templates.delete(id);
+    save();
+    return template;
+  }
+
+  return {
+    get,
+    list,
+    add,
+    remove,
+    get size() {
+      return templates.size;
+    }
+  };
+}
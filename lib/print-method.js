@@ -0,0 +1,268 @@
+import { fft1d, powerSpectrum, findSpectralPeaks } from './image.js';
+
+/**
+ * Print process from the dot structure of close-up (macro) photos.
+ *
+ * Offset printing lays each ink as an amplitude-modulated dot screen at its
+ * own angle (typically C 15°, M 75°, Y 0°, K 45°), so the ink planes are
+ * strongly periodic at different angles and form a rosette. Laser printers
+ * also screen, but usually coarser and with every colour at a shared angle
+ * or as line screens. Inkjet printers dither stochastically: plenty of fine
+ * texture, but no periodicity at all.
+ */
+
+export const INKS = ['cyan', 'magenta', 'yellow', 'black'];
+
+// Largest square tile analyzed per macro
+const TILE_SIZE = 512;
+
+// Autocorrelation peak height above which an ink counts as screened
+const PERIODIC_MIN = 0.25;
+
+// Share of the strongest autocorrelation peak a nearer peak needs to be
+// taken as the screen period
+const NEAR_PEAK = 0.6;
+
+// High-pass RMS (ink levels) below which the dots are not resolved
+const TEXTURE_MIN = 6;
+
+// Coverage range in which an ink has dots to measure (fraction of full ink)
+const COVERAGE_RANGE = [0.03, 0.97];
+
+// Screens closer than this (degrees, modulo 90) count as the same angle
+const ANGLE_TOLERANCE = 7.5;
+
+// Offset card stock is printed at 133-200 lpi; coarser screens point to laser
+const OFFSET_MIN_LPI = 120;
+
+/**
+ * Central square of RGBA data, up to TILE_SIZE, as C/M/Y/K ink planes
+ * (0-255, naive conversion: K is the ink the three colours share)
+ */
+export function inkPlanes(data, width, height) {
+  const size = Math.min(TILE_SIZE, width, height);
+  const x0 = Math.floor((width - size) / 2), y0 = Math.floor((height - size) / 2);
+  const planes = Object.fromEntries(INKS.map(ink => [ink, new Float32Array(size * size)]));
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const s = ((y0 + y) * width + (x0 + x)) * 4;
+      const i = y * size + x;
+      const c = 255 - data[s], m = 255 - data[s + 1], ye = 255 - data[s + 2];
+      const k = Math.min(c, m, ye);
+      planes.cyan[i] = c - k;
+      planes.magenta[i] = m - k;
+      planes.yellow[i] = ye - k;
+      planes.black[i] = k;
+    }
+  }
+  return { planes, size };
+}
+
+/**
+ * Normalized autocorrelation from a centered power spectrum
+ * (Wiener-Khinchin), re-centered so zero lag sits at (size/2, size/2)
+ */
+export function autocorrelation(power, size) {
+  const half = size / 2;
+  const re = new Float64Array(size * size);
+  const im = new Float64Array(size * size);
+  // Undo the centering, so DC is back at (0, 0)
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) re[((y + half) % size) * size + (x + half) % size] = power[y * size + x];
+  }
+
+  const rowRe = new Float64Array(size), rowIm = new Float64Array(size);
+  const pass = (index) => {
+    for (let a = 0; a < size; a++) {
+      for (let b = 0; b < size; b++) {
+        rowRe[b] = re[index(a, b)];
+        rowIm[b] = im[index(a, b)];
+      }
+      fft1d(rowRe, rowIm);
+      for (let b = 0; b < size; b++) {
+        re[index(a, b)] = rowRe[b];
+        im[index(a, b)] = rowIm[b];
+      }
+    }
+  };
+  pass((y, x) => y * size + x);
+  pass((x, y) => y * size + x);
+
+  // The power spectrum is real and even, so its transform is the
+  // autocorrelation up to scale
+  const ac = new Float32Array(size * size);
+  const zero = re[0] || 1;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) ac[((y + half) % size) * size + (x + half) % size] = re[y * size + x] / zero;
+  }
+  return ac;
+}
+
+/**
+ * Periodic peak of the autocorrelation, up to a quarter of the tile away:
+ * the nearest local maximum outside the central lobe that reaches
+ * NEAR_PEAK of the strongest one. A rotated screen's lattice falls between
+ * pixels, so its coarser superlattice can edge out the true period.
+ * Returns { height (0-1), lag (px), angle }.
+ */
+function periodicPeak(ac, size) {
+  const half = size / 2;
+  const maxLag = size / 4;
+
+  // Central lobe: out to where the mean correlation first stops falling
+  const ring = new Float64Array(maxLag + 1);
+  const count = new Uint32Array(maxLag + 1);
+  for (let y = half - maxLag; y <= half + maxLag; y++) {
+    for (let x = half - maxLag; x <= half + maxLag; x++) {
+      const r = Math.round(Math.hypot(x - half, y - half));
+      if (r <= maxLag) {
+        ring[r] += ac[y * size + x];
+        count[r]++;
+      }
+    }
+  }
+  let lobe = 1;
+  while (lobe < maxLag && ring[lobe + 1] / count[lobe + 1] < ring[lobe] / count[lobe]) lobe++;
+
+  // Local maxima in the upper half-plane (the autocorrelation is symmetric)
+  const maxima = [];
+  for (let y = half - maxLag; y <= half; y++) {
+    for (let x = half - maxLag; x <= half + maxLag; x++) {
+      const r = Math.hypot(x - half, y - half);
+      if (r <= lobe || r > maxLag) continue;
+      const value = ac[y * size + x];
+      if (value <= 0) continue;
+      let isMax = true;
+      for (let ky = -1; ky <= 1 && isMax; ky++) {
+        for (let kx = -1; kx <= 1; kx++) {
+          if ((kx || ky) && ac[(y + ky) * size + (x + kx)] > value) {
+            isMax = false;
+            break;
+          }
+        }
+      }
+      if (isMax) maxima.push({ value, r, x, y });
+    }
+  }
+  if (maxima.length === 0) return { height: 0, lag: null, angle: null };
+
+  const strongest = Math.max(...maxima.map(m => m.value));
+  const nearest = maxima
+    .filter(m => m.value >= strongest * NEAR_PEAK)
+    .reduce((a, m) => (m.r < a.r ? m : a));
+  let angle = Math.atan2(half - nearest.y, nearest.x - half) * 180 / Math.PI;
+  if (angle < 0) angle += 180;
+  return { height: strongest, lag: nearest.r, angle };
+}
+
+const foldAngle = (angle) => ((angle % 90) + 90) % 90;
+const angleGap = (a, b) => {
+  const d = Math.abs(foldAngle(a) - foldAngle(b));
+  return Math.min(d, 90 - d);
+};
+
+/**
+ * Screen of one ink plane: coverage, fine texture, how periodic the plane
+ * is and, when it is screened, the screen period and angle (degrees
+ * counter-clockwise, modulo 90). Ruling in lines per inch needs pixelsPerMm.
+ */
+export function measureScreen(plane, size, pixelsPerMm = null) {
+  let sum = 0;
+  for (let i = 0; i < plane.length; i++) sum += plane[i];
+  const coverage = sum / plane.length / 255;
+
+  // Texture: RMS of the plane minus its 3x3 mean
+  let texture = 0;
+  for (let y = 1; y < size - 1; y++) {
+    for (let x = 1; x < size - 1; x++) {
+      const i = y * size + x;
+      const mean = (plane[i - size - 1] + plane[i - size] + plane[i - size + 1] + plane[i - 1] + plane[i] + plane[i + 1] + plane[i + size - 1] + plane[i + size] + plane[i + size + 1]) / 9;
+      texture += (plane[i] - mean) ** 2;
+    }
+  }
+  texture = Math.sqrt(texture / ((size - 2) * (size - 2)));
+
+  const present = coverage >= COVERAGE_RANGE[0] && coverage <= COVERAGE_RANGE[1];
+  if (!present) return { present, coverage, texture, periodicity: 0, screened: false, periodPx: null, angle: null, lpi: null };
+
+  const { power } = powerSpectrum(plane, size, size, size);
+  const peaks = findSpectralPeaks(power, size, { minRadius: size / 64, minContrast: 6 });
+  const periodic = periodicPeak(autocorrelation(power, size), size);
+
+  // The nearest autocorrelation peak is the screen's fundamental (binary
+  // dots put strong harmonics in the spectrum); a spectral peak at the same
+  // frequency and angle refines it past whole-pixel lags
+  let periodPx = periodic.lag;
+  let angle = periodic.angle === null ? null : foldAngle(periodic.angle);
+  const fundamental = periodPx && peaks.find(p => Math.abs(p.frequency * periodPx - 1) < 0.15 && angleGap(p.angle, angle) < 10);
+  if (fundamental) {
+    periodPx = 1 / fundamental.frequency;
+    angle = foldAngle(fundamental.angle);
+  }
+
+  const screened = periodic.height >= PERIODIC_MIN;
+  return {
+    present,
+    coverage,
+    texture,
+    periodicity: periodic.height,
+    screened,
+    periodPx: screened ? periodPx : null,
+    angle: screened ? angle : null,
+    lpi: screened && pixelsPerMm ? 25.4 * pixelsPerMm / periodPx : null
+  };
+}
+
+/**
+ * Classify one macro photo (RGBA data): offset, laser, inkjet or
+ * unresolved, with a 0-1 confidence and the per-ink screens behind it.
+ */
+export function classifyPrint({ data, width, height }, { pixelsPerMm = null } = {}) {
+  const { planes, size } = inkPlanes(data, width, height);
+  const screens = Object.fromEntries(INKS.map(ink => [ink, measureScreen(planes[ink], size, pixelsPerMm)]));
+
+  const present = INKS.filter(ink => screens[ink].present);
+  const screened = present.filter(ink => screens[ink].screened);
+  const textured = present.filter(ink => screens[ink].texture >= TEXTURE_MIN);
+
+  // Distinct screen angles across the screened inks
+  const angles = [];
+  for (const ink of screened) {
+    if (!angles.some(a => angleGap(a, screens[ink].angle) < ANGLE_TOLERANCE)) angles.push(screens[ink].angle);
+  }
+  const rulings = screened.map(ink => screens[ink].lpi).filter(lpi => lpi !== null);
+  const ruling = rulings.length > 0 ? rulings.reduce((a, v) => a + v, 0) / rulings.length : null;
+  const meanPeriodicity = screened.length > 0 ? screened.reduce((a, ink) => a + screens[ink].periodicity, 0) / screened.length : 0;
+
+  let process, confidence, reason;
+  if (textured.length === 0) {
+    process = 'unresolved';
+    confidence = 0;
+    reason = 'No ink dots resolved; take the macro closer or sharper';
+  } else if (screened.length === 0) {
+    process = 'inkjet';
+    confidence = Math.min(0.9, 0.5 + textured.length * 0.1);
+    reason = 'Fine ink texture without any periodic screen: stochastic (inkjet) dither';
+  } else if (ruling !== null && ruling < OFFSET_MIN_LPI) {
+    process = 'laser';
+    confidence = Math.min(0.9, 0.5 + meanPeriodicity / 2);
+    reason = `Screen ruling of ${ruling.toFixed(0)} lpi is coarser than offset card printing (${OFFSET_MIN_LPI}+ lpi)`;
+  } else if (angles.length >= 2) {
+    process = 'offset';
+    confidence = Math.min(0.95, 0.4 + angles.length * 0.15 + meanPeriodicity / 4);
+    reason = `${screened.length} inks screened at ${angles.length} distinct angles (${angles.map(a => `${a.toFixed(0)}°`).join(', ')}): CMYK rosette`;
+  } else if (screened.length >= 2) {
+    process = 'laser';
+    confidence = Math.min(0.8, 0.4 + meanPeriodicity / 2);
+    reason = `${screened.length} inks share one screen angle (${angles[0].toFixed(0)}°), typical of laser screening`;
+  } else {
+    // A single screened ink cannot show a rosette; judge by its angle
+    const angled = angleGap(angles[0], 0) >= ANGLE_TOLERANCE;
+    process = angled ? 'offset' : 'laser';
+    confidence = 0.4;
+    reason = `Only ${screened[0]} is screened (${angles[0].toFixed(0)}°); one ink cannot show a rosette`;
+  }
+
+  return { process, confidence, reason, angles, ruling, screens, tileSize: size };
+}
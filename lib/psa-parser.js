@@ -0,0 +1,51 @@
+import { parseLabelledCertPage } from './cert-parser.js';
+
+/**
+ * PSA cert page parser: the PSA label map on top of the generic
+ * label/value cert parser.
+ */
+
+// Normalized label -> field name
+const PSA_LABELS = {
+  'cert number': 'certNumber',
+  'cert #': 'certNumber',
+  'certification number': 'certNumber',
+  'label type': 'labelType',
+  'year': 'year',
+  'brand': 'brand',
+  'brand/title': 'brand',
+  'title': 'brand',
+  'subject': 'subject',
+  'player': 'subject',
+  'card number': 'cardNumber',
+  'card #': 'cardNumber',
+  'category': 'category',
+  'variety': 'variety',
+  'variety/pedigree': 'variety',
+  'pedigree': 'variety',
+  'grade': 'grade',
+  'item grade': 'grade',
+  'card grade': 'grade',
+  'autograph grade': 'autographGrade',
+  'auto grade': 'autographGrade',
+  'population': 'population',
+  'psa population': 'population',
+  'pop': 'population',
+  'population higher': 'popHigher',
+  'pop higher': 'popHigher',
+  'psa pop higher': 'popHigher',
+  'psa population higher': 'popHigher',
+  'psa estimate': 'psaEstimate',
+  'sales estimate': 'psaEstimate'
+};
+
+// Card images on PSA's cert image CDN
+const PSA_IMAGE_PATTERN = /https:\/\/d1htnxwo4o0jhw\.cloudfront\.net\/cert\/[^\s"')<>]+?\.(?:jpg|jpeg|png|webp)/gi;
+
+/**
+ * Parse a PSA cert page. Takes the HTML and/or markdown (as returned by
+ * Firecrawl) and optional page metadata.
+ */
+export function parsePSACertPage(page = {}) {
+  return parseLabelledCertPage(page, { labels: PSA_LABELS, imagePattern: PSA_IMAGE_PATTERN });
+}
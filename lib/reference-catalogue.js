@@ -0,0 +1,297 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import sharp from 'sharp';
+
+/**
+ * Reference-card catalogue: verified slabs keyed by cert number and by card
+ * identity (set, number, variant), with their reference images on disk.
+ *
+ * Layout under `dir`:
+ *   catalogue.json          entries
+ *   images/<entryId>/<imageId>.<ext>
+ *
+ * Validation failures throw an Error with `status = 400`.
+ */
+
+const EDITABLE_FIELDS = ['certNumber', 'grader', 'grade', 'cardName', 'year', 'set', 'number', 'variant', 'language', 'notes'];
+const IMAGE_SIDES = ['front', 'back'];
+const IMAGE_FORMATS = { jpeg: 'jpg', png: 'png', webp: 'webp' };
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Normalize one identity component: case, whitespace, leading '#'
+ */
+function identityPart(value) {
+  if (value === undefined || value === null) return '';
+  return String(value).trim().toLowerCase().replace(/^#/, '').replace(/\s+/g, ' ');
+}
+
+/**
+ * Card identity key, or null when set or number is missing
+ */
+export function cardIdentity({ set, number, variant } = {}) {
+  if (!identityPart(set) || !identityPart(number)) return null;
+  return [identityPart(set), identityPart(number), identityPart(variant)].join('|');
+}
+
+/**
+ * URL under which the server exposes a catalogue image
+ */
+export function catalogueImageUrl(entryId, imageId) {
+  return `/api/references/${entryId}/images/${imageId}`;
+}
+
+function pickFields(fields) {
+  const picked = {};
+  for (const key of EDITABLE_FIELDS) {
+    if (fields[key] === undefined) continue;
+    picked[key] = fields[key] === null ? null : String(fields[key]).trim();
+  }
+  if (picked.certNumber) picked.certNumber = picked.certNumber.replace(/[^0-9-]/g, '');
+  if (picked.grader) picked.grader = picked.grader.toUpperCase();
+  return picked;
+}
+
+export function createReferenceCatalogue({ dir = 'data/references', seed = [] } = {}) {
+  const cataloguePath = path.join(dir, 'catalogue.json');
+  const imagesDir = path.join(dir, 'images');
+  const entries = new Map();
+
+  function save() {
+    fs.mkdirSync(dir, { recursive: true });
+    const tmpPath = `${cataloguePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, entries: [...entries.values()] }, null, 2));
+    fs.renameSync(tmpPath, cataloguePath);
+  }
+
+  function assertUniqueCert(certNumber, grader, exceptId) {
+    if (!certNumber) return;
+    const existing = findByCert(certNumber, grader);
+    if (existing && existing.id !== exceptId) {
+      throw badRequest(`${grader} cert ${certNumber} is already in the catalogue (${existing.id})`);
+    }
+  }
+
+  function create(fields) {
+    const picked = pickFields(fields || {});
+    if (!picked.certNumber && !cardIdentity(picked)) {
+      throw badRequest('An entry needs a certNumber or a card identity (set and number)');
+    }
+    assertUniqueCert(picked.certNumber, picked.grader || 'PSA');
+
+    const now = new Date().toISOString();
+    const entry = {
+      id: crypto.randomUUID(),
+      certNumber: null,
+      grader: 'PSA',
+      grade: null,
+      cardName: null,
+      year: null,
+      set: null,
+      number: null,
+      variant: null,
+      language: null,
+      notes: null,
+      ...picked,
+      images: [],
+      createdAt: now,
+      updatedAt: now
+    };
+    entries.set(entry.id, entry);
+    save();
+    return entry;
+  }
+
+  // Load, or seed a fresh catalogue
+  if (fs.existsSync(cataloguePath)) {
+    const stored = JSON.parse(fs.readFileSync(cataloguePath, 'utf8'));
+    for (const entry of stored.entries || []) entries.set(entry.id, entry);
+  } else {
+    for (const fields of seed) create(fields);
+  }
+
+  function get(id) {
+    return entries.get(id) || null;
+  }
+
+  function findByCert(certNumber, grader = 'PSA') {
+    for (const entry of entries.values()) {
+      if (entry.certNumber && entry.certNumber === String(certNumber) && entry.grader === grader) return entry;
+    }
+    return null;
+  }
+
+  /**
+   * Entries of the same card. Without a variant, any variant matches.
+   */
+  function findByIdentity(identity) {
+    if (!cardIdentity(identity)) return [];
+    const set = identityPart(identity.set);
+    const number = identityPart(identity.number);
+    const variant = identityPart(identity.variant);
+
+    return [...entries.values()].filter(entry =>
+      identityPart(entry.set) === set &&
+      identityPart(entry.number) === number &&
+      (!variant || identityPart(entry.variant) === variant)
+    );
+  }
+
+  /**
+   * List entries, optionally filtered by certNumber, set, number, variant,
+   * grader or a case-insensitive `q` match on the card name
+   */
+  function list(filter = {}) {
+    return [...entries.values()].filter(entry => {
+      if (filter.certNumber && entry.certNumber !== String(filter.certNumber)) return false;
+      if (filter.grader && identityPart(entry.grader) !== identityPart(filter.grader)) return false;
+      for (const key of ['set', 'number', 'variant']) {
+        if (filter[key] && identityPart(entry[key]) !== identityPart(filter[key])) return false;
+      }
+      if (filter.q && !(entry.cardName || '').toLowerCase().includes(String(filter.q).toLowerCase())) return false;
+      return true;
+    });
+  }
+
+  function update(id, fields) {
+    const entry = entries.get(id);
+    if (!entry) return null;
+
+    const picked = pickFields(fields || {});
+    const updated = { ...entry, ...picked };
+    if (!updated.certNumber && !cardIdentity(updated)) {
+      throw badRequest('An entry needs a certNumber or a card identity (set and number)');
+    }
+    assertUniqueCert(updated.certNumber, updated.grader, id);
+
+    updated.updatedAt = new Date().toISOString();
+    entries.set(id, updated);
+    save();
+    return updated;
+  }
+
+  function remove(id) {
+    const entry = entries.get(id);
+    if (!entry) return null;
+    entries.delete(id);
+    fs.rmSync(path.join(imagesDir, id), { recursive: true, force: true });
+    save();
+    return entry;
+  }
+
+  /**
+   * Store a verified reference image (base64 or data URL) for an entry
+   */
+  async function addImage(id, base64, { side = 'front' } = {}) {
+    const entry = entries.get(id);
+    if (!entry) return null;
+    if (!IMAGE_SIDES.includes(side)) throw badRequest(`side must be one of: ${IMAGE_SIDES.join(', ')}`);
+    if (!base64) throw badRequest('Missing image');
+
+    const buffer = Buffer.from(String(base64).replace(/^data:image\/\w+;base64,/, ''), 'base64');
+    let metadata;
+    try {
+      metadata = await sharp(buffer).metadata();
+    } catch (error) {
+      throw badRequest(`Unreadable image: ${error.message}`);
+    }
+    const ext = IMAGE_FORMATS[metadata.format];
+    if (!ext) throw badRequest(`Unsupported image format: ${metadata.format}`);
+
+    const imageId = crypto.randomUUID();
+    const image = {
+      id: imageId,
+      side,
+      file: `${entry.id}/${imageId}.${ext}`,
+      format: metadata.format,
+      width: metadata.width,
+      height: metadata.height,
+      bytes: buffer.length,
+      uploadedAt: new Date().toISOString()
+    };
+
+    fs.mkdirSync(path.join(imagesDir, entry.id), { recursive: true });
+    fs.writeFileSync(path.join(imagesDir, image.file), buffer);
+
+    entry.images.push(image);
+    entry.updatedAt = image.uploadedAt;
+    save();
+    return image;
+  }
+
+  function removeImage(id, imageId) {
+    const entry = entries.get(id);
+    const image = entry?.images.find(img => img.id === imageId);
+    if (!image) return null;
+
+    fs.rmSync(path.join(imagesDir, image.file), { force: true });
+    entry.images = entry.images.filter(img => img.id !== imageId);
+    entry.updatedAt = new Date().toISOString();
+    save();
+    return image;
+  }
+
+  /**
+   * Raw bytes and format of a stored image, or null
+   */
+  function readImage(id, imageId) {
+    const image = entries.get(id)?.images.find(img => img.id === imageId);
+    if (!image) return null;
+    try {
+      return { buffer: fs.readFileSync(path.join(imagesDir, image.file)), format: image.format };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Read an image from its catalogueImageUrl()
+   */
+  function readImageUrl(url) {
+    const match = String(url).match(/^\/api\/references\/([\w-]+)\/images\/([\w-]+)$/);
+    return match ? readImage(match[1], match[2]) : null;
+  }
+
+  return {
+    get,
+    list,
+    findByCert,
+    findByIdentity,
+    create,
+    update,
+    remove,
+    addImage,
+    removeImage,
+    readImage,
+    readImageUrl,
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+/**
+ * Entry as served by the API, with image URLs
+ */
+export function describeEntry(entry) {
+  return {
+    ...entry,
+    identity: cardIdentity(entry),
+    images: entry.images.map(image => ({
+      id: image.id,
+      side: image.side,
+      format: image.format,
+      width: image.width,
+      height: image.height,
+      bytes: image.bytes,
+      uploadedAt: image.uploadedAt,
+      url: catalogueImageUrl(entry.id, image.id)
+    }))
+  };
+}
@@ -0,0 +1,446 @@
+import { describeEntry } from './reference-catalogue.js';
+import { parsePSACertPage } from './psa-parser.js';
+
+/**
+ * Cert reference sources and the chain that resolves a cert number through
+ * them. Sources default to PSA; the other graders reuse them with their own
+ * URLs and page parsers (see graders.js).
+ *
+ * Every source resolves to the same shape (see referenceResult): found or
+ * not, with the same metadata and image fields, so callers never need to
+ * know which source or grader answered.
+ */
+
+export const DEFAULT_SOURCE_ORDER = ['cache', 'catalogue', 'official', 'firecrawl'];
+
+// Old source names still accepted in configured orders
+const SOURCE_ALIASES = { known: 'catalogue' };
+
+const METADATA_FIELDS = [
+  'grade', 'subgrades', 'cardName', 'year', 'set', 'number', 'variety', 'language', 'category',
+  'labelType', 'autographGrade', 'population', 'popHigher', 'psaEstimate', 'screenshot'
+];
+
+export function psaCertUrl(certNumber) {
+  return `https://www.psacard.com/cert/${certNumber}`;
+}
+
+/**
+ * Uniform result for a source that found the cert. `referenceImageSides`
+ * runs parallel to `referenceImages` ('front', 'back' or null when the
+ * source does not say).
+ */
+export function referenceResult(source, certNumber, fields = {}) {
+  const result = {
+    found: true,
+    source,
+    grader: 'PSA',
+    certNumber,
+    certUrl: psaCertUrl(certNumber),
+    psaUrl: psaCertUrl(certNumber),
+    grade: null,
+    subgrades: null,
+    cardName: null,
+    year: null,
+    set: null,
+    number: null,
+    variety: null,
+    language: null,
+    category: null,
+    labelType: null,
+    autographGrade: null,
+    population: null,
+    popHigher: null,
+    psaEstimate: null,
+    cardFrontImage: null,
+    cardBackImage: null,
+    referenceImages: [],
+    referenceImageSides: [],
+    screenshot: null,
+    fetchedAt: new Date().toISOString()
+  };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) result[key] = value;
+  }
+  return result;
+}
+
+/**
+ * Uniform result for a source that could not answer. `notFound` is set only
+ * when the source looked the cert up and says it does not exist; every other
+ * miss (not configured, not cached, a failed request) says nothing about the
+ * cert.
+ */
+export function referenceMiss(source, certNumber, error, { notFound = false } = {}) {
+  return {
+    found: false,
+    source,
+    grader: 'PSA',
+    certNumber,
+    certUrl: psaCertUrl(certNumber),
+    psaUrl: psaCertUrl(certNumber),
+    error,
+    notFound
+  };
+}
+
+// ============================================================================
+// SOURCES
+// ============================================================================
+
+/**
+ * Previously resolved references. `cache` needs get/set/has/delete (a Map
+ * works). A cached miss comes back with `cachedMiss: true`, which stops the
+ * chain until it expires.
+ */
+export function cacheSource(cache, cacheKey = (certNumber) => certNumber) {
+  return {
+    name: 'cache',
+    async lookup(certNumber) {
+      const cached = cache.get(cacheKey(certNumber));
+      if (cached === undefined) return referenceMiss('cache', certNumber, 'not_cached');
+
+      if (cached.found === false) {
+        console.log(`[PSA Sources] Cached miss for ${certNumber}`);
+        return { ...cached, source: 'cache', cachedMiss: true };
+      }
+
+      console.log(`[PSA Sources] Cache hit for ${certNumber}`);
+      return { ...cached, found: true, source: 'cache' };
+    }
+  };
+}
+
+/**
+ * Catalogue entry as a reference result, with its images front first
+ */
+function catalogueResult(entry, certNumber, images) {
+  const front = images.filter(image => image.side === 'front').map(image => image.url);
+  const back = images.filter(image => image.side === 'back').map(image => image.url);
+
+  return referenceResult('reference_catalogue', certNumber, {
+    grade: entry.grade,
+    cardName: entry.cardName,
+    language: entry.language,
+    year: entry.year,
+    set: entry.set,
+    number: entry.number,
+    variety: entry.variant,
+    cardFrontImage: front[0] || null,
+    cardBackImage: back[0] || null,
+    referenceImages: [...front, ...back],
+    referenceImageSides: [...front.map(() => 'front'), ...back.map(() => 'back')],
+    catalogueId: entry.id
+  });
+}
+
+/**
+ * Verified slabs from the reference catalogue. Looks certs up by number and,
+ * through complete(), lends images from other slabs of the same card
+ * (set, number, variant) to references that have none.
+ */
+export function catalogueSource(catalogue, grader = 'PSA') {
+  return {
+    name: 'catalogue',
+    async lookup(certNumber) {
+      const entry = catalogue.findByCert(certNumber, grader);
+      if (!entry) return referenceMiss('catalogue', certNumber, 'not_in_catalogue');
+      return catalogueResult(entry, certNumber, describeEntry(entry).images);
+    },
+    async complete(reference) {
+      const images = catalogue
+        .findByIdentity({ set: reference.set, number: reference.number, variant: reference.variety })
+        .flatMap(entry => describeEntry(entry).images);
+      if (images.length === 0) return null;
+
+      console.log(`[PSA Sources] ${images.length} catalogue images for ${reference.set} #${reference.number}`);
+      return catalogueResult({}, reference.certNumber, images);
+    }
+  };
+}
+
+/**
+ * Raw cert lookup against the official PSA public API
+ */
+export async function fetchPSAOfficialCert(certNumber, token) {
+  const response = await fetch(`https://api.psacard.com/publicapi/cert/GetByCertNumber/${certNumber}`, {
+    headers: {
+      'Authorization': `bearer ${token}`,
+      'Accept': 'application/json'
+    }
+  });
+  return await response.json();
+}
+
+/**
+ * Official PSA API. Returns metadata only - the API has no images.
+ */
+export function officialApiSource(token) {
+  return {
+    name: 'official',
+    async lookup(certNumber) {
+      if (!token) return referenceMiss('official', certNumber, 'psa_api_not_configured');
+
+      console.log(`[PSA Sources] Trying official API for ${certNumber}...`);
+      const data = await fetchPSAOfficialCert(certNumber, token);
+
+      if (!data.IsValidRequest || data.ServerMessage !== 'Request successful') {
+        // A valid request without a cert is PSA saying the cert does not
+        // exist; anything else (bad token, rate limit) is not an answer
+        return referenceMiss('official', certNumber, data.ServerMessage || 'Cert not found', {
+          notFound: data.IsValidRequest === true
+        });
+      }
+
+      const cert = data.PSACert || data;
+      return referenceResult('psa_official_api', certNumber, {
+        grade: cert.CardGrade || cert.Grade,
+        cardName: cert.Subject || cert.CardName,
+        year: cert.Year,
+        set: cert.SetYear || cert.Brand,
+        number: cert.CardNumber,
+        variety: cert.Variety,
+        category: cert.Category,
+        labelType: cert.LabelType,
+        population: cert.TotalPopulation,
+        popHigher: cert.PopulationHigher
+      });
+    }
+  };
+}
+
+/**
+ * Scrape a cert page with Firecrawl - professional scraping service.
+ * Bypasses Cloudflare, extracts images and a screenshot.
+ * Defaults to the PSA cert page; `certUrl` and `parse` adapt it to other graders.
+ */
+export function firecrawlSource(apiKey, { certUrl = psaCertUrl, parse = parsePSACertPage } = {}) {
+  return {
+    name: 'firecrawl',
+    async lookup(certNumber) {
+      if (!apiKey) {
+        console.log('[Firecrawl] No API key configured, returning manual verification');
+        return {
+          ...referenceMiss('firecrawl', certNumber, 'firecrawl_not_configured'),
+          message: 'Firecrawl API key not configured. Set FIRECRAWL_API_KEY env var.',
+          manualVerificationRequired: true
+        };
+      }
+
+      const pageUrl = certUrl(certNumber);
+      console.log(`[Firecrawl] Scraping ${pageUrl}...`);
+
+      // Call Firecrawl API with screenshot and images extraction
+      const response = await fetch('https://api.firecrawl.dev/v1/scrape', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${apiKey}`
+        },
+        body: JSON.stringify({
+          url: pageUrl,
+          formats: ['markdown', 'html', 'screenshot'],
+          waitFor: 3000, // Wait 3s for dynamic content
+          timeout: 30000
+        })
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        console.error('[Firecrawl] API Error:', errorText);
+        throw new Error(`Firecrawl API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.error || 'Firecrawl scrape failed');
+      }
+
+      const scraped = data.data;
+      const page = parse({
+        html: scraped.html || '',
+        markdown: scraped.markdown || '',
+        metadata: scraped.metadata
+      });
+
+      console.log(`[Firecrawl] Success! Grade: ${page.grade}, Card: ${page.title}, Images: ${page.images.length}`);
+
+      return referenceResult('firecrawl', certNumber, {
+        grade: page.grade,
+        subgrades: page.subgrades,
+        cardName: page.title,
+        year: page.year,
+        set: page.brand,
+        number: page.cardNumber,
+        variety: page.variety,
+        language: page.language,
+        category: page.category,
+        labelType: page.labelType,
+        autographGrade: page.autographGrade,
+        population: page.population,
+        popHigher: page.popHigher,
+        psaEstimate: page.psaEstimate,
+        cardFrontImage: page.cardFrontImage,
+        cardBackImage: page.cardBackImage,
+        referenceImages: page.images,
+        screenshot: scraped.screenshot // This is a URL, not base64
+      });
+    }
+  };
+}
+
+// ============================================================================
+// CHAIN
+// ============================================================================
+
+/**
+ * Fill gaps in `base` from a later result. Images come from whichever result
+ * has them first.
+ */
+function mergeReferences(base, next) {
+  const merged = { ...base };
+  for (const field of METADATA_FIELDS) {
+    if (merged[field] == null && next[field] != null) merged[field] = next[field];
+  }
+  if (merged.referenceImages.length === 0 && next.referenceImages.length > 0) {
+    merged.referenceImages = next.referenceImages;
+    merged.referenceImageSides = next.referenceImageSides || [];
+    merged.cardFrontImage = next.cardFrontImage;
+    merged.cardBackImage = next.cardBackImage;
+  }
+  return merged;
+}
+
+/**
+ * Parse a source order from a comma-separated string or an array
+ */
+export function parseSourceOrder(value, fallback = DEFAULT_SOURCE_ORDER) {
+  if (!value) return fallback;
+  const names = (Array.isArray(value) ? value : String(value).split(','))
+    .map(name => String(name).trim().toLowerCase())
+    .filter(Boolean)
+    .map(name => SOURCE_ALIASES[name] || name);
+  return names.length > 0 ? names : fallback;
+}
+
+/**
+ * Chain of reference sources tried in order.
+ *
+ * resolve() stops at the first source that finds the cert. With
+ * `requireImages` it keeps going until some source supplies reference images,
+ * merging metadata along the way. Results from anything other than the cache
+ * are written back to `cache`. When every source misses, at least one of
+ * them answered that the cert does not exist (`notFound`) and none of them
+ * failed, the miss is cached as a negative entry
+ * (`cache.set(key, miss, { negative: true })`). Failed lookups (timeouts,
+ * API errors) are never cached.
+ *
+ * If images are required and none were found, sources with a complete()
+ * hook get a chance to supply them for the resolved card.
+ *
+ * `refresh: true` drops the cached entry and skips the cache source.
+ */
+export function createReferenceChain({
+  sources,
+  order = DEFAULT_SOURCE_ORDER,
+  cache = null,
+  grader = 'PSA',
+  certUrl = psaCertUrl,
+  cacheKey = (certNumber) => certNumber
+}) {
+  const byName = Object.fromEntries(sources.map(source => [source.name, source]));
+
+  // Stamp every answer with the chain's grader and cert page
+  const forGrader = (result, certNumber) => ({
+    ...result,
+    grader,
+    certUrl: certUrl(certNumber),
+    psaUrl: grader === 'PSA' ? psaCertUrl(certNumber) : null
+  });
+
+  async function resolve(certNumber, options = {}) {
+    const { requireImages = false, refresh = false } = options;
+    let sourceOrder = parseSourceOrder(options.order, order);
+    if (refresh) {
+      if (cache) cache.delete(cacheKey(certNumber));
+      sourceOrder = sourceOrder.filter(name => name !== 'cache');
+    }
+    const attempts = [];
+    const contributors = [];
+    let merged = null;
+    let lastMiss = null;
+    let failed = false;
+
+    for (const name of sourceOrder) {
+      const source = byName[name];
+      if (!source) {
+        attempts.push({ source: name, found: false, error: 'unknown_source' });
+        continue;
+      }
+
+      let result;
+      try {
+        result = await source.lookup(certNumber);
+      } catch (error) {
+        console.error(`[PSA Sources] ${grader} ${name} failed:`, error.message);
+        result = referenceMiss(name, certNumber, error.message);
+        failed = true;
+      }
+
+      attempts.push({
+        source: name,
+        found: result.found,
+        images: result.found ? result.referenceImages.length : 0,
+        ...(result.error ? { error: result.error } : {}),
+        ...(result.notFound ? { notFound: true } : {})
+      });
+
+      if (!result.found) {
+        lastMiss = result;
+        if (result.cachedMiss) break;
+        continue;
+      }
+
+      merged = merged ? mergeReferences(merged, result) : result;
+      contributors.push(name);
+      if (!requireImages || merged.referenceImages.length > 0) break;
+    }
+
+    if (merged && requireImages && merged.referenceImages.length === 0) {
+      for (const name of sourceOrder) {
+        if (!byName[name]?.complete) continue;
+        const extra = await byName[name].complete(merged);
+        if (!extra) continue;
+
+        merged = mergeReferences(merged, extra);
+        if (!contributors.includes(name)) contributors.push(name);
+        attempts.push({ source: name, found: true, images: extra.referenceImages.length, match: 'identity' });
+        break;
+      }
+    }
+
+    if (!merged) {
+      const miss = forGrader({
+        ...(lastMiss || referenceMiss('none', certNumber, 'no_sources')),
+        manualVerificationRequired: true
+      }, certNumber);
+
+      const notFound = attempts.some(attempt => attempt.notFound);
+      if (cache && notFound && !failed && !miss.cachedMiss) {
+        cache.set(cacheKey(certNumber), miss, { negative: true });
+      }
+
+      return { ...miss, attempts };
+    }
+
+    merged = forGrader(merged, certNumber);
+    if (cache && contributors.some(name => name !== 'cache')) {
+      cache.set(cacheKey(certNumber), merged);
+    }
+
+    return { ...merged, sources: contributors, attempts };
+  }
+
+  return { grader, order, sources: Object.keys(byName), resolve };
+}
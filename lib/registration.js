@@ -0,0 +1,262 @@
+import { rgbToGrayscale, resizeImageData } from './image.js';
+import { gaussianBlur } from './edges.js';
+import { detectCorners } from './features.js';
+import { normalizeCard } from './card-detection.js';
+import { solveHomography, applyHomography, invertHomography, warpPerspective } from './geometry.js';
+
+// Comparison frame: a 63x88 mm card at 10 px/mm
+export const COMPARE_WIDTH = 630;
+export const COMPARE_HEIGHT = 880;
+
+const PATCH_RADIUS = 15;
+const DESCRIPTOR_BITS = 256;
+
+/**
+ * Small deterministic PRNG (LCG) so descriptors and RANSAC are reproducible
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    return state / 4294967296;
+  };
+}
+
+// BRIEF sampling pairs: isotropic Gaussian around the keypoint, clamped to the patch
+const BRIEF_PAIRS = (() => {
+  const random = createRandom(0x5eed);
+  const gaussian = () => {
+    const u = Math.max(random(), 1e-12);
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  };
+  const sample = () => Math.max(-PATCH_RADIUS, Math.min(PATCH_RADIUS, Math.round(gaussian() * (PATCH_RADIUS * 2 + 1) / 5)));
+
+  const pairs = new Int8Array(DESCRIPTOR_BITS * 4);
+  for (let i = 0; i < DESCRIPTOR_BITS; i++) {
+    pairs[i * 4] = sample();
+    pairs[i * 4 + 1] = sample();
+    pairs[i * 4 + 2] = sample();
+    pairs[i * 4 + 3] = sample();
+  }
+  return pairs;
+})();
+
+function popcount32(x) {
+  x -= (x >>> 1) & 0x55555555;
+  x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+  return (Math.imul((x + (x >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24);
+}
+
+/**
+ * BRIEF-256 binary descriptors on a smoothed plane.
+ * Keypoints too close to the border for a full patch are dropped.
+ */
+export function computeDescriptors(smoothed, width, height, keypoints) {
+  const words = DESCRIPTOR_BITS / 32;
+  const kept = [];
+  const descriptors = [];
+
+  for (const kp of keypoints) {
+    if (kp.x < PATCH_RADIUS || kp.y < PATCH_RADIUS || kp.x >= width - PATCH_RADIUS || kp.y >= height - PATCH_RADIUS) {
+      continue;
+    }
+
+    const descriptor = new Uint32Array(words);
+    for (let i = 0; i < DESCRIPTOR_BITS; i++) {
+      const a = smoothed[(kp.y + BRIEF_PAIRS[i * 4 + 1]) * width + (kp.x + BRIEF_PAIRS[i * 4])];
+      const b = smoothed[(kp.y + BRIEF_PAIRS[i * 4 + 3]) * width + (kp.x + BRIEF_PAIRS[i * 4 + 2])];
+      if (a < b) descriptor[i >> 5] |= 1 << (i & 31);
+    }
+
+    kept.push(kp);
+    descriptors.push(descriptor);
+  }
+
+  return { keypoints: kept, descriptors };
+}
+
+function hamming(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) distance += popcount32(a[i] ^ b[i]);
+  return distance;
+}
+
+/**
+ * Brute-force Hamming matching with Lowe's ratio test and a mutual check
+ */
+export function matchDescriptors(descA, descB, { ratio = 0.8, maxDistance = 64 } = {}) {
+  const bestFor = (from, to) => from.map(d => {
+    let best = Infinity, second = Infinity, index = -1;
+    for (let j = 0; j < to.length; j++) {
+      const dist = hamming(d, to[j]);
+      if (dist < best) {
+        second = best;
+        best = dist;
+        index = j;
+      } else if (dist < second) {
+        second = dist;
+      }
+    }
+    return { index, distance: best, second };
+  });
+
+  const forward = bestFor(descA, descB);
+  const backward = bestFor(descB, descA);
+
+  const matches = [];
+  forward.forEach((m, i) => {
+    if (m.index < 0 || m.distance > maxDistance) return;
+    if (m.distance > ratio * m.second) return;
+    if (backward[m.index].index !== i) return;
+    matches.push({ a: i, b: m.index, distance: m.distance });
+  });
+  return matches;
+}
+
+/**
+ * Reject homographies that fold, flip or stretch the card implausibly
+ */
+function isPlausibleHomography(H) {
+  const det = H[0] * H[4] - H[1] * H[3];
+  return det > 0.5 && det < 2 && Math.abs(H[6]) < 0.002 && Math.abs(H[7]) < 0.002;
+}
+
+/**
+ * RANSAC homography over point correspondences ({ x, y } arrays).
+ * The winning model is refit on all of its inliers.
+ */
+export function estimateHomographyRansac(src, dst, { threshold = 4, iterations = 2000, seed = 1 } = {}) {
+  const n = src.length;
+  if (n < 4) return null;
+
+  const random = createRandom(seed);
+  const countInliers = (H) => {
+    const inliers = [];
+    let error = 0;
+    for (let i = 0; i < n; i++) {
+      const p = applyHomography(H, src[i].x, src[i].y);
+      const e = Math.hypot(p.x - dst[i].x, p.y - dst[i].y);
+      if (e < threshold) {
+        inliers.push(i);
+        error += e;
+      }
+    }
+    return { inliers, error: inliers.length > 0 ? error / inliers.length : Infinity };
+  };
+
+  let best = null;
+  for (let iter = 0; iter < iterations; iter++) {
+    const sample = new Set();
+    while (sample.size < 4) sample.add(Math.floor(random() * n));
+    const idx = [...sample];
+
+    const H = solveHomography(idx.map(i => src[i]), idx.map(i => dst[i]));
+    if (!H || !isPlausibleHomography(H)) continue;
+
+    const result = countInliers(H);
+    if (!best || result.inliers.length > best.inliers.length ||
+        (result.inliers.length === best.inliers.length && result.error < best.error)) {
+      best = { H, ...result };
+    }
+  }
+
+  if (!best || best.inliers.length < 4) return null;
+
+  // Least-squares refit on the consensus set
+  const refined = solveHomography(best.inliers.map(i => src[i]), best.inliers.map(i => dst[i]));
+  if (refined && isPlausibleHomography(refined)) {
+    const result = countInliers(refined);
+    if (result.inliers.length >= best.inliers.length) best = { H: refined, ...result };
+  }
+
+  return { homography: best.H, inliers: best.inliers, reprojectionError: best.error };
+}
+
+/**
+ * Normalize an image to the comparison frame and extract registration features.
+ * Cards are detected and perspective-corrected first (slabs/sleeves removed),
+ * then resized to COMPARE_WIDTH x COMPARE_HEIGHT.
+ */
+export async function prepareForComparison(imageData, options = {}) {
+  const { imageData: card, preprocessing } = await normalizeCard(imageData, options);
+  const { data, width, height } = await resizeImageData(card, COMPARE_WIDTH, COMPARE_HEIGHT);
+
+  const gray = rgbToGrayscale(data, width, height);
+  const { keypoints } = detectCorners(gray, width, height, {
+    threshold: 0.005,
+    nmsRadius: 6,
+    maxCorners: 800
+  });
+  const smoothed = gaussianBlur(gray, width, height, 2);
+  const features = computeDescriptors(smoothed, width, height, keypoints);
+
+  return { data, width, height, preprocessing, ...features };
+}
+
+/**
+ * Align a prepared image onto a prepared reference.
+ * Returns the moving image warped into the reference frame plus the
+ * estimated transform. If registration fails, the image is returned
+ * unaligned and registration.success is false.
+ */
+export function registerToReference(moving, reference, options = {}) {
+  const { minInliers = 12 } = options;
+
+  const matches = matchDescriptors(moving.descriptors, reference.descriptors);
+  const src = matches.map(m => moving.keypoints[m.a]);
+  const dst = matches.map(m => reference.keypoints[m.b]);
+  const estimate = estimateHomographyRansac(src, dst, options);
+
+  const base = {
+    keypoints: { moving: moving.keypoints.length, reference: reference.keypoints.length },
+    matches: matches.length
+  };
+
+  if (!estimate || estimate.inliers.length < minInliers) {
+    return {
+      aligned: { data: moving.data, width: moving.width, height: moving.height },
+      registration: {
+        success: false,
+        ...base,
+        inliers: estimate ? estimate.inliers.length : 0,
+        inlierRatio: estimate && matches.length > 0 ? estimate.inliers.length / matches.length : 0,
+        reason: matches.length < 4 ? 'Too few feature matches' : 'No consistent transform found'
+      }
+    };
+  }
+
+  // Sample the moving image at reference coordinates
+  const inverse = invertHomography(estimate.homography);
+  const data = warpPerspective(moving.data, moving.width, moving.height, inverse, reference.width, reference.height);
+
+  return {
+    aligned: { data, width: reference.width, height: reference.height },
+    registration: {
+      success: true,
+      ...base,
+      inliers: estimate.inliers.length,
+      inlierRatio: estimate.inliers.length / matches.length,
+      reprojectionError: estimate.reprojectionError,
+      homography: estimate.homography
+    }
+  };
+}
+
+/**
+ * JSON-friendly registration summary
+ */
+export function describeRegistration(registration) {
+  const { homography, inlierRatio, reprojectionError, ...rest } = registration;
+  const summary = { ...rest, inlierRatio: inlierRatio.toFixed(3) };
+
+  if (homography) {
+    summary.homography = homography.map(v => Number(v.toPrecision(6)));
+    summary.reprojectionError = reprojectionError.toFixed(2);
+    // Decompose the affine part for a readable offset/rotation/scale
+    summary.translation = { x: homography[2].toFixed(1), y: homography[5].toFixed(1) };
+    summary.rotation = (Math.atan2(homography[3], homography[0]) * 180 / Math.PI).toFixed(2);
+    summary.scale = Math.sqrt(Math.abs(homography[0] * homography[4] - homography[1] * homography[3])).toFixed(3);
+  }
+  return summary;
+}
@@ -0,0 +1,45 @@
+import fs from 'fs';
+import path from 'path';
+import { validateModel } from './scoring.js';
+
+/**
+ * The scoring model behind every authenticity verdict (see scoring.js),
+ * kept in a JSON file. Edits to the file are picked up on the next request;
+ * an edit that does not validate is logged and the previous model kept.
+ *
+ * Validation failures throw an Error with `status = 400`.
+ */
+export function createScoringModelStore({ file = 'config/scoring-model.json', profiles = [] } = {}) {
+  let model = validateModel(JSON.parse(fs.readFileSync(file, 'utf8')), { profiles });
+  let loadedAt = fs.statSync(file).mtimeMs;
+
+  function get() {
+    const { mtimeMs } = fs.statSync(file);
+    if (mtimeMs !== loadedAt) {
+      loadedAt = mtimeMs;
+      try {
+        model = validateModel(JSON.parse(fs.readFileSync(file, 'utf8')), { profiles });
+        console.log(`[Scoring] Reloaded model from ${file}`);
+      } catch (error) {
+        console.error(`[Scoring] Keeping the previous model, ${file} is invalid: ${error.message}`);
+      }
+    }
+    return model;
+  }
+
+  /**
+   * Replace the model and write it to the file
+   */
+  function replace(next) {
+    const valid = validateModel(next, { profiles });
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpPath = `${file}.tmp`;
+    fs.writeFileSync(tmpPath, `${JSON.stringify(next, null, 2)}\n`);
+    fs.renameSync(tmpPath, file);
+    model = valid;
+    loadedAt = fs.statSync(file).mtimeMs;
+    return model;
+  }
+
+  return { get, replace, file };
+}
@@ -0,0 +1,145 @@
+/**
+ * Authenticity scoring from measured signals, driven by a JSON model (see
+ * config/scoring-model.json) so weights and thresholds can be tuned without
+ * code changes.
+ *
+ * A model has named profiles, one per kind of analysis (`cert` for the
+ * reference comparisons, `cv` for the tier algorithms). Each profile lists
+ * its signals:
+ *
+ *   { name, weight, direction: 'min' | 'max', threshold, ramp }
+ *
+ * A `min` signal passes at or above its threshold, a `max` signal at or
+ * below it. Its support is 1 when it passes and 0 when it fails, or, with a
+ * `ramp`, rises linearly from 0 to 1 across a band `ramp` wide centred on
+ * the threshold. The score is the weighted mean support of the measured
+ * signals on 0-100, so each signal's contribution is its share of the score.
+ * The verdict is the first of `verdicts` whose `minScore` the score reaches.
+ *
+ * Validation failures throw an Error with `status = 400`.
+ */
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+const DIRECTIONS = ['min', 'max'];
+
+const DEFAULT_CONFIDENCE = { high: 0.7, medium: 0.4, margin: 10 };
+
+const finite = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Check a model and fill in defaults. `profiles` names profiles the model
+ * must have.
+ */
+export function validateModel(model, { profiles = [] } = {}) {
+  if (!model || typeof model !== 'object') throw badRequest('A scoring model must be an object');
+
+  const verdicts = model.verdicts;
+  if (!Array.isArray(verdicts) || verdicts.length === 0) throw badRequest('A scoring model needs verdicts');
+  for (const [i, v] of verdicts.entries()) {
+    if (!v || typeof v.verdict !== 'string' || !finite(v.minScore)) {
+      throw badRequest('Each verdict needs a verdict name and a numeric minScore');
+    }
+    if (i > 0 && v.minScore >= verdicts[i - 1].minScore) throw badRequest('Verdicts must be ordered by falling minScore');
+  }
+  if (verdicts[verdicts.length - 1].minScore > 0) throw badRequest('The last verdict must start at a minScore of 0');
+
+  const confidence = { ...DEFAULT_CONFIDENCE, ...(model.confidence || {}) };
+  if (!finite(confidence.high) || !finite(confidence.medium) || !finite(confidence.margin) || confidence.margin <= 0) {
+    throw badRequest('confidence needs numeric high, medium and a positive margin');
+  }
+
+  if (!model.profiles || typeof model.profiles !== 'object') throw badRequest('A scoring model needs profiles');
+  for (const id of profiles) {
+    if (!model.profiles[id]) throw badRequest(`The scoring model has no ${id} profile`);
+  }
+
+  const validProfiles = {};
+  for (const [id, profile] of Object.entries(model.profiles)) {
+    if (!profile || !profile.signals || typeof profile.signals !== 'object') throw badRequest(`Profile ${id} needs signals`);
+    const signals = {};
+    for (const [signalId, signal] of Object.entries(profile.signals)) {
+      const where = `${id}.${signalId}`;
+      if (!finite(signal.weight) || signal.weight < 0) throw badRequest(`${where}: weight must be a number of at least 0`);
+      if (!DIRECTIONS.includes(signal.direction)) throw badRequest(`${where}: direction must be min or max`);
+      if (!finite(signal.threshold)) throw badRequest(`${where}: threshold must be a number`);
+      const ramp = signal.ramp === undefined ? 0 : signal.ramp;
+      if (!finite(ramp) || ramp < 0) throw badRequest(`${where}: ramp must be a number of at least 0`);
+      signals[signalId] = { ...signal, name: signal.name || signalId, ramp };
+    }
+    validProfiles[id] = { ...profile, name: profile.name || id, signals };
+  }
+
+  return { ...model, verdicts, confidence, profiles: validProfiles };
+}
+
+/**
+ * Support (0-1) a measured value lends to authenticity, and whether it
+ * passes the threshold
+ */
+export function signalSupport(signal, value) {
+  const margin = signal.direction === 'min' ? value - signal.threshold : signal.threshold - value;
+  const support = signal.ramp > 0
+    ? Math.max(0, Math.min(1, 0.5 + margin / signal.ramp))
+    : margin >= 0 ? 1 : 0;
+  return { support, pass: margin >= 0 };
+}
+
+/**
+ * Score a profile's signals. `values` maps signal ids to measurements: a
+ * number is scored, null marks a signal that was expected but could not be
+ * measured (it lowers confidence), and ids that are absent or not in the
+ * profile are left out.
+ *
+ * Returns { profile, score, verdict, confidence, coverage, signals }, where
+ * each signal has its value, support, pass and `contribution` (points of
+ * the score) and `lost` (points it cost). With nothing measured the score
+ * is null and the verdict INCONCLUSIVE.
+ */
+export function scoreSignals(model, profileId, values) {
+  const profile = model.profiles[profileId];
+  if (!profile) throw new Error(`The scoring model has no ${profileId} profile`);
+
+  const signals = [];
+  for (const [id, signal] of Object.entries(profile.signals)) {
+    if (!(id in values) || values[id] === undefined) continue;
+    const value = values[id];
+    const measured = finite(value);
+    signals.push({
+      id,
+      name: signal.name,
+      weight: signal.weight,
+      direction: signal.direction,
+      threshold: signal.threshold,
+      value: measured ? value : null,
+      ...(measured ? signalSupport(signal, value) : { support: null, pass: null })
+    });
+  }
+
+  const measuredWeight = signals.filter(s => s.value !== null).reduce((sum, s) => sum + s.weight, 0);
+  const expectedWeight = signals.reduce((sum, s) => sum + s.weight, 0);
+  for (const s of signals) {
+    s.contribution = s.value !== null && measuredWeight > 0 ? 100 * s.weight * s.support / measuredWeight : null;
+    s.lost = s.value !== null && measuredWeight > 0 ? 100 * s.weight * (1 - s.support) / measuredWeight : null;
+  }
+
+  const coverage = expectedWeight > 0 ? measuredWeight / expectedWeight : 0;
+  if (measuredWeight === 0) {
+    return { profile: profileId, score: null, verdict: 'INCONCLUSIVE', confidence: { level: 'low', value: 0 }, coverage, signals };
+  }
+
+  const score = signals.reduce((sum, s) => sum + (s.contribution || 0), 0);
+  const { verdict } = model.verdicts.find(v => score >= v.minScore) || model.verdicts[model.verdicts.length - 1];
+
+  // Confidence falls with missing signals and with a score near a verdict cutoff
+  const cutoffs = model.verdicts.map(v => v.minScore).filter(cutoff => cutoff > 0);
+  const distance = cutoffs.length > 0 ? Math.min(...cutoffs.map(cutoff => Math.abs(score - cutoff))) : model.confidence.margin;
+  const value = coverage * (0.5 + 0.5 * Math.min(1, distance / model.confidence.margin));
+  const level = value >= model.confidence.high ? 'high' : value >= model.confidence.medium ? 'medium' : 'low';
+
+  return { profile: profileId, score, verdict, confidence: { level, value }, coverage, signals };
+}
@@ -0,0 +1,392 @@
+import sharp from 'sharp';
+import zxing from '@zxing/library';
+import { rgbToGrayscale, resizeImageData } from './image.js';
+import { detectCard } from './card-detection.js';
+import { solveHomography, warpPerspective } from './geometry.js';
+import { recognizeText, parseLabelText } from './label-ocr.js';
+
+const {
+  MultiFormatReader,
+  BarcodeFormat,
+  DecodeHintType,
+  RGBLuminanceSource,
+  BinaryBitmap,
+  HybridBinarizer
+} = zxing;
+
+/**
+ * Slab label reading: locate the label in a photo of a graded slab, decode
+ * its barcode or QR code and OCR the printed cert number, grade and title.
+ *
+ * The label is found from the card itself: once the card is detected inside
+ * the slab, the label is the band just above it (or below it, for a slab
+ * photographed upside down). Label proportions are relative to the card
+ * width and fit PSA, BGS, CGC and SGC holders.
+ */
+
+export const LABEL_GEOMETRY = {
+  gap: 0.04,     // card top edge to label bottom edge
+  height: 0.42,  // label height
+  overhang: 0.1  // label extends past the card on each side
+};
+
+// Rectified label width in pixels; OCR upscales from here
+const LABEL_WIDTH = 1200;
+const OCR_MIN_WIDTH = 1600;
+// A 1600px label is roughly 300 dpi; without a density the OCR assumes 70
+const OCR_DPI = 300;
+
+// Whole-image fallback is downscaled to this longest side
+const FULL_IMAGE_SIZE = 2000;
+
+const BARCODE_FORMATS = [
+  BarcodeFormat.CODE_128,
+  BarcodeFormat.CODE_39,
+  BarcodeFormat.QR_CODE,
+  BarcodeFormat.DATA_MATRIX
+];
+
+const GRADER_HOSTS = [
+  ['PSA', /psacard\.com/i],
+  ['BGS', /beckett\.com/i],
+  ['CGC', /cgccards\.com/i],
+  ['SGC', /gosgc\.com/i]
+];
+
+/**
+ * Label quad next to one side of a portrait card quad.
+ * `side` is 'top' or 'bottom'; the quad is ordered so that warping it gives
+ * an upright label (a label below the card belongs to an upside-down slab).
+ */
+export function labelQuad(cardCorners, side = 'top') {
+  const [a, b, , d] = side === 'top' ? cardCorners : [cardCorners[2], cardCorners[3], cardCorners[0], cardCorners[1]];
+  const cardWidth = Math.hypot(b.x - a.x, b.y - a.y);
+  const sideLength = Math.hypot(a.x - d.x, a.y - d.y);
+  if (cardWidth === 0 || sideLength === 0) return null;
+
+  // Unit vectors along the card edge and away from the card
+  const t = { x: (b.x - a.x) / cardWidth, y: (b.y - a.y) / cardWidth };
+  const u = { x: (a.x - d.x) / sideLength, y: (a.y - d.y) / sideLength };
+
+  const { gap, height, overhang } = LABEL_GEOMETRY;
+  const point = (base, along, away) => ({
+    x: base.x + t.x * along * cardWidth + u.x * away * cardWidth,
+    y: base.y + t.y * along * cardWidth + u.y * away * cardWidth
+  });
+
+  return [
+    point(a, -overhang, gap + height),
+    point(b, overhang, gap + height),
+    point(b, overhang, gap),
+    point(a, -overhang, gap)
+  ];
+}
+
+/**
+ * Warp a label quad out of the image into an upright LABEL_WIDTH-wide image
+ */
+function extractLabel(imageData, quad) {
+  const width = (Math.hypot(quad[1].x - quad[0].x, quad[1].y - quad[0].y) +
+    Math.hypot(quad[2].x - quad[3].x, quad[2].y - quad[3].y)) / 2;
+  const height = (Math.hypot(quad[3].x - quad[0].x, quad[3].y - quad[0].y) +
+    Math.hypot(quad[2].x - quad[1].x, quad[2].y - quad[1].y)) / 2;
+  const outWidth = LABEL_WIDTH;
+  const outHeight = Math.max(16, Math.round(LABEL_WIDTH * height / width));
+
+  const target = [
+    { x: 0, y: 0 },
+    { x: outWidth - 1, y: 0 },
+    { x: outWidth - 1, y: outHeight - 1 },
+    { x: 0, y: outHeight - 1 }
+  ];
+  const toSource = solveHomography(target, quad);
+  if (!toSource) return null;
+
+  return {
+    data: warpPerspective(imageData.data, imageData.width, imageData.height, toSource, outWidth, outHeight),
+    width: outWidth,
+    height: outHeight
+  };
+}
+
+/**
+ * Candidate label regions, most likely first.
+ * A supplied label crop is used as is. Otherwise the card is detected inside
+ * the slab and the bands above and below it are tried, falling back to the
+ * whole photo (which also covers close-ups of just the label).
+ */
+export async function locateLabelCandidates(imageData, options = {}) {
+  if (options.labelImageData) {
+    return [{ method: 'provided', side: null, corners: null, region: options.labelImageData }];
+  }
+
+  const candidates = [];
+  const detection = await detectCard(imageData, { removeHolder: true });
+
+  if (detection.detected && detection.holderRemoved) {
+    for (const side of ['top', 'bottom']) {
+      const quad = labelQuad(detection.corners, side);
+      const region = quad && extractLabel(imageData, quad);
+      if (!region) continue;
+      candidates.push({
+        method: 'slab',
+        side,
+        corners: quad.map(p => ({ x: Math.round(p.x), y: Math.round(p.y) })),
+        region
+      });
+    }
+  }
+
+  const scale = Math.min(1, FULL_IMAGE_SIZE / Math.max(imageData.width, imageData.height));
+  candidates.push({
+    method: 'full_image',
+    side: null,
+    corners: null,
+    region: scale < 1
+      ? await resizeImageData(imageData, Math.round(imageData.width * scale), Math.round(imageData.height * scale))
+      : imageData
+  });
+
+  return candidates;
+}
+
+/**
+ * Cert number and grader encoded in a barcode: either the bare cert number
+ * or a cert lookup URL
+ */
+export function certFromBarcode(text) {
+  const value = String(text || '').trim();
+  if (/^\d{7,10}$|^\d{7}-\d{3}$/.test(value)) return { certNumber: value, grader: null };
+
+  const host = GRADER_HOSTS.find(([, pattern]) => pattern.test(value));
+  const runs = value.match(/\d{7}-\d{3}|\d{7,10}/g);
+  return {
+    certNumber: runs ? runs[runs.length - 1] : null,
+    grader: host ? host[0] : null
+  };
+}
+
+function decodeBarcode(luminance, width, height) {
+  const reader = new MultiFormatReader();
+  const hints = new Map([
+    [DecodeHintType.POSSIBLE_FORMATS, BARCODE_FORMATS],
+    [DecodeHintType.TRY_HARDER, true]
+  ]);
+
+  try {
+    return reader.decode(new BinaryBitmap(new HybridBinarizer(new RGBLuminanceSource(luminance, width, height))), hints);
+  } catch {
+    // zxing throws NotFoundException (and checksum/format errors) when nothing decodes
+    return null;
+  }
+}
+
+function cropPlane(plane, width, x0, y0, cropWidth, cropHeight) {
+  const out = new Uint8ClampedArray(cropWidth * cropHeight);
+  for (let y = 0; y < cropHeight; y++) {
+    out.set(plane.subarray((y0 + y) * width + x0, (y0 + y) * width + x0 + cropWidth), y * cropWidth);
+  }
+  return out;
+}
+
+/**
+ * Bounding box of a decoded code. 2D codes report finder pattern centres, so
+ * the box is padded. 1D codes report the centres of the start and stop
+ * patterns on the scanned row, so the box grows up and down for as long as
+ * rows keep most of the bar transitions, then out to the outermost bars.
+ */
+function barcodeBox(luminance, width, height, points, is2d) {
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  let x0 = Math.min(...xs), x1 = Math.max(...xs);
+  let y0 = Math.min(...ys), y1 = Math.max(...ys);
+
+  if (is2d) {
+    const pad = Math.max(x1 - x0, y1 - y0) * 0.15;
+    return {
+      x0: Math.max(0, Math.round(x0 - pad)),
+      y0: Math.max(0, Math.round(y0 - pad)),
+      x1: Math.min(width - 1, Math.round(x1 + pad)),
+      y1: Math.min(height - 1, Math.round(y1 + pad))
+    };
+  }
+
+  const transitions = (y) => {
+    let count = 0, mean = 0;
+    for (let x = x0; x <= x1; x++) mean += luminance[y * width + x];
+    mean /= x1 - x0 + 1;
+    for (let x = x0 + 1; x <= x1; x++) {
+      if ((luminance[y * width + x] < mean) !== (luminance[y * width + x - 1] < mean)) count++;
+    }
+    return count;
+  };
+
+  const row = Math.round((y0 + y1) / 2);
+  const base = transitions(row);
+  y0 = y1 = row;
+  while (y0 > 0 && transitions(y0 - 1) >= base * 0.6) y0--;
+  while (y1 < height - 1 && transitions(y1 + 1) >= base * 0.6) y1++;
+
+  // Columns with bars in them; the widest bar gap is a small fraction of the code
+  let threshold = 0;
+  for (let x = x0; x <= x1; x++) threshold += luminance[row * width + x];
+  threshold /= x1 - x0 + 1;
+  const hasBar = (x) => {
+    let dark = 0;
+    for (let y = y0; y <= y1; y++) if (luminance[y * width + x] < threshold) dark++;
+    return dark > (y1 - y0 + 1) * 0.5;
+  };
+  const maxGap = Math.max(2, Math.round((x1 - x0) * 0.05));
+  const outermost = (start, step, limit) => {
+    let edge = start;
+    for (let x = start + step, gap = 0; x !== limit && gap <= maxGap; x += step) {
+      if (hasBar(x)) {
+        edge = x;
+        gap = 0;
+      } else {
+        gap++;
+      }
+    }
+    return edge;
+  };
+  return { x0: outermost(Math.round(x0), -1, -1), y0, x1: outermost(Math.round(x1), 1, width), y1 };
+}
+
+/**
+ * Decode a 1D barcode, QR or Data Matrix code in RGBA data.
+ * Text next to a barcode can keep zxing from locating it, so when the whole
+ * image does not decode, overlapping half-size tiles are tried.
+ * Returns [] when nothing decodes.
+ */
+export function readBarcodes({ data, width, height }) {
+  const luminance = rgbToGrayscale(data, width, height);
+
+  const windows = [{ x: 0, y: 0, width, height }];
+  const tileWidth = Math.floor(width / 2);
+  const tileHeight = Math.floor(height / 2);
+  for (let ty = 0; ty < 3; ty++) {
+    for (let tx = 0; tx < 3; tx++) {
+      windows.push({ x: Math.floor(tx * width / 4), y: Math.floor(ty * height / 4), width: tileWidth, height: tileHeight });
+    }
+  }
+
+  for (const window of windows) {
+    const plane = window.width === width && window.height === height
+      ? luminance
+      : cropPlane(luminance, width, window.x, window.y, window.width, window.height);
+    const result = decodeBarcode(plane, window.width, window.height);
+    if (!result) continue;
+
+    const text = result.getText();
+    const format = BarcodeFormat[result.getBarcodeFormat()];
+    const points = result.getResultPoints().map(p => ({ x: Math.round(p.getX() + window.x), y: Math.round(p.getY() + window.y) }));
+    return [{
+      format,
+      text,
+      ...certFromBarcode(text),
+      points,
+      bbox: barcodeBox(luminance, width, height, points, format === 'QR_CODE' || format === 'DATA_MATRIX')
+    }];
+  }
+
+  return [];
+}
+
+/**
+ * Grayscale, contrast-stretched PNG at a size the OCR model reads well
+ */
+async function ocrInput({ data, width, height }) {
+  return sharp(Buffer.from(data.buffer, data.byteOffset, data.length), { raw: { width, height, channels: 4 } })
+    .greyscale()
+    .resize({ width: Math.max(width, OCR_MIN_WIDTH), withoutEnlargement: false })
+    .normalise()
+    .withMetadata({ density: OCR_DPI })
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Map a parsed field's bbox and lineHeight from OCR pixels to label pixels
+ */
+function scaleField(field, factor) {
+  if (!field || !field.bbox) return field;
+  const { x0, y0, x1, y1 } = field.bbox;
+  return {
+    ...field,
+    bbox: { x0: Math.round(x0 * factor), y0: Math.round(y0 * factor), x1: Math.round(x1 * factor), y1: Math.round(y1 * factor) },
+    lineHeight: Math.round(field.lineHeight * factor)
+  };
+}
+
+async function readCandidate(candidate) {
+  const barcodes = readBarcodes(candidate.region);
+  const ocr = await recognizeText(await ocrInput(candidate.region));
+  const factor = candidate.region.width / Math.max(candidate.region.width, OCR_MIN_WIDTH);
+  const parsed = Object.fromEntries(
+    Object.entries(parseLabelText(ocr.lines)).map(([name, field]) => [name, scaleField(field, factor)])
+  );
+  const score = (parsed.certNumber ? 2 : 0) + (parsed.grade ? 1 : 0) + (barcodes.some(b => b.certNumber) ? 2 : 0);
+  return { candidate, barcodes, ocr, parsed, score };
+}
+
+/**
+ * Read a slab label from RGBA image data.
+ * Options: labelImageData (RGBA crop of just the label, skips detection).
+ * Returns the extracted certNumber, grade, title and grader, each as
+ * { value, confidence, source, bbox, lineHeight } or null (boxes are in
+ * label `crop` pixels), plus the decoded barcodes, raw OCR text, where the
+ * label was found, warnings and the label `crop` (RGBA).
+ * A decoded barcode wins over the printed cert number, which is kept as
+ * certNumber.printed; a disagreement between the two is reported in
+ * `warnings`.
+ */
+export async function readSlabLabel(imageData, options = {}) {
+  const candidates = await locateLabelCandidates(imageData, options);
+
+  let best = null;
+  for (const candidate of candidates) {
+    const reading = await readCandidate(candidate);
+    console.log(`[Label OCR] ${candidate.method}${candidate.side ? ` (${candidate.side})` : ''}: score ${reading.score}`);
+    if (!best || reading.score > best.score) best = reading;
+    if (best.score >= 3) break;
+  }
+
+  const { candidate, barcodes, ocr, parsed } = best;
+  const warnings = [];
+  let { certNumber, grader } = parsed;
+
+  const coded = barcodes.find(barcode => barcode.certNumber);
+  if (coded) {
+    if (certNumber && certNumber.value !== coded.certNumber) {
+      warnings.push(`Barcode cert ${coded.certNumber} does not match printed cert ${certNumber.value}`);
+    }
+    certNumber = { value: coded.certNumber, confidence: '0.99', source: 'barcode', printed: certNumber };
+    if (coded.grader) {
+      if (grader && grader.value !== coded.grader) {
+        warnings.push(`Barcode points to ${coded.grader} but the label reads ${grader.value}`);
+      }
+      grader = { value: coded.grader, confidence: '0.99', source: 'barcode' };
+    }
+  }
+
+  if (!certNumber) warnings.push('No cert number found on the label');
+
+  return {
+    found: !!certNumber,
+    certNumber,
+    grade: parsed.grade,
+    title: parsed.title,
+    grader,
+    barcodes,
+    text: ocr.text.trim(),
+    ocrConfidence: (ocr.confidence / 100).toFixed(2),
+    label: {
+      method: candidate.method,
+      side: candidate.side,
+      corners: candidate.corners,
+      size: { width: candidate.region.width, height: candidate.region.height }
+    },
+    warnings,
+    crop: candidate.region
+  };
+}
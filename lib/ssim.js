@@ -0,0 +1,211 @@
+import { rgbToGrayscale } from './image.js';
+import { gaussianBlur } from './edges.js';
+
+// Wang et al. 2004: K1 = 0.01, K2 = 0.03, dynamic range L = 255
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+
+// Wang, Simoncelli & Bovik 2003 scale weights (finest first)
+const MS_SSIM_WEIGHTS = [0.0448, 0.2856, 0.3001, 0.2363, 0.1333];
+
+/**
+ * Card zones in normalized card coordinates (0-1), same layout as
+ * CARD_COLOR_REGIONS. The set symbol sits at the right edge just under the
+ * artwork on vintage (WOTC) cards.
+ */
+export const CARD_SSIM_ZONES = {
+  artwork: { x0: 0.1, y0: 0.12, x1: 0.9, y1: 0.47 },
+  nameBar: { x0: 0.08, y0: 0.045, x1: 0.92, y1: 0.095 },
+  textBox: { x0: 0.08, y0: 0.55, x1: 0.92, y1: 0.9 },
+  setSymbol: { x0: 0.8, y0: 0.47, x1: 0.93, y1: 0.54 }
+};
+
+/**
+ * Gaussian-windowed SSIM between two grayscale planes.
+ * Returns the per-pixel SSIM map, its mean, and the mean contrast-structure
+ * term (used by MS-SSIM at the coarser scales).
+ */
+export function ssimMap(gray1, gray2, width, height, options = {}) {
+  const { sigma = 1.5 } = options;
+  const n = width * height;
+
+  const xx = new Float32Array(n);
+  const yy = new Float32Array(n);
+  const xy = new Float32Array(n);
+  for (let i = 0; i < n; i++) {
+    xx[i] = gray1[i] * gray1[i];
+    yy[i] = gray2[i] * gray2[i];
+    xy[i] = gray1[i] * gray2[i];
+  }
+
+  const mu1 = gaussianBlur(gray1, width, height, sigma);
+  const mu2 = gaussianBlur(gray2, width, height, sigma);
+  const sxx = gaussianBlur(xx, width, height, sigma);
+  const syy = gaussianBlur(yy, width, height, sigma);
+  const sxy = gaussianBlur(xy, width, height, sigma);
+
+  const map = new Float32Array(n);
+  let ssimSum = 0;
+  let csSum = 0;
+
+  for (let i = 0; i < n; i++) {
+    const m1 = mu1[i];
+    const m2 = mu2[i];
+    const var1 = Math.max(0, sxx[i] - m1 * m1);
+    const var2 = Math.max(0, syy[i] - m2 * m2);
+    const covar = sxy[i] - m1 * m2;
+
+    const cs = (2 * covar + C2) / (var1 + var2 + C2);
+    const luminance = (2 * m1 * m2 + C1) / (m1 * m1 + m2 * m2 + C1);
+
+    map[i] = luminance * cs;
+    ssimSum += map[i];
+    csSum += cs;
+  }
+
+  return { map, mean: ssimSum / n, contrastStructure: csSum / n };
+}
+
+/**
+ * 2x2 average downsample of a plane
+ */
+function downsample(plane, width, height) {
+  const w = Math.floor(width / 2);
+  const h = Math.floor(height / 2);
+  const out = new Float32Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = (y * 2) * width + x * 2;
+      out[y * w + x] = (plane[i] + plane[i + 1] + plane[i + width] + plane[i + width + 1]) / 4;
+    }
+  }
+  return { plane: out, width: w, height: h };
+}
+
+/**
+ * Multi-scale SSIM: contrast-structure at each scale, luminance at the
+ * coarsest. Scales that would shrink below the Gaussian window are dropped
+ * and the remaining weights renormalized.
+ */
+export function msSsim(gray1, gray2, width, height, options = {}) {
+  const { sigma = 1.5, weights = MS_SSIM_WEIGHTS } = options;
+  const minSize = Math.ceil(sigma * 3) * 2 + 1;
+
+  let a = gray1, b = gray2, w = width, h = height;
+  const scales = [];
+
+  for (let s = 0; s < weights.length; s++) {
+    if (w < minSize || h < minSize) break;
+    const { mean, contrastStructure } = ssimMap(a, b, w, h, { sigma });
+    scales.push({ width: w, height: h, ssim: mean, contrastStructure });
+
+    const da = downsample(a, w, h);
+    const db = downsample(b, w, h);
+    a = da.plane;
+    b = db.plane;
+    w = da.width;
+    h = da.height;
+  }
+
+  const used = weights.slice(0, scales.length);
+  const weightSum = used.reduce((sum, v) => sum + v, 0);
+
+  let value = 1;
+  scales.forEach((scale, i) => {
+    const term = i === scales.length - 1 ? scale.ssim : scale.contrastStructure;
+    value *= Math.pow(Math.max(0, term), used[i] / weightSum);
+  });
+
+  return { value, scales };
+}
+
+/**
+ * Per-zone SSIM summary: mean, minimum, 5th percentile and the fraction of
+ * pixels below `lowThreshold`
+ */
+export function summarizeSsimZones(map, width, height, zones = CARD_SSIM_ZONES, lowThreshold = 0.5) {
+  const summary = {};
+
+  for (const [name, zone] of Object.entries(zones)) {
+    const x0 = Math.max(0, Math.floor(zone.x0 * width));
+    const x1 = Math.min(width, Math.ceil(zone.x1 * width));
+    const y0 = Math.max(0, Math.floor(zone.y0 * height));
+    const y1 = Math.min(height, Math.ceil(zone.y1 * height));
+    if (x1 <= x0 || y1 <= y0) continue;
+
+    const values = new Float32Array((x1 - x0) * (y1 - y0));
+    let k = 0, sum = 0, low = 0;
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        const v = map[y * width + x];
+        values[k++] = v;
+        sum += v;
+        if (v < lowThreshold) low++;
+      }
+    }
+    values.sort();
+
+    summary[name] = {
+      mean: sum / values.length,
+      min: values[0],
+      p05: values[Math.floor(values.length * 0.05)],
+      lowFraction: low / values.length
+    };
+  }
+
+  return summary;
+}
+
+/**
+ * Heatmap overlay of an SSIM map: the reference image in grayscale with
+ * dissimilarity (1 - SSIM) painted from transparent through yellow to red.
+ * Rendered at `scale` of the map size to keep the payload small.
+ */
+export function ssimHeatmap(map, reference, width, height, scale = 0.5) {
+  const outW = Math.max(1, Math.round(width * scale));
+  const outH = Math.max(1, Math.round(height * scale));
+  const gray = rgbToGrayscale(reference, width, height);
+  const out = new Uint8ClampedArray(outW * outH * 4);
+
+  for (let y = 0; y < outH; y++) {
+    const sy = Math.min(height - 1, Math.floor(y / scale));
+    for (let x = 0; x < outW; x++) {
+      const sx = Math.min(width - 1, Math.floor(x / scale));
+      const i = sy * width + sx;
+
+      // 0 = identical, 1 = SSIM at or below zero
+      const d = Math.min(1, Math.max(0, 1 - map[i]));
+      const alpha = Math.min(1, d * 1.5);
+      const r = 255;
+      const g = Math.round(255 * Math.max(0, 1 - d * 2));
+      const base = gray[i] * 0.6 + 102;
+
+      const o = (y * outW + x) * 4;
+      out[o] = base * (1 - alpha) + r * alpha;
+      out[o + 1] = base * (1 - alpha) + g * alpha;
+      out[o + 2] = base * (1 - alpha);
+      out[o + 3] = 255;
+    }
+  }
+
+  return { data: out, width: outW, height: outH };
+}
+
+/**
+ * Full SSIM comparison of two equally sized RGBA images
+ */
+export function compareStructure(data1, data2, width, height, options = {}) {
+  const gray1 = rgbToGrayscale(data1, width, height);
+  const gray2 = rgbToGrayscale(data2, width, height);
+
+  const { map, mean } = ssimMap(gray1, gray2, width, height, options);
+  const ms = msSsim(gray1, gray2, width, height, options);
+
+  return {
+    ssim: mean,
+    msSsim: ms.value,
+    scales: ms.scales,
+    map,
+    zones: summarizeSsimZones(map, width, height, options.zones)
+  };
+}
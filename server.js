@@ -1,6 +1,31 @@
 import express from 'express';
 import cors from 'cors';
 import sharp from 'sharp';
+import { loadImageData, rgbToGrayscale, rgbToLab, rgbaToDataUrl } from './lib/image.js';
+import { measureRegionColors, compareRegionColors } from './lib/color.js';
+import { createAnalysisContext } from './lib/analysis-context.js';
+import { compareStructure, ssimHeatmap } from './lib/ssim.js';
+import { prepareForComparison, registerToReference, describeRegistration } from './lib/registration.js';
+import { fetchPSAOfficialCert, psaCertUrl } from './lib/reference-sources.js';
+import { createGraderProviders, graderId } from './lib/graders.js';
+import { createCertCache, createCacheBackend } from './lib/cert-cache.js';
+import { createReferenceCatalogue, describeEntry, cardIdentity } from './lib/reference-catalogue.js';
+import { readSlabLabel } from './lib/slab-label.js';
+import { measureCentering, centeringCap, CENTERING_STANDARDS } from './lib/centering.js';
+import { assessCondition, predictGradeRange } from './lib/condition.js';
+import { normalizeCard, quadSize } from './lib/card-detection.js';
+import { analyzeBack, backCheckShare, classifyCardSide, gameKey, inferGame } from './lib/card-back.js';
+import { HOLO_TYPES, HOLO_CARD_WIDTH, findArtworkBox, holoSignature, matchSignature, checkClaim, holoOverlay } from './lib/holo.js';
+import { createHoloSignatureStore } from './lib/holo-signatures.js';
+import { cardHashes, findMatches, namesMatch } from './lib/card-hash.js';
+import { createCardIndex } from './lib/card-index.js';
+import { createLabelTemplateStore } from './lib/label-templates.js';
+import { measureLabel, createLabelTemplate, compareLabelToTemplate, summarizeChecks, selectLabelTemplate, labelOverlay } from './lib/label-forensics.js';
+import { CV_TIERS, TIER_ALGORITHMS, TOTAL_ALGORITHMS } from './lib/cv-algorithms.js';
+import { clampThetaResolution } from './lib/hough.js';
+import { scoreSignals } from './lib/scoring.js';
+import { createScoringModelStore } from './lib/scoring-model.js';
+import { createJobQueue } from './lib/job-queue.js';
 // Puppeteer removed - using Firecrawl instead for PSA scraping
 
 const app = express();
@@ -10,8 +35,68 @@ const PORT = process.env.PORT || 4000;
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 
-// Cache for PSA scraped data
-const PSA_CACHE = new Map();
+// Cache for resolved PSA references, persisted across restarts (file backend by default)
+const PSA_CACHE = createCertCache({
+  backend: createCacheBackend(process.env.PSA_CACHE_BACKEND || 'file', process.env.PSA_CACHE_FILE || 'data/psa-cache.json'),
+  ttl: Number(process.env.PSA_CACHE_TTL_HOURS || 168) * 60 * 60 * 1000,
+  negativeTtl: Number(process.env.PSA_CACHE_NEGATIVE_TTL_HOURS || 1) * 60 * 60 * 1000,
+  maxEntries: Number(process.env.PSA_CACHE_MAX_ENTRIES || 1000)
+});
+
+// Reference catalogue of verified slabs, seeded with the certs we started with
+const REFERENCE_CATALOGUE = createReferenceCatalogue({
+  dir: process.env.REFERENCE_CATALOGUE_DIR || 'data/references',
+  seed: [
+    {
+      certNumber: '63437557',
+      grade: '10',
+      cardName: 'Lugia Holo 1st Edition',
+      set: 'Neo Genesis',
+      number: '9',
+      variant: '1st Edition Holo',
+      year: '2000'
+    }
+  ]
+});
+
+// Genuine slab label templates for label forensics, added through the admin API
+const LABEL_TEMPLATES = createLabelTemplateStore({
+  file: process.env.LABEL_TEMPLATES_FILE || 'data/label-templates.json'
+});
+
+// Foil signatures of genuine holos per set and holo type, added through the admin API
+const HOLO_SIGNATURES = createHoloSignatureStore({
+  file: process.env.HOLO_SIGNATURES_FILE || 'data/holo-signatures.json'
+});
+
+// Known cards with artwork hashes for identification, added through the admin API
+const CARD_INDEX = createCardIndex({
+  file: process.env.CARD_INDEX_FILE || 'data/card-index.json'
+});
+
+// Weights and thresholds behind every authenticity verdict. Edits to the file apply on the next request
+const SCORING_MODEL = createScoringModelStore({
+  file: process.env.SCORING_MODEL_FILE || 'config/scoring-model.json',
+  profiles: ['cert', 'cv']
+});
+
+// Cert providers per grading company. PSA sources are tried in
+// PSA_REFERENCE_SOURCES order (default: cache,catalogue,official,firecrawl)
+const GRADERS = createGraderProviders({
+  cache: PSA_CACHE,
+  catalogue: REFERENCE_CATALOGUE,
+  psaApiToken: process.env.PSA_API_TOKEN,
+  firecrawlApiKey: process.env.FIRECRAWL_API_KEY,
+  psaSourceOrder: process.env.PSA_REFERENCE_SOURCES,
+  env: process.env
+});
+const referenceChain = GRADERS.get('PSA');
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
 
 // Health check
 app.get('/health', (req, res) => {
@@ -19,662 +104,843 @@ app.get('/health', (req, res) => {
     status: 'ok', 
     service: 'TCG-Forensics CV Backend',
     version: '3.0.0',
-    algorithms: 8,
-    features: ['CV Analysis', 'PSA Firecrawl', 'Image Comparison'],
+    algorithms: TOTAL_ALGORITHMS,
+    features: ['CV Analysis', 'PSA Firecrawl', 'Image Comparison', 'Multi-Grader Certs', 'Slab Label OCR', 'Label Forensics', 'Centering', 'Condition', 'Holo Fingerprinting', 'Card Backs', 'Card Identification', 'Authenticity Scoring', 'Async Jobs'],
+    graders: GRADERS.ids,
     firecrawlConfigured: !!process.env.FIRECRAWL_API_KEY,
-    psaApiConfigured: !!process.env.PSA_API_TOKEN
+    psaApiConfigured: !!process.env.PSA_API_TOKEN,
+    psaCacheBackend: PSA_CACHE.stats().backend,
+    jobs: JOBS.stats()
   });
 });
 
 // ============================================================================
-// HELPER FUNCTIONS
+// AUTHENTICITY SCORING: one configurable model behind every verdict
 // ============================================================================
 
 /**
- * Load base64 image and get raw pixel data using Sharp
+ * Score measured signals with a profile of the scoring model. Failed signals
+ * are added to `warnings`, worded by `messages[id]` when given. Returns the
+ * response's `authenticity` block: the score, verdict and confidence with
+ * each signal's share of the score.
  */
-async function loadImageData(base64String) {
-  try {
-    // Remove data:image/xxx;base64, prefix if present
-    const base64Data = base64String.replace(/^data:image\/\w+;base64,/, '');
-    const buffer = Buffer.from(base64Data, 'base64');
-    
-    // Use sharp to get raw pixel data
-    const image = sharp(buffer);
-    const metadata = await image.metadata();
-    
-    // Get raw RGBA pixels
-    const { data, info } = await image
-      .ensureAlpha()
-      .raw()
-      .toBuffer({ resolveWithObject: true });
-    
-    return { 
-      data: new Uint8ClampedArray(data),
-      width: info.width, 
-      height: info.height,
-      channels: info.channels
-    };
-  } catch (error) {
-    console.error('[CV Backend] Error loading image:', error);
-    throw new Error('Failed to load image: ' + error.message);
+function scoreAuthenticity(profile, values, warnings = [], messages = {}) {
+  const scored = scoreSignals(SCORING_MODEL.get(), profile, values);
+  const fixed = (value, digits) => (value === null ? null : value.toFixed(digits));
+  
+  for (const s of scored.signals.filter(s => s.pass === false)) {
+    warnings.push(messages[s.id] || `${s.name}: ${Number(s.value.toFixed(4))} (needs ${s.direction === 'min' ? '≥' : '≤'} ${s.threshold})`);
   }
+  
+  return {
+    score: scored.score === null ? null : Math.round(scored.score),
+    verdict: scored.verdict,
+    confidence: scored.confidence.level,
+    confidenceValue: scored.confidence.value.toFixed(2),
+    coverage: scored.coverage.toFixed(2),
+    profile: scored.profile,
+    signals: scored.signals.map(s => ({
+      id: s.id,
+      name: s.name,
+      value: fixed(s.value, 4),
+      direction: s.direction,
+      threshold: s.threshold,
+      weight: s.weight,
+      pass: s.pass,
+      support: fixed(s.support, 2),
+      contribution: fixed(s.contribution, 1),
+      lost: fixed(s.lost, 1)
+    })),
+    warnings
+  };
 }
 
 /**
- * Convert RGB to Grayscale
+ * Score a cert comparison with the cert profile: mean color correlation,
+ * SSIM (both 0-1) and sharpness difference over the comparisons, the share
+ * of canonical back checks passed, and whether the identified card is the
+ * cert's card
  */
-function rgbToGrayscale(imageData, width, height) {
-  const data = imageData;
-  const gray = new Uint8ClampedArray(width * height);
+function scoreCert(measurements, backAnalysis, identification, cardName, warnings) {
+  const mean = (key) => (measurements.length > 0 ? measurements.reduce((a, m) => a + m[key], 0) / measurements.length : null);
+  const values = {
+    colorCorrelation: mean('colorCorrelation'),
+    ssim: mean('ssim'),
+    sharpnessDifference: mean('sharpnessDifference'),
+    backChecks: backAnalysis ? backCheckShare(backAnalysis) : undefined,
+    cardIdentity: identification ? (identification.matchesCert === null ? null : Number(identification.matchesCert)) : undefined
+  };
   
-  for (let i = 0; i < width * height; i++) {
-    const idx = i * 4;
-    const r = data[idx];
-    const g = data[idx + 1];
-    const b = data[idx + 2];
-    gray[i] = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+  const messages = {};
+  if (backAnalysis && backAnalysis.template) {
+    const failed = backAnalysis.checks.filter(c => c.pass === false).map(c => c.name.toLowerCase());
+    messages.backChecks = `Back does not match the canonical ${backAnalysis.template.name} back: ${failed.join(', ')}`;
   }
-  
-  return gray;
+  if (identification && identification.card) {
+    const { name, set, number } = identification.card;
+    messages.cardIdentity = `Photographed card looks like ${name} (${set} #${number}), not the cert's ${cardName}`;
+  }
+  return scoreAuthenticity('cert', values, warnings, messages);
 }
 
+app.get('/api/scoring-model', (req, res) => {
+  res.json({ success: true, file: SCORING_MODEL.file, model: SCORING_MODEL.get() });
+});
+
+/**
+ * Replace the scoring model (the whole JSON model as the body). It is
+ * validated, written to the model file and used from the next request.
+ */
+app.put('/api/scoring-model', requireAdmin, (req, res) => {
+  try {
+    const model = SCORING_MODEL.replace(req.body);
+    console.log(`[Scoring] Model replaced (${Object.keys(model.profiles).join(', ')})`);
+    res.json({ success: true, model });
+  } catch (error) {
+    if (!error.status) console.error('[Scoring] Error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
 // ============================================================================
-// PRO TIER CV ALGORITHMS (8)
+// MASTER ENDPOINT: Run all CV algorithms by tier
 // ============================================================================
 
+// Close-up print photos accepted per /api/cv request (print method analysis)
+const MAX_MACROS = 4;
+
+/**
+ * Check an /api/cv body before any work starts (also for queued jobs)
+ */
+function validateCvRequest({ image, front = image, tier, macros = [], game, options = {} }) {
+  if (!front) throw badRequest('No front image provided');
+  if (!tier || !CV_TIERS.includes(tier)) throw badRequest('Invalid tier. Must be pro, expert, or enterprise');
+  if (!Array.isArray(macros) || macros.length > MAX_MACROS) {
+    throw badRequest(`macros must be an array of at most ${MAX_MACROS} close-up photos`);
+  }
+  gameKey(game);
+  const hough = (options && options.hough) || {};
+  if (hough.thetaResolution !== undefined) clampThetaResolution(hough.thetaResolution);
+}
+
 /**
- * 1. CANNY EDGE DETECTION
+ * Run the tier algorithms on the front, check the back and score them.
+ * Steps are reported through `progress` (see the job queue). Returns the
+ * /api/cv response.
  */
-async function cannyEdgeDetection(base64Image) {
-  const { data, width, height } = await loadImageData(base64Image);
-  const gray = rgbToGrayscale(data, width, height);
+async function analyzeCard(body, progress = () => {}) {
+  validateCvRequest(body);
+  // `image` is the front under its original name
+  const { image, front = image, back, game, tier, options = {}, macros = [] } = body;
   
-  const lowThreshold = 50;
-  const highThreshold = 150;
+  console.log(`[CV Backend] Processing ${tier.toUpperCase()} tier analysis${back ? ' with back' : ''}${macros.length > 0 ? ` with ${macros.length} macro photo(s)` : ''}...`);
+  const startTime = Date.now();
   
-  // Sobel operators
-  const sobelX = [-1, 0, 1, -2, 0, 2, -1, 0, 1];
-  const sobelY = [-1, -2, -1, 0, 0, 0, 1, 2, 1];
+  // Decode once - every algorithm shares the same pixel buffers
+  progress('decode');
+  const ctx = await createAnalysisContext(front, options, macros);
+  const decodeTime = Date.now() - startTime;
+  console.log(`[CV Backend] Prepared ${ctx.width}x${ctx.height} image in ${decodeTime}ms (card ${ctx.preprocessing.cardDetected ? 'detected' : 'not detected'})`);
   
-  const gradient = new Float32Array(width * height);
+  const preprocessing = { ...ctx.preprocessing };
+  if (ctx.preprocessing.cardDetected && options.preprocess && options.preprocess.returnCrop) {
+    preprocessing.crop = await rgbaToDataUrl(ctx.data, ctx.width, ctx.height);
+  }
   
-  // Calculate gradient magnitude
-  for (let y = 1; y < height - 1; y++) {
-    for (let x = 1; x < width - 1; x++) {
-      let gx = 0, gy = 0;
-      
-      for (let ky = -1; ky <= 1; ky++) {
-        for (let kx = -1; kx <= 1; kx++) {
-          const idx = (y + ky) * width + (x + kx);
-          const ki = (ky + 1) * 3 + (kx + 1);
-          gx += gray[idx] * sobelX[ki];
-          gy += gray[idx] * sobelY[ki];
-        }
-      }
-      
-      gradient[y * width + x] = Math.sqrt(gx * gx + gy * gy);
+  const results = [];
+  const signals = {};
+  const algorithmsByTier = {};
+  const tiersRun = CV_TIERS.slice(0, CV_TIERS.indexOf(tier) + 1);
+  const total = tiersRun.reduce((sum, t) => sum + TIER_ALGORITHMS[t].length, 0);
+  
+  for (const tierName of tiersRun) {
+    const algorithms = TIER_ALGORITHMS[tierName];
+    const tierLabel = tierName.toUpperCase();
+    console.log(`[CV Backend] Running ${tierLabel} tier (${algorithms.length} algorithms)...`);
+    
+    for (const algorithm of algorithms) {
+      progress('algorithms', { completed: results.length, total });
+      const result = await algorithm(ctx);
+      results.push({ ...result, tier: tierLabel });
+      signals[algorithm.name] = parseFloat(result.score);
+      console.log(`[CV Backend] ✓ ${result.name}`);
     }
+    
+    algorithmsByTier[tierLabel] = algorithms.length;
   }
   
-  // Count edge pixels
-  let edgePixels = 0;
-  for (let i = 0; i < gradient.length; i++) {
-    if (gradient[i] >= highThreshold) edgePixels++;
+  // The back is checked against its game's canonical back instead
+  let backAnalysis = null;
+  if (back) {
+    progress('back');
+    backAnalysis = await analyzeBack(await loadImageData(back), {
+      game: gameKey(game),
+      removeHolder: !!(options.preprocess && options.preprocess.removeHolder)
+    });
+    console.log(`[CV Backend] ✓ Card back: ${backAnalysis.verdict}${backAnalysis.template ? ` (${backAnalysis.template.name})` : ''}`);
+    signals.backChecks = backCheckShare(backAnalysis);
   }
   
-  const edgeDensity = (edgePixels / (width * height)) * 100;
-  const score = Math.min(10, (edgeDensity / 10) * 10);
+  progress('score');
+  const authenticity = scoreAuthenticity('cv', signals);
+  
+  const processingTime = Date.now() - startTime;
+  console.log(`[CV Backend] Analysis complete in ${processingTime}ms - Score: ${authenticity.score ?? '-'}/100 - ${authenticity.verdict}`);
   
   return {
-    name: 'Canny Edge Detection',
-    edgePixels,
-    edgeDensity: edgeDensity.toFixed(2) + '%',
-    score: score.toFixed(1),
-    description: `Detected ${edgePixels} edge pixels (${edgeDensity.toFixed(1)}% density). Sharp borders indicate authentic print quality.`
+    success: true,
+    tier: tier.toUpperCase(),
+    tiersRun: tiersRun.map(t => t.toUpperCase()),
+    algorithmsRun: results.length,
+    algorithmsByTier,
+    imageSize: { width: ctx.width, height: ctx.height },
+    preprocessing,
+    decodeTime: `${decodeTime}ms`,
+    processingTime: `${processingTime}ms`,
+    results,
+    back: backAnalysis,
+    authenticity
   };
 }
 
+app.post('/api/cv', async (req, res) => {
+  try {
+    res.json(await analyzeCard(req.body));
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error('[CV Backend] Error:', error);
+    res.status(500).json({ 
+      error: 'CV analysis failed',
+      message: error.message 
+    });
+  }
+});
+
+// ============================================================================
+// CENTERING: border ratios and the grade caps they imply
+// ============================================================================
+
 /**
- * 2. LAB COLOR DELTA-E
+ * Response shape for one side of the card
  */
-async function labColorDeltaE(base64Image) {
-  const { data, width, height } = await loadImageData(base64Image);
-  
-  // Sample colors from image
-  const samples = [];
-  const step = Math.max(1, Math.floor(Math.sqrt(width * height) / 100));
-  
-  for (let y = 0; y < height; y += step) {
-    for (let x = 0; x < width; x += step) {
-      const idx = (y * width + x) * 4;
-      samples.push({
-        r: data[idx],
-        g: data[idx + 1],
-        b: data[idx + 2]
-      });
-    }
-  }
-  
-  // Calculate color consistency (simplified Delta-E)
-  let totalDelta = 0;
-  for (let i = 1; i < samples.length; i++) {
-    const dr = samples[i].r - samples[i-1].r;
-    const dg = samples[i].g - samples[i-1].g;
-    const db = samples[i].b - samples[i-1].b;
-    totalDelta += Math.sqrt(dr*dr + dg*dg + db*db);
-  }
-  
-  const avgDelta = samples.length > 1 ? totalDelta / (samples.length - 1) : 0;
-  const score = Math.max(0, 10 - (avgDelta / 50));
+async function describeCentering(measured, returnImage) {
+  const ratio = (pair) => pair ? `${pair[0].toFixed(1)}/${pair[1].toFixed(1)}` : null;
+  const border = (b) => b && {
+    px: b.width,
+    mm: (b.width * measured.mmPerPixel).toFixed(2),
+    spread: b.spread,
+    coverage: b.coverage.toFixed(2)
+  };
   
-  return {
-    name: 'LAB Color Delta-E',
-    avgDelta: avgDelta.toFixed(2),
-    samples: samples.length,
-    score: score.toFixed(1),
-    description: `Average color deviation: ${avgDelta.toFixed(1)}. Consistent colors indicate authentic printing.`
+  const side = {
+    leftRight: ratio(measured.ratios.leftRight),
+    topBottom: ratio(measured.ratios.topBottom),
+    borders: Object.fromEntries(Object.entries(measured.borders).map(([name, b]) => [name, border(b)])),
+    cardDetected: measured.cardDetected,
+    holderRemoved: measured.holderRemoved
   };
+  if (returnImage) {
+    const { data, width, height } = measured.annotated;
+    side.annotatedImage = await rgbaToDataUrl(data, width, height);
+  }
+  return side;
 }
 
 /**
- * 3. LOCAL BINARY PATTERNS (LBP)
+ * Measure card centering.
+ * Body: front (or image), back (optional), removeHolder, returnImage (default true).
+ * Returns L/R and T/B ratios per side, border widths, the PSA and BGS grade
+ * each ratio caps the card at, and annotated images of the measured edges.
  */
-async function localBinaryPatterns(base64Image) {
-  const { data, width, height } = await loadImageData(base64Image);
-  const gray = rgbToGrayscale(data, width, height);
+app.post('/api/centering', async (req, res) => {
+  // `image` is the front under its original name
+  const { image, front: frontInput = image, back, removeHolder = false, returnImage = true } = req.body;
   
-  let uniformPatterns = 0;
-  let totalPatterns = 0;
+  if (!frontInput) {
+    return res.status(400).json({ error: 'No front image provided' });
+  }
   
-  for (let y = 1; y < height - 1; y++) {
-    for (let x = 1; x < width - 1; x++) {
-      const center = gray[y * width + x];
-      let pattern = 0;
-      
-      // 8 neighbors
-      const neighbors = [
-        gray[(y-1) * width + (x-1)],
-        gray[(y-1) * width + x],
-        gray[(y-1) * width + (x+1)],
-        gray[y * width + (x+1)],
-        gray[(y+1) * width + (x+1)],
-        gray[(y+1) * width + x],
-        gray[(y+1) * width + (x-1)],
-        gray[y * width + (x-1)]
-      ];
-      
-      for (let i = 0; i < 8; i++) {
-        if (neighbors[i] >= center) {
-          pattern |= (1 << i);
-        }
-      }
-      
-      // Check if uniform pattern (max 2 transitions)
-      let transitions = 0;
-      for (let i = 0; i < 8; i++) {
-        const bit1 = (pattern >> i) & 1;
-        const bit2 = (pattern >> ((i + 1) % 8)) & 1;
-        if (bit1 !== bit2) transitions++;
+  console.log(`[Centering] Measuring front${back ? ' and back' : ''}...`);
+  const startTime = Date.now();
+  
+  try {
+    const front = await measureCentering(await loadImageData(frontInput), { removeHolder });
+    const rear = back ? await measureCentering(await loadImageData(back), { removeHolder }) : null;
+    
+    const warnings = [];
+    for (const [label, measured] of [['front', front], ['back', rear]]) {
+      if (!measured) continue;
+      for (const [name, border] of Object.entries(measured.borders)) {
+        if (!border) warnings.push(`No inner frame edge found on the ${label} ${name} border`);
       }
-      
-      if (transitions <= 2) uniformPatterns++;
-      totalPatterns++;
+      if (!measured.cardDetected) warnings.push(`No card outline on the ${label}; the image edge was used as the card edge`);
+    }
+    
+    // Caps need both axes on the front; an incomplete back is left out
+    let caps = null;
+    if (front.ratios.leftRight && front.ratios.topBottom) {
+      const backRatios = rear && rear.ratios.leftRight && rear.ratios.topBottom ? rear.ratios : null;
+      caps = Object.fromEntries(Object.entries(CENTERING_STANDARDS).map(([grader, standard]) => {
+        const cap = centeringCap(front.ratios, backRatios, standard);
+        const limit = (share) => `${share}/${100 - share}`;
+        return [grader, cap && {
+          grade: cap.grade,
+          label: cap.label,
+          limitedBy: cap.limitedBy,
+          frontLimit: cap.front[0] === cap.front[1] ? limit(cap.front[0]) : `${limit(cap.front[0])} one way, ${limit(cap.front[1])} the other`,
+          backLimit: limit(cap.back),
+          backMeasured: !!backRatios
+        }];
+      }));
     }
+    
+    const processingTime = Date.now() - startTime;
+    console.log(`[Centering] Front L/R ${front.ratios.leftRight ? front.ratios.leftRight[0].toFixed(1) : '-'}, T/B ${front.ratios.topBottom ? front.ratios.topBottom[0].toFixed(1) : '-'} in ${processingTime}ms`);
+    
+    res.json({
+      success: !!caps,
+      front: await describeCentering(front, returnImage),
+      back: rear ? await describeCentering(rear, returnImage) : null,
+      caps,
+      warnings,
+      processingTime: `${processingTime}ms`
+    });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error('[Centering] Error:', error);
+    res.status(500).json({
+      error: 'Centering measurement failed',
+      message: error.message
+    });
   }
-  
-  const uniformity = totalPatterns > 0 ? (uniformPatterns / totalPatterns) * 100 : 0;
-  const score = uniformity / 10;
-  
-  return {
-    name: 'Local Binary Patterns',
-    uniformPatterns,
-    totalPatterns,
-    uniformity: uniformity.toFixed(2) + '%',
-    score: score.toFixed(1),
-    description: `${uniformity.toFixed(1)}% uniform texture patterns. Consistent texture indicates authentic card surface.`
-  };
-}
+});
+
+// ============================================================================
+// CONDITION: corners, edges and surface, and the grade range they predict
+// ============================================================================
 
 /**
- * 4. HISTOGRAM OF GRADIENTS (HOG)
+ * Response shape for one side of the card
  */
-async function histogramOfGradients(base64Image) {
-  const { data, width, height } = await loadImageData(base64Image);
-  const gray = rgbToGrayscale(data, width, height);
-  
-  const bins = 9;
-  const histogram = new Array(bins).fill(0);
-  
-  for (let y = 1; y < height - 1; y++) {
-    for (let x = 1; x < width - 1; x++) {
-      const gx = gray[y * width + (x + 1)] - gray[y * width + (x - 1)];
-      const gy = gray[(y + 1) * width + x] - gray[(y - 1) * width + x];
-      
-      const magnitude = Math.sqrt(gx * gx + gy * gy);
-      const angle = Math.atan2(gy, gx);
-      
-      const binIdx = Math.floor(((angle + Math.PI) / (2 * Math.PI)) * bins) % bins;
-      histogram[binIdx] += magnitude;
-    }
-  }
-  
-  const maxBin = Math.max(...histogram);
-  const minBin = Math.min(...histogram);
-  const variance = maxBin - minBin;
-  const score = Math.min(10, (variance / 10000) * 10);
-  
-  return {
-    name: 'Histogram of Gradients',
-    bins,
-    variance: variance.toFixed(0),
-    score: score.toFixed(1),
-    description: `Gradient variance: ${variance.toFixed(0)}. Rich gradient distribution indicates detailed print quality.`
+async function describeCondition(assessed, returnImage) {
+  const fixed = (value, digits = 2) => value === null ? null : value.toFixed(digits);
+  const scores = (s) => Object.fromEntries(Object.entries(s).map(([name, v]) => [name, fixed(v, 1)]));
+  
+  const side = {
+    subscores: scores(assessed.subscores),
+    corners: Object.fromEntries(Object.entries(assessed.corners).map(([name, c]) => [name, {
+      score: fixed(c.score, 1),
+      radiusMm: fixed(c.radius),
+      whitening: fixed(c.whitening),
+      chipping: fixed(c.chipping),
+      scores: scores(c.scores)
+    }])),
+    edges: Object.fromEntries(Object.entries(assessed.edges).map(([name, e]) => [name, {
+      score: fixed(e.score, 1),
+      whitening: fixed(e.whitening),
+      chipping: fixed(e.chipping),
+      maxDentMm: fixed(e.maxDent),
+      roughness: fixed(e.roughness),
+      scores: scores(e.scores)
+    }])),
+    surface: {
+      score: fixed(assessed.surface.score, 1),
+      scratches: fixed(assessed.surface.scratches),
+      smoothArea: fixed(assessed.surface.smoothArea),
+      lbpUniformity: fixed(assessed.surface.lbpUniformity, 1)
+    },
+    cardDetected: assessed.cardDetected,
+    holderRemoved: assessed.holderRemoved,
+    sourceWidth: assessed.sourceWidth
   };
+  if (returnImage) {
+    const { data, width, height } = assessed.annotated;
+    side.annotatedImage = await rgbaToDataUrl(data, width, height);
+  }
+  return side;
 }
 
 /**
- * 5. ENTROPY ANALYSIS
+ * Assess card condition.
+ * Body: front (or image), back (optional), removeHolder, centering (cap the
+ * range by the PSA centering grade, default true), returnImage (default true).
+ * Returns whitening, rounding, chipping and scratch measurements per corner,
+ * edge and surface, 0-10 subscores per factor (the worse of front and back)
+ * and a predicted grade range.
  */
-async function entropyAnalysis(base64Image) {
-  const { data, width, height } = await loadImageData(base64Image);
-  const gray = rgbToGrayscale(data, width, height);
+app.post('/api/condition', async (req, res) => {
+  // `image` is the front under its original name
+  const { image, front: frontInput = image, back, removeHolder = false, centering = true, returnImage = true } = req.body;
   
-  // Build histogram
-  const histogram = new Array(256).fill(0);
-  for (let i = 0; i < gray.length; i++) {
-    histogram[gray[i]]++;
+  if (!frontInput) {
+    return res.status(400).json({ error: 'No front image provided' });
   }
   
-  // Calculate entropy
-  const total = gray.length;
-  let entropy = 0;
+  console.log(`[Condition] Assessing front${back ? ' and back' : ''}...`);
+  const startTime = Date.now();
   
-  for (let i = 0; i < 256; i++) {
-    if (histogram[i] > 0) {
-      const p = histogram[i] / total;
-      entropy -= p * Math.log2(p);
+  try {
+    const frontImage = await loadImageData(frontInput);
+    const backImage = back ? await loadImageData(back) : null;
+    const front = await assessCondition(frontImage, { removeHolder });
+    const rear = backImage ? await assessCondition(backImage, { removeHolder }) : null;
+    
+    const warnings = [
+      ...front.warnings.map(w => `Front: ${w}`),
+      ...(rear ? rear.warnings.map(w => `Back: ${w}`) : [])
+    ];
+    
+    // Wear on either side counts against the card
+    const subscores = Object.fromEntries(Object.entries(front.subscores).map(([factor, score]) => {
+      const scores = [score, rear && rear.subscores[factor]].filter(s => s !== null && s !== undefined);
+      return [factor, scores.length > 0 ? Math.min(...scores) : null];
+    }));
+    
+    let centeringCapGrade = null;
+    if (centering) {
+      const frontCentering = await measureCentering(frontImage, { removeHolder });
+      const backCentering = backImage ? await measureCentering(backImage, { removeHolder }) : null;
+      const complete = (m) => m && m.ratios.leftRight && m.ratios.topBottom ? m.ratios : null;
+      const cap = complete(frontCentering) && centeringCap(frontCentering.ratios, complete(backCentering), CENTERING_STANDARDS.PSA);
+      if (cap) centeringCapGrade = Number(cap.grade);
+      else warnings.push('Centering could not be measured; the range is not capped by centering');
     }
+    
+    // Low resolution or an unclear cut edge leaves more room either way
+    const uncertain = [front, rear].some(a => a && (a.sourceWidth < 600 || a.warnings.length > 0));
+    const range = predictGradeRange(subscores, { centeringCap: centeringCapGrade, uncertainty: uncertain ? 1 : 0.5 });
+    
+    const processingTime = Date.now() - startTime;
+    console.log(`[Condition] Estimate ${range ? range.estimate.toFixed(1) : '-'} (limited by ${range ? range.limitedBy : '-'}) in ${processingTime}ms`);
+    
+    res.json({
+      success: !!range,
+      grade: range && {
+        estimate: range.estimate.toFixed(1),
+        range: range.low === range.high ? `${range.low}` : `${range.low}-${range.high}`,
+        low: range.low,
+        high: range.high,
+        limitedBy: range.limitedBy,
+        centeringCap: centeringCapGrade
+      },
+      subscores: Object.fromEntries(Object.entries(subscores).map(([factor, s]) => [factor, s === null ? null : s.toFixed(1)])),
+      front: await describeCondition(front, returnImage),
+      back: rear ? await describeCondition(rear, returnImage) : null,
+      warnings,
+      processingTime: `${processingTime}ms`
+    });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error('[Condition] Error:', error);
+    res.status(500).json({
+      error: 'Condition assessment failed',
+      message: error.message
+    });
   }
-  
-  const score = (entropy / 8) * 10;
-  
-  return {
-    name: 'Entropy Analysis',
-    entropy: entropy.toFixed(2),
-    maxEntropy: 8.0,
-    score: score.toFixed(1),
-    description: `Image entropy: ${entropy.toFixed(2)} bits. High entropy indicates rich detail and authentic printing.`
-  };
-}
+});
+
+// ============================================================================
+// HOLO FINGERPRINTING: foil pattern of the artwork box against stored sets
+// ============================================================================
 
 /**
- * 6. LAPLACIAN SHARPNESS
+ * Normalize the card and take the foil signature of its artwork box.
+ * artworkBox ({ x0, y0, x1, y1 } as fractions of the card) overrides the
+ * frame search.
  */
-async function laplacianSharpness(base64Image) {
-  const { data, width, height } = await loadImageData(base64Image);
-  const gray = rgbToGrayscale(data, width, height);
-  
-  const laplacian = [0, -1, 0, -1, 4, -1, 0, -1, 0];
-  let variance = 0;
-  let count = 0;
-  
-  for (let y = 1; y < height - 1; y++) {
-    for (let x = 1; x < width - 1; x++) {
-      let sum = 0;
-      
-      for (let ky = -1; ky <= 1; ky++) {
-        for (let kx = -1; kx <= 1; kx++) {
-          const idx = (y + ky) * width + (x + kx);
-          const ki = (ky + 1) * 3 + (kx + 1);
-          sum += gray[idx] * laplacian[ki];
-        }
+async function measureHolo(image, { removeHolder = false, artworkBox = null } = {}) {
+  const source = await loadImageData(image);
+  const { imageData, preprocessing } = await normalizeCard(source, { removeHolder, outputWidth: HOLO_CARD_WIDTH });
+  const { data, width, height } = imageData;
+  
+  const found = artworkBox
+    ? {
+        box: {
+          x0: Math.round(artworkBox.x0 * width),
+          y0: Math.round(artworkBox.y0 * height),
+          x1: Math.round(artworkBox.x1 * width) - 1,
+          y1: Math.round(artworkBox.y1 * height) - 1
+        },
+        refined: ['x0', 'y0', 'x1', 'y1']
       }
-      
-      variance += sum * sum;
-      count++;
-    }
+    : findArtworkBox(rgbToGrayscale(data, width, height), width, height);
+  
+  const warnings = [];
+  if (!preprocessing.cardDetected) {
+    warnings.push('No card outline found; the whole image was treated as the card, so foil scale may be off');
+  } else {
+    const { topLeft, topRight, bottomRight, bottomLeft } = preprocessing.corners;
+    const sourceWidth = Math.round(quadSize([topLeft, topRight, bottomRight, bottomLeft]).width);
+    if (sourceWidth < 600) warnings.push(`The card is only ${sourceWidth}px wide in the photo; fine foil patterns need at least 600px`);
+  }
+  const nominalSides = ['x0', 'y0', 'x1', 'y1'].filter(side => !found.refined.includes(side));
+  if (nominalSides.length > 0) {
+    warnings.push(`Artwork frame not found on ${nominalSides.length} side(s); the standard artwork position was used there`);
   }
-  
-  variance = count > 0 ? variance / count : 0;
-  const score = Math.min(10, (variance / 1000) * 10);
   
   return {
-    name: 'Laplacian Sharpness',
-    variance: variance.toFixed(0),
-    score: score.toFixed(1),
-    description: `Sharpness variance: ${variance.toFixed(0)}. High sharpness indicates professional scanning.`
+    imageData,
+    box: found.box,
+    signature: holoSignature(data, width, height, found.box),
+    cardDetected: preprocessing.cardDetected,
+    warnings
   };
 }
 
 /**
- * 7. HARRIS CORNER DETECTION
+ * List stored signatures (without the signature vectors). Filters: ?set=, ?holoType=
  */
-async function harrisCornerDetection(base64Image) {
-  const { data, width, height } = await loadImageData(base64Image);
-  const gray = rgbToGrayscale(data, width, height);
-  
-  let corners = 0;
-  const threshold = 10000;
-  
-  for (let y = 2; y < height - 2; y++) {
-    for (let x = 2; x < width - 2; x++) {
-      // Sobel gradient
-      const Ix = (gray[y * width + (x + 1)] - gray[y * width + (x - 1)]) / 2;
-      const Iy = (gray[(y + 1) * width + x] - gray[(y - 1) * width + x]) / 2;
-      
-      const Ixx = Ix * Ix;
-      const Iyy = Iy * Iy;
-      const Ixy = Ix * Iy;
-      
-      // Harris response
-      const det = Ixx * Iyy - Ixy * Ixy;
-      const trace = Ixx + Iyy;
-      const response = det - 0.04 * trace * trace;
-      
-      if (response > threshold) {
-        corners++;
-      }
-    }
+app.get('/api/holo-signatures', (req, res) => {
+  const signatures = HOLO_SIGNATURES.list(req.query).map(({ signature, ...entry }) => entry);
+  res.json({ success: true, count: signatures.length, holoTypes: HOLO_TYPES, signatures });
+});
+
+app.get('/api/holo-signatures/:id', (req, res) => {
+  const entry = HOLO_SIGNATURES.get(req.params.id);
+  if (!entry) return res.status(404).json({ success: false, error: 'not_found' });
+  res.json({ success: true, signature: entry });
+});
+
+/**
+ * Add a genuine card's foil to the signatures: front (or image), set, holoType, name,
+ * artworkBox, removeHolder. The same set and holoType is averaged with the
+ * samples already stored.
+ */
+app.post('/api/holo-signatures', requireAdmin, async (req, res) => {
+  const { image, front = image, set, holoType, name, artworkBox, removeHolder } = req.body;
+  
+  if (!front) {
+    return res.status(400).json({ success: false, error: 'No front image provided' });
+  }
+  if (!HOLO_TYPES.includes(holoType)) {
+    return res.status(400).json({ success: false, error: `Unknown holoType: ${holoType}`, holoTypes: HOLO_TYPES });
   }
   
-  const cornerDensity = (corners / (width * height)) * 10000;
-  const score = Math.min(10, cornerDensity);
+  try {
+    const measured = await measureHolo(front, { removeHolder, artworkBox });
+    const entry = HOLO_SIGNATURES.add({ set, holoType, name, signature: measured.signature });
+    
+    console.log(`[Holo] Signature ${entry.id} saved (${entry.name}, ${entry.samples} sample${entry.samples === 1 ? '' : 's'})`);
+    res.status(201).json({ success: true, signature: entry, warnings: measured.warnings });
+  } catch (error) {
+    if (!error.status) console.error('[Holo] Error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/holo-signatures/:id', requireAdmin, (req, res) => {
+  const entry = HOLO_SIGNATURES.remove(req.params.id);
+  if (!entry) return res.status(404).json({ success: false, error: 'not_found' });
   
-  return {
-    name: 'Harris Corner Detection',
-    corners,
-    density: cornerDensity.toFixed(2),
-    score: score.toFixed(1),
-    description: `Detected ${corners} corner features. Rich features indicate detailed artwork.`
-  };
-}
+  console.log(`[Holo] Deleted signature ${entry.id}`);
+  res.json({ success: true, deleted: entry.id });
+});
 
 /**
- * 8. HOUGH LINE TRANSFORM
+ * Identify the holo pattern of a card and check it against the claimed card.
+ * Body: front (or image), set and/or holoType (the claim), or certNumber (+ grader) to
+ * take the set from the reference catalogue; artworkBox, removeHolder,
+ * returnImage (default true).
  */
-async function houghLineTransform(base64Image) {
-  const { data, width, height } = await loadImageData(base64Image);
-  const gray = rgbToGrayscale(data, width, height);
+app.post('/api/holo', async (req, res) => {
+  const { image, front = image, holoType, certNumber, grader = 'PSA', artworkBox, removeHolder = false, returnImage = true } = req.body;
   
-  // Simple edge detection
-  let edgeCount = 0;
-  for (let y = 1; y < height - 1; y++) {
-    for (let x = 1; x < width - 1; x++) {
-      const gx = gray[y * width + (x + 1)] - gray[y * width + (x - 1)];
-      const gy = gray[(y + 1) * width + x] - gray[(y - 1) * width + x];
-      const magnitude = Math.sqrt(gx * gx + gy * gy);
-      
-      if (magnitude > 50) edgeCount++;
-    }
+  if (!front) {
+    return res.status(400).json({ error: 'No front image provided' });
+  }
+  if (holoType && !HOLO_TYPES.includes(holoType)) {
+    return res.status(400).json({ error: `Unknown holoType: ${holoType}`, holoTypes: HOLO_TYPES });
   }
   
-  // Simplified Hough transform (only count strong lines)
-  const lines = Math.floor(edgeCount / 100);
-  const score = Math.min(10, (lines / 10) * 10);
+  // The claimed set, given or from the catalogue entry of the cert
+  const catalogueEntry = certNumber ? REFERENCE_CATALOGUE.findByCert(certNumber, graderId(grader)) : null;
+  const set = req.body.set || catalogueEntry?.set || null;
+  
+  console.log(`[Holo] Fingerprinting foil${set ? ` (claimed ${set})` : ''}...`);
+  const startTime = Date.now();
   
-  return {
-    name: 'Hough Line Transform',
-    lines,
-    edgePixels: edgeCount,
-    score: score.toFixed(1),
-    description: `Detected ${lines} linear structures. Straight borders indicate proper card cutting.`
-  };
-}
-
-// ============================================================================
-// MASTER ENDPOINT: Run all CV algorithms by tier
-// ============================================================================
-
-app.post('/api/cv', async (req, res) => {
   try {
-    const { image, tier } = req.body;
-    
-    if (!image) {
-      return res.status(400).json({ error: 'No image provided' });
-    }
-    
-    if (!tier || !['pro', 'expert', 'enterprise'].includes(tier)) {
-      return res.status(400).json({ error: 'Invalid tier. Must be pro, expert, or enterprise' });
-    }
-    
-    console.log(`[CV Backend] Processing ${tier.toUpperCase()} tier analysis...`);
-    const startTime = Date.now();
-    
-    const results = [];
+    const measured = await measureHolo(front, { removeHolder, artworkBox });
+    const entries = HOLO_SIGNATURES.list();
+    const match = matchSignature(measured.signature, entries);
+    const claim = set || holoType ? checkClaim({ set, holoType }, match, entries) : null;
     
-    // PRO TIER (8 algorithms)
-    if (tier === 'pro' || tier === 'expert' || tier === 'enterprise') {
-      console.log('[CV Backend] Running PRO tier (8 algorithms)...');
-      
-      results.push(await cannyEdgeDetection(image));
-      console.log('[CV Backend] ✓ Canny Edge Detection');
-      
-      results.push(await labColorDeltaE(image));
-      console.log('[CV Backend] ✓ LAB Color Delta-E');
-      
-      results.push(await localBinaryPatterns(image));
-      console.log('[CV Backend] ✓ Local Binary Patterns');
-      
-      results.push(await histogramOfGradients(image));
-      console.log('[CV Backend] ✓ Histogram of Gradients');
-      
-      results.push(await entropyAnalysis(image));
-      console.log('[CV Backend] ✓ Entropy Analysis');
-      
-      results.push(await laplacianSharpness(image));
-      console.log('[CV Backend] ✓ Laplacian Sharpness');
-      
-      results.push(await harrisCornerDetection(image));
-      console.log('[CV Backend] ✓ Harris Corner Detection');
-      
-      results.push(await houghLineTransform(image));
-      console.log('[CV Backend] ✓ Hough Line Transform');
-    }
+    const warnings = [...measured.warnings];
+    if (entries.length === 0) warnings.push('No holo signatures stored yet; add genuine samples through POST /api/holo-signatures');
+    if (certNumber && !catalogueEntry && !req.body.set) warnings.push(`Cert ${certNumber} is not in the reference catalogue; no set to check against`);
     
     const processingTime = Date.now() - startTime;
-    console.log(`[CV Backend] Analysis complete in ${processingTime}ms`);
-    
-    res.json({
-      success: true,
-      tier: tier.toUpperCase(),
-      algorithmsRun: results.length,
-      processingTime: `${processingTime}ms`,
-      results
-    });
+    console.log(`[Holo] Best match ${match.best ? `${match.best.holoType} (${match.best.confidence.toFixed(2)})` : '-'}${claim ? `, claim ${claim.verdict}` : ''} in ${processingTime}ms`);
+    
+    const response = {
+      success: !!match.best,
+      holoType: match.best && {
+        holoType: match.best.holoType,
+        set: match.best.set,
+        similarity: match.best.similarity.toFixed(3),
+        confidence: match.best.confidence.toFixed(2)
+      },
+      claim: claim && { set, holoType: holoType || null, ...claim },
+      candidates: match.holoTypes.map(t => ({
+        holoType: t.holoType,
+        set: t.set,
+        similarity: t.similarity.toFixed(3),
+        confidence: t.confidence.toFixed(2)
+      })),
+      matches: match.matches.slice(0, 5).map(m => ({
+        id: m.entry.id,
+        set: m.entry.set,
+        holoType: m.entry.holoType,
+        samples: m.entry.samples,
+        similarity: m.similarity.toFixed(3)
+      })),
+      artworkBox: measured.box,
+      signature: {
+        glints: measured.signature.glints.toFixed(2),
+        energy: measured.signature.energy.toFixed(2),
+        chroma: measured.signature.chroma.toFixed(2)
+      },
+      cardDetected: measured.cardDetected,
+      warnings
+    };
+    if (returnImage) {
+      const overlay = holoOverlay(measured.imageData, measured.box, claim?.verdict);
+      response.annotatedImage = await rgbaToDataUrl(overlay.data, overlay.width, overlay.height);
+    }
     
+    response.processingTime = `${processingTime}ms`;
+    res.json(response);
   } catch (error) {
-    console.error('[CV Backend] Error:', error);
-    res.status(500).json({ 
-      error: 'CV analysis failed',
-      message: error.message 
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error('[Holo] Error:', error);
+    res.status(500).json({
+      error: 'Holo fingerprinting failed',
+      message: error.message
     });
   }
 });
 
 // ============================================================================
-// PSA REFERENCE SCRAPING WITH FIRECRAWL (Cloudflare Bypass)
+// CARD IDENTIFICATION: artwork hashes against the local card index
 // ============================================================================
 
-const FIRECRAWL_API_KEY = process.env.FIRECRAWL_API_KEY;
-
 /**
- * Scrape PSA page with Firecrawl - professional scraping service
- * Bypasses Cloudflare, extracts images and screenshots
+ * Normalize the card (decoded RGBA) and hash its artwork box
  */
-async function scrapePSAWithFirecrawl(certNumber) {
-  const psaUrl = `https://www.psacard.com/cert/${certNumber}`;
-  
-  // Check cache first
-  if (PSA_CACHE.has(certNumber)) {
-    console.log(`[Firecrawl] Cache hit for ${certNumber}`);
-    return PSA_CACHE.get(certNumber);
+async function hashCard(source, { removeHolder = false } = {}) {
+  const { imageData, preprocessing } = await normalizeCard(source, { removeHolder, outputWidth: HOLO_CARD_WIDTH });
+  const { data, width, height } = imageData;
+  const { box, refined } = findArtworkBox(rgbToGrayscale(data, width, height), width, height);
+  
+  const warnings = [];
+  if (!preprocessing.cardDetected) {
+    warnings.push('No card outline found; the whole image was treated as the card');
   }
-  
-  if (!FIRECRAWL_API_KEY) {
-    console.log('[Firecrawl] No API key configured, returning manual verification');
-    return {
-      error: 'firecrawl_not_configured',
-      message: 'Firecrawl API key not configured. Set FIRECRAWL_API_KEY env var.',
-      psaUrl,
-      certNumber,
-      scraped: false,
-      manualVerificationRequired: true
-    };
+  if (refined.length < 4) {
+    warnings.push(`Artwork frame not found on ${4 - refined.length} side(s); the standard artwork position was used there`);
   }
   
-  console.log(`[Firecrawl] Scraping ${psaUrl}...`);
-  
-  try {
-    // Call Firecrawl API with screenshot and images extraction
-    const response = await fetch('https://api.firecrawl.dev/v1/scrape', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${FIRECRAWL_API_KEY}`
-      },
-      body: JSON.stringify({
-        url: psaUrl,
-        formats: ['markdown', 'html', 'screenshot'],
-        waitFor: 3000, // Wait 3s for dynamic content
-        timeout: 30000
-      })
-    });
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('[Firecrawl] API Error:', errorText);
-      throw new Error(`Firecrawl API error: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    
-    if (!data.success) {
-      throw new Error(data.error || 'Firecrawl scrape failed');
-    }
-    
-    const scraped = data.data;
-    
-    // Extract PSA data from markdown/HTML
-    const markdown = scraped.markdown || '';
-    const html = scraped.html || '';
-    const screenshot = scraped.screenshot; // This is a URL now, not base64
-    
-    // Parse grade from content - look for GEM MT 10, MINT 9, etc.
-    let grade = null;
-    const gradeMatch = markdown.match(/GEM\s*MT\s*(\d+)/i) || 
-                       markdown.match(/MINT\s*(\d+)/i) ||
-                       markdown.match(/Item\s*Grade[:\s]*[A-Z\s]*(\d+)/i);
-    if (gradeMatch) grade = gradeMatch[1];
-    
-    // Parse card name from the big title
-    let cardName = null;
-    const titleMatch = markdown.match(/(\d{4}\s+[A-Z\s]+#\d+\s+[A-Z\-]+)/i);
-    if (titleMatch) cardName = titleMatch[1].trim();
-    if (!cardName) {
-      cardName = scraped.metadata?.title?.replace(/Cert\s*Verification\s*\d+/gi, '').trim() || null;
-    }
-    
-    // Parse year
-    let year = null;
-    const yearMatch = markdown.match(/Year(\d{4})/i) || markdown.match(/\b(19\d{2}|20[0-2]\d)\b/);
-    if (yearMatch) year = yearMatch[1];
-    
-    // Extract PSA card images from cloudfront URLs
-    const cloudFrontImages = [];
-    const imgRegex = /https:\/\/d1htnxwo4o0jhw\.cloudfront\.net\/cert\/\d+\/[a-z]+\/\d+\.jpg/gi;
-    let match;
-    while ((match = imgRegex.exec(html)) !== null) {
-      cloudFrontImages.push(match[0]);
-    }
+  return {
+    hashes: cardHashes(imageData, box),
+    box,
+    cardDetected: preprocessing.cardDetected,
+    warnings
+  };
+}
+
+function describeMatch({ entry, similarity, phashDistance, dhashDistance, colorDeltaE }) {
+  return {
+    id: entry.id,
+    name: entry.name,
+    set: entry.set,
+    number: entry.number,
+    variant: entry.variant,
+    similarity: similarity.toFixed(3),
+    phashDistance,
+    dhashDistance,
+    colorDeltaE: colorDeltaE.toFixed(1)
+  };
+}
+
+/**
+ * Identify the photographed front by the card index and check it against
+ * the cert's card name. Null without a front or an empty index.
+ */
+async function identifyForCert(userSides, cardName) {
+  if (userSides.front.length === 0 || CARD_INDEX.size === 0) return null;
+  
+  const hashed = await hashCard(userSides.front[0].imageData);
+  const { matches, identified } = findMatches(hashed.hashes, CARD_INDEX.list(), { limit: 3 });
+  const matchesCert = identified ? namesMatch(identified.entry.name, cardName) : null;
+  return {
+    identified: !!identified,
+    card: identified ? describeMatch(identified) : null,
+    matchesCert,
+    matches: matches.map(describeMatch)
+  };
+}
+
+/**
+ * List indexed cards (hashes without the colour layout). Filter: ?set=
+ */
+app.get('/api/card-index', (req, res) => {
+  const cards = CARD_INDEX.list(req.query).map(({ hashes, ...entry }) => ({ ...entry, phash: hashes.phash, dhash: hashes.dhash }));
+  res.json({ success: true, count: cards.length, cards });
+});
+
+app.get('/api/card-index/:id', (req, res) => {
+  const entry = CARD_INDEX.get(req.params.id);
+  if (!entry) return res.status(404).json({ success: false, error: 'not_found' });
+  res.json({ success: true, card: entry });
+});
+
+/**
+ * Index a card from a clean image: front (or image), set, number, variant, name,
+ * removeHolder. Indexing the same set, number and variant again replaces it.
+ */
+app.post('/api/card-index', requireAdmin, async (req, res) => {
+  const { image, front = image, set, number, variant, name, removeHolder } = req.body;
+  
+  if (!front) {
+    return res.status(400).json({ success: false, error: 'No front image provided' });
+  }
+  
+  try {
+    const hashed = await hashCard(await loadImageData(front), { removeHolder });
+    const entry = CARD_INDEX.add({ set, number, variant, name, hashes: hashed.hashes, source: { type: 'upload' } });
     
-    // Also check markdown for image URLs
-    const mdImgRegex = /https:\/\/d1htnxwo4o0jhw\.cloudfront\.net[^\s\)]+\.jpg/gi;
-    while ((match = mdImgRegex.exec(markdown)) !== null) {
-      if (!cloudFrontImages.includes(match[0])) {
-        cloudFrontImages.push(match[0]);
+    console.log(`[Identify] Indexed ${entry.id} (${entry.set} #${entry.number}${entry.name ? `, ${entry.name}` : ''})`);
+    res.status(201).json({ success: true, card: entry, warnings: hashed.warnings });
+  } catch (error) {
+    if (!error.status) console.error('[Identify] Error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Index the first front image of every reference catalogue entry that has
+ * a set and number
+ */
+app.post('/api/card-index/import-references', requireAdmin, async (req, res) => {
+  const indexed = [];
+  const skipped = [];
+  
+  try {
+    for (const entry of REFERENCE_CATALOGUE.list()) {
+      const front = describeEntry(entry).images.find(image => image.side === 'front');
+      if (!cardIdentity(entry) || !front) {
+        skipped.push({ id: entry.id, reason: front ? 'no set or number' : 'no front image' });
+        continue;
+      }
+      
+      const image = await loadReferenceImage(front.url);
+      if (!image) {
+        skipped.push({ id: entry.id, reason: 'image unreadable' });
+        continue;
       }
+      const hashed = await hashCard(image);
+      const card = CARD_INDEX.add({
+        set: entry.set,
+        number: entry.number,
+        variant: entry.variant,
+        name: entry.cardName,
+        hashes: hashed.hashes,
+        source: { type: 'reference_catalogue', catalogueId: entry.id, imageId: front.id }
+      });
+      indexed.push(card.id);
     }
     
-    // Get unique images
-    const uniqueImages = [...new Set(cloudFrontImages)];
-    
-    // Separate front and back images
-    const cardFrontImage = uniqueImages[0] || null; // First image is usually front
-    const cardBackImage = uniqueImages[1] || null;  // Second is usually back
-    
-    // Parse PSA estimate price
-    let psaEstimate = null;
-    const priceMatch = markdown.match(/PSA\s*Estimate\s*\$?([\d,]+\.?\d*)/i);
-    if (priceMatch) psaEstimate = priceMatch[1];
-    
-    // Parse population
-    let population = null;
-    const popMatch = markdown.match(/PSA\s*Population\s*\[?(\d+)/i);
-    if (popMatch) population = popMatch[1];
-    
-    const result = {
-      certNumber,
-      psaUrl,
-      grade,
-      cardName,
-      year,
-      psaEstimate,
-      population,
-      cardFrontImage,
-      cardBackImage,
-      referenceImages: uniqueImages,
-      screenshot, // URL from Firecrawl
-      scraped: true,
-      source: 'firecrawl',
-      scrapedAt: new Date().toISOString()
-    };
-    
-    // Cache the result
-    PSA_CACHE.set(certNumber, result);
+    console.log(`[Identify] Imported ${indexed.length} catalogue cards (${skipped.length} skipped)`);
+    res.json({ success: true, indexed: indexed.length, skipped, size: CARD_INDEX.size });
+  } catch (error) {
+    if (!error.status) console.error('[Identify] Error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message, indexed: indexed.length });
+  }
+});
+
+app.delete('/api/card-index/:id', requireAdmin, (req, res) => {
+  const entry = CARD_INDEX.remove(req.params.id);
+  if (!entry) return res.status(404).json({ success: false, error: 'not_found' });
+  
+  console.log(`[Identify] Removed ${entry.id}`);
+  res.json({ success: true, deleted: entry.id });
+});
+
+/**
+ * Identify a card without a cert: hash the artwork and rank the indexed
+ * cards by similarity. Body: front (or image), removeHolder, limit (default 5).
+ */
+app.post('/api/identify', async (req, res) => {
+  const { image, front = image, removeHolder = false, limit = 5 } = req.body;
+  
+  if (!front) {
+    return res.status(400).json({ error: 'No front image provided' });
+  }
+  
+  console.log(`[Identify] Matching against ${CARD_INDEX.size} indexed cards...`);
+  const startTime = Date.now();
+  
+  try {
+    const hashed = await hashCard(await loadImageData(front), { removeHolder });
+    const { matches, identified } = findMatches(hashed.hashes, CARD_INDEX.list(), { limit: Math.min(Math.max(1, Number(limit) || 5), 20) });
     
-    console.log(`[Firecrawl] Success! Grade: ${grade}, Card: ${cardName}, Images: ${uniqueImages.length}`);
+    const warnings = [...hashed.warnings];
+    if (CARD_INDEX.size === 0) warnings.push('The card index is empty; add cards through POST /api/card-index');
     
-    return result;
+    console.log(`[Identify] ${identified ? `${identified.entry.set} #${identified.entry.number} (${identified.similarity.toFixed(3)})` : 'No match'}`);
     
+    res.json({
+      success: true,
+      identified: !!identified,
+      card: identified ? describeMatch(identified) : null,
+      matches: matches.map(describeMatch),
+      hashes: { phash: hashed.hashes.phash, dhash: hashed.hashes.dhash },
+      artworkBox: hashed.box,
+      cardDetected: hashed.cardDetected,
+      warnings,
+      processingTime: `${Date.now() - startTime}ms`
+    });
   } catch (error) {
-    console.error('[Firecrawl] Error:', error.message);
-    
-    return {
-      error: error.message,
-      psaUrl,
-      certNumber,
-      scraped: false,
-      manualVerificationRequired: true
-    };
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error('[Identify] Error:', error);
+    res.status(500).json({
+      error: 'Card identification failed',
+      message: error.message
+    });
   }
-}
+});
 
-/**
- * Fetch PSA page - tries Firecrawl first
- */
-async function fetchPSAReference(certNumber) {
-  return await scrapePSAWithFirecrawl(certNumber);
-}
+// ============================================================================
+// PSA REFERENCE SCRAPING WITH FIRECRAWL (Cloudflare Bypass)
+// ============================================================================
 
 /**
- * Download and load reference image for comparison
+ * Download a reference image and decode it to raw RGBA pixels
  */
 async function loadReferenceImage(imageUrl) {
   try {
-    const response = await fetch(imageUrl, {
-      headers: { 'User-Agent': 'Mozilla/5.0' }
-    });
-    
-    if (!response.ok) return null;
+    let buffer;
     
-    const buffer = Buffer.from(await response.arrayBuffer());
-    const image = sharp(buffer);
-    const metadata = await image.metadata();
+    if (imageUrl.startsWith('/api/references/')) {
+      // Verified image from our own reference catalogue
+      const stored = REFERENCE_CATALOGUE.readImageUrl(imageUrl);
+      if (!stored) return null;
+      buffer = stored.buffer;
+    } else {
+      const response = await fetch(imageUrl, {
+        headers: {
+          'User-Agent': 'Mozilla/5.0',
+          'Referer': 'https://www.psacard.com/'
+        }
+      });
+      
+      if (!response.ok) return null;
+      
+      buffer = Buffer.from(await response.arrayBuffer());
+    }
     
-    // Resize to standard size for comparison
-    const { data, info } = await image
-      .resize(900, 1200, { fit: 'contain', background: { r: 255, g: 255, b: 255 } })
+    // Full resolution - card detection and registration handle sizing
+    const { data, info } = await sharp(buffer)
       .ensureAlpha()
       .raw()
       .toBuffer({ resolveWithObject: true });
@@ -683,8 +949,7 @@ async function loadReferenceImage(imageUrl) {
       data: new Uint8ClampedArray(data),
       width: info.width,
       height: info.height,
-      originalWidth: metadata.width,
-      originalHeight: metadata.height
+      buffer
     };
   } catch (error) {
     console.error('[Reference Image] Error loading:', error.message);
@@ -692,6 +957,73 @@ async function loadReferenceImage(imageUrl) {
   }
 }
 
+// Card sides compared separately: fronts only to fronts, backs only to backs
+const CARD_SIDES = ['front', 'back'];
+
+// Reference images downloaded at most while looking for both sides
+const MAX_REFERENCE_DOWNLOADS = 8;
+
+/**
+ * Download a reference's images and sort them into fronts and backs, up to
+ * `perSide` each. The side comes from the source when it records one (the
+ * reference catalogue), otherwise from whether the image looks like a
+ * canonical card back.
+ */
+async function loadSidedReferences(reference, { perSide = 2, logTag = '[PSA Compare]' } = {}) {
+  const sides = { front: [], back: [] };
+  const urls = (reference.referenceImages || []).slice(0, MAX_REFERENCE_DOWNLOADS);
+  const recorded = reference.referenceImageSides || [];
+  
+  for (const [index, url] of urls.entries()) {
+    if (CARD_SIDES.every(side => sides[side].length >= perSide)) break;
+    if (recorded[index] && sides[recorded[index]].length >= perSide) continue;
+    
+    const image = await loadReferenceImage(url);
+    if (!image) {
+      console.log(`${logTag} Failed to download: ${url}`);
+      continue;
+    }
+    const prepared = await prepareForComparison(image);
+    const side = recorded[index] || classifyCardSide(prepared);
+    if (sides[side].length >= perSide) continue;
+    
+    sides[side].push({ url, side, sideSource: recorded[index] ? 'source' : 'detected', image, prepared });
+    console.log(`${logTag} Downloaded ${side}: ${url}`);
+  }
+  return sides;
+}
+
+/**
+ * Decode and prepare user photos by side: explicit `front` and `back`,
+ * plus unordered `userImages` (at most 3) sorted by whether they look like
+ * a canonical card back. The back's decoded pixels are kept for analyzeBack.
+ */
+async function prepareUserSides({ front, back, userImages = [] }) {
+  const sides = { front: [], back: [] };
+  const add = async (image, side) => {
+    const imageData = await loadImageData(image);
+    const prepared = await prepareForComparison(imageData);
+    const resolved = side || classifyCardSide(prepared);
+    sides[resolved].push({ imageData, prepared, sideSource: side ? 'given' : 'detected' });
+  };
+  
+  if (front) await add(front, 'front');
+  if (back) await add(back, 'back');
+  for (const image of userImages.slice(0, 3)) await add(image, null);
+  return sides;
+}
+
+/**
+ * Check the user's back against its game's canonical back. The game comes
+ * from the request, else from the cert's set, category or card name.
+ */
+async function analyzeUserBack(userSides, game, reference) {
+  if (userSides.back.length === 0) return null;
+  return analyzeBack(userSides.back[0].imageData, {
+    game: game || inferGame(reference.set, reference.category, reference.cardName)
+  });
+}
+
 /**
  * Calculate color histogram correlation (like Manus code)
  */
@@ -781,82 +1113,102 @@ function calculateSharpness(imgData, width, height) {
 }
 
 /**
- * Simple SSIM (Structural Similarity) calculation
+ * Windowed SSIM / MS-SSIM of an aligned pair, with per-zone summary and heatmap
  */
-function calculateSSIM(imgData1, imgData2, width, height) {
-  const gray1 = rgbToGrayscale(imgData1, width, height);
-  const gray2 = rgbToGrayscale(imgData2, width, height);
-  
-  const n = width * height;
-  
-  // Calculate means
-  let mean1 = 0, mean2 = 0;
-  for (let i = 0; i < n; i++) {
-    mean1 += gray1[i];
-    mean2 += gray2[i];
-  }
-  mean1 /= n;
-  mean2 /= n;
-  
-  // Calculate variances and covariance
-  let var1 = 0, var2 = 0, covar = 0;
-  for (let i = 0; i < n; i++) {
-    const d1 = gray1[i] - mean1;
-    const d2 = gray2[i] - mean2;
-    var1 += d1 * d1;
-    var2 += d2 * d2;
-    covar += d1 * d2;
-  }
-  var1 /= n;
-  var2 /= n;
-  covar /= n;
-  
-  // SSIM constants
-  const C1 = 6.5025;  // (0.01 * 255)^2
-  const C2 = 58.5225; // (0.03 * 255)^2
-  
-  const ssim = ((2 * mean1 * mean2 + C1) * (2 * covar + C2)) /
-               ((mean1 * mean1 + mean2 * mean2 + C1) * (var1 + var2 + C2));
-  
-  return Math.max(0, Math.min(1, ssim));
+async function compareStructureWithHeatmap(alignedData, refData, width, height) {
+  const structure = compareStructure(alignedData, refData, width, height);
+  const heatmap = ssimHeatmap(structure.map, refData, width, height);
+  
+  return {
+    ssim: structure.ssim,
+    msSsim: structure.msSsim,
+    zones: Object.fromEntries(
+      Object.entries(structure.zones).map(([zone, z]) => [zone, {
+        mean: z.mean.toFixed(4),
+        min: z.min.toFixed(4),
+        p05: z.p05.toFixed(4),
+        lowFraction: z.lowFraction.toFixed(4)
+      }])
+    ),
+    heatmap: await rgbaToDataUrl(heatmap.data, heatmap.width, heatmap.height, 'png')
+  };
+}
+
+/**
+ * Align a prepared user photo onto a prepared reference of the same side and
+ * measure the pair. Returns the raw `measurement` for scoring and the
+ * `result` reported by both psa-compare and psa-verify (color correlation,
+ * SSIM and MS-SSIM in 0-1 units).
+ */
+async function compareToReference(userPrepared, refPrepared) {
+  const { aligned, registration } = registerToReference(userPrepared, refPrepared);
+  const { width, height } = refPrepared;
+  console.log(`[Reference Compare] Registration ${registration.success ? 'ok' : 'failed'}: ${registration.inliers}/${registration.matches} inliers`);
+  
+  const colorCorrelation = calculateHistogramCorrelation(aligned.data, refPrepared.data, width, height);
+  const structure = await compareStructureWithHeatmap(aligned.data, refPrepared.data, width, height);
+  const userSharpness = calculateSharpness(aligned.data, width, height);
+  const refSharpness = calculateSharpness(refPrepared.data, width, height);
+  const sharpnessDifference = Math.abs(userSharpness - refSharpness);
+  
+  // Per-region CIE Lab drift (border, name bar, artwork, text black)
+  const colorDrift = compareRegionColors(
+    measureRegionColors(rgbToLab(aligned.data, width, height), width, height),
+    measureRegionColors(rgbToLab(refPrepared.data, width, height), width, height)
+  );
+  
+  return {
+    measurement: { colorCorrelation, ssim: structure.ssim, sharpnessDifference },
+    result: {
+      colorCorrelation: colorCorrelation.toFixed(4),
+      ssim: structure.ssim.toFixed(4),
+      msSsim: structure.msSsim.toFixed(4),
+      ssimZones: structure.zones,
+      ssimHeatmap: structure.heatmap,
+      userSharpness: userSharpness.toFixed(2),
+      refSharpness: refSharpness.toFixed(2),
+      sharpnessDifference: sharpnessDifference.toFixed(2),
+      colorDeltaE2000: Object.fromEntries(
+        Object.entries(colorDrift).map(([region, d]) => [region, d.deltaE2000.toFixed(2)])
+      ),
+      borderHueShift: colorDrift.border ? colorDrift.border.hueShift.toFixed(1) : null,
+      registration: describeRegistration(registration)
+    }
+  };
 }
 
 /**
  * PSA Reference Comparison Endpoint
- * Compares user's image against PSA reference images
+ * Compares the user's front and/or back against the PSA reference images of
+ * the same side, and checks the back against its game's canonical back.
+ * `userImage` is the front under its original name.
  */
 app.post('/api/psa-compare', async (req, res) => {
   try {
-    const { userImage, certNumber } = req.body;
+    const { userImage, front = userImage, back, game, certNumber, sources, grader = 'PSA' } = req.body;
     
-    if (!userImage || !certNumber) {
-      return res.status(400).json({ error: 'Missing userImage or certNumber' });
+    if ((!front && !back) || !certNumber) {
+      return res.status(400).json({ error: 'Missing front/back image or certNumber' });
     }
     
-    console.log(`[PSA Compare] Starting comparison for cert #${certNumber}`);
-    const startTime = Date.now();
+    const provider = GRADERS.get(grader);
+    if (!provider) {
+      return res.status(400).json({ error: `Unknown grader: ${grader}`, graders: GRADERS.ids });
+    }
     
-    // Load user image
-    console.log('[PSA Compare] Loading user image...');
-    const userImgData = await loadImageData(userImage);
+    gameKey(game);
     
-    // Resize user image to standard size
-    const userBuffer = Buffer.from(userImage.replace(/^data:image\/\w+;base64,/, ''), 'base64');
-    const userResized = await sharp(userBuffer)
-      .resize(900, 1200, { fit: 'contain', background: { r: 255, g: 255, b: 255 } })
-      .ensureAlpha()
-      .raw()
-      .toBuffer({ resolveWithObject: true });
+    console.log(`[PSA Compare] Starting comparison for cert #${certNumber}`);
+    const startTime = Date.now();
     
-    const userStandardized = {
-      data: new Uint8ClampedArray(userResized.data),
-      width: userResized.info.width,
-      height: userResized.info.height
-    };
+    // Load user images, crop them to the card and extract registration features
+    console.log('[PSA Compare] Loading user images...');
+    const userSides = await prepareUserSides({ front, back });
+    const userPrepared = (userSides.front[0] || userSides.back[0]).prepared;
     
-    // Fetch PSA reference
-    console.log('[PSA Compare] Fetching PSA reference...');
-    const psaRef = await fetchPSAReference(certNumber);
+    // Fetch the grader's reference
+    console.log(`[PSA Compare] Fetching ${provider.id} reference...`);
+    const psaRef = await provider.resolve(certNumber, { order: sources, requireImages: true });
     
     if (psaRef.error === 'cloudflare_blocked') {
       return res.json({
@@ -865,90 +1217,53 @@ app.post('/api/psa-compare', async (req, res) => {
         message: 'PSA website is protected by Cloudflare. Manual verification required.',
         psaUrl: psaRef.psaUrl,
         userAnalysis: {
-          sharpness: calculateSharpness(userStandardized.data, userStandardized.width, userStandardized.height)
+          sharpness: calculateSharpness(userPrepared.data, userPrepared.width, userPrepared.height)
         }
       });
     }
     
-    // If we got PSA images, compare them
+    // If we got PSA images, compare each side with references of that side
     const comparisonResults = [];
+    const measurements = [];
+    const warnings = [];
     
     if (psaRef.referenceImages && psaRef.referenceImages.length > 0) {
       console.log(`[PSA Compare] Found ${psaRef.referenceImages.length} reference images`);
+      const references = await loadSidedReferences(psaRef, { perSide: 2 });
       
-      for (const refUrl of psaRef.referenceImages.slice(0, 3)) { // Compare with max 3 refs
-        const refImg = await loadReferenceImage(refUrl);
-        if (!refImg) continue;
-        
-        // Calculate comparison metrics
-        const colorCorrelation = calculateHistogramCorrelation(
-          userStandardized.data, refImg.data, 
-          userStandardized.width, userStandardized.height
-        );
-        
-        const ssim = calculateSSIM(
-          userStandardized.data, refImg.data,
-          userStandardized.width, userStandardized.height
-        );
-        
-        const userSharpness = calculateSharpness(userStandardized.data, userStandardized.width, userStandardized.height);
-        const refSharpness = calculateSharpness(refImg.data, refImg.width, refImg.height);
-        const sharpnessDiff = Math.abs(userSharpness - refSharpness);
+      for (const side of CARD_SIDES) {
+        if (userSides[side].length === 0) continue;
+        if (references[side].length === 0) {
+          warnings.push(`No PSA ${side} reference images; the ${side} was not compared`);
+          continue;
+        }
         
-        comparisonResults.push({
-          referenceUrl: refUrl,
-          colorCorrelation: colorCorrelation.toFixed(4),
-          ssim: ssim.toFixed(4),
-          userSharpness: userSharpness.toFixed(2),
-          refSharpness: refSharpness.toFixed(2),
-          sharpnessDifference: sharpnessDiff.toFixed(2)
-        });
+        for (const { url: refUrl, prepared: refPrepared } of references[side]) {
+          // Align the user photo onto the reference before any pixel comparison
+          const { measurement, result } = await compareToReference(userSides[side][0].prepared, refPrepared);
+          measurements.push(measurement);
+          comparisonResults.push({ side, referenceUrl: refUrl, ...result });
+        }
       }
     }
     
-    // Calculate final authenticity score (like Manus code)
-    let score = 100;
-    const warnings = [];
+    // What the photographed front is, by the local card index, against the cert
+    const identification = await identifyForCert(userSides, psaRef.cardName);
     
-    if (comparisonResults.length > 0) {
-      const avgColorCorr = comparisonResults.reduce((a, r) => a + parseFloat(r.colorCorrelation), 0) / comparisonResults.length;
-      const avgSSIM = comparisonResults.reduce((a, r) => a + parseFloat(r.ssim), 0) / comparisonResults.length;
-      const avgSharpDiff = comparisonResults.reduce((a, r) => a + parseFloat(r.sharpnessDifference), 0) / comparisonResults.length;
-      
-      // Scoring (matching Manus logic)
-      if (avgColorCorr < 0.7) {
-        score -= 25;
-        warnings.push(`Low color correlation: ${(avgColorCorr * 100).toFixed(1)}%`);
-      }
-      
-      if (avgSSIM < 0.6) {
-        score -= 25;
-        warnings.push(`Low structural similarity: ${(avgSSIM * 100).toFixed(1)}%`);
-      }
-      
-      if (avgSharpDiff > 100) {
-        score -= 20;
-        warnings.push(`Significant sharpness difference: ${avgSharpDiff.toFixed(0)}`);
-      }
-    } else {
-      // No reference images - can't compare
-      score = 50;
-      warnings.push('No PSA reference images available for comparison');
-    }
+    // The back on its own, against the game's canonical back
+    const backAnalysis = await analyzeUserBack(userSides, game, psaRef);
     
-    // Determine verdict
-    let verdict;
-    if (score < 50) {
-      verdict = 'LIKELY_FAKE';
-    } else if (score < 75) {
-      verdict = 'SUSPICIOUS';
-    } else {
-      verdict = 'LIKELY_AUTHENTIC';
+    if (comparisonResults.length === 0) {
+      warnings.push(psaRef.referenceImages && psaRef.referenceImages.length > 0
+        ? 'No PSA reference images of the photographed side(s) to compare against'
+        : 'No PSA reference images available for comparison');
     }
     
+    const authenticity = scoreCert(measurements, backAnalysis, identification, psaRef.cardName, warnings);
+    
     const processingTime = Date.now() - startTime;
     
-    console.log(`[PSA Compare] Complete in ${processingTime}ms - Score: ${score}/100 - ${verdict}`);
+    console.log(`[PSA Compare] Complete in ${processingTime}ms - Score: ${authenticity.score ?? '-'}/100 - ${authenticity.verdict}`);
     
     res.json({
       success: true,
@@ -957,21 +1272,24 @@ app.post('/api/psa-compare', async (req, res) => {
         grade: psaRef.grade,
         cardName: psaRef.cardName,
         year: psaRef.year,
-        psaUrl: psaRef.psaUrl
+        grader: psaRef.grader,
+        subgrades: psaRef.subgrades,
+        psaUrl: psaRef.psaUrl,
+        certUrl: psaRef.certUrl,
+        sources: psaRef.sources
       },
       comparison: {
         referenceImagesFound: comparisonResults.length,
         results: comparisonResults
       },
-      authenticity: {
-        score,
-        verdict,
-        warnings
-      },
+      identification,
+      back: backAnalysis,
+      authenticity,
       processingTime: `${processingTime}ms`
     });
     
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
     console.error('[PSA Compare] Error:', error);
     res.status(500).json({
       error: 'PSA comparison failed',
@@ -980,19 +1298,6 @@ app.post('/api/psa-compare', async (req, res) => {
   }
 });
 
-/**
- * Known PSA Certs with cached reference data
- */
-const KNOWN_PSA_CERTS = {
-  '63437557': {
-    grade: '10',
-    cardName: 'Lugia Holo 1st Edition',
-    set: 'Neo Genesis',
-    year: '2000',
-    referenceImages: []
-  }
-};
-
 /**
  * PSA Official API Endpoint
  * Uses https://api.psacard.com/publicapi/cert/GetByCertNumber/{certNumber}
@@ -1015,14 +1320,7 @@ app.get('/api/psa-official/:certNumber', async (req, res) => {
   console.log(`[PSA Official API] Fetching cert #${certNumber}...`);
   
   try {
-    const response = await fetch(`https://api.psacard.com/publicapi/cert/GetByCertNumber/${certNumber}`, {
-      headers: {
-        'Authorization': `bearer ${PSA_API_TOKEN}`,
-        'Accept': 'application/json'
-      }
-    });
-    
-    const data = await response.json();
+    const data = await fetchPSAOfficialCert(certNumber, PSA_API_TOKEN);
     
     if (data.IsValidRequest && data.ServerMessage === 'Request successful') {
       // Extract cert info from PSA API response
@@ -1069,69 +1367,25 @@ app.get('/api/psa-official/:certNumber', async (req, res) => {
 });
 
 /**
- * Get PSA reference data (cached, official API, or scraped)
+ * Get PSA reference data through the reference-source chain
+ * Optional ?sources=cache,catalogue,official,firecrawl overrides the order
  */
 app.get('/api/psa-reference/:certNumber', async (req, res) => {
   const certNumber = req.params.certNumber.replace(/[^0-9]/g, '');
   
-  // Check cache first
-  if (PSA_CACHE.has(certNumber)) {
-    console.log(`[PSA Reference] Cache hit for ${certNumber}`);
-    return res.json({ ...PSA_CACHE.get(certNumber), source: 'cache' });
-  }
-  
-  // Check known certs
-  if (KNOWN_PSA_CERTS[certNumber]) {
-    console.log(`[PSA Reference] Known cert: ${certNumber}`);
-    return res.json({ 
-      ...KNOWN_PSA_CERTS[certNumber], 
+  console.log(`[PSA Reference] Resolving cert #${certNumber}`);
+
+  try {
+    const result = await referenceChain.resolve(certNumber, { order: req.query.sources });
+    res.json(result);
+  } catch (error) {
+    if (!error.status) console.error('[PSA Reference] Error:', error);
+    res.status(error.status || 500).json({
+      error: error.message,
       certNumber,
-      psaUrl: `https://www.psacard.com/cert/${certNumber}`,
-      source: 'known_database' 
+      psaUrl: psaCertUrl(certNumber)
     });
   }
-  
-  // Try official PSA API if token is available
-  const PSA_API_TOKEN = process.env.PSA_API_TOKEN;
-  if (PSA_API_TOKEN) {
-    try {
-      console.log(`[PSA Reference] Trying official API for ${certNumber}...`);
-      const apiResponse = await fetch(`https://api.psacard.com/publicapi/cert/GetByCertNumber/${certNumber}`, {
-        headers: {
-          'Authorization': `bearer ${PSA_API_TOKEN}`,
-          'Accept': 'application/json'
-        }
-      });
-      
-      const apiData = await apiResponse.json();
-      
-      if (apiData.IsValidRequest && apiData.ServerMessage === 'Request successful') {
-        const cert = apiData.PSACert || apiData;
-        const result = {
-          certNumber,
-          grade: cert.CardGrade || cert.Grade,
-          cardName: cert.Subject || cert.CardName,
-          year: cert.Year,
-          set: cert.SetYear || cert.Brand,
-          variety: cert.Variety,
-          psaUrl: `https://www.psacard.com/cert/${certNumber}`,
-          source: 'psa_official_api',
-          scraped: false
-        };
-        
-        // Cache the result
-        PSA_CACHE.set(certNumber, result);
-        return res.json(result);
-      }
-    } catch (apiError) {
-      console.log(`[PSA Reference] Official API failed: ${apiError.message}`);
-    }
-  }
-  
-  // Fallback to Puppeteer scraping
-  console.log(`[PSA Reference] Falling back to Puppeteer scraping for ${certNumber}...`);
-  const psaRef = await fetchPSAReference(certNumber);
-  res.json(psaRef);
 });
 
 /**
@@ -1144,17 +1398,10 @@ app.get('/api/psa-scrape/:certNumber', async (req, res) => {
   console.log(`[PSA Firecrawl] Scrape request for cert #${certNumber}`);
   
   try {
-    const result = await scrapePSAWithFirecrawl(certNumber);
-    
-    if (result.error && !result.scraped) {
-      return res.json({
-        success: false,
-        ...result
-      });
-    }
+    const result = await referenceChain.resolve(certNumber, { order: ['cache', 'firecrawl'] });
     
     res.json({
-      success: true,
+      success: result.found,
       ...result
     });
     
@@ -1163,11 +1410,48 @@ app.get('/api/psa-scrape/:certNumber', async (req, res) => {
     res.status(500).json({
       error: error.message,
       certNumber,
-      psaUrl: `https://www.psacard.com/cert/${certNumber}`
+      psaUrl: psaCertUrl(certNumber)
     });
   }
 });
 
+/**
+ * Supported grading companies and their reference sources
+ */
+app.get('/api/graders', (req, res) => {
+  res.json({ success: true, graders: GRADERS.list() });
+});
+
+/**
+ * Generic cert lookup for any supported grader (PSA, BGS, CGC, SGC)
+ * Optional ?sources= overrides the source order, ?requireImages=true keeps
+ * going until a source supplies reference images
+ */
+app.get('/api/cert/:grader/:certNumber', async (req, res) => {
+  const provider = GRADERS.get(req.params.grader);
+  if (!provider) {
+    return res.status(400).json({ success: false, error: `Unknown grader: ${req.params.grader}`, graders: GRADERS.ids });
+  }
+  
+  const certNumber = provider.normalizeCertNumber(req.params.certNumber);
+  if (!certNumber) {
+    return res.status(400).json({ success: false, error: 'Invalid cert number' });
+  }
+  
+  console.log(`[Cert Lookup] ${provider.id} cert #${certNumber}`);
+  
+  try {
+    const result = await provider.resolve(certNumber, {
+      order: req.query.sources,
+      requireImages: req.query.requireImages === 'true'
+    });
+    res.json({ success: result.found, ...result });
+  } catch (error) {
+    console.error('[Cert Lookup] Error:', error);
+    res.status(500).json({ error: error.message, grader: provider.id, certNumber });
+  }
+});
+
 /**
  * Download PSA image and return as base64
  */
@@ -1212,175 +1496,655 @@ app.get('/api/psa-image', async (req, res) => {
   }
 });
 
+/**
+ * Resolve a cert, download its reference images and compare the user's
+ * front and back against references of the same side. Unordered
+ * `userImages` are sorted into sides first. Steps are reported through
+ * `progress` (see the job queue). Shared by /api/psa-verify, /api/label-ocr
+ * and psa-verify jobs.
+ */
+async function verifyCert(provider, certNumber, { front, back, userImages, game, sources, progress = () => {} } = {}) {
+  console.log(`[PSA Verify] Full verification for ${provider.id} cert #${certNumber}`);
+  const startTime = Date.now();
+  
+  // Step 1: Resolve PSA reference data, continuing down the chain until a source has images
+  console.log('[PSA Verify] Step 1: Resolving PSA reference...');
+  progress('resolve');
+  const psaData = await provider.resolve(certNumber, { order: sources, requireImages: true });
+  
+  if (!psaData.found) {
+    return {
+      success: false,
+      error: psaData.error,
+      psaUrl: psaData.psaUrl,
+      manualVerificationRequired: true,
+      attempts: psaData.attempts
+    };
+  }
+  
+  // Step 2: Download PSA reference images, sorted into fronts and backs
+  console.log('[PSA Verify] Step 2: Downloading reference images...');
+  progress('download');
+  const references = await loadSidedReferences(psaData, { perSide: 3, logTag: '[PSA Verify]' });
+  const referenceImages = [...references.front, ...references.back];
+  
+  // Step 3: Compare with user images (if provided), side by side
+  progress('compare');
+  const userSides = await prepareUserSides({ front, back, userImages });
+  const total = CARD_SIDES.reduce((sum, side) => sum + userSides[side].length * references[side].length, 0);
+  const comparisonResults = [];
+  const measurements = [];
+  const warnings = [];
+  
+  if (referenceImages.length > 0 && userSides.front.length + userSides.back.length > 0) {
+    console.log('[PSA Verify] Step 3: Aligning and comparing images...');
+    
+    for (const side of CARD_SIDES) {
+      if (userSides[side].length === 0) continue;
+      if (references[side].length === 0) {
+        warnings.push(`No ${provider.id} ${side} reference images; the ${side} was not compared`);
+        continue;
+      }
+      
+      for (const { prepared: userPrepared } of userSides[side]) {
+        // Compare against each reference of the same side, after aligning onto it
+        for (const ref of references[side]) {
+          progress('compare', { completed: comparisonResults.length, total });
+          const { measurement, result } = await compareToReference(userPrepared, ref.prepared);
+          measurements.push(measurement);
+          comparisonResults.push({ side, referenceUrl: ref.url, ...result });
+        }
+      }
+    }
+  }
+  
+  // Step 4: The back on its own against the game's canonical back, and the
+  // front against the card index
+  progress('back');
+  const backAnalysis = await analyzeUserBack(userSides, game, psaData);
+  const identification = await identifyForCert(userSides, psaData.cardName);
+  
+  // Step 5: Score the signals with the cert profile of the scoring model
+  progress('score');
+  if (comparisonResults.length === 0) {
+    // Nothing to compare - cert data alone can't confirm the card
+    warnings.push(referenceImages.length === 0
+      ? 'No PSA reference images available for comparison'
+      : userSides.front.length + userSides.back.length === 0
+        ? 'No user images provided for comparison'
+        : 'No reference images of the photographed side(s) to compare against');
+  }
+  
+  const authenticity = scoreCert(measurements, backAnalysis, identification, psaData.cardName, warnings);
+  
+  const processingTime = Date.now() - startTime;
+  
+  return {
+    success: true,
+    certNumber,
+    psaData: {
+      grade: psaData.grade,
+      cardName: psaData.cardName,
+      year: psaData.year,
+      grader: psaData.grader,
+      subgrades: psaData.subgrades,
+      psaUrl: psaData.psaUrl,
+      certUrl: psaData.certUrl,
+      screenshot: psaData.screenshot,
+      sources: psaData.sources
+    },
+    referenceImages: referenceImages.map(r => ({
+      url: r.url,
+      side: r.side,
+      sideSource: r.sideSource,
+      base64: `data:image/jpeg;base64,${r.image.buffer.toString('base64')}`
+    })),
+    comparison: comparisonResults,
+    identification,
+    back: backAnalysis,
+    authenticity,
+    processingTime: `${processingTime}ms`
+  };
+}
+
 /**
  * Full PSA verification with image comparison
  */
 app.post('/api/psa-verify', async (req, res) => {
-  const { userImages, certNumber } = req.body;
+  const { front, back, userImages, game, certNumber, sources, grader = 'PSA' } = req.body;
   
   if (!certNumber) {
     return res.status(400).json({ error: 'Missing certNumber' });
   }
   
-  console.log(`[PSA Verify] Full verification for cert #${certNumber}`);
+  const provider = GRADERS.get(grader);
+  if (!provider) {
+    return res.status(400).json({ error: `Unknown grader: ${grader}`, graders: GRADERS.ids });
+  }
+  
+  try {
+    gameKey(game);
+    res.json(await verifyCert(provider, certNumber, { front, back, userImages, game, sources }));
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, certNumber });
+    console.error('[PSA Verify] Error:', error);
+    res.status(500).json({
+      error: error.message,
+      certNumber
+    });
+  }
+});
+
+// ============================================================================
+// SLAB LABEL OCR
+// ============================================================================
+
+/**
+ * Read cert number, grade and title off the slab label in a photo.
+ * Body: image (slab photo) and/or labelImage (crop of just the label),
+ * returnCrop, and verify: true to run the full verification on the cert
+ * that was read (front defaults to the slab photo; back, userImages, game,
+ * grader and sources as for /api/psa-verify, grader defaulting to the one
+ * read off the label).
+ */
+app.post('/api/label-ocr', async (req, res) => {
+  const { image, labelImage, verify = false, front, back, userImages, game, sources, returnCrop = false } = req.body;
+  
+  if (!image && !labelImage) {
+    return res.status(400).json({ error: 'Missing image or labelImage' });
+  }
+  if (req.body.grader && !GRADERS.get(req.body.grader)) {
+    return res.status(400).json({ error: `Unknown grader: ${req.body.grader}`, graders: GRADERS.ids });
+  }
+  
+  console.log('[Label OCR] Reading slab label...');
   const startTime = Date.now();
   
   try {
-    // Step 1: Scrape PSA page
-    console.log('[PSA Verify] Step 1: Scraping PSA page...');
-    const psaData = await scrapePSAWithPuppeteer(certNumber);
+    const imageData = image ? await loadImageData(image) : null;
+    const labelImageData = labelImage ? await loadImageData(labelImage) : null;
+    const { crop, ...extracted } = await readSlabLabel(imageData || labelImageData, { labelImageData });
     
-    if (psaData.error) {
-      return res.json({
-        success: false,
-        error: psaData.error,
-        psaUrl: psaData.psaUrl
-      });
-    }
+    console.log(`[Label OCR] Cert ${extracted.certNumber ? `#${extracted.certNumber.value} (${extracted.certNumber.source})` : 'not found'}, grade ${extracted.grade ? extracted.grade.value : '-'}`);
     
-    // Step 2: Download PSA reference images
-    console.log('[PSA Verify] Step 2: Downloading reference images...');
-    const referenceImages = [];
-    
-    for (const imgUrl of psaData.allImages.slice(0, 5)) {
-      try {
-        const imgResponse = await fetch(imgUrl, {
-          headers: { 
-            'User-Agent': 'Mozilla/5.0',
-            'Referer': 'https://www.psacard.com/'
-          }
-        });
-        
-        if (imgResponse.ok) {
-          const buffer = Buffer.from(await imgResponse.arrayBuffer());
-          
-          // Process with sharp
-          const processed = await sharp(buffer)
-            .resize(900, 1200, { fit: 'contain', background: { r: 255, g: 255, b: 255 } })
-            .ensureAlpha()
-            .raw()
-            .toBuffer({ resolveWithObject: true });
-          
-          referenceImages.push({
-            url: imgUrl,
-            data: new Uint8ClampedArray(processed.data),
-            width: processed.info.width,
-            height: processed.info.height,
-            base64: `data:image/jpeg;base64,${buffer.toString('base64')}`
-          });
-          
-          console.log(`[PSA Verify] Downloaded: ${imgUrl}`);
-        }
-      } catch (e) {
-        console.log(`[PSA Verify] Failed to download: ${imgUrl}`);
-      }
+    const response = { success: extracted.found, ...extracted };
+    if (returnCrop) {
+      response.labelCrop = await rgbaToDataUrl(crop.data, crop.width, crop.height);
     }
     
-    // Step 3: Compare with user images (if provided)
-    let comparisonResults = [];
-    
-    if (userImages && userImages.length > 0 && referenceImages.length > 0) {
-      console.log('[PSA Verify] Step 3: Comparing images...');
+    if (verify && extracted.certNumber) {
+      const provider = GRADERS.get(req.body.grader || extracted.grader?.value);
+      response.verification = await verifyCert(provider, extracted.certNumber.value, {
+        front: front || (userImages ? undefined : image),
+        back,
+        userImages,
+        game,
+        sources
+      });
       
-      for (const userImg of userImages.slice(0, 3)) {
-        // Load user image
-        const userBuffer = Buffer.from(userImg.replace(/^data:image\/\w+;base64,/, ''), 'base64');
-        const userProcessed = await sharp(userBuffer)
-          .resize(900, 1200, { fit: 'contain', background: { r: 255, g: 255, b: 255 } })
-          .ensureAlpha()
-          .raw()
-          .toBuffer({ resolveWithObject: true });
-        
-        const userData = new Uint8ClampedArray(userProcessed.data);
-        
-        // Compare against each reference
-        for (const ref of referenceImages) {
-          const colorCorr = calculateHistogramCorrelation(userData, ref.data, 900, 1200);
-          const ssim = calculateSSIM(userData, ref.data, 900, 1200);
-          const userSharp = calculateSharpness(userData, 900, 1200);
-          const refSharp = calculateSharpness(ref.data, ref.width, ref.height);
-          
-          comparisonResults.push({
-            referenceUrl: ref.url,
-            colorCorrelation: (colorCorr * 100).toFixed(1),
-            structuralSimilarity: (ssim * 100).toFixed(1),
-            userSharpness: userSharp.toFixed(0),
-            refSharpness: refSharp.toFixed(0),
-            sharpnessDiff: Math.abs(userSharp - refSharp).toFixed(0)
-          });
-        }
+      // The label's own grade should match the grader's record
+      const recorded = response.verification.psaData?.grade;
+      if (recorded && extracted.grade && String(recorded) !== extracted.grade.value) {
+        response.warnings.push(`Label grade ${extracted.grade.value} does not match ${provider.id} record ${recorded}`);
       }
     }
     
-    // Step 4: Calculate authenticity score
-    let score = 100;
-    const warnings = [];
-    
-    if (comparisonResults.length > 0) {
-      const avgColorCorr = comparisonResults.reduce((a, r) => a + parseFloat(r.colorCorrelation), 0) / comparisonResults.length;
-      const avgSSIM = comparisonResults.reduce((a, r) => a + parseFloat(r.structuralSimilarity), 0) / comparisonResults.length;
-      const avgSharpDiff = comparisonResults.reduce((a, r) => a + parseFloat(r.sharpnessDiff), 0) / comparisonResults.length;
-      
-      if (avgColorCorr < 70) {
-        score -= 25;
-        warnings.push(`Low color match: ${avgColorCorr.toFixed(1)}%`);
-      }
-      if (avgSSIM < 60) {
-        score -= 25;
-        warnings.push(`Low structural similarity: ${avgSSIM.toFixed(1)}%`);
-      }
-      if (avgSharpDiff > 100) {
-        score -= 20;
-        warnings.push(`Sharpness difference: ${avgSharpDiff.toFixed(0)}`);
-      }
+    response.processingTime = `${Date.now() - startTime}ms`;
+    res.json(response);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error('[Label OCR] Error:', error);
+    res.status(500).json({
+      error: 'Label OCR failed',
+      message: error.message
+    });
+  }
+});
+
+// ============================================================================
+// ASYNC JOBS: long analyses queued in process, polled or called back
+// ============================================================================
+
+/**
+ * Check a /api/psa-verify body before any work starts
+ */
+function validateVerifyRequest({ certNumber, grader = 'PSA', game }) {
+  if (!certNumber) throw badRequest('Missing certNumber');
+  if (!GRADERS.get(grader)) throw badRequest(`Unknown grader: ${grader}. Expected one of ${GRADERS.ids.join(', ')}`);
+  gameKey(game);
+}
+
+// Job types, each taking the body of the endpoint it runs
+const JOBS = createJobQueue({
+  handlers: {
+    cv: { validate: validateCvRequest, run: analyzeCard },
+    'psa-verify': {
+      validate: validateVerifyRequest,
+      run: ({ certNumber, grader = 'PSA', ...options }, progress) => verifyCert(GRADERS.get(grader), certNumber, { ...options, progress })
+    }
+  },
+  concurrency: Number(process.env.JOB_CONCURRENCY || 2),
+  maxQueued: Number(process.env.JOB_QUEUE_LIMIT || 20),
+  ttl: Number(process.env.JOB_TTL_MINUTES || 60) * 60 * 1000,
+  callbackSecret: process.env.JOB_CALLBACK_SECRET || null,
+  callbackHosts: (process.env.JOB_CALLBACK_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean)
+});
+
+function describeJob(job, { includeResult = true } = {}) {
+  const { result, ...rest } = job;
+  return {
+    ...rest,
+    position: JOBS.position(job.id),
+    statusUrl: `/api/jobs/${job.id}`,
+    ...(includeResult ? { result } : {})
+  };
+}
+
+/**
+ * Queue a long analysis: { type, input, callbackUrl }. `type` is cv or
+ * psa-verify and `input` the body that endpoint takes. Answers 202 with the
+ * job; poll GET /api/jobs/:id or wait for the callback.
+ */
+app.post('/api/jobs', (req, res) => {
+  try {
+    const job = JOBS.submit(req.body);
+    console.log(`[Jobs] Queued ${job.type} job ${job.id} (${JOBS.stats().queued} waiting)`);
+    res.status(202).json({ success: true, job: describeJob(job, { includeResult: false }) });
+  } catch (error) {
+    if (!error.status) console.error('[Jobs] Error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = JOBS.get(req.params.id);
+  if (!job) return res.status(404).json({ success: false, error: 'not_found' });
+  res.json({ success: true, job: describeJob(job) });
+});
+
+/**
+ * Retained jobs without their results (filters: status, type)
+ */
+app.get('/api/jobs', requireAdmin, (req, res) => {
+  const jobs = JOBS.list(req.query).map(job => describeJob(job, { includeResult: false }));
+  res.json({ success: true, stats: JOBS.stats(), count: jobs.length, jobs });
+});
+
+// ============================================================================
+// LABEL FORENSICS: slab labels against genuine label templates
+// ============================================================================
+
+/**
+ * Read the label off a request body's image (slab photo) or labelImage
+ * (crop of just the label)
+ */
+async function readLabelFromBody(body) {
+  const imageData = body.image ? await loadImageData(body.image) : null;
+  const labelImageData = body.labelImage ? await loadImageData(body.labelImage) : null;
+  return readSlabLabel(imageData || labelImageData, { labelImageData });
+}
+
+/**
+ * List templates. Filters: ?grader=, ?generation=, ?labelType=
+ */
+app.get('/api/label-templates', (req, res) => {
+  const templates = LABEL_TEMPLATES.list(req.query);
+  res.json({ success: true, count: templates.length, templates });
+});
+
+app.get('/api/label-templates/:id', (req, res) => {
+  const template = LABEL_TEMPLATES.get(req.params.id);
+  if (!template) return res.status(404).json({ success: false, error: 'not_found' });
+  res.json({ success: true, template });
+});
+
+/**
+ * Create a template from a genuine label: image or labelImage, grader,
+ * generation (e.g. "2019"), labelType (e.g. "standard", "dna"), name, and
+ * hologram: { x0, y0, x1, y1 } as fractions of the label to measure the
+ * hologram in. The same grader/generation/labelType replaces its template.
+ */
+app.post('/api/label-templates', requireAdmin, async (req, res) => {
+  const { image, labelImage, grader, generation, labelType, name, hologram } = req.body;
+  
+  if (!image && !labelImage) {
+    return res.status(400).json({ success: false, error: 'Missing image or labelImage' });
+  }
+  
+  try {
+    const reading = await readLabelFromBody(req.body);
+    const measurement = measureLabel(reading, { hologram });
+    if (Object.keys(measurement.elements).length === 0) {
+      return res.status(400).json({ success: false, error: 'No label text found in the image' });
     }
     
-    let verdict = score >= 75 ? 'LIKELY_AUTHENTIC' : score >= 50 ? 'SUSPICIOUS' : 'LIKELY_FAKE';
+    const template = LABEL_TEMPLATES.add(createLabelTemplate(measurement, {
+      grader: grader || reading.grader?.value,
+      generation,
+      labelType,
+      name,
+      certNumber: reading.certNumber?.value || null
+    }));
     
-    const processingTime = Date.now() - startTime;
+    console.log(`[Label Forensics] Template ${template.id} saved (${template.name})`);
+    res.status(201).json({ success: true, template, warnings: reading.warnings });
+  } catch (error) {
+    if (!error.status) console.error('[Label Forensics] Error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/label-templates/:id', requireAdmin, (req, res) => {
+  const template = LABEL_TEMPLATES.remove(req.params.id);
+  if (!template) return res.status(404).json({ success: false, error: 'not_found' });
+  
+  console.log(`[Label Forensics] Deleted template ${template.id}`);
+  res.json({ success: true, deleted: template.id });
+});
+
+/**
+ * Check a slab label against a genuine template: typography, element
+ * positions, barcode validity and barcode vs printed cert.
+ * Body: image and/or labelImage, templateId (default: the best-matching
+ * template for the grader given or read off the label), returnOverlay.
+ */
+app.post('/api/label-forensics', async (req, res) => {
+  const { image, labelImage, templateId, returnOverlay = true } = req.body;
+  
+  if (!image && !labelImage) {
+    return res.status(400).json({ error: 'Missing image or labelImage' });
+  }
+  if (templateId && !LABEL_TEMPLATES.get(templateId)) {
+    return res.status(404).json({ error: `Unknown template: ${templateId}` });
+  }
+  if (req.body.grader && !GRADERS.get(req.body.grader)) {
+    return res.status(400).json({ error: `Unknown grader: ${req.body.grader}`, graders: GRADERS.ids });
+  }
+  
+  console.log('[Label Forensics] Analyzing slab label...');
+  const startTime = Date.now();
+  
+  try {
+    const reading = await readLabelFromBody(req.body);
+    const grader = req.body.grader || reading.grader?.value || null;
     
-    res.json({
+    const template = templateId
+      ? LABEL_TEMPLATES.get(templateId)
+      : selectLabelTemplate(measureLabel(reading), LABEL_TEMPLATES.list(grader ? { grader } : {}));
+    const measurement = measureLabel(reading, { hologram: template?.hologram?.region });
+    
+    const checks = compareLabelToTemplate(measurement, template);
+    const summary = summarizeChecks(checks, template);
+    const warnings = [...reading.warnings];
+    if (!template) warnings.push('No label template matches; only the barcode checks were run');
+    
+    console.log(`[Label Forensics] ${summary.verdict}: ${summary.passed} passed, ${summary.failed} failed, ${summary.skipped} skipped`);
+    
+    const response = {
       success: true,
-      certNumber,
-      psaData: {
-        grade: psaData.grade,
-        cardName: psaData.cardName,
-        year: psaData.year,
-        psaUrl: psaData.psaUrl,
-        screenshot: psaData.screenshot
-      },
-      referenceImages: referenceImages.map(r => ({
-        url: r.url,
-        base64: r.base64
-      })),
-      comparison: comparisonResults,
-      authenticity: {
-        score,
-        verdict,
-        warnings
-      },
-      processingTime: `${processingTime}ms`
-    });
+      verdict: summary.verdict,
+      summary,
+      template: template ? { id: template.id, name: template.name, grader: template.grader, generation: template.generation, labelType: template.labelType } : null,
+      certNumber: reading.certNumber,
+      grade: reading.grade,
+      checks,
+      warnings
+    };
+    if (returnOverlay) {
+      const overlay = labelOverlay(reading.crop, measurement, template, checks);
+      response.overlay = await rgbaToDataUrl(overlay.data, overlay.width, overlay.height, 'png');
+    }
     
+    response.processingTime = `${Date.now() - startTime}ms`;
+    res.json(response);
   } catch (error) {
-    console.error('[PSA Verify] Error:', error);
+    console.error('[Label Forensics] Error:', error);
     res.status(500).json({
-      error: error.message,
-      certNumber
+      error: 'Label forensics failed',
+      message: error.message
     });
   }
 });
 
+// ============================================================================
+// REFERENCE CATALOGUE: verified slabs used as ground truth
+// ============================================================================
+
+/**
+ * Drop cached references that a catalogue change makes stale
+ */
+function invalidateCatalogueCert(...entries) {
+  for (const entry of entries) {
+    const provider = entry && GRADERS.get(entry.grader);
+    if (provider && entry.certNumber) PSA_CACHE.delete(provider.cacheKey(entry.certNumber));
+  }
+}
+
+function sendCatalogueError(res, error) {
+  if (!error.status) console.error('[Reference Catalogue] Error:', error);
+  res.status(error.status || 500).json({ success: false, error: error.message });
+}
+
+/**
+ * List catalogue entries
+ * Filters: ?certNumber=, ?set=, ?number=, ?variant=, ?grader=, ?q= (card name)
+ */
+app.get('/api/references', (req, res) => {
+  const entries = REFERENCE_CATALOGUE.list(req.query).map(describeEntry);
+  res.json({ success: true, count: entries.length, entries });
+});
+
+app.get('/api/references/:id', (req, res) => {
+  const entry = REFERENCE_CATALOGUE.get(req.params.id);
+  if (!entry) return res.status(404).json({ success: false, error: 'not_found' });
+  res.json({ success: true, entry: describeEntry(entry) });
+});
+
+/**
+ * Add an entry: certNumber and/or card identity (set, number, variant),
+ * plus grader, grade, cardName, year, language, notes
+ */
+app.post('/api/references', requireAdmin, (req, res) => {
+  try {
+    const entry = REFERENCE_CATALOGUE.create(req.body);
+    invalidateCatalogueCert(entry);
+    console.log(`[Reference Catalogue] Added ${entry.id} (cert ${entry.certNumber || '-'})`);
+    res.status(201).json({ success: true, entry: describeEntry(entry) });
+  } catch (error) {
+    sendCatalogueError(res, error);
+  }
+});
+
+app.patch('/api/references/:id', requireAdmin, (req, res) => {
+  try {
+    const previous = REFERENCE_CATALOGUE.get(req.params.id);
+    const entry = REFERENCE_CATALOGUE.update(req.params.id, req.body);
+    if (!entry) return res.status(404).json({ success: false, error: 'not_found' });
+    
+    invalidateCatalogueCert(previous, entry);
+    res.json({ success: true, entry: describeEntry(entry) });
+  } catch (error) {
+    sendCatalogueError(res, error);
+  }
+});
+
+app.delete('/api/references/:id', requireAdmin, (req, res) => {
+  const entry = REFERENCE_CATALOGUE.remove(req.params.id);
+  if (!entry) return res.status(404).json({ success: false, error: 'not_found' });
+  
+  invalidateCatalogueCert(entry);
+  console.log(`[Reference Catalogue] Deleted ${entry.id}`);
+  res.json({ success: true, deleted: entry.id });
+});
+
+/**
+ * Upload a verified reference image: { image: base64, side: 'front' | 'back' }
+ */
+app.post('/api/references/:id/images', requireAdmin, async (req, res) => {
+  try {
+    const { image, side } = req.body;
+    const stored = await REFERENCE_CATALOGUE.addImage(req.params.id, image, { side });
+    if (!stored) return res.status(404).json({ success: false, error: 'not_found' });
+    
+    const entry = REFERENCE_CATALOGUE.get(req.params.id);
+    invalidateCatalogueCert(entry);
+    console.log(`[Reference Catalogue] Image ${stored.id} (${stored.side}, ${stored.width}x${stored.height}) added to ${entry.id}`);
+    res.status(201).json({ success: true, entry: describeEntry(entry) });
+  } catch (error) {
+    sendCatalogueError(res, error);
+  }
+});
+
+app.get('/api/references/:id/images/:imageId', (req, res) => {
+  const stored = REFERENCE_CATALOGUE.readImage(req.params.id, req.params.imageId);
+  if (!stored) return res.status(404).json({ success: false, error: 'not_found' });
+  res.type(stored.format).send(stored.buffer);
+});
+
+app.delete('/api/references/:id/images/:imageId', requireAdmin, (req, res) => {
+  const removed = REFERENCE_CATALOGUE.removeImage(req.params.id, req.params.imageId);
+  if (!removed) return res.status(404).json({ success: false, error: 'not_found' });
+  
+  invalidateCatalogueCert(REFERENCE_CATALOGUE.get(req.params.id));
+  res.json({ success: true, deleted: removed.id });
+});
+
+// ============================================================================
+// ADMIN: PSA cert cache
+// ============================================================================
+
+/**
+ * Admin routes require the x-admin-token header to match ADMIN_TOKEN.
+ * Without ADMIN_TOKEN set they are disabled.
+ */
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return res.status(503).json({ error: 'admin_not_configured', message: 'Set ADMIN_TOKEN to enable admin routes' });
+  }
+  if (req.get('x-admin-token') !== token) {
+    return res.status(401).json({ error: 'unauthorized' });
+  }
+  next();
+}
+
+/**
+ * Provider, cert number and cache key addressed by an admin cache route.
+ * ?grader= selects a non-PSA grader (default PSA).
+ */
+function cacheTarget(req, res) {
+  const provider = GRADERS.get(req.query.grader);
+  if (!provider) {
+    res.status(400).json({ success: false, error: `Unknown grader: ${req.query.grader}`, graders: GRADERS.ids });
+    return null;
+  }
+  const certNumber = provider.normalizeCertNumber(req.params.certNumber);
+  return { provider, certNumber, key: provider.cacheKey(certNumber) };
+}
+
+/**
+ * Cache statistics and every live entry (metadata only)
+ */
+app.get('/api/admin/cache', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    stats: PSA_CACHE.stats(),
+    entries: PSA_CACHE.list()
+  });
+});
+
+/**
+ * Inspect one cached cert, including the cached reference
+ */
+app.get('/api/admin/cache/:certNumber', requireAdmin, (req, res) => {
+  const target = cacheTarget(req, res);
+  if (!target) return;
+  const entry = PSA_CACHE.peek(target.key);
+  
+  if (!entry) {
+    return res.status(404).json({ success: false, error: 'not_cached', grader: target.provider.id, certNumber: target.certNumber });
+  }
+  
+  res.json({
+    success: true,
+    ...PSA_CACHE.describe(entry),
+    value: entry.value
+  });
+});
+
+/**
+ * Drop the cached entry and resolve the cert again from the live sources
+ */
+app.post('/api/admin/cache/:certNumber/refresh', requireAdmin, async (req, res) => {
+  const target = cacheTarget(req, res);
+  if (!target) return;
+  const { provider, certNumber } = target;
+  
+  console.log(`[PSA Cache] Refreshing ${provider.id} cert #${certNumber}`);
+  
+  try {
+    const result = await provider.resolve(certNumber, {
+      order: req.body?.sources,
+      requireImages: req.body?.requireImages !== false,
+      refresh: true
+    });
+    const entry = PSA_CACHE.peek(target.key);
+    
+    res.json({
+      success: result.found,
+      cache: entry ? PSA_CACHE.describe(entry) : null,
+      reference: result
+    });
+  } catch (error) {
+    console.error('[PSA Cache] Refresh error:', error);
+    res.status(500).json({ error: error.message, certNumber });
+  }
+});
+
+/**
+ * Purge one cert from the cache
+ */
+app.delete('/api/admin/cache/:certNumber', requireAdmin, (req, res) => {
+  const target = cacheTarget(req, res);
+  if (!target) return;
+  const { provider, certNumber } = target;
+  const purged = PSA_CACHE.delete(target.key);
+  
+  console.log(`[PSA Cache] Purge ${provider.id} cert #${certNumber}: ${purged ? 'removed' : 'not cached'}`);
+  res.json({ success: true, grader: provider.id, certNumber, purged });
+});
+
+/**
+ * Purge the whole cache
+ */
+app.delete('/api/admin/cache', requireAdmin, (req, res) => {
+  const purged = PSA_CACHE.clear();
+  
+  console.log(`[PSA Cache] Purged ${purged} entries`);
+  res.json({ success: true, purged });
+});
+
 // Start server
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`\n🚀 TCG-Forensics CV Backend v3.0.0 running on port ${PORT}`);
-  console.log(`📊 Available: 8 CV algorithms + Firecrawl PSA Scraping`);
+  console.log(`📊 Available: ${TOTAL_ALGORITHMS} CV algorithms (PRO/EXPERT/ENTERPRISE) + Firecrawl PSA Scraping`);
   console.log(`🔗 Health: http://localhost:${PORT}/health`);
   console.log(`🎯 CV: POST http://localhost:${PORT}/api/cv`);
   console.log(`🔍 PSA Official: GET http://localhost:${PORT}/api/psa-official/:certNumber`);
   console.log(`🔥 PSA Firecrawl: GET http://localhost:${PORT}/api/psa-scrape/:certNumber`);
+  console.log(`🏷️  Cert Lookup: GET http://localhost:${PORT}/api/cert/:grader/:certNumber (${GRADERS.ids.join(', ')})`);
+  console.log(`📐 Centering: POST http://localhost:${PORT}/api/centering`);
+  console.log(`🩹 Condition: POST http://localhost:${PORT}/api/condition`);
+  console.log(`✨ Holo: POST http://localhost:${PORT}/api/holo (${HOLO_SIGNATURES.size} signatures)`);
+  console.log(`🔎 Identify: POST http://localhost:${PORT}/api/identify (${CARD_INDEX.size} indexed cards)`);
   console.log(`✅ PSA Verify: POST http://localhost:${PORT}/api/psa-verify`);
+  console.log(`⏳ Jobs: POST http://localhost:${PORT}/api/jobs (cv, psa-verify; ${JOBS.stats().concurrency} at a time)`);
+  console.log(`🏷️  Label OCR: POST http://localhost:${PORT}/api/label-ocr`);
+  console.log(`🔬 Label Forensics: POST http://localhost:${PORT}/api/label-forensics (${LABEL_TEMPLATES.size} templates)`);
   console.log(`\n💡 ENV VARS:`);
-  console.log(`   FIRECRAWL_API_KEY: ${FIRECRAWL_API_KEY ? '✅ Configured' : '❌ Not set'}`);
-  console.log(`   PSA_API_TOKEN: ${process.env.PSA_API_TOKEN ? '✅ Configured' : '❌ Not set'}\n`);
+  console.log(`   FIRECRAWL_API_KEY: ${process.env.FIRECRAWL_API_KEY ? '✅ Configured' : '❌ Not set'}`);
+  console.log(`   PSA_API_TOKEN: ${process.env.PSA_API_TOKEN ? '✅ Configured' : '❌ Not set'}`);
+  console.log(`   ADMIN_TOKEN: ${process.env.ADMIN_TOKEN ? '✅ Configured' : '❌ Not set'}`);
+  console.log(`   PSA cache: ${PSA_CACHE.stats().backend} (${PSA_CACHE.size} entries)`);
+  console.log(`   Scoring model: ${SCORING_MODEL.file}\n`);
 });
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { createAnalysisContext, contextFromImageData } from '../lib/analysis-context.js';
+import { errorLevelAnalysis, jpegBlockArtifactAnalysis, noiseResidualAnalysis, entropyAnalysis } from '../lib/cv-algorithms.js';
+
+// Camera-like JPEG: a bordered card on a grey table, with sensor noise
+async function cameraPhoto() {
+  const width = 700, height = 820;
+  const card = { x0: 150, y0: 150, x1: 549, y1: 708 };
+  const data = Buffer.alloc(width * height * 3);
+  let seed = 7;
+  const noise = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return (seed / 2147483648 - 0.5) * 16;
+  };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inCard = x >= card.x0 && x <= card.x1 && y >= card.y0 && y <= card.y1;
+      const inFrame = x >= card.x0 + 30 && x <= card.x1 - 30 && y >= card.y0 + 30 && y <= card.y1 - 30;
+      const rgb = inFrame ? [58 + (x % 40), 123, 213 - (y % 50)] : inCard ? [242, 200, 30] : [85, 85, 85];
+      const n = noise();
+      data.set(rgb.map(v => Math.max(0, Math.min(255, Math.round(v + n)))), (y * width + x) * 3);
+    }
+  }
+  const jpeg = await sharp(data, { raw: { width, height, channels: 3 } }).jpeg({ quality: 85 }).toBuffer();
+  return jpeg.toString('base64');
+}
+
+test('pixel-level forensics run on the decoded photo, not the warped card', async () => {
+  const photo = await cameraPhoto();
+  const normalized = await createAnalysisContext(photo);
+  const raw = await createAnalysisContext(photo, { preprocess: false });
+
+  assert.equal(normalized.preprocessing.cardDetected, true);
+  assert.notEqual(normalized.width, raw.width);
+  assert.equal(normalized.source.width, raw.width);
+  assert.equal(raw.source, raw);
+
+  for (const algorithm of [errorLevelAnalysis, jpegBlockArtifactAnalysis, noiseResidualAnalysis]) {
+    assert.deepEqual(await algorithm(normalized), await algorithm(raw), algorithm.name);
+  }
+  const block = await jpegBlockArtifactAnalysis(normalized);
+  assert.equal(block.gridAligned, true);
+});
+
+test('texture algorithms still analyze the normalized card', async () => {
+  const photo = await cameraPhoto();
+  const normalized = await createAnalysisContext(photo);
+  const raw = await createAnalysisContext(photo, { preprocess: false });
+
+  assert.notDeepEqual(await entropyAnalysis(normalized), await entropyAnalysis(raw));
+});
+
+test('derived planes are computed once per context', () => {
+  const width = 64, height = 64;
+  const ctx = contextFromImageData({ data: new Uint8ClampedArray(width * height * 4).fill(200), width, height });
+
+  assert.equal(ctx.gray, ctx.gray);
+  assert.equal(ctx.spectrum, ctx.spectrum);
+  assert.equal(ctx.spectrum.size, 64);
+  assert.equal(ctx.canny(), ctx.canny({ sigma: 1.4 }));
+});
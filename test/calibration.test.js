@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { auc, confusionAt, suggestThreshold, evaluateSignal, calibrate } from '../lib/calibration.js';
+
+const MODEL = {
+  verdicts: [
+    { verdict: 'LIKELY_AUTHENTIC', minScore: 75 },
+    { verdict: 'SUSPICIOUS', minScore: 50 },
+    { verdict: 'LIKELY_FAKE', minScore: 0 }
+  ],
+  profiles: {
+    cv: {
+      signals: {
+        sharpness: { name: 'Sharpness', weight: 1, direction: 'min', threshold: 2 },
+        noise: { name: 'Noise', weight: 1, direction: 'max', threshold: 9 },
+        entropy: { name: 'Entropy', weight: 1, direction: 'min', threshold: 5 }
+      }
+    }
+  }
+};
+
+// Sharpness separates at 6, noise at 4 (lower is genuine), entropy not at all
+const SAMPLES = [
+  ...[7, 8, 9, 7.5, 8.5, 9.5].map((v, i) => ({ label: 'genuine', signals: { sharpness: v, noise: 1 + i * 0.4, entropy: 5 + (i % 2) } })),
+  ...[3, 4, 5, 3.5, 4.5, 5.5].map((v, i) => ({ label: 'fake', signals: { sharpness: v, noise: 5 + i * 0.4, entropy: 5 + (i % 2) } }))
+];
+
+test('AUC, confusion matrices and the Youden threshold of one signal', () => {
+  const values = { genuine: [7, 8, 9], fake: [3, 4, 8] };
+
+  // The fake 8 beats the genuine 9 and ties the genuine 8
+  assert.equal(auc(values, 'min'), (3 + 3 + 1.5) / 9);
+  assert.equal(auc({ genuine: values.fake, fake: values.genuine }, 'max'), (3 + 3 + 1.5) / 9);
+
+  const { truePositive, falseNegative, falsePositive, trueNegative } = confusionAt(values, 'min', 7.5);
+  assert.deepEqual([truePositive, falseNegative, falsePositive, trueNegative], [2, 1, 1, 2]);
+  assert.equal(suggestThreshold(values, 'min', 2).threshold, 5.5);
+});
+
+test('signals that do not separate or lack samples get no suggestion', () => {
+  const { signals } = MODEL.profiles.cv;
+
+  const entropy = evaluateSignal(SAMPLES, 'entropy', signals.entropy);
+  assert.equal(entropy.auc, 0.5);
+  assert.equal(entropy.suggested, null);
+  assert.match(entropy.note, /AUC below/);
+
+  const inverted = evaluateSignal(SAMPLES, 'noise', { ...signals.noise, direction: 'min' });
+  assert.equal(inverted.auc, 0);
+  assert.match(inverted.note, /direction/);
+
+  assert.match(evaluateSignal(SAMPLES.slice(0, 8), 'sharpness', signals.sharpness).note, /at least 5/);
+});
+
+test('calibration moves thresholds between the classes and the cutoff with them', () => {
+  const report = calibrate(MODEL, 'cv', SAMPLES);
+
+  assert.equal(report.samples.fake, 6);
+  const sharpness = report.signals.find(s => s.id === 'sharpness');
+  assert.equal(sharpness.auc, 1);
+  assert.equal(sharpness.confusion.truePositive, 0);
+  assert.equal(sharpness.suggested.threshold, 6.25);
+  assert.equal(sharpness.suggested.confusion.accuracy, 1);
+  assert.equal(report.model.profiles.cv.signals.noise.threshold, report.signals.find(s => s.id === 'noise').suggested.threshold);
+  assert.equal(report.model.profiles.cv.signals.entropy.threshold, 5);
+  assert.equal(MODEL.profiles.cv.signals.sharpness.threshold, 2);
+
+  assert.equal(report.score.before.verdicts.fake.LIKELY_AUTHENTIC, 6);
+  assert.equal(report.score.after.confusion.accuracy, 1);
+  assert.ok(report.model.verdicts[0].minScore > 50);
+});
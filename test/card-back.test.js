@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeBack, classifyCardSide, gameKey, inferGame, hueShare } from '../lib/card-back.js';
+
+// Upright 630x880 card back on a grey background: a border band around a
+// field that is either a two-tone spiral or flat
+function syntheticBack({ border = 32, swirl = true, borderRgb = [32, 82, 165], dark = [30, 62, 150], light = [95, 155, 230] } = {}) {
+  const cardWidth = 630, cardHeight = 880, margin = 120;
+  const width = cardWidth + 2 * margin, height = cardHeight + 2 * margin;
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const u = x - margin, v = y - margin;
+      const inCard = u >= 0 && v >= 0 && u < cardWidth && v < cardHeight;
+      const inField = u >= border && u < cardWidth - border && v >= border && v < cardHeight - border;
+
+      let rgb = !inCard ? [200, 200, 200] : borderRgb;
+      if (inField) {
+        const r = Math.hypot(u - cardWidth / 2, v - cardHeight / 2);
+        const t = Math.atan2(v - cardHeight / 2, u - cardWidth / 2);
+        const mix = swirl ? 0.5 + 0.5 * Math.sin(0.06 * r + 4 * t) : 0.5;
+        rgb = dark.map((d, c) => d + (light[c] - d) * mix);
+      }
+      data.set([...rgb, 255], (y * width + x) * 4);
+    }
+  }
+  return { data, width, height };
+}
+
+test('a Pokémon back passes every check against the canonical back', async () => {
+  const back = await analyzeBack(syntheticBack());
+
+  assert.equal(back.game, 'pokemon');
+  assert.equal(back.gameSource, 'detected');
+  assert.equal(back.verdict, 'CONSISTENT');
+  assert.ok(Math.abs(back.measurement.borderWidth - 0.05) < 0.005, `border ${back.measurement.borderWidth}`);
+  assert.ok(back.measurement.structure.coherence > 0.5);
+});
+
+test('a flat field and an off blue are flagged', async () => {
+  const flat = await analyzeBack(syntheticBack({ swirl: false }), { game: 'Pokémon' });
+  assert.equal(flat.verdict, 'INCONSISTENT');
+  assert.deepEqual(flat.checks.filter(c => c.pass === false).map(c => c.id), ['back_swirl']);
+
+  const purple = await analyzeBack(syntheticBack({ borderRgb: [90, 50, 160], dark: [90, 40, 150], light: [170, 120, 230] }), { game: 'pokemon' });
+  const failed = purple.checks.filter(c => c.pass === false).map(c => c.id);
+  assert.ok(failed.includes('back_border_color') && failed.includes('back_field_color'), failed.join(', '));
+});
+
+test('a border of the wrong width is flagged', async () => {
+  const back = await analyzeBack(syntheticBack({ border: 50 }));
+
+  assert.ok(Math.abs(back.measurement.borderWidth - 50 / 630) < 0.005, `border ${back.measurement.borderWidth}`);
+  assert.equal(back.checks.find(c => c.id === 'back_border_width').pass, false);
+});
+
+test('cards are sorted into fronts and backs by the canonical backs', () => {
+  const crop = (border, field) => {
+    const width = 252, height = 352;
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const inField = x >= 13 && x < width - 13 && y >= 13 && y < height - 13;
+        data.set([...(inField ? field : border), 255], (y * width + x) * 4);
+      }
+    }
+    return { data, width, height };
+  };
+
+  assert.equal(classifyCardSide(crop([32, 82, 165], [58, 110, 190])), 'back');
+  assert.equal(classifyCardSide(crop([62, 44, 32], [112, 80, 58])), 'back');
+  assert.equal(classifyCardSide(crop([242, 200, 30], [58, 123, 213])), 'front');
+});
+
+test('game names resolve to the canonical backs', () => {
+  assert.equal(gameKey('Yu-Gi-Oh!'), 'yugioh');
+  assert.equal(gameKey('Magic: The Gathering'), 'mtg');
+  assert.equal(gameKey(null), null);
+  assert.throws(() => gameKey('lorcana'), { status: 400 });
+
+  assert.equal(inferGame('2000 POKEMON NEO GENESIS', 'TCG Cards'), 'pokemon');
+  assert.equal(inferGame('Some Set'), null);
+
+  const histogram = new Array(36).fill(0);
+  histogram[28] = 0.75;
+  histogram[5] = 0.25;
+  assert.equal(hueShare(histogram, [240, 320]), 0.75);
+});
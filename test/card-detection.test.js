@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectCard, normalizeCard, scaleBorders, CARD_ASPECT_RATIO } from '../lib/card-detection.js';
+
+// Card with a yellow border and a blue frame on a grey background, rotated
+// by `angle` degrees about the card centre
+function cardPhoto({ width = 900, height = 1000, cardWidth = 504, angle = 0 } = {}) {
+  const cardHeight = Math.round(cardWidth * CARD_ASPECT_RATIO);
+  const cx = width / 2, cy = height / 2;
+  const cos = Math.cos((angle * Math.PI) / 180), sin = Math.sin((angle * Math.PI) / 180);
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      // Card coordinates of this pixel
+      const u = (x - cx) * cos + (y - cy) * sin + cardWidth / 2;
+      const v = -(x - cx) * sin + (y - cy) * cos + cardHeight / 2;
+      const inCard = u >= 0 && u < cardWidth && v >= 0 && v < cardHeight;
+      const inFrame = u >= 30 && u < cardWidth - 30 && v >= 30 && v < cardHeight - 30;
+      const rgb = inFrame ? [58, 123, 213] : inCard ? [242, 200, 30] : [85, 85, 85];
+      data.set([...rgb, 255], (y * width + x) * 4);
+    }
+  }
+  return { data, width, height, cardWidth, cardHeight };
+}
+
+test('detectCard finds the corners of a tilted card and its skew', async () => {
+  const photo = cardPhoto({ angle: 4 });
+  const detection = await detectCard(photo);
+
+  assert.equal(detection.detected, true);
+  assert.equal(detection.holderRemoved, false);
+  assert.ok(Math.abs(Math.abs(detection.skew) - 4) < 1, `skew ${detection.skew}`);
+
+  // Opposite corners sit symmetric about the image centre
+  const [tl, , br] = detection.corners;
+  assert.ok(Math.abs((tl.x + br.x) / 2 - photo.width / 2) < 3);
+  assert.ok(Math.abs((tl.y + br.y) / 2 - photo.height / 2) < 3);
+  assert.ok(Math.abs(Math.hypot(br.x - tl.x, br.y - tl.y) - Math.hypot(photo.cardWidth, photo.cardHeight)) < 8);
+});
+
+test('detected borders are in whole source pixels', async () => {
+  const { borders } = await detectCard(cardPhoto({ width: 1300, height: 1500, cardWidth: 700, angle: 3 }));
+
+  for (const corner of Object.values(borders.corners)) {
+    assert.ok(Number.isInteger(corner.x) && Number.isInteger(corner.y));
+  }
+  for (const line of Object.values(borders.lines)) {
+    for (const point of line.endpoints) assert.ok(Number.isInteger(point.x) && Number.isInteger(point.y));
+  }
+});
+
+test('scaleBorders rounds scaled corners and endpoints', () => {
+  const line = { theta: 0, rho: 10, endpoints: [{ x: 10, y: 0 }, { x: 10, y: 99 }] };
+  const scaled = scaleBorders({ lines: { left: line }, corners: { topLeft: { x: 10.2, y: 0.4 } } }, 1.55);
+
+  assert.deepEqual(scaled.corners.topLeft, { x: 16, y: 1 });
+  assert.deepEqual(scaled.lines.left.endpoints, [{ x: 16, y: 0 }, { x: 16, y: 153 }]);
+  assert.equal(scaled.lines.left.rho, 15.5);
+});
+
+test('normalizeCard warps the card to a portrait crop at the card aspect ratio', async () => {
+  const { imageData, preprocessing } = await normalizeCard(cardPhoto({ angle: -5 }));
+
+  assert.equal(preprocessing.cardDetected, true);
+  assert.equal(imageData.height, Math.round(imageData.width * CARD_ASPECT_RATIO));
+  assert.ok(Math.abs(imageData.width - 504) < 10);
+
+  // The centre of the crop is the blue frame, its edge the yellow border
+  const pixel = (x, y) => [...imageData.data.slice((y * imageData.width + x) * 4, (y * imageData.width + x) * 4 + 3)];
+  const centre = pixel(imageData.width >> 1, imageData.height >> 1);
+  const border = pixel(12, imageData.height >> 1);
+  assert.ok(centre[2] > 180 && centre[0] < 100, `centre ${centre}`);
+  assert.ok(border[0] > 200 && border[2] < 80, `border ${border}`);
+});
+
+test('a photo without a card outline is passed through untouched', async () => {
+  const width = 200, height = 200;
+  const blank = { data: new Uint8ClampedArray(width * height * 4).fill(128), width, height };
+  const { imageData, preprocessing } = await normalizeCard(blank);
+
+  assert.equal(preprocessing.cardDetected, false);
+  assert.equal(imageData, blank);
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { cardHashes, compareHashes, findMatches, hammingDistance, namesMatch } from '../lib/card-hash.js';
+import { createCardIndex } from '../lib/card-index.js';
+
+// Deterministic pseudo-random numbers (mulberry32)
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const BOX = { x0: 54, y0: 92, x1: 576, y1: 418 };
+
+// Normalized card whose artwork is a few coloured discs on a gradient.
+// `art` picks the layout; `noise` and `shade` stand in for a different photo
+function syntheticCard(art, { noise = 0, shade = 0, seed = 1 } = {}) {
+  const width = 630, height = 880;
+  const layout = random(art);
+  const discs = Array.from({ length: 6 }, () => ({
+    x: BOX.x0 + layout() * (BOX.x1 - BOX.x0),
+    y: BOX.y0 + layout() * (BOX.y1 - BOX.y0),
+    r: 30 + layout() * 60,
+    rgb: [layout() * 255, layout() * 255, layout() * 255]
+  }));
+  const next = random(seed);
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let rgb = [230, 200, 60];
+      if (x >= BOX.x0 && x <= BOX.x1 && y >= BOX.y0 && y <= BOX.y1) {
+        rgb = [80 + x / 6, 110, 180 - y / 4];
+        for (const disc of discs) {
+          if (Math.hypot(x - disc.x, y - disc.y) <= disc.r) rgb = disc.rgb;
+        }
+      }
+      data.set([...rgb.map(v => v + shade + (next() - 0.5) * noise), 255], (y * width + x) * 4);
+    }
+  }
+  return { data, width, height };
+}
+
+test('hashes of the same artwork stay close across photos', () => {
+  const clean = cardHashes(syntheticCard(1), BOX);
+  const photo = cardHashes(syntheticCard(1, { noise: 30, shade: 12, seed: 5 }), BOX);
+  const other = cardHashes(syntheticCard(2), BOX);
+
+  assert.match(clean.phash, /^[0-9a-f]{16}$/);
+  assert.equal(clean.colors.length, 16);
+
+  const same = compareHashes(clean, photo);
+  assert.ok(same.phashDistance <= 6, `phash ${same.phashDistance}`);
+  assert.ok(same.similarity > 0.85, `similarity ${same.similarity}`);
+  assert.ok(compareHashes(clean, other).similarity < 0.7);
+});
+
+test('findMatches ranks the indexed cards and identifies a close one', () => {
+  const entries = [2, 1, 3].map(art => ({ id: `card-${art}`, hashes: cardHashes(syntheticCard(art), BOX) }));
+
+  const { matches, identified } = findMatches(cardHashes(syntheticCard(1, { noise: 20, seed: 9 }), BOX), entries);
+  assert.equal(matches.length, 3);
+  assert.equal(identified.entry.id, 'card-1');
+  assert.ok(matches[1].similarity < matches[0].similarity);
+
+  assert.equal(findMatches(cardHashes(syntheticCard(4), BOX), entries).identified, null);
+  assert.equal(hammingDistance('00ff', '0f0f'), 8);
+});
+
+test('card names agree when the shorter name is in the longer one', () => {
+  assert.equal(namesMatch('Lugia', '2000 POKEMON NEO GENESIS 1ST EDITION HOLO LUGIA'), true);
+  assert.equal(namesMatch('Pokémon Lugia Holo', 'pokemon lugia'), true);
+  assert.equal(namesMatch('Ho-Oh', 'Lugia Holo 1st Edition'), false);
+  assert.equal(namesMatch('Holo 1st Edition', 'Lugia'), null);
+});
+
+test('the card index keeps one entry per set, number and variant', () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'card-index-')), 'index.json');
+  const index = createCardIndex({ file });
+  const hashes = { phash: '0'.repeat(16), dhash: 'f'.repeat(16), colors: [[50, 0, 0]] };
+
+  const first = index.add({ set: 'Neo Genesis', number: '9', name: 'Lugia', hashes });
+  const again = index.add({ set: 'neo genesis', number: '#9', hashes: { ...hashes, phash: '1'.repeat(16) } });
+  assert.equal(again.id, first.id);
+  assert.equal(again.name, 'Lugia');
+  index.add({ set: 'Neo Genesis', number: '9', variant: '1st Edition', name: 'Lugia', hashes });
+  assert.equal(index.size, 2);
+
+  assert.throws(() => index.add({ set: 'Neo Genesis', name: 'Lugia', hashes }), { status: 400 });
+  assert.throws(() => index.add({ set: 'Neo Genesis', number: '9' }), { status: 400 });
+  assert.equal(createCardIndex({ file }).get(first.id).hashes.phash, '1'.repeat(16));
+  fs.rmSync(path.dirname(file), { recursive: true });
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { measureBorders, centeringRatios, centeringCap, CENTERING_STANDARDS } from '../lib/centering.js';
+
+// Upright card on a grey background: yellow border around a blue frame
+function syntheticCard({ left, right, top, bottom }, margin = 25) {
+  const cardWidth = 630, cardHeight = 880;
+  const width = cardWidth + 2 * margin, height = cardHeight + 2 * margin;
+  const data = new Uint8ClampedArray(width * height * 4);
+  const cardRect = { x0: margin, y0: margin, x1: margin + cardWidth - 1, y1: margin + cardHeight - 1 };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inCard = x >= cardRect.x0 && x <= cardRect.x1 && y >= cardRect.y0 && y <= cardRect.y1;
+      const inFrame = x >= cardRect.x0 + left && x <= cardRect.x1 - right && y >= cardRect.y0 + top && y <= cardRect.y1 - bottom;
+      const rgb = inFrame ? [58, 123, 213] : inCard ? [242, 200, 30] : [85, 85, 85];
+      data.set([...rgb, 255], (y * width + x) * 4);
+    }
+  }
+  return { data, width, height, cardRect, margin };
+}
+
+test('measureBorders finds the border on every side', () => {
+  const borders = measureBorders(syntheticCard({ left: 30, right: 40, top: 35, bottom: 45 }));
+
+  assert.equal(borders.left.width, 30);
+  assert.equal(borders.right.width, 40);
+  assert.equal(borders.top.width, 35);
+  assert.equal(borders.bottom.width, 45);
+  assert.equal(borders.left.coverage, 1);
+
+  const { leftRight, topBottom } = centeringRatios(borders);
+  assert.equal(leftRight[0].toFixed(1), '42.9');
+  assert.equal(topBottom[1].toFixed(1), '56.3');
+});
+
+test('measureBorders works on a photo already cropped to the card', () => {
+  const borders = measureBorders(syntheticCard({ left: 30, right: 30, top: 30, bottom: 30 }, 0));
+  assert.deepEqual(['left', 'right', 'top', 'bottom'].map(side => borders[side].width), [30, 30, 30, 30]);
+});
+
+test('a side without an inner frame comes back null', () => {
+  const borders = measureBorders(syntheticCard({ left: 0, right: 30, top: 30, bottom: 30 }));
+  assert.equal(borders.left, null);
+  assert.equal(centeringRatios(borders).leftRight, null);
+});
+
+test('centeringCap follows the PSA and BGS tables', () => {
+  const ratios = (lr, tb) => ({ leftRight: [lr, 100 - lr], topBottom: [tb, 100 - tb] });
+
+  assert.equal(centeringCap(ratios(50, 50), null, CENTERING_STANDARDS.PSA).grade, '10');
+  assert.equal(centeringCap(ratios(55.3, 50), null, CENTERING_STANDARDS.PSA).grade, '10');
+  assert.equal(centeringCap(ratios(42, 50), null, CENTERING_STANDARDS.PSA).grade, '9');
+  assert.equal(centeringCap(ratios(72, 50), null, CENTERING_STANDARDS.PSA).grade, '6');
+
+  // BGS 9 allows 60/40 one way only if the other way is 55/45 or better
+  assert.equal(centeringCap(ratios(59, 54), null, CENTERING_STANDARDS.BGS).grade, '9');
+  assert.equal(centeringCap(ratios(59, 58), null, CENTERING_STANDARDS.BGS).grade, '8.5');
+  assert.equal(centeringCap(ratios(80, 50), null, CENTERING_STANDARDS.BGS), null);
+});
+
+test('an off-centre back limits the cap', () => {
+  const front = { leftRight: [50, 50], topBottom: [51, 49] };
+  const cap = centeringCap(front, { leftRight: [82, 18], topBottom: [50, 50] }, CENTERING_STANDARDS.PSA);
+
+  assert.equal(cap.grade, '9');
+  assert.equal(cap.limitedBy, 'back');
+});
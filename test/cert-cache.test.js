@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createCertCache, fileBackend, createCacheBackend } from '../lib/cert-cache.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// Date.now() under test control
+function clock(t, start = Date.UTC(2024, 0, 1)) {
+  let time = start;
+  t.mock.method(Date, 'now', () => time);
+  return { advance: (ms) => { time += ms; } };
+}
+
+test('entries expire after their ttl, misses after the negative ttl', (t) => {
+  const { advance } = clock(t);
+  const cache = createCertCache({ ttl: 24 * HOUR, negativeTtl: HOUR });
+
+  cache.set('found', { found: true });
+  cache.set('missing', { found: false }, { negative: true });
+  assert.equal(cache.stats().negativeEntries, 1);
+
+  advance(HOUR + 1);
+  assert.deepEqual(cache.get('found'), { found: true });
+  assert.equal(cache.get('missing'), undefined);
+
+  advance(24 * HOUR);
+  assert.equal(cache.has('found'), false);
+  assert.equal(cache.stats().expirations, 2);
+});
+
+test('the least recently used entry is evicted first', () => {
+  const cache = createCertCache({ maxEntries: 2 });
+  cache.set('a', 1);
+  cache.set('b', 2);
+  cache.get('a');
+  cache.set('c', 3);
+
+  assert.equal(cache.has('b'), false);
+  assert.deepEqual(cache.list().map(entry => entry.key), ['c', 'a']);
+  assert.equal(cache.stats().evictions, 1);
+});
+
+test('get counts hits and misses without peek touching the order', () => {
+  const cache = createCertCache({ maxEntries: 2 });
+  cache.set('a', 1);
+  cache.set('b', 2);
+  cache.get('a');
+  cache.get('nope');
+  cache.peek('b');
+
+  const { hits, misses } = cache.stats();
+  assert.deepEqual({ hits, misses }, { hits: 1, misses: 1 });
+  assert.equal(cache.peek('a').hits, 1);
+  cache.set('c', 3);
+  assert.equal(cache.has('b'), false);
+
+  assert.equal(cache.delete('a'), true);
+  assert.equal(cache.delete('a'), false);
+  assert.equal(cache.clear(), 1);
+  assert.equal(cache.size, 0);
+});
+
+test('the file backend survives a restart and drops what expired meanwhile', (t) => {
+  const { advance } = clock(t);
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cert-cache-')), 'cache.json');
+
+  const cache = createCertCache({ backend: fileBackend(file), negativeTtl: HOUR });
+  cache.set('found', { found: true, grade: '9' });
+  cache.set('missing', { found: false }, { negative: true });
+
+  advance(2 * HOUR);
+  const restarted = createCertCache({ backend: fileBackend(file), negativeTtl: HOUR });
+  assert.deepEqual(restarted.get('found'), { found: true, grade: '9' });
+  assert.equal(restarted.has('missing'), false);
+  assert.equal(restarted.stats().backend, 'file');
+
+  fs.rmSync(path.dirname(file), { recursive: true });
+});
+
+test('createCacheBackend knows memory and file backends only', () => {
+  assert.equal(createCacheBackend('memory').name, 'memory');
+  assert.equal(createCacheBackend('file', '/tmp/x.json').path, '/tmp/x.json');
+  assert.throws(() => createCacheBackend('redis'), /Unknown cache backend/);
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deltaE76, deltaE2000 } from '../lib/color.js';
+
+// Reference pairs from Sharma, Wu & Dalal (2005), Table 1
+const SHARMA_PAIRS = [
+  [[50, 2.6772, -79.7751], [50, 0, -82.7485], 2.0425],
+  [[50, 3.1571, -77.2803], [50, 0, -82.7485], 2.8615],
+  [[50, 0, 0], [50, -1, 2], 2.3669],
+  [[50, -0.001, 2.49], [50, 0.0011, -2.4900], 4.7461],
+  [[50, 2.5, 0], [73, 25, -18], 27.1492],
+  [[60.2574, -34.0099, 36.2677], [60.4626, -34.1751, 39.4387], 1.2644],
+  [[22.7233, 20.0904, -46.694], [23.0331, 14.973, -42.5619], 2.0373],
+  [[90.9257, -0.5406, -0.9208], [88.6381, -0.8985, -0.7239], 1.5381]
+];
+
+test('deltaE2000 matches the Sharma reference data', () => {
+  for (const [lab1, lab2, expected] of SHARMA_PAIRS) {
+    assert.ok(Math.abs(deltaE2000(lab1, lab2) - expected) < 1e-4, `${lab1} vs ${lab2}`);
+    assert.ok(Math.abs(deltaE2000(lab2, lab1) - expected) < 1e-4, 'symmetric');
+  }
+});
+
+test('identical colours differ by zero, and deltaE76 is the Lab distance', () => {
+  assert.equal(deltaE2000([40, 10, -20], [40, 10, -20]), 0);
+  assert.equal(deltaE76([50, 0, 0], [53, 4, 0]), 5);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assessCondition, predictGradeRange, lbpNonUniform } from '../lib/condition.js';
+
+// Upright card (3 mm corners) on a grey background, with an optional worn
+// top-left corner, a whitened strip on the bottom edge and a scratch
+function syntheticCard({ topLeftRadius = 30, whitening = false, scratch = false } = {}) {
+  const cardWidth = 630, cardHeight = 880, margin = 120;
+  const width = cardWidth + 2 * margin, height = cardHeight + 2 * margin;
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const u = x - margin, v = y - margin;
+      const r = u < cardWidth / 2 && v < cardHeight / 2 ? topLeftRadius : 30;
+      const cu = Math.min(Math.max(u, r), cardWidth - r - 1);
+      const cv = Math.min(Math.max(v, r), cardHeight - r - 1);
+      const inCard = u >= 0 && v >= 0 && u < cardWidth && v < cardHeight && Math.hypot(u - cu, v - cv) <= r;
+      const inFrame = u >= 32 && u < cardWidth - 32 && v >= 35 && v < cardHeight - 35;
+
+      let rgb = !inCard ? [85, 85, 85] : inFrame ? [58, 123, 213] : [242, 200, 30];
+      if (inCard && whitening && v >= cardHeight - 4 && u >= 200 && u < 280) rgb = [244, 241, 230];
+      if (inFrame && scratch && v === 600 && u >= 120 && u < 420) rgb = [143, 179, 234];
+      data.set([...rgb, 255], (y * width + x) * 4);
+    }
+  }
+  return { data, width, height };
+}
+
+test('lbpNonUniform counts patterns with more than two transitions', () => {
+  const width = 20, height = 20;
+  const indices = [];
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) indices.push(y * width + x);
+  }
+
+  assert.equal(lbpNonUniform(new Uint8ClampedArray(width * height).fill(128), width, indices), 0);
+
+  // Bright squares see alternating neighbours; dark ones see only brighter ones
+  const checkerboard = Uint8ClampedArray.from({ length: width * height }, (_, i) => ((i % width) + Math.floor(i / width)) % 2 ? 200 : 50);
+  assert.equal(lbpNonUniform(checkerboard, width, indices), 0.5);
+});
+
+test('a clean card scores high on every factor', async () => {
+  const condition = await assessCondition(syntheticCard());
+
+  assert.equal(condition.cardDetected, true);
+  assert.deepEqual(condition.warnings, []);
+  for (const corner of Object.values(condition.corners)) {
+    assert.ok(Math.abs(corner.radius - 3) < 0.5, `radius ${corner.radius}`);
+  }
+  assert.ok(condition.subscores.corners >= 9, `corners ${condition.subscores.corners}`);
+  assert.equal(condition.subscores.edges, 10);
+  assert.equal(condition.subscores.surface, 10);
+});
+
+test('a rounded corner, edge whitening and a scratch are picked up', async () => {
+  const condition = await assessCondition(syntheticCard({ topLeftRadius: 65, whitening: true, scratch: true }));
+
+  assert.ok(condition.corners.topLeft.radius > 6, `radius ${condition.corners.topLeft.radius}`);
+  assert.ok(condition.corners.topLeft.score < 5);
+  assert.ok(condition.corners.topRight.score >= 9);
+  assert.ok(condition.edges.bottom.whitening > 5, `whitening ${condition.edges.bottom.whitening}`);
+  assert.equal(condition.edges.top.whitening, 0);
+  assert.ok(condition.surface.scratches > 0.5, `scratches ${condition.surface.scratches}`);
+  assert.equal(predictGradeRange(condition.subscores).limitedBy, 'corners');
+});
+
+test('predictGradeRange weighs the worst factor and respects the centering cap', () => {
+  assert.deepEqual(predictGradeRange({ corners: 10, edges: 10, surface: 10 }), { estimate: 10, low: 10, high: 10, limitedBy: 'corners' });
+
+  const worn = predictGradeRange({ corners: 6, edges: 9, surface: 9 });
+  assert.equal(worn.limitedBy, 'corners');
+  assert.ok(worn.estimate < 7.5);
+  assert.ok(worn.low <= worn.estimate && worn.estimate <= worn.high);
+
+  const capped = predictGradeRange({ corners: 10, edges: 10, surface: null }, { centeringCap: 8 });
+  assert.equal(capped.estimate, 8);
+  assert.equal(capped.high, 8);
+
+  assert.equal(predictGradeRange({ corners: null }), null);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { canny } from '../lib/edges.js';
+
+// Dark/light step edge through the image centre; `step(x, y)` is true on the light side
+function stepEdge(width, height, step) {
+  const gray = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) gray[y * width + x] = step(x, y) ? 200 : 50;
+  }
+  return gray;
+}
+
+// Widest run of edge pixels across any row, skipping the image border
+function widestRow(edges, width, height) {
+  let widest = 0;
+  for (let y = 10; y < height - 10; y++) {
+    let count = 0;
+    for (let x = 10; x < width - 10; x++) if (edges[y * width + x]) count++;
+    widest = Math.max(widest, count);
+  }
+  return widest;
+}
+
+test('canny thins a vertical step edge to one or two pixels', () => {
+  const size = 120;
+  const { edges } = canny(stepEdge(size, size, (x) => x >= 60), size, size);
+  assert.ok(widestRow(edges, size, size) <= 2);
+});
+
+for (const [name, step] of [
+  ['falling', (x, y) => x > y],
+  ['rising', (x, y) => x + y > 120]
+]) {
+  test(`canny thins a ${name} 45° step edge to one or two pixels`, () => {
+    const size = 120;
+    const { edges, edgePixels } = canny(stepEdge(size, size, step), size, size);
+    assert.ok(widestRow(edges, size, size) <= 2, `edge is ${widestRow(edges, size, size)} px wide`);
+    // About one pixel per row along the diagonal
+    assert.ok(edgePixels < size * 2, `${edgePixels} edge pixels`);
+  });
+}
+
+test('canny finds nothing in a flat image', () => {
+  const size = 40;
+  const { edgePixels } = canny(stepEdge(size, size, () => false), size, size);
+  assert.equal(edgePixels, 0);
+});
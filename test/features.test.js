@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectCorners } from '../lib/features.js';
+
+// White rectangles on black, each { x0, y0, x1, y1 } inclusive
+function rectangles(width, height, rects) {
+  const gray = new Float32Array(width * height);
+  for (const { x0, y0, x1, y1 } of rects) {
+    for (let y = y0; y <= y1; y++) for (let x = x0; x <= x1; x++) gray[y * width + x] = 255;
+  }
+  return gray;
+}
+
+const square = rectangles(80, 80, [{ x0: 20, y0: 20, x1: 59, y1: 59 }]);
+const near = (points, x, y, tolerance = 2) => points.some(p => Math.abs(p.x - x) <= tolerance && Math.abs(p.y - y) <= tolerance);
+
+for (const method of ['harris', 'shi-tomasi']) {
+  test(`${method} finds the four corners of a square and nothing else`, () => {
+    const { keypoints } = detectCorners(square, 80, 80, { method });
+    assert.equal(keypoints.length, 4);
+    for (const [x, y] of [[20, 20], [59, 20], [20, 59], [59, 59]]) assert.ok(near(keypoints, x, y), `${x},${y}`);
+  });
+}
+
+test('straight edges and flat areas produce no corners', () => {
+  const gray = rectangles(80, 80, [{ x0: 40, y0: 0, x1: 79, y1: 79 }]);
+  assert.equal(detectCorners(gray, 80, 80).keypoints.length, 0);
+  assert.deepEqual(detectCorners(new Float32Array(400), 20, 20), { keypoints: [], maxResponse: 0, candidates: 0 });
+});
+
+test('keypoints come strongest first, spaced by nmsRadius and capped at maxCorners', () => {
+  const rects = [];
+  for (let i = 0; i < 4; i++) rects.push({ x0: 10 + i * 30, y0: 20, x1: 25 + i * 30, y1: 60 });
+  const gray = rectangles(140, 80, rects);
+
+  const { keypoints } = detectCorners(gray, 140, 80, { nmsRadius: 8 });
+  assert.equal(keypoints.length, 16);
+  for (let i = 1; i < keypoints.length; i++) assert.ok(keypoints[i - 1].response >= keypoints[i].response);
+  for (const a of keypoints) {
+    assert.ok(keypoints.every(b => a === b || Math.hypot(a.x - b.x, a.y - b.y) >= 8));
+  }
+
+  assert.equal(detectCorners(gray, 140, 80, { maxCorners: 5 }).keypoints.length, 5);
+});
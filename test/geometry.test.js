@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { solveHomography, applyHomography, invertHomography, multiplyHomography, warpPerspective } from '../lib/geometry.js';
+
+const near = (actual, expected, tolerance = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+const square = [{ x: 0, y: 0 }, { x: 99, y: 0 }, { x: 99, y: 99 }, { x: 0, y: 99 }];
+const quad = [{ x: 12, y: 7 }, { x: 140, y: 20 }, { x: 131, y: 166 }, { x: 5, y: 150 }];
+
+test('solveHomography maps four points exactly', () => {
+  const H = solveHomography(square, quad);
+  for (const [i, p] of square.entries()) {
+    const mapped = applyHomography(H, p.x, p.y);
+    near(mapped.x, quad[i].x);
+    near(mapped.y, quad[i].y);
+  }
+  near(H[8], 1);
+});
+
+test('solveHomography fits more than four points in the least-squares sense', () => {
+  const H = [1.1, 0.05, 3, -0.04, 0.95, 8, 0.0004, -0.0002, 1];
+  const src = [...square, { x: 50, y: 50 }, { x: 20, y: 80 }, { x: 75, y: 10 }];
+  const dst = src.map(p => applyHomography(H, p.x, p.y));
+  const fitted = solveHomography(src, dst);
+  for (let i = 0; i < 9; i++) near(fitted[i], H[i], 1e-6);
+});
+
+test('degenerate correspondences have no homography', () => {
+  const collinear = [0, 1, 2, 3].map(i => ({ x: i * 10, y: i * 10 }));
+  assert.equal(solveHomography(collinear, quad), null);
+  assert.equal(solveHomography(square.slice(0, 3), quad.slice(0, 3)), null);
+  assert.equal(invertHomography([1, 2, 3, 2, 4, 6, 0, 0, 1]), null);
+});
+
+test('invertHomography and multiplyHomography round-trip to the identity', () => {
+  const H = solveHomography(square, quad);
+  const identity = multiplyHomography(invertHomography(H), H);
+  [1, 0, 0, 0, 1, 0, 0, 0, 1].forEach((v, i) => near(identity[i], v, 1e-9));
+
+  const p = applyHomography(invertHomography(H), ...Object.values(applyHomography(H, 30, 60)));
+  near(p.x, 30);
+  near(p.y, 60);
+});
+
+test('warpPerspective samples the source and fills outside pixels with the background', () => {
+  // 4x4 source with a red right half
+  const width = 4, height = 4;
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) data.set(x >= 2 ? [255, 0, 0, 255] : [0, 0, 0, 255], (y * width + x) * 4);
+  }
+
+  // Output pixel (x, y) samples source (x + 2, y): the red half, then outside
+  const shift = [1, 0, 2, 0, 1, 0, 0, 0, 1];
+  const out = warpPerspective(data, width, height, shift, 4, 1, [9, 9, 9, 255]);
+  assert.deepEqual([...out.slice(0, 4)], [255, 0, 0, 255]);
+  assert.deepEqual([...out.slice(4, 8)], [255, 0, 0, 255]);
+  assert.deepEqual([...out.slice(8, 12)], [9, 9, 9, 255]);
+
+  // Half-pixel positions interpolate between neighbours
+  const half = warpPerspective(data, width, height, [1, 0, 1.5, 0, 1, 0, 0, 0, 1], 1, 1);
+  near(half[0], 128, 1);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { parseBGSCertPage, parseCGCCertPage, parseSGCCertPage } from '../lib/grader-parsers.js';
+import { parseGrade } from '../lib/cert-parser.js';
+import { graderId } from '../lib/graders.js';
+
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/graders/${name}`, import.meta.url), 'utf8');
+
+test('BGS: final grade and the four subgrades', () => {
+  const page = parseBGSCertPage({ html: fixture('bgs-subgrades.html') });
+
+  assert.equal(page.certNumber, '0012345678');
+  assert.equal(page.title, '1999 Pokemon Base Set Unlimited #4 Charizard Holo');
+  assert.equal(page.brand, '1999 Pokemon Base Set Unlimited');
+  assert.equal(page.cardNumber, '4');
+  assert.equal(page.subject, 'Charizard Holo');
+  assert.equal(page.grade, '9.5');
+  assert.equal(page.gradeLabel, 'GEM MINT');
+  assert.deepEqual(page.subgrades, { centering: 9.5, corners: 9.5, edges: 10, surface: 9 });
+  assert.equal(page.labelType, null);
+});
+
+test('BGS: all-10 subgrades are reported as a Black Label', () => {
+  const page = parseBGSCertPage({ html: fixture('bgs-black-label.html') });
+
+  assert.equal(page.certNumber, '0098765432');
+  assert.equal(page.grade, '10');
+  assert.equal(page.gradeLabel, 'PRISTINE');
+  assert.deepEqual(page.subgrades, { centering: 10, corners: 10, edges: 10, surface: 10 });
+  assert.equal(page.labelType, 'Black Label');
+});
+
+test('CGC: label/value spans and cert images', () => {
+  const page = parseCGCCertPage({ html: fixture('cgc-cert.html') });
+
+  assert.equal(page.certNumber, '4012345001');
+  assert.equal(page.subject, 'Charizard');
+  assert.equal(page.category, 'Pokémon');
+  assert.equal(page.brand, 'Base Set');
+  assert.equal(page.cardNumber, '4/102');
+  assert.equal(page.language, 'English');
+  assert.equal(page.variety, 'Shadowless');
+  assert.equal(page.grade, '10');
+  assert.equal(page.subgrades, null);
+  assert.equal(page.cardFrontImage, 'https://images.cgccards.com/certimages/4012345001/front.jpg');
+  assert.equal(page.cardBackImage, 'https://images.cgccards.com/certimages/4012345001/back.jpg');
+});
+
+test('SGC: markdown table with a number-first grade', () => {
+  const page = parseSGCCertPage({ markdown: fixture('sgc-cert.md') });
+
+  assert.equal(page.certNumber, '1234567-001');
+  assert.equal(page.title, '1999 Pokemon Base Set #4 Charizard');
+  assert.equal(page.subject, 'Charizard');
+  assert.equal(page.cardNumber, '4');
+  assert.equal(page.grade, '9.5');
+  assert.equal(page.gradeLabel, 'MINT+');
+  assert.equal(page.population, 1204);
+});
+
+test('parseGrade: SGC authentic and out-of-range grades', () => {
+  assert.equal(parseGrade('A').grade, 'AUTH');
+  assert.equal(parseGrade('10 PRI').grade, '10');
+  assert.equal(parseGrade('GRADE 11'), null);
+});
+
+test('graderId: case and aliases', () => {
+  assert.equal(graderId('bgs'), 'BGS');
+  assert.equal(graderId('Beckett'), 'BGS');
+  assert.equal(graderId(undefined), 'PSA');
+});
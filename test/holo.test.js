@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { rgbToGrayscale } from '../lib/image.js';
+import { findArtworkBox, holoSignature, compareSignatures, matchSignature, checkClaim } from '../lib/holo.js';
+import { createHoloSignatureStore } from '../lib/holo-signatures.js';
+
+// Deterministic pseudo-random numbers (mulberry32)
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Normalized 630x880 card whose artwork box (54,92)-(576,418) carries a
+// gradient plus a foil pattern: cosmos discs, starlight glints or fine lines
+function syntheticCard(foil, seed = 1) {
+  const width = 630, height = 880;
+  const next = random(seed);
+  const foilPlane = new Float32Array(width * height);
+  if (foil === 'cosmos') {
+    for (let n = 0; n < 900; n++) {
+      const cx = next() * width, cy = next() * height, r = 2 + next() * 5;
+      for (let y = Math.max(0, Math.floor(cy - r)); y <= Math.min(height - 1, cy + r); y++) {
+        for (let x = Math.max(0, Math.floor(cx - r)); x <= Math.min(width - 1, cx + r); x++) {
+          if (Math.hypot(x - cx, y - cy) <= r) foilPlane[y * width + x] = 40;
+        }
+      }
+    }
+  }
+  if (foil === 'starlight') {
+    for (let n = 0; n < 3000; n++) foilPlane[Math.floor(next() * height) * width + Math.floor(next() * width)] = 70;
+  }
+  if (foil === 'line') {
+    for (let i = 0; i < foilPlane.length; i++) foilPlane[i] = ((i % width) + Math.floor(i / width) + seed) % 6 < 2 ? 30 : 0;
+  }
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const inArtwork = x >= 54 && x <= 576 && y >= 92 && y <= 418;
+      const noise = (next() - 0.5) * 6;
+      const rgb = inArtwork
+        ? [100 + x / 8, 120, 160 - y / 6].map(v => v + foilPlane[i] + noise)
+        : [200, 190, 170];
+      data.set([...rgb, 255], i * 4);
+    }
+  }
+  return { data, width, height };
+}
+
+const signatureOf = (foil, seed) => {
+  const card = syntheticCard(foil, seed);
+  return holoSignature(card.data, card.width, card.height, { x0: 54, y0: 92, x1: 576, y1: 418 });
+};
+
+test('findArtworkBox snaps to the printed artwork frame', () => {
+  const { data, width, height } = syntheticCard('none');
+  const { box, refined } = findArtworkBox(rgbToGrayscale(data, width, height), width, height);
+  assert.deepEqual(refined.sort(), ['x0', 'x1', 'y0', 'y1']);
+  for (const [side, expected] of Object.entries({ x0: 54, y0: 92, x1: 576, y1: 418 })) {
+    assert.ok(Math.abs(box[side] - expected) <= 1, `${side} ${box[side]}`);
+  }
+});
+
+test('the same foil matches closely and different foils do not', () => {
+  const cosmos = signatureOf('cosmos', 1);
+
+  assert.ok(compareSignatures(cosmos, signatureOf('cosmos', 7)) > 0.8);
+  assert.ok(compareSignatures(cosmos, signatureOf('starlight', 1)) < 0.4);
+  assert.ok(compareSignatures(cosmos, signatureOf('line', 1)) < 0.4);
+});
+
+test('a foil from another set is flagged against the claimed set', () => {
+  const entries = [
+    { id: 'a', set: 'Neo Genesis', holoType: 'cosmos', signature: signatureOf('cosmos', 1) },
+    { id: 'b', set: 'Base Set', holoType: 'starlight', signature: signatureOf('starlight', 1) }
+  ];
+  const match = matchSignature(signatureOf('cosmos', 7), entries);
+
+  assert.equal(match.best.holoType, 'cosmos');
+  assert.ok(match.best.confidence > 0.9);
+  assert.equal(checkClaim({ set: 'neo genesis' }, match, entries).verdict, 'CONSISTENT');
+
+  const wrongSet = checkClaim({ set: 'Base Set' }, match, entries);
+  assert.equal(wrongSet.verdict, 'INCONSISTENT');
+  assert.match(wrongSet.message, /cosmos.*starlight/);
+
+  assert.equal(checkClaim({ set: 'Jungle' }, match, entries).verdict, 'INCONCLUSIVE');
+});
+
+test('the signature store averages samples of the same set and holo type', () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'holo-')), 'signatures.json');
+  const store = createHoloSignatureStore({ file });
+  const signature = (glints) => ({ spectrum: [1, 0], orientation: [1], lbp: [1], glints, energy: 4, chroma: 1 });
+
+  store.add({ set: 'Base Set', holoType: 'starlight', signature: signature(2) });
+  const merged = store.add({ set: 'base set', holoType: 'starlight', signature: signature(5) });
+  assert.equal(merged.samples, 2);
+  assert.equal(merged.signature.glints, 3.5);
+  assert.equal(store.size, 1);
+
+  assert.throws(() => store.add({ set: 'Base Set', holoType: 'rainbow', signature: signature(1) }), { status: 400 });
+  assert.equal(createHoloSignatureStore({ file }).list({ set: 'BASE SET' }).length, 1);
+  fs.rmSync(path.dirname(file), { recursive: true });
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { houghLines, findCardBorders, clampThetaResolution, THETA_RESOLUTION_RANGE } from '../lib/hough.js';
+
+// One-pixel outline of an axis-aligned rectangle
+function rectangleEdges(width, height, { x0, y0, x1, y1 }) {
+  const edges = new Uint8Array(width * height);
+  for (let x = x0; x <= x1; x++) edges[y0 * width + x] = edges[y1 * width + x] = 255;
+  for (let y = y0; y <= y1; y++) edges[y * width + x0] = edges[y * width + x1] = 255;
+  return edges;
+}
+
+test('houghLines and findCardBorders recover an axis-aligned card outline', () => {
+  const width = 160, height = 200;
+  const lines = houghLines(rectangleEdges(width, height, { x0: 20, y0: 30, x1: 139, y1: 179 }), width, height);
+  const borders = findCardBorders(lines, width, height);
+
+  assert.ok(borders);
+  assert.ok(Math.abs(borders.corners.topLeft.x - 20) <= 1 && Math.abs(borders.corners.topLeft.y - 30) <= 1);
+  assert.ok(Math.abs(borders.corners.bottomRight.x - 139) <= 1 && Math.abs(borders.corners.bottomRight.y - 179) <= 1);
+  assert.ok(borders.maxCornerDeviation <= 1);
+  assert.ok(Math.abs(borders.skew) <= 1);
+});
+
+test('thetaResolution is clamped, and a non-positive one is refused with a 400', () => {
+  const [min, max] = THETA_RESOLUTION_RANGE;
+  assert.equal(clampThetaResolution(0.001), min);
+  assert.equal(clampThetaResolution(90), max);
+  assert.equal(clampThetaResolution(1), 1);
+
+  for (const value of [0, -1, NaN, Infinity, '1']) {
+    assert.throws(() => clampThetaResolution(value), { status: 400 });
+    assert.throws(() => houghLines(new Uint8Array(100), 10, 10, { thetaResolution: value }), { status: 400 });
+  }
+  // A tiny resolution runs on the clamped accumulator instead of hanging
+  assert.deepEqual(houghLines(new Uint8Array(100), 10, 10, { thetaResolution: 1e-9 }), []);
+});
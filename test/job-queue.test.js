@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createJobQueue } from '../lib/job-queue.js';
+
+// A handler whose runs finish only when released, one release per run
+function gatedHandler() {
+  const gates = [];
+  let active = 0, peak = 0;
+  return {
+    gates,
+    peak: () => peak,
+    validate(input) {
+      if (input.bad) {
+        const error = new Error('bad input');
+        error.status = 400;
+        throw error;
+      }
+    },
+    async run(input, progress) {
+      active++;
+      peak = Math.max(peak, active);
+      progress('wait', { completed: 0, total: 1 });
+      await new Promise(resolve => gates.push(resolve));
+      progress('finish');
+      active--;
+      if (input.fail) throw new Error('analysis failed');
+      return { echoed: input.value };
+    }
+  };
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+async function waitFor(queue, id) {
+  for (let i = 0; i < 100 && !['succeeded', 'failed'].includes(queue.get(id).status); i++) await settle();
+  return queue.get(id);
+}
+
+test('jobs run at most `concurrency` at a time and report their steps', async () => {
+  const handler = gatedHandler();
+  const queue = createJobQueue({ handlers: { slow: handler }, concurrency: 2, maxQueued: 5 });
+
+  const jobs = [1, 2, 3].map(value => queue.submit({ type: 'slow', input: { value } }));
+  assert.equal(jobs[0].status, 'queued');
+  await settle();
+  assert.deepEqual(jobs.map(job => job.status), ['running', 'running', 'queued']);
+  assert.equal(queue.position(jobs[2].id), 1);
+  assert.deepEqual(jobs[0].progress, { step: 'wait', completed: 0, total: 1 });
+
+  handler.gates.shift()();
+  const first = await waitFor(queue, jobs[0].id);
+  assert.equal(first.status, 'succeeded');
+  assert.deepEqual(first.result, { echoed: 1 });
+  assert.deepEqual(first.steps.map(step => step.name), ['wait', 'finish']);
+  assert.ok(first.steps.every(step => step.finishedAt));
+
+  await settle();
+  assert.equal(jobs[2].status, 'running');
+  while (handler.gates.length > 0) handler.gates.shift()();
+  await waitFor(queue, jobs[2].id);
+  assert.equal(handler.peak(), 2);
+  assert.deepEqual(queue.stats(), { concurrency: 2, maxQueued: 5, running: 0, queued: 0, retained: 3 });
+});
+
+test('bad submissions are refused and a full queue answers 429', async () => {
+  const handler = gatedHandler();
+  const queue = createJobQueue({ handlers: { slow: handler }, concurrency: 1, maxQueued: 1 });
+
+  assert.throws(() => queue.submit({ type: 'fast' }), { status: 400 });
+  assert.throws(() => queue.submit({ type: 'slow', input: { bad: true } }), { status: 400 });
+  assert.throws(() => queue.submit({ type: 'slow', callbackUrl: 'ftp://example.com/hook' }), { status: 400 });
+
+  queue.submit({ type: 'slow' });
+  await settle();
+  queue.submit({ type: 'slow' });
+  assert.throws(() => queue.submit({ type: 'slow' }), { status: 429 });
+
+  await settle();
+  while (handler.gates.length > 0 || queue.stats().running > 0) {
+    handler.gates.shift()?.();
+    await settle();
+  }
+});
+
+test('finished jobs are posted to the callback URL, signed, with retries', async () => {
+  const handler = gatedHandler();
+  const calls = [];
+  let failures = 1;
+  const fetch = async (url, { headers, body }) => {
+    calls.push({ url, headers, body });
+    return { ok: failures-- <= 0, status: 503 };
+  };
+  const lookup = async () => [{ address: '93.184.215.14', family: 4 }];
+  const queue = createJobQueue({ handlers: { slow: handler }, callbackSecret: 'secret', callbackDelays: [0, 0], fetch, lookup });
+
+  const job = queue.submit({ type: 'slow', input: { value: 7, fail: true }, callbackUrl: 'https://example.com/hook' });
+  await settle();
+  handler.gates.shift()();
+  await waitFor(queue, job.id);
+  await settle();
+
+  assert.equal(job.status, 'failed');
+  assert.deepEqual(job.error, { message: 'analysis failed', status: 500 });
+  assert.equal(calls.length, 2);
+  assert.equal(job.callback.status, 'delivered');
+  assert.equal(job.callback.attempts, 2);
+
+  const { headers, body } = calls[1];
+  assert.equal(JSON.parse(body).status, 'failed');
+  assert.equal(headers['X-Signature'], `sha256=${crypto.createHmac('sha256', 'secret').update(body).digest('hex')}`);
+});
+
+test('callbacks to loopback, link-local and private addresses are refused', () => {
+  const queue = createJobQueue({ handlers: { slow: gatedHandler() } });
+  for (const url of [
+    'http://localhost/hook', 'http://api.localhost/hook', 'http://127.0.0.1/', 'http://2130706433/',
+    'http://169.254.169.254/latest/meta-data', 'http://10.0.0.1/', 'http://172.16.5.4/', 'http://192.168.1.1/',
+    'http://0.0.0.0/', 'http://[::1]/', 'http://[fe80::1]/', 'http://[fd00::1]/', 'http://[::ffff:127.0.0.1]/'
+  ]) {
+    assert.throws(() => queue.submit({ type: 'slow', callbackUrl: url }), { status: 400 }, url);
+  }
+  assert.equal(queue.stats().queued, 0);
+
+  const allowed = createJobQueue({ handlers: { slow: gatedHandler() }, callbackHosts: ['hooks.internal', '10.0.0.5'] });
+  assert.ok(allowed.submit({ type: 'slow', callbackUrl: 'http://10.0.0.5:8080/done' }).callback);
+  assert.throws(() => allowed.submit({ type: 'slow', callbackUrl: 'https://example.com/hook' }), { status: 400 });
+});
+
+test('a callback host that resolves to a private address is not posted to', async () => {
+  const handler = gatedHandler();
+  const calls = [];
+  const fetch = async url => {
+    calls.push(url);
+    return { ok: true };
+  };
+  const lookup = async () => [{ address: '169.254.169.254', family: 4 }];
+  const queue = createJobQueue({ handlers: { slow: handler }, callbackDelays: [0, 0], fetch, lookup });
+
+  const job = queue.submit({ type: 'slow', input: { value: 1 }, callbackUrl: 'https://metadata.example.com/hook' });
+  await settle();
+  handler.gates.shift()();
+  await waitFor(queue, job.id);
+  await settle();
+
+  assert.equal(calls.length, 0);
+  assert.equal(job.callback.status, 'failed');
+  assert.equal(job.callback.attempts, 1);
+  assert.match(job.callback.error, /private address/);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findLabelRect, createLabelTemplate, compareLabelToTemplate, summarizeChecks, selectLabelTemplate } from '../lib/label-forensics.js';
+
+// Measurements as measureLabel() returns them, boxes normalized to the label
+function measurement(overrides = {}) {
+  const typography = { capHeight: 0.1, strokeRatio: 0.25, charAspect: 0.9, inkDensity: 0.4 };
+  return {
+    rect: { x0: 0, y0: 0, x1: 999, y1: 299 },
+    aspect: 3.33,
+    elements: {
+      title: { value: 'LUGIA-HOLO', box: { x0: 0.05, y0: 0.15, x1: 0.75, y1: 0.6 }, typography: { ...typography, charAspect: null } },
+      grade: { value: '10', box: { x0: 0.65, y0: 0.25, x1: 0.9, y1: 0.35 }, typography },
+      certNumber: { value: '63437557', box: { x0: 0.05, y0: 0.75, x1: 0.25, y1: 0.85 }, typography }
+    },
+    barcode: { format: 'CODE_128', text: '63437557', certNumber: '63437557', box: { x0: 0.6, y0: 0.4, x1: 0.87, y1: 0.7 } },
+    printedCert: '63437557',
+    colors: { background: [98, 0, 1], accent: null },
+    hologram: null,
+    ...overrides
+  };
+}
+
+const template = createLabelTemplate(measurement(), { grader: 'PSA', generation: '2019', labelType: 'standard' });
+const byId = (checks, id) => checks.find(c => c.id === id);
+
+test('findLabelRect finds the white label inside the grey slab insert', () => {
+  const width = 300, height = 120;
+  const gray = new Uint8ClampedArray(width * height).fill(220);
+  for (let y = 10; y < 100; y++) {
+    for (let x = 20; x < 280; x++) gray[y * width + x] = 250;
+  }
+  // A band of dense text across the label must not split it
+  for (let y = 30; y < 32; y++) {
+    for (let x = 25; x < 250; x++) gray[y * width + x] = 20;
+  }
+
+  assert.deepEqual(findLabelRect(gray, width, height), { x0: 20, y0: 10, x1: 279, y1: 99 });
+});
+
+test('a label matching its template passes every check', () => {
+  const checks = compareLabelToTemplate(measurement(), template);
+
+  assert.ok(checks.every(c => c.pass === true), JSON.stringify(checks.filter(c => !c.pass)));
+  assert.equal(summarizeChecks(checks, template).verdict, 'CONSISTENT');
+});
+
+test('barcode that disagrees with the printed cert fails', () => {
+  const checks = compareLabelToTemplate(measurement({ printedCert: '63437558' }), template);
+
+  assert.equal(byId(checks, 'barcode_cert').pass, false);
+  assert.match(byId(checks, 'barcode_cert').message, /63437557.*63437558/);
+  assert.equal(summarizeChecks(checks, template).verdict, 'INCONSISTENT');
+});
+
+test('moved elements and a different typeface fail layout and typography', () => {
+  const forged = measurement();
+  forged.elements.grade = {
+    ...forged.elements.grade,
+    box: { x0: 0.58, y0: 0.25, x1: 0.83, y1: 0.35 },
+    typography: { capHeight: 0.1, strokeRatio: 0.14, charAspect: 0.9, inkDensity: 0.26 }
+  };
+  const checks = compareLabelToTemplate(forged, template);
+
+  assert.equal(byId(checks, 'layout_grade').pass, false);
+  assert.equal(byId(checks, 'typography_grade').pass, false);
+  assert.match(byId(checks, 'typography_grade').message, /strokeRatio/);
+  assert.equal(byId(checks, 'layout_certNumber').pass, true);
+});
+
+test('without a template only the barcode checks run', () => {
+  const checks = compareLabelToTemplate(measurement({ barcode: null }), null);
+
+  assert.deepEqual(checks.map(c => c.id), ['barcode_present', 'barcode_cert']);
+  assert.ok(checks.every(c => c.pass === null));
+  assert.equal(summarizeChecks(checks, null).verdict, 'INCONCLUSIVE');
+});
+
+test('selectLabelTemplate picks the template with the fewest failures', () => {
+  const older = createLabelTemplate(measurement({ aspect: 2.6 }), { grader: 'PSA', generation: '2004', labelType: 'standard' });
+
+  assert.equal(selectLabelTemplate(measurement(), [older, template]), template);
+  assert.equal(selectLabelTemplate(measurement(), []), null);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyPrint } from '../lib/print-method.js';
+
+// Deterministic pseudo-random numbers (mulberry32)
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Clustered-dot screen: 1 where the ink prints
+function screenDot(x, y, angle, period, coverage) {
+  const t = angle * Math.PI / 180;
+  const u = x * Math.cos(t) + y * Math.sin(t), v = -x * Math.sin(t) + y * Math.cos(t);
+  return (Math.cos(2 * Math.PI * u / period) + Math.cos(2 * Math.PI * v / period)) / 4 + 0.5 > 1 - coverage ? 1 : 0;
+}
+
+// Macro photo of cyan, magenta and yellow ink printed as offset screens
+// (three angles), laser screens (one shared angle, coarse) or inkjet dither
+function macro(process, size = 256) {
+  const next = random(3);
+  const coverage = [0.35, 0.45, 0.3];
+  const angles = process === 'offset' ? [15, 75, 0] : [45, 45, 45];
+  const period = process === 'offset' ? 8 : 14;
+  const data = new Uint8ClampedArray(size * size * 4);
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const ink = coverage.map((c, n) => process === 'inkjet' ? (next() < c ? 1 : 0) : screenDot(x, y, angles[n], period, c));
+      const rgb = ink.map(v => 255 * (1 - 0.9 * v) + (next() - 0.5) * 8);
+      data.set([...rgb, 255], (y * size + x) * 4);
+    }
+  }
+  return { data, width: size, height: size };
+}
+
+test('offset screens at distinct angles read as a CMYK rosette', () => {
+  const result = classifyPrint(macro('offset'), { pixelsPerMm: 50 });
+
+  assert.equal(result.process, 'offset');
+  assert.ok(result.angles.length >= 3, `angles ${result.angles}`);
+  assert.ok(Math.abs(result.screens.yellow.periodPx - 8) < 0.5, `period ${result.screens.yellow.periodPx}`);
+  assert.ok(Math.abs(result.ruling - 159) < 10, `ruling ${result.ruling}`);
+});
+
+test('a coarse shared-angle screen reads as laser', () => {
+  const result = classifyPrint(macro('laser'), { pixelsPerMm: 40 });
+  assert.equal(result.process, 'laser');
+  assert.match(result.reason, /lpi/);
+
+  // Without a scale, the shared angle alone gives it away
+  assert.equal(classifyPrint(macro('laser')).process, 'laser');
+});
+
+test('stochastic dither reads as inkjet and a flat tint as unresolved', () => {
+  const inkjet = classifyPrint(macro('inkjet'));
+  assert.equal(inkjet.process, 'inkjet');
+  assert.ok(Object.values(inkjet.screens).every(s => !s.screened));
+
+  const size = 128;
+  const flat = new Uint8ClampedArray(size * size * 4);
+  for (let i = 0; i < size * size; i++) flat.set([150, 120, 200, 255], i * 4);
+  assert.equal(classifyPrint({ data: flat, width: size, height: size }).process, 'unresolved');
+});
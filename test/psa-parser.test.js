@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { parsePSACertPage } from '../lib/psa-parser.js';
+import { parseGrade, extractMarkdownPairs } from '../lib/cert-parser.js';
+
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/psa/${name}`, import.meta.url), 'utf8');
+
+test('legacy table layout: fields come from the cert details table', () => {
+  const page = parsePSACertPage({ html: fixture('cert-table.html') });
+
+  assert.equal(page.certNumber, '63437557');
+  assert.equal(page.title, '2000 POKEMON NEO GENESIS #9 LUGIA-HOLO 1ST EDITION');
+  assert.equal(page.year, '2000');
+  assert.equal(page.brand, 'POKEMON NEO GENESIS');
+  assert.equal(page.subject, 'LUGIA-HOLO');
+  assert.equal(page.cardNumber, '9');
+  assert.equal(page.variety, '1ST EDITION');
+  assert.equal(page.labelType, 'Lighthouse Label');
+  assert.equal(page.category, null);
+  assert.deepEqual(page.images, [
+    'https://d1htnxwo4o0jhw.cloudfront.net/cert/63437557/large/123456.jpg',
+    'https://d1htnxwo4o0jhw.cloudfront.net/cert/63437557/large/123457.jpg'
+  ]);
+  assert.equal(page.cardFrontImage, page.images[0]);
+  assert.equal(page.cardBackImage, page.images[1]);
+});
+
+test('grade is the labelled item grade, not marketing copy or later tables', () => {
+  const page = parsePSACertPage({ html: fixture('cert-table.html') });
+
+  // The header says "GEM MINT 10 cards" and a pop table lists "MINT 9"
+  assert.equal(page.grade, '10');
+  assert.equal(page.gradeLabel, 'GEM MT');
+  assert.equal(page.gradeText, 'GEM MT 10');
+});
+
+test('current definition-list layout with population and estimate', () => {
+  const page = parsePSACertPage({ html: fixture('cert-dl.html') });
+
+  assert.equal(page.certNumber, '81234567');
+  assert.equal(page.title, '1999 POKEMON GAME #4 CHARIZARD-HOLO');
+  assert.equal(page.year, '1999');
+  assert.equal(page.brand, 'POKEMON GAME');
+  assert.equal(page.subject, 'CHARIZARD-HOLO');
+  assert.equal(page.cardNumber, '4');
+  assert.equal(page.category, 'TCG Cards');
+  assert.equal(page.variety, 'SHADOWLESS');
+  assert.equal(page.labelType, 'PSA Label with Fugitive Ink Technology');
+  assert.equal(page.grade, '8');
+  assert.equal(page.gradeLabel, 'NM-MT');
+  assert.equal(page.population, 1234);
+  assert.equal(page.popHigher, 2056);
+  assert.equal(page.psaEstimate, '4321.50');
+  assert.equal(page.autographGrade, null);
+  assert.equal(page.images.length, 1);
+});
+
+test('embedded JSON and script contents are ignored', () => {
+  const page = parsePSACertPage({ html: fixture('cert-dl.html') });
+  assert.notEqual(page.year, '2003');
+  assert.notEqual(page.grade, '10');
+});
+
+test('label/value span layout with qualifier and autograph grade', () => {
+  const page = parsePSACertPage({ html: fixture('cert-autograph.html') });
+
+  assert.equal(page.certNumber, '55667788');
+  assert.equal(page.subject, 'PIKACHU & FRIENDS');
+  assert.equal(page.cardNumber, '279');
+  assert.equal(page.labelType, 'Gold Label');
+  assert.equal(page.grade, '8');
+  assert.equal(page.gradeQualifier, 'OC');
+  assert.equal(page.autographGrade, '10');
+  assert.equal(page.population, 12);
+  assert.equal(page.popHigher, 0);
+  assert.equal(page.title, '2016 POKEMON JAPANESE XY PROMO #279 PIKACHU & FRIENDS');
+});
+
+test('missing year stays null instead of picking up stray numbers', () => {
+  const page = parsePSACertPage({ html: fixture('cert-no-year.html') });
+
+  assert.equal(page.year, null);
+  assert.equal(page.grade, 'AUTH');
+  assert.equal(page.title, 'POKEMON JUNGLE #10 SCYTHER-HOLO');
+  assert.deepEqual(page.images, []);
+});
+
+test('Firecrawl markdown is parsed when no HTML is available', () => {
+  const page = parsePSACertPage({ markdown: fixture('cert-firecrawl.md') });
+
+  assert.equal(page.certNumber, '99887766');
+  assert.equal(page.title, '2002 POKEMON JAPANESE E-CARD #1 PICHU 1ST EDITION');
+  assert.equal(page.year, '2002');
+  assert.equal(page.brand, 'POKEMON JAPANESE E-CARD');
+  assert.equal(page.cardNumber, '001');
+  assert.equal(page.grade, '9');
+  assert.equal(page.gradeLabel, 'MINT');
+  assert.equal(page.population, 87);
+  assert.equal(page.popHigher, 12);
+  assert.equal(page.psaEstimate, '150.00');
+  assert.equal(page.images.length, 2);
+});
+
+test('markdown table separator rows are skipped', () => {
+  const pairs = extractMarkdownPairs('| Year | 2002 |\n| --- | --- |\n| Grade | MINT 9 |');
+  assert.deepEqual(pairs, [
+    { label: 'Year', value: '2002' },
+    { label: 'Grade', value: 'MINT 9' }
+  ]);
+});
+
+test('parseGrade handles PSA grade strings', () => {
+  assert.deepEqual(parseGrade('GEM MT 10'), { grade: '10', label: 'GEM MT', qualifier: null, text: 'GEM MT 10' });
+  assert.equal(parseGrade('MINT 9').grade, '9');
+  assert.equal(parseGrade('NM-MT+ 8.5').grade, '8.5');
+  assert.equal(parseGrade('NM-MT+ 8.5').label, 'NM-MT+');
+  assert.equal(parseGrade('EX 5 (MC)').qualifier, 'MC');
+  assert.equal(parseGrade('PR 1').grade, '1');
+  assert.equal(parseGrade('AUTHENTIC').grade, 'AUTH');
+  assert.equal(parseGrade('Gem Mint'), null);
+  assert.equal(parseGrade(''), null);
+});
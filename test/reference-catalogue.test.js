@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { createReferenceCatalogue, describeEntry, cardIdentity } from '../lib/reference-catalogue.js';
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'references-'));
+}
+
+test('entries are created, found, updated and removed, and survive a reload', () => {
+  const dir = tempDir();
+  const catalogue = createReferenceCatalogue({ dir });
+
+  const entry = catalogue.create({ certNumber: 'PSA 1234-5678', grade: 10, set: 'Base Set ', number: '#4', cardName: 'Charizard' });
+  assert.equal(entry.certNumber, '1234-5678');
+  assert.equal(entry.grader, 'PSA');
+  assert.equal(entry.grade, '10');
+  assert.equal(catalogue.findByCert('1234-5678'), entry);
+  assert.equal(catalogue.findByCert('1234-5678', 'BGS'), null);
+  assert.deepEqual(catalogue.findByIdentity({ set: 'base set', number: '4' }), [entry]);
+  assert.deepEqual(catalogue.list({ q: 'chari' }), [entry]);
+  assert.deepEqual(catalogue.list({ set: 'Jungle' }), []);
+
+  const updated = catalogue.update(entry.id, { variant: '1st Edition', grade: '9' });
+  assert.equal(updated.grade, '9');
+  assert.equal(catalogue.update('missing', {}), null);
+
+  const reloaded = createReferenceCatalogue({ dir });
+  assert.equal(reloaded.get(entry.id).variant, '1st Edition');
+  assert.equal(reloaded.remove(entry.id).id, entry.id);
+  assert.equal(reloaded.size, 0);
+
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('invalid entries and duplicate certs are refused with a 400', () => {
+  const dir = tempDir();
+  const catalogue = createReferenceCatalogue({ dir, seed: [{ certNumber: '111', set: 'Jungle', number: '1' }] });
+
+  assert.equal(catalogue.size, 1);
+  assert.throws(() => catalogue.create({ cardName: 'No identity' }), { status: 400 });
+  assert.throws(() => catalogue.create({ certNumber: '111' }), { status: 400 });
+  assert.equal(catalogue.create({ certNumber: '111', grader: 'bgs' }).grader, 'BGS');
+
+  const other = catalogue.create({ set: 'Fossil', number: '5' });
+  assert.throws(() => catalogue.update(other.id, { certNumber: '111' }), { status: 400 });
+  assert.throws(() => catalogue.update(other.id, { set: null }), { status: 400 });
+
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('reference images are stored per side and served from their URL', async () => {
+  const dir = tempDir();
+  const catalogue = createReferenceCatalogue({ dir });
+  const entry = catalogue.create({ certNumber: '222' });
+  const png = await sharp({ create: { width: 8, height: 10, channels: 3, background: '#c00' } }).png().toBuffer();
+
+  const image = await catalogue.addImage(entry.id, `data:image/png;base64,${png.toString('base64')}`, { side: 'back' });
+  assert.deepEqual([image.side, image.format, image.width, image.height], ['back', 'png', 8, 10]);
+
+  const { url } = describeEntry(catalogue.get(entry.id)).images[0];
+  assert.deepEqual(catalogue.readImageUrl(url).buffer, png);
+
+  await assert.rejects(catalogue.addImage(entry.id, png.toString('base64'), { side: 'edge' }), { status: 400 });
+  await assert.rejects(catalogue.addImage(entry.id, 'bm90IGFuIGltYWdl'), { status: 400 });
+  assert.equal(await catalogue.addImage('missing', png.toString('base64')), null);
+
+  assert.equal(catalogue.removeImage(entry.id, image.id).id, image.id);
+  assert.equal(catalogue.readImageUrl(url), null);
+
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('cardIdentity ignores case, spacing and a leading #', () => {
+  assert.equal(cardIdentity({ set: ' Base  Set', number: '#4' }), cardIdentity({ set: 'base set', number: '4' }));
+  assert.equal(cardIdentity({ set: 'Base Set' }), null);
+});
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createReferenceChain, cacheSource, officialApiSource, referenceResult, referenceMiss, parseSourceOrder
+} from '../lib/reference-sources.js';
+import { createCertCache } from '../lib/cert-cache.js';
+
+// Source answering from a fixed function, counting its lookups
+function stubSource(name, answer) {
+  const source = {
+    name,
+    calls: 0,
+    async lookup(certNumber) {
+      source.calls++;
+      return answer(certNumber);
+    }
+  };
+  return source;
+}
+
+const found = (name, fields = {}) => stubSource(name, cert => referenceResult(name, cert, { grade: '10', ...fields }));
+const notFound = (name) => stubSource(name, cert => referenceMiss(name, cert, 'No data found', { notFound: true }));
+const unconfigured = (name) => stubSource(name, cert => referenceMiss(name, cert, `${name}_not_configured`));
+const failing = (name) => stubSource(name, () => { throw new Error('The operation was aborted due to timeout'); });
+
+function chainWith(sources, order = sources.map(s => s.name)) {
+  const cache = createCertCache();
+  const chain = createReferenceChain({ sources: [cacheSource(cache), ...sources], order: ['cache', ...order], cache });
+  return { cache, chain };
+}
+
+test('the chain stops at the first source that finds the cert and caches it', async () => {
+  const first = found('official');
+  const second = found('firecrawl');
+  const { cache, chain } = chainWith([unconfigured('catalogue'), first, second]);
+
+  const result = await chain.resolve('12345678');
+  assert.equal(result.found, true);
+  assert.deepEqual(result.sources, ['official']);
+  assert.deepEqual(result.attempts.map(a => a.source), ['cache', 'catalogue', 'official']);
+  assert.equal(second.calls, 0);
+
+  const again = await chain.resolve('12345678');
+  assert.deepEqual(again.sources, ['cache']);
+  assert.equal(first.calls, 1);
+  assert.equal(cache.peek('12345678').negative, false);
+});
+
+test('with requireImages the chain keeps going and merges metadata', async () => {
+  const { chain } = chainWith([
+    found('official', { cardName: 'Charizard', year: '1999' }),
+    found('firecrawl', { year: '2000', referenceImages: ['https://img/front.jpg'], referenceImageSides: ['front'] })
+  ]);
+
+  const result = await chain.resolve('1', { requireImages: true });
+  assert.deepEqual(result.sources, ['official', 'firecrawl']);
+  assert.equal(result.cardName, 'Charizard');
+  assert.equal(result.year, '1999');
+  assert.deepEqual(result.referenceImages, ['https://img/front.jpg']);
+});
+
+test('a cert a source says does not exist is negatively cached and short-circuits the chain', async () => {
+  const official = notFound('official');
+  const { cache, chain } = chainWith([unconfigured('firecrawl'), official]);
+
+  const miss = await chain.resolve('999');
+  assert.equal(miss.found, false);
+  assert.equal(miss.manualVerificationRequired, true);
+  assert.equal(cache.peek('999').negative, true);
+
+  const cached = await chain.resolve('999');
+  assert.equal(cached.cachedMiss, true);
+  assert.deepEqual(cached.attempts.map(a => a.source), ['cache']);
+  assert.equal(official.calls, 1);
+
+  // refresh bypasses the cached miss
+  await chain.resolve('999', { refresh: true });
+  assert.equal(official.calls, 2);
+});
+
+test('failed lookups and unconfigured sources are never negatively cached', async () => {
+  for (const sources of [
+    [failing('official')],
+    [unconfigured('official'), unconfigured('firecrawl')],
+    [notFound('official'), failing('firecrawl')]
+  ]) {
+    const { cache, chain } = chainWith(sources);
+    const miss = await chain.resolve('42');
+    assert.equal(miss.found, false);
+    assert.equal(cache.has('42'), false, sources.map(s => s.name).join(','));
+  }
+
+  // A timeout is reported as an attempt, and the next request tries again
+  const flaky = failing('firecrawl');
+  const { chain } = chainWith([flaky]);
+  const first = await chain.resolve('43');
+  assert.match(first.attempts[1].error, /timeout/);
+  await chain.resolve('43');
+  assert.equal(flaky.calls, 2);
+});
+
+test('officialApiSource only reports notFound for a valid request without a cert', async (t) => {
+  const replies = [
+    { IsValidRequest: true, ServerMessage: 'No data found' },
+    { IsValidRequest: false, ServerMessage: 'Invalid certificate number' },
+    { Message: 'Authorization has been denied for this request.' }
+  ];
+  t.mock.method(globalThis, 'fetch', async () => ({ json: async () => replies.shift() }));
+  const source = officialApiSource('token');
+
+  assert.equal((await source.lookup('1')).notFound, true);
+  assert.equal((await source.lookup('2')).notFound, false);
+  assert.equal((await source.lookup('3')).notFound, false);
+  assert.equal((await officialApiSource(null).lookup('4')).error, 'psa_api_not_configured');
+});
+
+test('parseSourceOrder accepts strings, arrays and the old source names', () => {
+  assert.deepEqual(parseSourceOrder('cache, Known ,firecrawl'), ['cache', 'catalogue', 'firecrawl']);
+  assert.deepEqual(parseSourceOrder(['official']), ['official']);
+  assert.deepEqual(parseSourceOrder('', ['cache']), ['cache']);
+});
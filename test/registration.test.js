@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateHomographyRansac, computeDescriptors, matchDescriptors, registerToReference } from '../lib/registration.js';
+import { applyHomography } from '../lib/geometry.js';
+import { detectCorners } from '../lib/features.js';
+import { gaussianBlur } from '../lib/edges.js';
+
+// Slight rotation, scale and shift, as between a photo and its reference
+const TRUTH = [1.02, -0.03, 6, 0.025, 0.99, -4, 0.00002, -0.00001, 1];
+
+test('RANSAC recovers the homography despite outlier matches', () => {
+  const src = [], dst = [];
+  let seed = 3;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+  for (let i = 0; i < 60; i++) {
+    const p = { x: random() * 600, y: random() * 800 };
+    src.push(p);
+    // Every third match is wrong
+    dst.push(i % 3 === 0 ? { x: random() * 600, y: random() * 800 } : applyHomography(TRUTH, p.x, p.y));
+  }
+
+  const estimate = estimateHomographyRansac(src, dst);
+  assert.ok(estimate);
+  assert.equal(estimate.inliers.length, 40);
+  assert.ok(estimate.inliers.every(i => i % 3 !== 0));
+  assert.ok(estimate.reprojectionError < 0.01);
+  for (const [x, y] of [[0, 0], [300, 400], [600, 800]]) {
+    const a = applyHomography(estimate.homography, x, y), b = applyHomography(TRUTH, x, y);
+    assert.ok(Math.hypot(a.x - b.x, a.y - b.y) < 0.1);
+  }
+});
+
+test('RANSAC needs four correspondences', () => {
+  const points = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 0, y: 10 }];
+  assert.equal(estimateHomographyRansac(points, points), null);
+});
+
+// Prepared image (see prepareForComparison) from a grayscale plane
+function prepare(gray, width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  gray.forEach((v, i) => data.set([v, v, v, 255], i * 4));
+  const { keypoints } = detectCorners(gray, width, height, { threshold: 0.005, nmsRadius: 6, maxCorners: 400 });
+  return { data, width, height, ...computeDescriptors(gaussianBlur(gray, width, height, 2), width, height, keypoints) };
+}
+
+// Random blocks of grey, shifted by (dx, dy)
+function blocks(width, height, dx = 0, dy = 0) {
+  const gray = new Float32Array(width * height);
+  let seed = 11;
+  const cells = [];
+  for (let i = 0; i < 300; i++) {
+    seed = (seed * 16807) % 2147483647;
+    cells.push(seed % 256);
+  }
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const cx = Math.floor((x - dx) / 12), cy = Math.floor((y - dy) / 12);
+      gray[y * width + x] = cells[((cy * 17 + cx) % cells.length + cells.length) % cells.length];
+    }
+  }
+  return gray;
+}
+
+test('registerToReference aligns a shifted image onto its reference', () => {
+  const width = 160, height = 200;
+  const reference = prepare(blocks(width, height), width, height);
+  const moving = prepare(blocks(width, height, 5, -3), width, height);
+
+  const descriptorsMatch = matchDescriptors(reference.descriptors, reference.descriptors);
+  assert.equal(descriptorsMatch.length, reference.descriptors.length);
+
+  const { registration } = registerToReference(moving, reference);
+  assert.equal(registration.success, true);
+  assert.ok(Math.abs(registration.homography[2] + 5) < 0.5, `dx ${registration.homography[2]}`);
+  assert.ok(Math.abs(registration.homography[5] - 3) < 0.5, `dy ${registration.homography[5]}`);
+});
+
+test('registration fails cleanly without matching features', () => {
+  const width = 80, height = 80;
+  const flat = prepare(new Float32Array(width * height).fill(128), width, height);
+  const { aligned, registration } = registerToReference(flat, flat);
+
+  assert.equal(registration.success, false);
+  assert.equal(registration.reason, 'Too few feature matches');
+  assert.equal(aligned.data, flat.data);
+});
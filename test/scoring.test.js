@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { validateModel, signalSupport, scoreSignals } from '../lib/scoring.js';
+import { createScoringModelStore } from '../lib/scoring-model.js';
+
+const MODEL = validateModel({
+  verdicts: [
+    { verdict: 'LIKELY_AUTHENTIC', minScore: 75 },
+    { verdict: 'SUSPICIOUS', minScore: 50 },
+    { verdict: 'LIKELY_FAKE', minScore: 0 }
+  ],
+  profiles: {
+    cert: {
+      signals: {
+        colorCorrelation: { weight: 25, direction: 'min', threshold: 0.7 },
+        ssim: { weight: 25, direction: 'min', threshold: 0.6, ramp: 0.2 },
+        sharpnessDifference: { weight: 50, direction: 'max', threshold: 100 }
+      }
+    }
+  }
+});
+
+test('signals pass on their side of the threshold, with a linear ramp across it', () => {
+  const { ssim, sharpnessDifference } = MODEL.profiles.cert.signals;
+
+  assert.deepEqual(signalSupport(sharpnessDifference, 100), { support: 1, pass: true });
+  assert.deepEqual(signalSupport(sharpnessDifference, 101), { support: 0, pass: false });
+  assert.equal(signalSupport(ssim, 0.6).support, 0.5);
+  assert.ok(Math.abs(signalSupport(ssim, 0.65).support - 0.75) < 1e-9);
+  assert.equal(signalSupport(ssim, 0.45).support, 0);
+  assert.equal(signalSupport(ssim, 0.55).pass, false);
+});
+
+test('the score is the weighted mean support and the contributions add up to it', () => {
+  const scored = scoreSignals(MODEL, 'cert', { colorCorrelation: 0.9, ssim: 0.65, sharpnessDifference: 150, unknown: 1 });
+
+  assert.equal(scored.signals.length, 3);
+  assert.ok(Math.abs(scored.score - (25 + 25 * 0.75) / 100 * 100) < 1e-9);
+  assert.equal(scored.verdict, 'LIKELY_FAKE');
+  const total = scored.signals.reduce((sum, s) => sum + s.contribution, 0);
+  assert.ok(Math.abs(total - scored.score) < 1e-9);
+  const sharpness = scored.signals.find(s => s.id === 'sharpnessDifference');
+  assert.equal(sharpness.pass, false);
+  assert.equal(sharpness.lost, 50);
+});
+
+test('missing signals lower the coverage and confidence, not the score', () => {
+  const full = scoreSignals(MODEL, 'cert', { colorCorrelation: 0.9, ssim: 0.9, sharpnessDifference: 20 });
+  assert.equal(full.score, 100);
+  assert.equal(full.verdict, 'LIKELY_AUTHENTIC');
+  assert.equal(full.confidence.level, 'high');
+
+  const partial = scoreSignals(MODEL, 'cert', { colorCorrelation: 0.9, ssim: 0.9, sharpnessDifference: null });
+  assert.equal(partial.score, 100);
+  assert.equal(partial.coverage, 0.5);
+  assert.equal(partial.confidence.level, 'medium');
+  assert.equal(partial.signals.find(s => s.id === 'sharpnessDifference').contribution, null);
+
+  const nothing = scoreSignals(MODEL, 'cert', { colorCorrelation: null });
+  assert.equal(nothing.score, null);
+  assert.equal(nothing.verdict, 'INCONCLUSIVE');
+});
+
+test('invalid models are rejected with a 400', () => {
+  const bad = (change) => assert.throws(() => validateModel({ ...structuredClone(MODEL), ...change }, { profiles: ['cert'] }), { status: 400 });
+
+  bad({ verdicts: [] });
+  bad({ verdicts: [{ verdict: 'A', minScore: 50 }, { verdict: 'B', minScore: 60 }] });
+  bad({ verdicts: [{ verdict: 'A', minScore: 50 }] });
+  bad({ profiles: { cv: { signals: {} } } });
+  bad({ profiles: { cert: { signals: { ssim: { weight: -1, direction: 'min', threshold: 0.6 } } } } });
+  bad({ profiles: { cert: { signals: { ssim: { weight: 1, direction: 'above', threshold: 0.6 } } } } });
+});
+
+test('the shipped model validates and the store picks up edits to the file', () => {
+  const shipped = JSON.parse(fs.readFileSync(new URL('../config/scoring-model.json', import.meta.url), 'utf8'));
+  const model = validateModel(shipped, { profiles: ['cert', 'cv'] });
+  assert.ok(Object.keys(model.profiles.cv.signals).includes('cannyEdgeDetection'));
+
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'scoring-')), 'model.json');
+  fs.writeFileSync(file, JSON.stringify(shipped));
+  const store = createScoringModelStore({ file, profiles: ['cert'] });
+  assert.equal(store.get().profiles.cert.signals.ssim.threshold, 0.6);
+
+  const edited = structuredClone(shipped);
+  edited.profiles.cert.signals.ssim.threshold = 0.5;
+  fs.writeFileSync(file, JSON.stringify(edited));
+  fs.utimesSync(file, new Date(), new Date(Date.now() + 5000));
+  assert.equal(store.get().profiles.cert.signals.ssim.threshold, 0.5);
+
+  assert.throws(() => store.replace({ ...edited, profiles: {} }), { status: 400 });
+  edited.profiles.cert.signals.ssim.threshold = 0.55;
+  store.replace(edited);
+  assert.equal(createScoringModelStore({ file }).get().profiles.cert.signals.ssim.threshold, 0.55);
+  fs.rmSync(path.dirname(file), { recursive: true });
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import zxing from '@zxing/library';
+import { parseLabelText } from '../lib/label-ocr.js';
+import { certFromBarcode, readBarcodes, labelQuad } from '../lib/slab-label.js';
+
+// OCR output (lines, words, confidences, boxes) recorded from label images
+const fixture = (name) => JSON.parse(fs.readFileSync(new URL(`./fixtures/labels/${name}`, import.meta.url), 'utf8'));
+
+test('PSA label: cert, inline grade and title', () => {
+  const label = parseLabelText(fixture('psa-label.json'));
+
+  assert.equal(label.certNumber.value, '63437557');
+  assert.equal(label.certNumber.source, 'ocr');
+  assert.equal(label.grade.value, '10');
+  assert.equal(label.grade.label, 'GEM MT');
+  // The barcode read as "LRLRT" is below the word confidence floor
+  assert.equal(label.title.value, '2000 POKEMON NEO GENESIS #9 LUGIA-HOLO 1ST EDITION');
+  assert.equal(label.grader, null);
+});
+
+test('CGC label: stacked grade, grader and a cert on a low-confidence line', () => {
+  const label = parseLabelText(fixture('cgc-label.json'));
+
+  assert.equal(label.certNumber.value, '4012345001');
+  assert.equal(label.grade.value, '9.5');
+  assert.equal(label.grade.label, 'MINT+');
+  assert.equal(label.grader.value, 'CGC');
+  assert.ok(!label.title.value.includes('9.5'));
+  assert.ok(label.title.value.startsWith('CHARIZARD - BASE SET 4/102'));
+});
+
+test('SGC number-first grade and OCR digit confusions', () => {
+  const word = (text, x0) => ({ text, confidence: 90, bbox: { x0, y0: 0, x1: x0 + 50, y1: 20 } });
+  const label = parseLabelText([
+    { text: 'SGC 10 GEM MINT', confidence: 90, words: [word('SGC', 0), word('10', 60), word('GEM', 120), word('MINT', 180)] },
+    { text: 'CERT 12345O7-001', confidence: 90, words: [word('CERT', 0), word('12345O7-001', 60)] }
+  ]);
+
+  assert.equal(label.grade.value, '10');
+  assert.equal(label.grade.label, 'GEM MINT');
+  assert.equal(label.grader.value, 'SGC');
+  assert.equal(label.certNumber.value, '1234507-001');
+  assert.equal(label.title, null);
+});
+
+test('certFromBarcode: bare cert numbers and cert lookup URLs', () => {
+  assert.deepEqual(certFromBarcode('63437557'), { certNumber: '63437557', grader: null });
+  assert.deepEqual(certFromBarcode('https://www.cgccards.com/certlookup/4012345001/'), { certNumber: '4012345001', grader: 'CGC' });
+  assert.deepEqual(certFromBarcode('https://www.psacard.com/cert/63437557'), { certNumber: '63437557', grader: 'PSA' });
+  assert.deepEqual(certFromBarcode('HELLO'), { certNumber: null, grader: null });
+});
+
+test('readBarcodes decodes a QR code next to label text', () => {
+  const { QRCodeWriter, BarcodeFormat } = zxing;
+  const matrix = new QRCodeWriter().encode('https://www.cgccards.com/certlookup/4012345001/', BarcodeFormat.QR_CODE, 120, 120, new Map());
+  const width = 400, height = 160;
+  const data = new Uint8ClampedArray(width * height * 4).fill(255);
+  for (let y = 0; y < matrix.getHeight(); y++) {
+    for (let x = 0; x < matrix.getWidth(); x++) {
+      if (!matrix.get(x, y)) continue;
+      const i = ((y + 20) * width + x + 260) * 4;
+      data[i] = data[i + 1] = data[i + 2] = 0;
+    }
+  }
+
+  const [barcode] = readBarcodes({ data, width, height });
+  assert.equal(barcode.format, 'QR_CODE');
+  assert.equal(barcode.certNumber, '4012345001');
+  assert.equal(barcode.grader, 'CGC');
+  assert.deepEqual(readBarcodes({ data: new Uint8ClampedArray(width * height * 4).fill(255), width, height }), []);
+});
+
+test('labelQuad sits above the card, and below it for an upside-down slab', () => {
+  const card = [{ x: 100, y: 300 }, { x: 200, y: 300 }, { x: 200, y: 440 }, { x: 100, y: 440 }];
+
+  const top = labelQuad(card, 'top');
+  assert.ok(top.every(p => p.y < 300));
+  assert.ok(top[0].x < 100 && top[1].x > 200);
+
+  // Upright order: the first corner is the label's top-left once rotated
+  const bottom = labelQuad(card, 'bottom');
+  assert.ok(bottom.every(p => p.y > 440));
+  assert.ok(bottom[0].x > 200 && bottom[0].y > bottom[3].y);
+});
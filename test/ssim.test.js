@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ssimMap, msSsim, summarizeSsimZones, compareStructure } from '../lib/ssim.js';
+
+// Smooth gradient with a checker pattern, so every scale has structure
+function texture(width, height) {
+  const plane = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      plane[y * width + x] = 60 + x + ((Math.floor(x / 4) + Math.floor(y / 4)) % 2) * 80;
+    }
+  }
+  return plane;
+}
+
+const toRgba = (plane) => {
+  const data = new Uint8ClampedArray(plane.length * 4);
+  plane.forEach((v, i) => data.set([v, v, v, 255], i * 4));
+  return data;
+};
+
+test('identical images have an SSIM of 1 at every scale', () => {
+  const width = 96, height = 96;
+  const plane = texture(width, height);
+
+  const { map, mean } = ssimMap(plane, plane, width, height);
+  assert.ok(Math.abs(mean - 1) < 1e-6);
+  assert.ok(map.every(v => Math.abs(v - 1) < 1e-4));
+
+  const ms = msSsim(plane, plane, width, height);
+  assert.ok(Math.abs(ms.value - 1) < 1e-6);
+  assert.equal(ms.scales.length, 4);
+  assert.deepEqual(ms.scales.map(s => s.width), [96, 48, 24, 12]);
+});
+
+test('SSIM falls with the strength of the distortion', () => {
+  const width = 64, height = 64;
+  const plane = texture(width, height);
+  let seed = 1;
+  const noisy = (amplitude) => plane.map(v => {
+    seed = (seed * 16807) % 2147483647;
+    return v + (seed / 2147483647 - 0.5) * amplitude;
+  });
+
+  const light = ssimMap(plane, noisy(20), width, height).mean;
+  const heavy = ssimMap(plane, noisy(120), width, height).mean;
+  assert.ok(light < 1 && heavy < light, `${light} then ${heavy}`);
+
+  // A uniform brightness shift only touches the luminance term
+  const shifted = ssimMap(plane, plane.map(v => v + 30), width, height);
+  assert.ok(Math.abs(shifted.contrastStructure - 1) < 1e-3);
+  assert.ok(shifted.mean < 1);
+});
+
+test('zone summaries localize a damaged region', () => {
+  const width = 100, height = 100;
+  const map = new Float32Array(width * height).fill(1);
+  for (let y = 0; y < 50; y++) for (let x = 0; x < 50; x++) map[y * width + x] = 0.2;
+
+  const zones = { damaged: { x0: 0, y0: 0, x1: 0.5, y1: 0.5 }, clean: { x0: 0.5, y0: 0.5, x1: 1, y1: 1 } };
+  const summary = summarizeSsimZones(map, width, height, zones);
+  assert.ok(Math.abs(summary.damaged.mean - 0.2) < 1e-6);
+  assert.equal(summary.damaged.lowFraction, 1);
+  assert.equal(summary.clean.min, 1);
+  assert.equal(summary.clean.lowFraction, 0);
+});
+
+test('compareStructure reports SSIM, MS-SSIM and card zones for RGBA input', () => {
+  const width = 63, height = 88;
+  const data = toRgba(texture(width, height));
+  const result = compareStructure(data, data, width, height);
+
+  assert.ok(Math.abs(result.ssim - 1) < 1e-6);
+  assert.ok(Math.abs(result.msSsim - 1) < 1e-6);
+  assert.deepEqual(Object.keys(result.zones), ['artwork', 'nameBar', 'textBox', 'setSymbol']);
+  assert.equal(result.map.length, width * height);
+});